@@ -1,10 +1,12 @@
 const WebSocket = require('ws');
 
 class OrderBookClient {
-    constructor(url = 'ws://localhost:3000') {
-        this.url = url;
+    constructor(url = 'ws://localhost:3000', apiKey = process.env.API_KEY) {
+        this.url = apiKey ? `${url}/?apiKey=${encodeURIComponent(apiKey)}` : url;
         this.ws = null;
         this.isConnected = false;
+        this.books = new Map(); // `${exchange}:${symbol}` -> { seq, bids: Map, asks: Map }
+        this.requestId = 0;
     }
 
     connect() {
@@ -40,16 +42,56 @@ class OrderBookClient {
         switch (message.type) {
             case 'welcome':
                 console.log('📨 Welcome:', message.message);
+                console.log(`   Symbols: ${message.symbols.join(', ')}`);
                 break;
 
-            case 'orderbooks_snapshot':
-                console.log('📊 Received orderbooks snapshot:');
-                this.displayOrderbooks(message.data);
+            case 'subscribed':
+            case 'unsubscribed':
+            case 'resynced':
+                console.log(`✅ ${message.type} (request ${message.id}): ${message.symbols.join(', ')} [${message.channel}]`);
                 break;
 
-            case 'orderbook_update':
-                console.log(`🔄 Orderbook update for ${message.symbol}:`);
-                this.displayOrderbook(message.symbol, message.data);
+            case 'top_of_book':
+                console.log(`🔝 ${message.symbol}: bid ${message.bid && message.bid.join(' x ')} / ask ${message.ask && message.ask.join(' x ')}`);
+                break;
+
+            case 'orderbook_snapshot':
+                console.log(`📊 Snapshot for ${this.getBookKey(message)} (seq ${message.seq})`);
+                this.loadSnapshot(this.getBookKey(message), message.data);
+                this.displayOrderbook(this.getBookKey(message));
+                break;
+
+            case 'orderbook_delta':
+                if (this.applyDelta(message)) {
+                    console.log(`🔄 Orderbook delta for ${this.getBookKey(message)} (seq ${message.seq}):`);
+                    this.displayOrderbook(this.getBookKey(message));
+                }
+                break;
+
+            case 'trades_snapshot':
+                console.log(`💱 ${this.getBookKey(message)}: last price ${message.data ? message.data.lastPrice : 'n/a'}`);
+                break;
+
+            case 'trades':
+                for (const trade of message.trades) {
+                    console.log(`💱 ${this.getBookKey(message)} ${trade.side} ${trade.quantity} @ ${trade.price}`);
+                }
+                break;
+
+            case 'events':
+                for (const event of message.events) {
+                    console.log(`🚨 ${this.getBookKey(message)} ${event.type} ${event.side} ${event.quantity} @ ${event.price}`);
+                }
+                break;
+
+            case 'alerts':
+                for (const alert of message.alerts) {
+                    console.log(`🔔 ${this.getBookKey(message)} ${alert.name} ${alert.status} (value ${alert.value})`);
+                }
+                break;
+
+            case 'error':
+                console.error(`❌ Server error (request ${message.id}):`, message.error);
                 break;
 
             case 'pong':
@@ -61,43 +103,110 @@ class OrderBookClient {
         }
     }
 
-    displayOrderbooks(orderbooks) {
-        for (const [symbol, orderbook] of Object.entries(orderbooks)) {
-            this.displayOrderbook(symbol, orderbook);
+    // The same symbol can be followed on several exchanges
+    getBookKey(message) {
+        return `${message.exchange}:${message.symbol}`;
+    }
+
+    loadSnapshot(key, snapshot) {
+        const book = {
+            seq: snapshot.seq,
+            lastUpdateId: snapshot.lastUpdateId,
+            spread: snapshot.spread,
+            midPrice: snapshot.midPrice,
+            bids: new Map(),
+            asks: new Map()
+        };
+        snapshot.bids.forEach(level => book.bids.set(level.price, level.quantity));
+        snapshot.asks.forEach(level => book.asks.set(level.price, level.quantity));
+        this.books.set(key, book);
+    }
+
+    // Applies a delta to the local book; on a sequence gap asks the server for a new snapshot
+    applyDelta(delta) {
+        const key = this.getBookKey(delta);
+        const book = this.books.get(key);
+        if (!book) {
+            return false;
         }
+
+        if (delta.prevSeq !== book.seq) {
+            console.warn(`⚠️  Sequence gap for ${key}: local=${book.seq}, prevSeq=${delta.prevSeq}. Resyncing...`);
+            this.resync(key);
+            return false;
+        }
+
+        for (const [side, levels] of [['bids', delta.bids], ['asks', delta.asks]]) {
+            for (const [price, quantity] of levels) {
+                if (parseFloat(quantity) === 0) {
+                    book[side].delete(price);
+                } else {
+                    book[side].set(price, quantity);
+                }
+            }
+        }
+
+        book.seq = delta.seq;
+        book.lastUpdateId = delta.lastUpdateId;
+        book.spread = delta.spread;
+        book.midPrice = delta.midPrice;
+        return true;
     }
 
-    displayOrderbook(symbol, orderbook) {
-        console.log(`\n📈 ${symbol.toUpperCase()} Orderbook:`);
-        console.log(`   Last Update ID: ${orderbook.lastUpdateId}`);
-        console.log(`   Spread: ${orderbook.spread}`);
-        console.log(`   Mid Price: ${orderbook.midPrice}`);
+    getLevels(book, side, limit) {
+        const direction = side === 'bids' ? -1 : 1;
+        return Array.from(book[side].entries())
+            .sort((a, b) => direction * (parseFloat(a[0]) - parseFloat(b[0])))
+            .slice(0, limit);
+    }
+
+    displayOrderbook(key) {
+        const book = this.books.get(key);
+        console.log(`\n📈 ${key.toUpperCase()} Orderbook:`);
+        console.log(`   Last Update ID: ${book.lastUpdateId}`);
+        console.log(`   Spread: ${book.spread}`);
+        console.log(`   Mid Price: ${book.midPrice}`);
         
         console.log('\n   Bids:');
-        orderbook.bids.slice(0, 5).forEach((bid, index) => {
-            console.log(`     ${index + 1}. ${bid.price} (${bid.quantity})`);
+        this.getLevels(book, 'bids', 5).forEach(([price, quantity], index) => {
+            console.log(`     ${index + 1}. ${price} (${quantity})`);
         });
 
         console.log('\n   Asks:');
-        orderbook.asks.slice(0, 5).forEach((ask, index) => {
-            console.log(`     ${index + 1}. ${ask.price} (${ask.quantity})`);
+        this.getLevels(book, 'asks', 5).forEach(([price, quantity], index) => {
+            console.log(`     ${index + 1}. ${price} (${quantity})`);
         });
         console.log('');
     }
 
-    subscribe(symbol) {
+    resync(symbol) {
         if (!this.isConnected) {
             console.error('Not connected to WebSocket');
             return;
         }
 
-        const message = {
-            type: 'subscribe',
-            symbol: symbol
-        };
+        this.request('resync', { symbols: [symbol] });
+    }
 
-        this.ws.send(JSON.stringify(message));
-        console.log(`Subscribed to ${symbol}`);
+    // channel: 'book' (snapshot + deltas), 'top' (best bid/ask) or 'aggregated'
+    subscribe(symbols, { channel = 'book', depth = null, maxRate = null } = {}) {
+        return this.request('subscribe', { symbols: [].concat(symbols), channel, depth, maxRate });
+    }
+
+    unsubscribe(symbols, { channel = 'book' } = {}) {
+        return this.request('unsubscribe', { symbols: [].concat(symbols), channel });
+    }
+
+    request(type, params) {
+        if (!this.isConnected) {
+            console.error('Not connected to WebSocket');
+            return null;
+        }
+
+        const id = ++this.requestId;
+        this.ws.send(JSON.stringify({ type, id, ...params }));
+        console.log(`Sent ${type} request ${id} for ${params.symbols.join(', ')}`);
+        return id;
     }
 
     ping() {
@@ -127,9 +236,10 @@ if (require.main === module) {
     
     client.connect();
     
-    // Subscribe to specific symbol after 2 seconds
+    // Subscribe to the top 10 BTC levels and ETH best bid/ask after 2 seconds
     setTimeout(() => {
-        client.subscribe('btcusdt');
+        client.subscribe('btcusdt', { depth: 10 });
+        client.subscribe('ethusdt', { channel: 'top' });
     }, 2000);
     
     // Send ping every 30 seconds
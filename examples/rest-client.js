@@ -2,8 +2,9 @@ const https = require('https');
 const http = require('http');
 
 class RestClient {
-    constructor(baseUrl = 'http://localhost:3000') {
+    constructor(baseUrl = 'http://localhost:3000', apiKey = process.env.API_KEY) {
         this.baseUrl = baseUrl;
+        this.apiKey = apiKey; // when the server runs with AUTH_ENABLED=true
     }
 
     async makeRequest(path, method = 'GET') {
@@ -17,7 +18,8 @@ class RestClient {
                 path: url.pathname,
                 method: method,
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { 'X-API-Key': this.apiKey } : {})
                 }
             };
 
@@ -62,7 +64,7 @@ class RestClient {
 
     async getAllOrderbooks() {
         try {
-            const response = await this.makeRequest('/api/orderbooks');
+            const response = await this.makeRequest('/api/v1/orderbooks');
             console.log('📊 All Orderbooks:');
             this.displayOrderbooks(response.data.data);
             return response.data;
@@ -74,7 +76,7 @@ class RestClient {
 
     async getOrderbook(symbol) {
         try {
-            const response = await this.makeRequest(`/api/orderbooks/${symbol}`);
+            const response = await this.makeRequest(`/api/v1/orderbooks/${symbol}`);
             console.log(`📈 Orderbook for ${symbol.toUpperCase()}:`);
             this.displayOrderbook(symbol, response.data.data);
             return response.data;
@@ -86,7 +88,7 @@ class RestClient {
 
     async getStats() {
         try {
-            const response = await this.makeRequest('/api/stats');
+            const response = await this.makeRequest('/api/v1/stats');
             console.log('📊 Server Stats:');
             this.displayStats(response.data.data);
             return response.data;
@@ -130,10 +132,14 @@ class RestClient {
         console.log(`   Total Subscribers: ${stats.orderbookManager.totalSubscribers}`);
         console.log(`   Symbols: ${stats.orderbookManager.symbols.join(', ')}`);
         
-        console.log(`\n🔌 Binance WebSocket:`);
-        console.log(`   Connected: ${stats.binanceWebSocket.connected}`);
-        console.log(`   Subscribed Streams: ${stats.binanceWebSocket.subscribedStreams.join(', ')}`);
-        console.log(`   Reconnect Attempts: ${stats.binanceWebSocket.reconnectAttempts}`);
+        for (const exchange of Object.values(stats.exchanges)) {
+            console.log(`\n🔌 ${exchange.name} WebSocket:`);
+            console.log(`   Connected: ${exchange.connected}`);
+            console.log(`   Subscribed Streams: ${exchange.subscribedStreams.join(', ')}`);
+            exchange.connections.forEach((connection, index) => {
+                console.log(`   Connection ${index + 1}: ${connection.state}, ${connection.reconnectAttempts} reconnect attempts`);
+            });
+        }
         
         console.log(`\n📈 Orderbook Details:`);
         for (const [symbol, details] of Object.entries(stats.orderbookManager.orderbooks)) {
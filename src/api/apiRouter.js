@@ -0,0 +1,163 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { validate } = require('./schema');
+const { ApiError, sendError } = require('./errors');
+const config = require('../config/api');
+
+const PARAMETER_LOCATIONS = { params: 'path', query: 'query' };
+
+/**
+ * Express router whose routes are declared with their schemas: path and
+ * query parameters, request body and response data. Requests are validated
+ * and coerced before the handler runs and answered with 400 and the list of
+ * problems otherwise. Handlers return the response data, sent as
+ * { success, data, timestamp }, or throw an ApiError; any other error is
+ * logged and answered with 500. A `scope` in a route or mount spec requires
+ * it of the API key. The declarations also make up the OpenAPI document.
+ */
+class ApiRouter {
+    constructor(options = {}) {
+        this.router = express.Router({ mergeParams: true });
+        this.tags = options.tags || [];
+        this.auth = options.auth || null; // ApiKeyRegistry enforcing scopes
+        this.validateResponses = options.validateResponses !== undefined ? options.validateResponses : config.validateResponses;
+        this.operations = []; // { method, path, spec }
+        this.mounts = []; // { path, spec, router }
+    }
+
+    get(path, spec, ...handlers) {
+        return this.route('get', path, spec, handlers);
+    }
+
+    post(path, spec, ...handlers) {
+        return this.route('post', path, spec, handlers);
+    }
+
+    put(path, spec, ...handlers) {
+        return this.route('put', path, spec, handlers);
+    }
+
+    delete(path, spec, ...handlers) {
+        return this.route('delete', path, spec, handlers);
+    }
+
+    /**
+     * spec: { summary, description, scope, params, query, required, body,
+     * response, status, notFound }. params and query map names to schemas;
+     * query parameters are optional unless listed in `required`. notFound
+     * documents a 404 for routes without path parameters. Middleware may
+     * precede the handler.
+     */
+    route(method, path, spec, handlers) {
+        const handler = handlers.pop();
+        this.operations.push({ method, path, spec });
+        this.router[method](path, ...this.authorize(spec), ...handlers, async (req, res) => {
+            const errors = [];
+            req.input = {
+                params: this.validateParameters(spec.params, req.params, 'params', errors),
+                query: this.validateParameters(spec.query, req.query, 'query', errors, spec.required),
+                body: spec.body ? this.validateBody(spec.body, req.body, errors) : req.body
+            };
+            if (errors.length > 0) {
+                const [first] = errors;
+                const field = first.in === 'body' ? 'body field' : `${first.in} parameter`;
+                return sendError(res, 400, `Invalid ${field} ${first.name}: ${first.message}`, errors);
+            }
+
+            try {
+                const data = await handler(req, res);
+                if (this.validateResponses && spec.response) {
+                    this.checkResponse(method, req, spec.response, data);
+                }
+                res.status(spec.status || 200).json({
+                    success: true,
+                    data,
+                    timestamp: Date.now()
+                });
+            } catch (error) {
+                if (error instanceof ApiError) {
+                    return sendError(res, error.status, error.message, error.details);
+                }
+                logger.error(`Error handling ${method.toUpperCase()} ${req.originalUrl}: ${error.message}`);
+                sendError(res, 500, 'Internal server error');
+            }
+        });
+        return this;
+    }
+
+    // Mounts a child ApiRouter; spec: { scope, params, query } apply to all of its routes
+    use(path, spec, ...handlers) {
+        const child = handlers.pop();
+        this.mounts.push({ path, spec, router: child });
+        this.router.use(path, ...this.authorize(spec), ...handlers, child.router);
+        return this;
+    }
+
+    authorize(spec) {
+        return spec.scope && this.auth ? [this.auth.authorize(spec.scope)] : [];
+    }
+
+    validateParameters(schemas = {}, values, location, errors, required = []) {
+        const result = { ...values };
+        for (const [name, schema] of Object.entries(schemas)) {
+            const problems = [];
+            if (values[name] === undefined && (location === 'params' || required.includes(name))) {
+                problems.push({ name, message: 'is required' });
+            } else {
+                const value = validate(schema, values[name], name, problems, true);
+                if (value !== undefined) {
+                    result[name] = value;
+                }
+            }
+            errors.push(...problems.map(problem => ({ in: PARAMETER_LOCATIONS[location], ...problem })));
+        }
+        return result;
+    }
+
+    validateBody(schema, body, errors) {
+        const problems = [];
+        const value = validate(schema, body === undefined ? {} : body, '', problems);
+        errors.push(...problems.map(problem => ({ in: 'body', ...problem, name: problem.name || 'body' })));
+        return value;
+    }
+
+    // A development aid: responses are checked as clients receive them, after serialization
+    checkResponse(method, req, schema, data) {
+        const problems = [];
+        validate(schema, JSON.parse(JSON.stringify(data === undefined ? null : data)), 'data', problems);
+        if (problems.length > 0) {
+            logger.warn(`Response of ${method.toUpperCase()} ${req.originalUrl} breaks its schema: ` +
+                problems.map(problem => `${problem.name} ${problem.message}`).join('; '));
+        }
+    }
+
+    // Every route with its full path, the parameters of its mounts and its tags and scope
+    getOperations(prefix = '', inherited = {}) {
+        const operations = this.operations.map(({ method, path, spec }) => ({
+            method,
+            path: joinPaths(prefix, path),
+            spec: {
+                ...spec,
+                tags: spec.tags || this.tags,
+                scope: spec.scope || inherited.scope,
+                params: { ...inherited.params, ...spec.params },
+                query: { ...inherited.query, ...spec.query }
+            }
+        }));
+        for (const mount of this.mounts) {
+            operations.push(...mount.router.getOperations(joinPaths(prefix, mount.path), {
+                scope: mount.spec.scope || inherited.scope,
+                params: { ...inherited.params, ...mount.spec.params },
+                query: { ...inherited.query, ...mount.spec.query }
+            }));
+        }
+        return operations;
+    }
+}
+
+function joinPaths(prefix, path) {
+    const joined = `${prefix}/${path}`.replace(/\/+/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+module.exports = ApiRouter;
@@ -0,0 +1,34 @@
+// Machine-readable code of every error status the API answers with
+const ErrorCodes = {
+    400: 'INVALID_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'UNAVAILABLE'
+};
+
+// Thrown by route handlers; answered as { success: false, error, code } with its status
+class ApiError extends Error {
+    constructor(status, message, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function sendError(res, status, error, details = null) {
+    const body = { success: false, error, code: ErrorCodes[status] || ErrorCodes[500] };
+    if (details) {
+        body.details = details;
+    }
+    return res.status(status).json(body);
+}
+
+module.exports = {
+    ErrorCodes,
+    ApiError,
+    sendError
+};
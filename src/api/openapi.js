@@ -0,0 +1,172 @@
+const { version } = require('../../package.json');
+const { components } = require('./schemas');
+const { ErrorCodes } = require('./errors');
+
+const ERROR_DESCRIPTIONS = {
+    400: 'Invalid parameters or body',
+    401: 'Missing or invalid API key',
+    403: 'The API key lacks the scope',
+    404: 'Not found',
+    429: 'Rate limit exceeded',
+    500: 'Internal server error'
+};
+
+// Schemas that are components, by identity, so routes reusing them get a $ref
+const componentNames = new Map(Object.entries(components).map(([name, schema]) => [schema, name]));
+
+function toOpenApiSchema(schema, root = false) {
+    if (!root && componentNames.has(schema)) {
+        return { $ref: `#/components/schemas/${componentNames.get(schema)}` };
+    }
+    if (Array.isArray(schema)) {
+        return schema.map(item => toOpenApiSchema(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'properties' || key === 'patternProperties') {
+            result[key] = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toOpenApiSchema(property)]));
+        } else if (key === 'items' || key === 'additionalProperties') {
+            result[key] = typeof value === 'object' ? toOpenApiSchema(value) : value;
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function describeParameters(spec) {
+    const parameters = [];
+    for (const [name, schema] of Object.entries(spec.params || {})) {
+        parameters.push({ name, in: 'path', required: true, description: schema.description, schema: toOpenApiSchema(schema) });
+    }
+    for (const [name, schema] of Object.entries(spec.query || {})) {
+        parameters.push({
+            name,
+            in: 'query',
+            required: (spec.required || []).includes(name),
+            description: schema.description,
+            schema: toOpenApiSchema(schema),
+            ...(schema.type === 'array' ? { style: 'form', explode: false } : {})
+        });
+    }
+    return parameters;
+}
+
+function describeOperation(operation, auth) {
+    const { spec } = operation;
+    const status = spec.status || 200;
+    const parameters = describeParameters(spec);
+
+    const responses = {
+        [status]: {
+            description: spec.responseDescription || 'Success',
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        required: ['success', 'data', 'timestamp'],
+                        properties: {
+                            success: { type: 'boolean', enum: [true] },
+                            data: spec.response ? toOpenApiSchema(spec.response) : {},
+                            timestamp: { type: 'integer' }
+                        }
+                    }
+                }
+            }
+        }
+    };
+    const errors = [];
+    if (parameters.length > 0 || spec.body) {
+        errors.push(400);
+    }
+    if (auth) {
+        errors.push(401);
+        if (spec.scope) {
+            errors.push(403);
+        }
+    }
+    if (parameters.some(parameter => parameter.in === 'path') || spec.notFound) {
+        errors.push(404);
+    }
+    if (auth) {
+        errors.push(429);
+    }
+    errors.push(500);
+    for (const code of errors) {
+        responses[code] = { $ref: `#/components/responses/${ErrorCodes[code]}` };
+    }
+
+    const description = {
+        summary: spec.summary,
+        description: spec.description,
+        tags: spec.tags,
+        parameters,
+        responses
+    };
+    if (spec.body) {
+        description.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: toOpenApiSchema(spec.body) } }
+        };
+    }
+    if (spec.scope) {
+        description['x-scope'] = spec.scope;
+    }
+    return description;
+}
+
+/**
+ * OpenAPI 3.1 document of an ApiRouter's routes, served under `basePath`.
+ * With `auth`, operations require an API key in any of the accepted places.
+ */
+function buildOpenApiDocument(router, options = {}) {
+    const paths = {};
+    for (const operation of router.getOperations()) {
+        const path = toOpenApiPath(operation.path);
+        paths[path] = paths[path] || {};
+        paths[path][operation.method] = describeOperation(operation, options.auth);
+    }
+
+    const responses = {};
+    for (const [status, description] of Object.entries(ERROR_DESCRIPTIONS)) {
+        responses[ErrorCodes[status]] = {
+            description,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+    }
+
+    const document = {
+        openapi: '3.1.0',
+        info: {
+            title: 'OrderBook247 API',
+            version,
+            description: 'Real-time orderbooks, market impact, trades, level events, instruments and alerts.'
+        },
+        servers: [{ url: options.basePath || '/api/v1' }],
+        paths,
+        components: {
+            schemas: Object.fromEntries(Object.entries(components).map(([name, schema]) => [name, toOpenApiSchema(schema, true)])),
+            responses,
+            securitySchemes: {
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                bearer: { type: 'http', scheme: 'bearer' },
+                apiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' }
+            }
+        }
+    };
+    if (options.auth) {
+        document.security = [{ apiKeyHeader: [] }, { bearer: [] }, { apiKeyQuery: [] }];
+    }
+    return document;
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
@@ -0,0 +1,194 @@
+const Validators = require('../utils/validators');
+
+/**
+ * Validation for the subset of JSON Schema the REST API describes itself
+ * with: types (a list allows null), enum, minimum/maximum, string length and
+ * pattern, array items and object properties. Path and query values arrive
+ * as strings and are coerced to the schema type first, arrays from
+ * comma-separated lists. A few formats parse into the values handlers work
+ * with: `decimal` into a Decimal, `price-group` into a price grouping and
+ * `timestamp` (ms or ISO 8601) into ms.
+ */
+
+// Parsers of the formats; null if the value is invalid
+const Formats = {
+    decimal: value => Validators.parseDecimal(value),
+    'price-group': value => Validators.parsePriceGroup(value),
+    timestamp: value => {
+        const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+        return Number.isFinite(time) ? time : null;
+    }
+};
+
+const FormatMessages = {
+    decimal: 'must be a decimal number',
+    'price-group': 'must be a bucket width such as 0.5 or 10, or 5bps',
+    timestamp: 'must be a timestamp in ms or ISO 8601'
+};
+
+function typesOf(schema) {
+    if (!schema.type) {
+        return [];
+    }
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function typeMatches(type, value) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+// Path and query strings to the schema type; left as-is when they do not convert
+function coerce(schema, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const types = typesOf(schema);
+    if (types.includes('array')) {
+        return value === '' ? [] : value.split(',').map(item => coerce(schema.items || {}, item.trim()));
+    }
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function describe(schema) {
+    return typesOf(schema).filter(type => type !== 'null').map(type => (type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`)).join(' or ');
+}
+
+/**
+ * Checks a value against a schema, appending { name, message } errors.
+ * Returns the value to hand to the route: coerced when `coerceStrings` is
+ * set, parsed for the formats above, defaulted when undefined.
+ */
+function validate(schema, value, name, errors, coerceStrings = false) {
+    if (value === undefined) {
+        return schema.default;
+    }
+    if (coerceStrings) {
+        value = coerce(schema, value);
+    }
+
+    const types = typesOf(schema);
+    if (types.length > 0 && !types.some(type => typeMatches(type, value))) {
+        errors.push({ name, message: `must be ${describe(schema)}` });
+        return value;
+    }
+    if (value === null) {
+        return value;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ name, message: `must be one of ${schema.enum.join(', ')}` });
+        return value;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ name, message: `must be at least ${schema.minimum}` });
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ name, message: `must be at most ${schema.maximum}` });
+        } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ name, message: `must be greater than ${schema.exclusiveMinimum}` });
+        }
+        return value;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ name, message: `must be at least ${schema.minLength} characters` });
+            return value;
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ name, message: `must be at most ${schema.maxLength} characters` });
+            return value;
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ name, message: `must match ${schema.pattern}` });
+            return value;
+        }
+        return validateFormat(schema, value, name, errors);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ name, message: `must have at least ${schema.minItems} items` });
+            return value;
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ name, message: `must have at most ${schema.maxItems} items` });
+            return value;
+        }
+        return schema.items ?
+            value.map((item, i) => validate(schema.items, item, `${name}[${i}]`, errors, coerceStrings)) :
+            value;
+    }
+
+    if (typeof value === 'object') {
+        return validateObject(schema, value, name, errors, coerceStrings);
+    }
+    return value;
+}
+
+// Decimals are also checked against exclusiveMinimum, exactly
+function validateFormat(schema, value, name, errors) {
+    const parse = Formats[schema.format];
+    if (!parse) {
+        return value;
+    }
+    const parsed = parse(value);
+    if (parsed === null) {
+        errors.push({ name, message: FormatMessages[schema.format] });
+        return value;
+    }
+    if (schema.format === 'decimal' && schema.exclusiveMinimum !== undefined &&
+        parsed.lte(Validators.parseDecimal(schema.exclusiveMinimum))) {
+        errors.push({ name, message: `must be greater than ${schema.exclusiveMinimum}` });
+        return value;
+    }
+    return parsed;
+}
+
+function validateObject(schema, value, name, errors, coerceStrings) {
+    const result = { ...value };
+    for (const property of schema.required || []) {
+        if (value[property] === undefined) {
+            errors.push({ name: name ? `${name}.${property}` : property, message: 'is required' });
+        }
+    }
+    for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+        const checked = validate(propertySchema, value[property], name ? `${name}.${property}` : property, errors, coerceStrings);
+        if (checked !== undefined) {
+            result[property] = checked;
+        }
+    }
+    if (schema.additionalProperties === false) {
+        for (const property of Object.keys(value)) {
+            if (!schema.properties || !schema.properties[property]) {
+                errors.push({ name: name ? `${name}.${property}` : property, message: 'is not allowed' });
+            }
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    Formats,
+    coerce,
+    validate
+};
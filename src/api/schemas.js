@@ -0,0 +1,446 @@
+const MetricSeries = require('../models/MetricSeries');
+const LevelEventDetector = require('../models/LevelEventDetector');
+const AlertEngine = require('../services/alertEngine');
+const ApiKeyRegistry = require('../services/apiKeyRegistry');
+
+// Schemas shared by several routes; the OpenAPI document lists them as components
+
+const Decimal = { type: 'string', format: 'decimal', description: 'Exact decimal, as a string' };
+const NullableDecimal = { type: ['string', 'null'], format: 'decimal', description: 'Exact decimal, as a string, or null' };
+const Timestamp = { type: 'integer', description: 'Unix time in ms' };
+const NullableTimestamp = { type: ['integer', 'null'], description: 'Unix time in ms, or null' };
+
+const ErrorBody = {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string', description: 'What went wrong' },
+        code: { type: 'string', enum: ['INVALID_REQUEST', 'UNAUTHORIZED', 'FORBIDDEN', 'NOT_FOUND', 'RATE_LIMITED', 'INTERNAL_ERROR', 'UNAVAILABLE'] },
+        details: {
+            type: 'array',
+            description: 'Every invalid parameter, for INVALID_REQUEST',
+            items: {
+                type: 'object',
+                properties: {
+                    in: { type: 'string', enum: ['path', 'query', 'body'] },
+                    name: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const PriceLevel = {
+    type: 'object',
+    required: ['price', 'quantity'],
+    properties: {
+        price: Decimal,
+        quantity: Decimal,
+        count: { type: ['integer', 'null'], description: 'Orders at the level, where the exchange reports it' },
+        timestamp: NullableTimestamp,
+        venues: { type: 'object', description: 'Quantity per exchange, for consolidated books' }
+    }
+};
+
+const OrderBook = {
+    type: 'object',
+    required: ['symbol', 'bids', 'asks'],
+    properties: {
+        symbol: { type: 'string' },
+        exchange: { type: ['string', 'null'] },
+        lastUpdateId: { description: 'Exchange update id of the last applied diff' },
+        lastUpdateTime: NullableTimestamp,
+        seq: { type: 'integer', description: 'Book sequence, as in WebSocket deltas' },
+        bids: { type: 'array', items: PriceLevel },
+        asks: { type: 'array', items: PriceLevel },
+        spread: NullableDecimal,
+        midPrice: NullableDecimal,
+        totalBids: { type: 'integer' },
+        totalAsks: { type: 'integer' },
+        group: { type: ['string', 'null'], description: 'Bucket width, for grouped books' }
+    }
+};
+
+const Accumulation = {
+    type: 'object',
+    required: ['quantity', 'cost', 'averagePrice'],
+    properties: { quantity: Decimal, cost: Decimal, averagePrice: Decimal }
+};
+
+const AccumulatedQuantity = {
+    type: 'object',
+    required: ['targetPrice', 'bids', 'asks', 'total'],
+    properties: { targetPrice: Decimal, bids: Accumulation, asks: Accumulation, total: Accumulation }
+};
+
+const Order = {
+    type: 'object',
+    description: 'The fill as an order the exchange accepts: rounded to its lot sizes, with the filters it breaks',
+    required: ['quantity', 'notional', 'valid', 'errors'],
+    properties: {
+        quantity: Decimal,
+        notional: Decimal,
+        valid: { type: 'boolean' },
+        errors: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const MarketImpact = {
+    type: 'object',
+    required: ['orderSize', 'side', 'totalCost', 'averagePrice', 'filledSize', 'canFill'],
+    properties: {
+        orderSize: Decimal,
+        side: { type: 'string', enum: ['buy', 'sell'] },
+        totalCost: Decimal,
+        averagePrice: Decimal,
+        finalPrice: Decimal,
+        remainingSize: Decimal,
+        filledSize: Decimal,
+        levelsConsumed: {
+            type: 'array',
+            items: { type: 'object', properties: { price: Decimal, quantity: Decimal, cost: Decimal } }
+        },
+        slippage: { ...Decimal, description: 'Average price distance from the touch, in percent' },
+        canFill: { type: 'boolean', description: 'Whether the book is deep enough for the order or notional' },
+        notional: { ...Decimal, description: 'Quote amount to spend or receive, when sized by notional' },
+        remainingNotional: { ...Decimal, description: 'Part of the notional left over' },
+        reason: {
+            type: ['string', 'null'],
+            enum: ['emptyBook', 'belowLotSize', 'depth', 'slippage', 'limitPrice'],
+            description: 'Why canFill is false, when sized by notional or solved for a budget'
+        },
+        maxSlippageBps: { type: ['number', 'null'], description: 'Slippage budget the size was solved for' },
+        limitPrice: { ...NullableDecimal, description: 'Limit price the size was solved for' },
+        limitedBy: { type: 'string', enum: ['slippage', 'limitPrice', 'depth'], description: 'What stopped the solved size from growing' },
+        fees: {
+            type: 'object',
+            description: 'Taker fees; totalCost and averagePrice include them, paid on buys and taken off sells',
+            required: ['rateBps', 'amount', 'totalCost', 'averagePrice'],
+            properties: { rateBps: Decimal, amount: Decimal, totalCost: Decimal, averagePrice: Decimal }
+        },
+        routing: { type: 'object', description: 'Fill per exchange, for consolidated books' },
+        order: Order
+    }
+};
+
+const AccumulatedLevel = {
+    type: 'object',
+    required: ['price', 'quantity', 'accumulatedQuantity', 'accumulatedCost', 'averagePrice'],
+    properties: {
+        ...PriceLevel.properties,
+        accumulatedQuantity: Decimal,
+        accumulatedCost: Decimal,
+        averagePrice: Decimal
+    }
+};
+
+const LiquidityProfile = {
+    type: 'object',
+    required: ['bids', 'asks'],
+    properties: {
+        bids: { type: 'array', items: AccumulatedLevel },
+        asks: { type: 'array', items: AccumulatedLevel },
+        timestamp: Timestamp
+    }
+};
+
+const BookMetrics = {
+    type: 'object',
+    required: ['symbol', 'levels'],
+    properties: {
+        symbol: { type: 'string' },
+        exchange: { type: ['string', 'null'] },
+        levels: { type: 'integer' },
+        bestBid: NullableDecimal,
+        bestAsk: NullableDecimal,
+        midPrice: NullableDecimal,
+        microprice: NullableDecimal,
+        spread: NullableDecimal,
+        spreadBps: NullableDecimal,
+        imbalance: { ...NullableDecimal, description: 'Bid minus ask quantity over their sum, from -1 to 1' },
+        slope: { type: ['object', 'null'], properties: { bids: NullableDecimal, asks: NullableDecimal } },
+        depth: {
+            type: 'array',
+            items: { type: 'object', description: 'Bid and ask quantity and notional within `bps` of the mid' }
+        },
+        timestamp: Timestamp
+    }
+};
+
+const MetricHistory = {
+    type: 'object',
+    required: ['symbol', 'resolution', 'points'],
+    properties: {
+        symbol: { type: 'string' },
+        exchange: { type: ['string', 'null'] },
+        metric: { type: ['string', 'null'], enum: [...MetricSeries.Metrics, null] },
+        resolution: { type: 'string', enum: Object.keys(MetricSeries.Resolutions) },
+        points: {
+            type: 'array',
+            items: { type: 'object', required: ['time'], properties: { time: Timestamp } }
+        }
+    }
+};
+
+const HistoricalOrderBook = {
+    type: 'object',
+    required: ['symbol', 'bids', 'asks', 'requestedTime', 'asOf'],
+    properties: {
+        ...OrderBook.properties,
+        requestedTime: Timestamp,
+        snapshotTime: Timestamp,
+        asOf: { ...Timestamp, description: 'Time of the last update applied' },
+        updatesApplied: { type: 'integer' },
+        compacted: { type: 'boolean', description: 'Whether the updates were reduced to 1 second resolution' }
+    }
+};
+
+const Trade = {
+    type: 'object',
+    required: ['price', 'quantity', 'side', 'time'],
+    properties: {
+        id: {},
+        price: Decimal,
+        quantity: Decimal,
+        side: { type: 'string', enum: ['buy', 'sell'], description: "The aggressor's side" },
+        time: Timestamp
+    }
+};
+
+const Trades = {
+    type: 'object',
+    required: ['symbol', 'totalTrades', 'trades'],
+    properties: {
+        symbol: { type: 'string' },
+        exchange: { type: ['string', 'null'] },
+        lastPrice: NullableDecimal,
+        lastTradeTime: NullableTimestamp,
+        totalTrades: { type: 'integer' },
+        windows: { type: 'object', description: 'VWAP, volumes and imbalance per time window' },
+        levelFlow: { type: 'object', description: 'Quantity added, cancelled and traded at the book levels' },
+        trades: { type: 'array', items: Trade }
+    }
+};
+
+const LevelEvents = {
+    type: 'object',
+    required: ['symbol', 'totalEvents', 'events'],
+    properties: {
+        symbol: { type: 'string' },
+        exchange: { type: ['string', 'null'] },
+        totalEvents: { type: 'integer' },
+        walls: { type: 'object', properties: { bids: { type: 'array' }, asks: { type: 'array' } } },
+        watchedPulls: { type: 'integer' },
+        events: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'time'],
+                properties: {
+                    type: { type: 'string', enum: Object.values(LevelEventDetector.EventTypes) },
+                    time: Timestamp
+                }
+            }
+        }
+    }
+};
+
+const Instrument = {
+    type: 'object',
+    required: ['exchange', 'symbol', 'pair', 'status'],
+    properties: {
+        exchange: { type: 'string' },
+        symbol: { type: 'string' },
+        pair: { type: 'string', description: "In the exchange's notation" },
+        status: { type: 'string' },
+        contractType: { type: ['string', 'null'] },
+        baseAsset: { type: ['string', 'null'] },
+        quoteAsset: { type: ['string', 'null'] },
+        tickSize: NullableDecimal,
+        minPrice: NullableDecimal,
+        maxPrice: NullableDecimal,
+        stepSize: NullableDecimal,
+        minQty: NullableDecimal,
+        maxQty: NullableDecimal,
+        marketStepSize: NullableDecimal,
+        marketMinQty: NullableDecimal,
+        marketMaxQty: NullableDecimal,
+        minNotional: NullableDecimal
+    }
+};
+
+const BookSymbol = {
+    type: 'object',
+    required: ['book', 'exchange', 'symbol'],
+    properties: {
+        book: { type: 'string', description: 'exchange:symbol' },
+        exchange: { type: 'string' },
+        symbol: { type: 'string' },
+        pair: { type: 'string', description: "In the exchange's notation" },
+        subscribed: { type: 'boolean' },
+        synced: { type: 'boolean' }
+    }
+};
+
+const SymbolInput = {
+    type: 'object',
+    required: ['symbol'],
+    properties: {
+        symbol: { type: 'string', description: "The pair in the exchange's notation, such as btcusdt or BTC-USDT-SWAP" },
+        exchange: { type: 'string', description: 'Defaults to binance' },
+        tickSize: { type: ['string', 'number'], description: 'Given together with stepSize' },
+        stepSize: { type: ['string', 'number'], description: 'Given together with tickSize' }
+    }
+};
+
+const AlertCondition = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { type: 'string', enum: Object.keys(AlertEngine.Conditions) }
+    },
+    description: 'The condition type and its parameters, such as bps and duration for spread_above'
+};
+
+const AlertRuleInput = {
+    type: 'object',
+    required: ['symbol', 'condition'],
+    properties: {
+        symbol: { type: 'string', minLength: 1, description: 'Bare symbol or exchange:symbol' },
+        exchange: { type: 'string' },
+        name: { type: 'string' },
+        condition: AlertCondition,
+        webhooks: { type: 'array', items: { type: 'string' }, description: 'http(s) URLs receiving the alerts, on allowed hosts' },
+        enabled: { type: 'boolean' }
+    }
+};
+
+const AlertRule = {
+    type: 'object',
+    required: ['id', 'name', 'book', 'condition', 'enabled'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        book: { type: 'string' },
+        condition: AlertCondition,
+        webhooks: { type: 'array', items: { type: 'string' } },
+        enabled: { type: 'boolean' },
+        createdAt: Timestamp,
+        updatedAt: Timestamp,
+        state: {
+            type: 'object',
+            properties: { active: { type: 'boolean' }, since: NullableTimestamp, lastTriggered: NullableTimestamp }
+        }
+    }
+};
+
+const Alert = {
+    type: 'object',
+    required: ['id', 'ruleId', 'status', 'time'],
+    properties: {
+        id: { type: 'string' },
+        ruleId: { type: 'string' },
+        name: { type: 'string' },
+        status: { type: 'string', enum: ['triggered', 'resolved'] },
+        book: { type: 'string' },
+        symbol: { type: 'string' },
+        exchange: { type: ['string', 'null'] },
+        condition: AlertCondition,
+        value: { type: ['string', 'null'] },
+        time: Timestamp
+    }
+};
+
+const Exchange = {
+    type: 'object',
+    required: ['exchange', 'name', 'connected', 'symbols'],
+    properties: {
+        exchange: { type: 'string' },
+        name: { type: 'string' },
+        connected: { type: 'boolean' },
+        symbols: { type: 'array', items: { type: 'string' } },
+        takerFees: { type: 'object', additionalProperties: { type: 'number' }, description: 'Taker fee in bps by tier' }
+    }
+};
+
+const Stats = {
+    type: 'object',
+    required: ['orderbookManager', 'exchanges', 'health', 'server'],
+    description: 'Counters of every component; see the README for their fields',
+    properties: {
+        orderbookManager: { type: 'object' },
+        exchanges: { type: 'object' },
+        recorder: { type: ['object', 'null'] },
+        replay: { type: ['object', 'null'] },
+        history: { type: ['object', 'null'] },
+        alerts: { type: ['object', 'null'] },
+        instruments: { type: ['object', 'null'] },
+        health: { type: 'object' },
+        server: { type: 'object' }
+    }
+};
+
+const ApiKeys = {
+    type: 'object',
+    required: ['enabled', 'clients'],
+    properties: {
+        enabled: { type: 'boolean' },
+        unauthorized: { type: 'integer', description: 'Requests and connections refused for a missing or invalid key' },
+        clients: {
+            type: 'object',
+            description: 'Usage per key name',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    scopes: { type: 'array', items: { type: 'string', enum: Object.values(ApiKeyRegistry.Scopes) } },
+                    connections: { type: 'integer' },
+                    requests: { type: 'integer' },
+                    limited: { type: 'integer' },
+                    refusedConnections: { type: 'integer' }
+                }
+            }
+        }
+    }
+};
+
+// Parameters
+
+const SymbolParameter = { type: 'string', minLength: 1, maxLength: 32, description: 'Trading pair, such as btcusdt' };
+const ExchangeParameter = { type: 'string', minLength: 1, description: 'Exchange id, such as binance or okx' };
+const Limit = { type: 'integer', minimum: 1, description: 'Maximum number of items' };
+const PriceGroup = { type: 'string', format: 'price-group', description: 'Price bucket width, such as 0.5 or 10, or 5bps of the mid' };
+
+module.exports = {
+    components: {
+        Error: ErrorBody,
+        PriceLevel,
+        OrderBook,
+        AccumulatedQuantity,
+        MarketImpact,
+        Order,
+        LiquidityProfile,
+        BookMetrics,
+        MetricHistory,
+        HistoricalOrderBook,
+        Trade,
+        Trades,
+        LevelEvents,
+        Instrument,
+        Symbol: BookSymbol,
+        SymbolInput,
+        AlertRuleInput,
+        AlertRule,
+        Alert,
+        Exchange,
+        Stats,
+        ApiKeys
+    },
+    Decimal,
+    Timestamp,
+    SymbolParameter,
+    ExchangeParameter,
+    Limit,
+    PriceGroup
+};
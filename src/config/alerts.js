@@ -0,0 +1,20 @@
+const parseList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+module.exports = {
+    enabled: process.env.ALERTS_ENABLED !== 'false', // evaluate alert rules and serve /api/alerts
+    file: process.env.ALERTS_FILE || 'alerts.json', // rules, kept across restarts
+    interval: parseInt(process.env.ALERTS_INTERVAL) || 1000, // ms between rule evaluations
+    cooldown: parseInt(process.env.ALERTS_COOLDOWN) || 60 * 1000, // ms before a rule may trigger again
+    logSize: parseInt(process.env.ALERTS_LOG_SIZE) || 200, // recent alerts kept per book
+
+    // Webhooks receiving every alert, on top of each rule's own
+    webhooks: parseList(process.env.ALERTS_WEBHOOK_URLS || ''),
+    // Webhook hosts, as names, *.domain wildcards or CIDR ranges. When allowed
+    // hosts are given, no others are; denied hosts default to internal addresses
+    webhookAllowedHosts: parseList(process.env.ALERTS_WEBHOOK_ALLOWED_HOSTS || ''),
+    webhookDeniedHosts: parseList(process.env.ALERTS_WEBHOOK_DENIED_HOSTS ||
+        'localhost,0.0.0.0/8,10.0.0.0/8,100.64.0.0/10,127.0.0.0/8,169.254.0.0/16,172.16.0.0/12,192.168.0.0/16,::1/128,fc00::/7,fe80::/10'),
+    webhookTimeout: parseInt(process.env.ALERTS_WEBHOOK_TIMEOUT) || 5000, // ms per attempt
+    webhookRetries: parseInt(process.env.ALERTS_WEBHOOK_RETRIES) || 3, // attempts after the first
+    webhookRetryDelay: parseInt(process.env.ALERTS_WEBHOOK_RETRY_DELAY) || 1000 // ms, doubled after each retry
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    legacyRoutes: process.env.API_LEGACY_ROUTES !== 'false', // serve /api/... as an alias of /api/v1/...
+    validateResponses: process.env.API_VALIDATE_RESPONSES === 'true' // log responses breaking their schema
+};
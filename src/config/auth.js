@@ -0,0 +1,11 @@
+module.exports = {
+    enabled: process.env.AUTH_ENABLED === 'true', // require an API key on /api, /metrics and WebSocket
+    file: process.env.AUTH_KEYS_FILE || 'api-keys.json', // keys with their scopes and limits, reloaded on change
+    reloadInterval: parseInt(process.env.AUTH_RELOAD_INTERVAL) || 5000, // ms between checks of the keys file
+
+    // Defaults for keys that set no limits of their own
+    rateLimit: parseInt(process.env.AUTH_RATE_LIMIT) || 10, // requests per second, REST and WebSocket together
+    rateBurst: parseInt(process.env.AUTH_RATE_BURST) || 20, // requests allowed at once
+    maxConnections: parseInt(process.env.AUTH_MAX_CONNECTIONS) || 5, // open WebSocket connections
+    timeout: parseInt(process.env.AUTH_TIMEOUT) || 5000 // ms for a WebSocket client to send its key
+};
@@ -1,16 +1,58 @@
-module.exports = {
+// Tick and step sizes for the default pairs; SYMBOL_FILTERS overrides or extends
+// them as "symbol:tickSize:stepSize" entries, e.g. "btcusdt:0.10:0.001"
+const defaultSymbolFilters = {
+    btcusdt: { tickSize: '0.10', stepSize: '0.001' },
+    ethusdt: { tickSize: '0.01', stepSize: '0.001' },
+    solusdt: { tickSize: '0.0100', stepSize: '1' },
+    bnbusdt: { tickSize: '0.010', stepSize: '0.01' }
+};
+
+function parseSymbolFilters(value, defaults = defaultSymbolFilters) {
+    const filters = { ...defaults };
+    if (!value) {
+        return filters;
+    }
+
+    for (const entry of value.split(',')) {
+        const [symbol, tickSize, stepSize] = entry.trim().split(':');
+        if (symbol && tickSize && stepSize) {
+            filters[symbol.toLowerCase()] = { tickSize, stepSize };
+        }
+    }
+    return filters;
+}
+
+const config = {
     wsUrl: process.env.BINANCE_WS_URL || 'wss://fstream.binance.com/ws',
     restUrl: process.env.BINANCE_REST_URL || 'https://fapi.binance.com',
     tradingPairs: (process.env.TRADING_PAIRS || 'btcusdt,ethusdt,solusdt').split(','),
     orderbookDepth: parseInt(process.env.ORDERBOOK_DEPTH) || 1000, // Keep all levels
-    
+
+    // Price/quantity precision per symbol
+    symbolFilters: parseSymbolFilters(process.env.SYMBOL_FILTERS),
+    getSymbolFilters: (symbol) => config.symbolFilters[symbol.toLowerCase()] || { tickSize: null, stepSize: null },
+    parseSymbolFilters,
+
+    // Connection limits: Binance caps the streams of one connection, so pairs are
+    // spread over several; combined stream URLs name them when connecting
+    combinedStreams: process.env.BINANCE_COMBINED_STREAMS !== 'false',
+    maxStreamsPerConnection: parseInt(process.env.BINANCE_MAX_STREAMS_PER_CONNECTION) || 200,
+    maxStreamsPerMessage: parseInt(process.env.BINANCE_MAX_STREAMS_PER_MESSAGE) || 50, // per SUBSCRIBE request
+
+    // Snapshot synchronization
+    maxBufferedEvents: parseInt(process.env.SYNC_MAX_BUFFERED_EVENTS) || 1000,
+    resyncDelay: parseInt(process.env.SYNC_RESYNC_DELAY) || 1000, // ms before re-fetching a snapshot
+    requestTimeout: parseInt(process.env.SYNC_REQUEST_TIMEOUT) || 10000, // ms before a snapshot or exchangeInfo request is abandoned
+
     getDepthStream: (symbol) => `${symbol}@depth@100ms`, // Full depth stream
-    getDepthSnapshotUrl: (symbol, limit) => 
-        `${this.restUrl}/fapi/v1/depth?symbol=${symbol.toUpperCase()}&limit=${limit}`,
-    
+    getDepthSnapshotUrl: (symbol, limit) =>
+        `${config.restUrl}/fapi/v1/depth?symbol=${symbol.toUpperCase()}&limit=${limit}`,
+
     // WebSocket message types
     messageTypes: {
         DEPTH_UPDATE: 'depthUpdate',
         SNAPSHOT: 'snapshot'
     }
-}; 
\ No newline at end of file
+};
+
+module.exports = config;
@@ -0,0 +1,19 @@
+module.exports = {
+    // Reconnection backoff: doubles from the base delay up to the cap, without a retry limit
+    baseDelay: parseInt(process.env.RECONNECT_BASE_DELAY) || 1000, // ms before the first retry
+    maxDelay: parseInt(process.env.RECONNECT_MAX_DELAY) || 60 * 1000, // ms cap on the retry delay
+    jitter: process.env.RECONNECT_JITTER !== undefined ? parseFloat(process.env.RECONNECT_JITTER) : 0.5, // fraction of the delay randomized away
+
+    // Liveness: a connection without messages or pongs for the timeout is dropped
+    livenessInterval: parseInt(process.env.LIVENESS_INTERVAL) || 15 * 1000, // ms between pings
+    livenessTimeout: parseInt(process.env.LIVENESS_TIMEOUT) || 45 * 1000, // ms of silence before reconnecting
+
+    // Rotation before an exchange's connection age limit (e.g. Binance's 24 hours)
+    rotationMargin: parseInt(process.env.ROTATION_MARGIN) || 60 * 60 * 1000, // ms before the limit
+    rotationOverlap: parseInt(process.env.ROTATION_OVERLAP) || 5000, // ms both connections run
+    rotationRetryDelay: parseInt(process.env.ROTATION_RETRY_DELAY) || 60 * 1000, // ms before retrying a failed rotation
+
+    // Subscription requests the exchange acknowledges are sent again when unconfirmed
+    requestTimeout: parseInt(process.env.SUBSCRIBE_REQUEST_TIMEOUT) || 10 * 1000, // ms to wait for a confirmation
+    requestRetries: process.env.SUBSCRIBE_REQUEST_RETRIES !== undefined ? parseInt(process.env.SUBSCRIBE_REQUEST_RETRIES) : 2
+};
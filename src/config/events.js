@@ -0,0 +1,15 @@
+module.exports = {
+    enabled: process.env.EVENTS_ENABLED !== 'false', // detect level events on every book update
+    levels: parseInt(process.env.EVENTS_LEVELS) || 20, // top N levels per side averaged for the typical level size
+    bufferSize: parseInt(process.env.EVENTS_BUFFER_SIZE) || 500, // recent events kept per book
+
+    // A level is large, or a wall, from an absolute quantity if set, else from a multiple of the average level size
+    largeQuantity: process.env.EVENTS_LARGE_QUANTITY || null,
+    largeRatio: parseFloat(process.env.EVENTS_LARGE_RATIO) || 5,
+    wallQuantity: process.env.EVENTS_WALL_QUANTITY || null,
+    wallRatio: parseFloat(process.env.EVENTS_WALL_RATIO) || 10,
+
+    // Walls pulled within this distance of the mid are watched for the price reaching them
+    pullDistanceBps: parseFloat(process.env.EVENTS_PULL_DISTANCE_BPS) || 20,
+    pullWindow: parseInt(process.env.EVENTS_PULL_WINDOW) || 5000 // ms
+};
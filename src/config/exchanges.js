@@ -0,0 +1,82 @@
+const binance = require('./binance');
+
+const parseList = (value, fallback) => (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+// Per-exchange connection settings. Pairs are given in each exchange's own
+// notation; books are keyed by `exchange:symbol`, where the symbol is the pair
+// lowercased without separators ("BTC-USDT-SWAP" -> "btcusdtswap").
+const exchanges = {
+    binance: {
+        name: 'Binance Futures',
+        wsUrl: binance.wsUrl,
+        restUrl: binance.restUrl,
+        pairs: binance.tradingPairs,
+        symbolFilters: binance.symbolFilters,
+        maxConnectionAge: 24 * 60 * 60 * 1000, // Binance closes connections after 24 hours
+        combinedStreams: binance.combinedStreams,
+        maxStreamsPerConnection: binance.maxStreamsPerConnection,
+        maxStreamsPerMessage: binance.maxStreamsPerMessage,
+        maxMessagesPerSecond: 10 // incoming messages Binance Futures accepts per connection
+    },
+    'binance-spot': {
+        name: 'Binance Spot',
+        wsUrl: process.env.BINANCE_SPOT_WS_URL || 'wss://stream.binance.com:9443/ws',
+        restUrl: process.env.BINANCE_SPOT_REST_URL || 'https://api.binance.com',
+        pairs: parseList(process.env.BINANCE_SPOT_PAIRS, 'btcusdt,ethusdt'),
+        symbolFilters: binance.parseSymbolFilters(process.env.BINANCE_SPOT_SYMBOL_FILTERS, {
+            btcusdt: { tickSize: '0.01', stepSize: '0.00001' },
+            ethusdt: { tickSize: '0.01', stepSize: '0.0001' }
+        }),
+        maxConnectionAge: 24 * 60 * 60 * 1000,
+        combinedStreams: binance.combinedStreams,
+        maxStreamsPerConnection: binance.maxStreamsPerConnection,
+        maxStreamsPerMessage: binance.maxStreamsPerMessage,
+        maxMessagesPerSecond: 5
+    },
+    bybit: {
+        name: 'Bybit',
+        wsUrl: process.env.BYBIT_WS_URL || 'wss://stream.bybit.com/v5/public/linear',
+        pairs: parseList(process.env.BYBIT_PAIRS, 'BTCUSDT,ETHUSDT'),
+        depth: parseInt(process.env.BYBIT_DEPTH) || 200,
+        symbolFilters: binance.parseSymbolFilters(process.env.BYBIT_SYMBOL_FILTERS, {
+            btcusdt: { tickSize: '0.10', stepSize: '0.001' },
+            ethusdt: { tickSize: '0.01', stepSize: '0.01' }
+        })
+    },
+    okx: {
+        name: 'OKX',
+        wsUrl: process.env.OKX_WS_URL || 'wss://ws.okx.com:8443/ws/v5/public',
+        pairs: parseList(process.env.OKX_PAIRS, 'BTC-USDT-SWAP,ETH-USDT-SWAP'),
+        symbolFilters: binance.parseSymbolFilters(process.env.OKX_SYMBOL_FILTERS, {
+            btcusdtswap: { tickSize: '0.1', stepSize: '0.01' },
+            ethusdtswap: { tickSize: '0.01', stepSize: '0.01' }
+        })
+    },
+    coinbase: {
+        name: 'Coinbase',
+        wsUrl: process.env.COINBASE_WS_URL || 'wss://advanced-trade-ws.coinbase.com',
+        pairs: parseList(process.env.COINBASE_PAIRS, 'BTC-USD,ETH-USD'),
+        symbolFilters: binance.parseSymbolFilters(process.env.COINBASE_SYMBOL_FILTERS, {
+            btcusd: { tickSize: '0.01', stepSize: '0.00000001' },
+            ethusd: { tickSize: '0.01', stepSize: '0.00000001' }
+        })
+    },
+    kraken: {
+        name: 'Kraken',
+        wsUrl: process.env.KRAKEN_WS_URL || 'wss://ws.kraken.com/v2',
+        pairs: parseList(process.env.KRAKEN_PAIRS, 'BTC/USD,ETH/USD'),
+        depth: parseInt(process.env.KRAKEN_DEPTH) || 100,
+        // Kraken's checksum is computed from prices and quantities at these precisions
+        symbolFilters: binance.parseSymbolFilters(process.env.KRAKEN_SYMBOL_FILTERS, {
+            btcusd: { tickSize: '0.1', stepSize: '0.00000001' },
+            ethusd: { tickSize: '0.01', stepSize: '0.00000001' }
+        })
+    }
+};
+
+module.exports = {
+    exchanges,
+    defaultExchange: 'binance',
+    enabled: parseList(process.env.EXCHANGES, 'binance'),
+    normalizeSymbol: (pair) => pair.replace(/[^a-z0-9]/gi, '').toLowerCase()
+};
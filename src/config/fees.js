@@ -0,0 +1,29 @@
+// Tiers like "vip0:5,vip1:4", each a taker fee in bps of the notional
+function parseTiers(value) {
+    const tiers = {};
+    for (const entry of value.split(',')) {
+        const [tier, bps] = entry.trim().split(':');
+        if (tier && bps !== undefined && !isNaN(parseFloat(bps)) && parseFloat(bps) >= 0) {
+            tiers[tier.toLowerCase()] = parseFloat(bps);
+        }
+    }
+    return tiers;
+}
+
+// Taker fee tiers per exchange, picked with ?feeTier= on the market impact routes
+const takerFees = {
+    binance: parseTiers(process.env.BINANCE_TAKER_FEES ||
+        'regular:5,vip1:4,vip2:3.5,vip3:3.2,vip4:3,vip5:2.7,vip6:2.5,vip7:2.2,vip8:2,vip9:1.7'),
+    'binance-spot': parseTiers(process.env.BINANCE_SPOT_TAKER_FEES ||
+        'regular:10,vip1:10,vip2:10,vip3:6,vip4:5.4,vip5:4.8,vip6:4.2,vip7:3.6,vip8:3,vip9:2.4'),
+    bybit: parseTiers(process.env.BYBIT_TAKER_FEES || 'vip0:5.5'),
+    okx: parseTiers(process.env.OKX_TAKER_FEES || 'lv1:5'),
+    coinbase: parseTiers(process.env.COINBASE_TAKER_FEES || 'base:120'),
+    kraken: parseTiers(process.env.KRAKEN_TAKER_FEES || 'base:40')
+};
+
+module.exports = {
+    takerFees,
+    getTakerFees: (exchange) => takerFees[exchange] || {},
+    parseTiers
+};
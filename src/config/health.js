@@ -0,0 +1,10 @@
+module.exports = {
+    interval: parseInt(process.env.HEALTH_INTERVAL) || 1000, // ms between book health checks
+    staleAfter: parseInt(process.env.HEALTH_STALE_AFTER) || 15 * 1000, // ms without updates before a book is degraded
+    unhealthyAfter: parseInt(process.env.HEALTH_UNHEALTHY_AFTER) || 60 * 1000, // ms without updates before a book is unhealthy
+    crossedGrace: parseInt(process.env.HEALTH_CROSSED_GRACE) || 1000, // ms a crossed book is tolerated
+    gapWindow: parseInt(process.env.HEALTH_GAP_WINDOW) || 60 * 1000, // ms over which sequence gaps are counted
+    maxGaps: parseInt(process.env.HEALTH_MAX_GAPS) || 3, // gaps within the window before a book is degraded
+    autoResync: process.env.HEALTH_AUTO_RESYNC !== 'false', // resubscribe and resync unhealthy books
+    resyncCooldown: parseInt(process.env.HEALTH_RESYNC_COOLDOWN) || 30 * 1000 // ms between automatic resyncs of a book
+};
@@ -0,0 +1,9 @@
+module.exports = {
+    // Book history is persisted when HISTORY_DIR is set
+    directory: process.env.HISTORY_DIR || null,
+    snapshotInterval: parseInt(process.env.HISTORY_SNAPSHOT_INTERVAL) || 60 * 1000, // ms between full snapshots
+    retention: parseInt(process.env.HISTORY_RETENTION) || 24 * 60 * 60 * 1000, // ms of history kept
+    compactAfter: parseInt(process.env.HISTORY_COMPACT_AFTER) || 60 * 60 * 1000, // older history keeps snapshots only
+    compactedInterval: parseInt(process.env.HISTORY_COMPACTED_INTERVAL) || 10 * 60 * 1000, // ms between kept snapshots once compacted
+    compactionInterval: parseInt(process.env.HISTORY_COMPACTION_INTERVAL) || 10 * 60 * 1000 // ms between compaction runs
+};
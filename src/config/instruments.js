@@ -0,0 +1,5 @@
+module.exports = {
+    enabled: process.env.INSTRUMENTS_ENABLED !== 'false', // load exchange instrument metadata (exchangeInfo)
+    cacheDirectory: process.env.INSTRUMENTS_CACHE_DIR || 'cache', // last loaded instruments, for offline starts
+    refreshInterval: parseInt(process.env.INSTRUMENTS_REFRESH_INTERVAL) || 60 * 60 * 1000 // ms between reloads
+};
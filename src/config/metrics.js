@@ -0,0 +1,12 @@
+module.exports = {
+    levels: parseInt(process.env.METRICS_LEVELS) || 10, // top N levels for imbalance and slope
+    depthBps: (process.env.METRICS_DEPTH_BPS || '10,25,50,100') // bands around the mid for depth
+        .split(',')
+        .map(value => parseFloat(value))
+        .filter(value => value > 0),
+    interval: parseInt(process.env.METRICS_INTERVAL) || 1000, // ms between metrics channel updates
+
+    // Rolling metric history: 1s samples and 1m buckets
+    seriesSeconds: parseInt(process.env.METRICS_SERIES_SECONDS) || 60 * 60, // 1s samples kept (1 hour)
+    seriesMinutes: parseInt(process.env.METRICS_SERIES_MINUTES) || 24 * 60 // 1m buckets kept (1 day)
+};
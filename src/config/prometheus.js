@@ -0,0 +1,10 @@
+module.exports = {
+    enabled: process.env.PROMETHEUS_ENABLED !== 'false', // serve /metrics
+
+    // Upper bounds, in seconds, of the message processing latency histogram
+    latencyBuckets: (process.env.PROMETHEUS_LATENCY_BUCKETS || '0.0001,0.00025,0.0005,0.001,0.0025,0.005,0.01,0.025,0.05,0.1')
+        .split(',')
+        .map(value => parseFloat(value))
+        .filter(value => value > 0),
+    eventLoopResolution: parseInt(process.env.PROMETHEUS_EVENT_LOOP_RESOLUTION) || 20 // ms between event loop delay samples
+};
@@ -0,0 +1,11 @@
+module.exports = {
+    // Raw exchange messages and REST snapshots are recorded when RECORD_DIR is set
+    directory: process.env.RECORD_DIR || null,
+    maxFileSize: parseInt(process.env.RECORD_MAX_FILE_SIZE) || 100 * 1024 * 1024, // uncompressed bytes per file
+    rotateInterval: parseInt(process.env.RECORD_ROTATE_INTERVAL) || 60 * 60 * 1000, // ms per file
+
+    // With REPLAY_PATH (a recording or a directory of them) the server replays
+    // it instead of connecting to the exchanges
+    replayPath: process.env.REPLAY_PATH || null,
+    replaySpeed: process.env.REPLAY_SPEED !== undefined ? parseFloat(process.env.REPLAY_SPEED) : 1 // 0 = as fast as possible
+};
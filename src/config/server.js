@@ -0,0 +1,13 @@
+const trades = require('./trades');
+
+module.exports = {
+    port: parseInt(process.env.PORT) || 3000,
+
+    // WebSocket delivery to clients
+    maxUpdatesPerSecond: parseInt(process.env.WS_MAX_UPDATES_PER_SECOND) || 50, // cap on a subscription's maxRate
+    highWaterMark: parseInt(process.env.WS_HIGH_WATER_MARK) || 1024 * 1024, // bytes buffered before a client counts as slow
+    slowConsumerPolicy: process.env.WS_SLOW_CONSUMER_POLICY || 'conflate', // 'drop', 'conflate' or 'disconnect'
+    backpressureRetryDelay: parseInt(process.env.WS_BACKPRESSURE_RETRY_DELAY) || 100, // ms between drain checks
+    // Trades, events or alerts held for a conflating client, like a book's trade buffer
+    maxConflatedItems: parseInt(process.env.WS_MAX_CONFLATED_ITEMS) || trades.bufferSize
+};
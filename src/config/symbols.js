@@ -0,0 +1,5 @@
+module.exports = {
+    // Symbols added or removed through /api/symbols, per exchange; once written,
+    // the saved lists replace the configured pairs of their exchanges on startup
+    file: process.env.SYMBOLS_FILE || 'symbols.json'
+};
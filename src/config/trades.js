@@ -0,0 +1,16 @@
+// Window lengths like "1m" or "30s" in milliseconds
+function parseWindows(value) {
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+    return value.split(',')
+        .map(window => window.trim().match(/^(\d+)([smh])$/))
+        .filter(Boolean)
+        .map(([, amount, unit]) => parseInt(amount) * units[unit]);
+}
+
+module.exports = {
+    enabled: process.env.TRADES_ENABLED !== 'false', // subscribe to trade streams where connectors support them
+    bufferSize: parseInt(process.env.TRADES_BUFFER_SIZE) || 1000, // recent trades kept per book
+    windows: parseWindows(process.env.TRADES_WINDOWS || '1m,5m,15m'), // VWAP and imbalance windows
+    matchWindow: parseInt(process.env.TRADES_MATCH_WINDOW) || 1000, // ms a trade can explain a later depth reduction
+    parseWindows
+};
@@ -0,0 +1,176 @@
+const ExchangeConnector = require('./exchangeConnector');
+const logger = require('../utils/logger');
+const config = require('../config/binance');
+const http = require('../utils/http');
+const Validators = require('../utils/validators');
+const DepthSynchronizer = require('../services/depthSynchronizer');
+const tradesConfig = require('../config/trades');
+const exchangesConfig = require('../config/exchanges');
+const Decimal = require('../utils/decimal');
+
+/**
+ * Binance USDⓈ-M Futures: diff depth stream plus REST snapshots, chained
+ * with the previous final update id (pu), and aggTrade streams for trades.
+ * Streams are named in combined stream URLs, with pairs spread over as many
+ * connections as Binance's per-connection stream limit requires.
+ */
+class BinanceFuturesConnector extends ExchangeConnector {
+    constructor(orderbookManager, options = {}, id = 'binance') {
+        super(id, orderbookManager, options);
+        this.requestId = 0;
+    }
+
+    createSynchronizer() {
+        return new DepthSynchronizer(this.orderbookManager, key => this.fetchSnapshot(key), {
+            rules: DepthSynchronizer.SequenceRules.BINANCE_FUTURES
+        });
+    }
+
+    getStreams(pair) {
+        const streams = [config.getDepthStream(pair.toLowerCase())];
+        if (tradesConfig.enabled) {
+            streams.push(`${pair.toLowerCase()}@aggTrade`);
+        }
+        return streams;
+    }
+
+    getStreamCount(pair) {
+        return this.getStreams(pair).length;
+    }
+
+    // Combined streams: wss://host/stream?streams=a/b/c, messages wrapped as { stream, data }
+    getConnectionUrl(pairs) {
+        if (!this.subscribesByUrl()) {
+            return this.wsUrl;
+        }
+        const base = this.wsUrl.replace(/\/(ws|stream)\/?$/, '');
+        return `${base}/stream?streams=${pairs.flatMap(pair => this.getStreams(pair)).join('/')}`;
+    }
+
+    subscribesByUrl() {
+        return !!this.settings.combinedStreams;
+    }
+
+    getRequestId(message) {
+        return message.id !== undefined ? message.id : null;
+    }
+
+    getSnapshotUrl(pair) {
+        return `${this.settings.restUrl}/fapi/v1/depth?symbol=${pair.toUpperCase()}&limit=${config.orderbookDepth}`;
+    }
+
+    getSubscribeMessages(pairs) {
+        return [{ method: 'SUBSCRIBE', params: pairs.flatMap(pair => this.getStreams(pair)), id: ++this.requestId }];
+    }
+
+    getUnsubscribeMessages(pairs) {
+        return [{ method: 'UNSUBSCRIBE', params: pairs.flatMap(pair => this.getStreams(pair)), id: ++this.requestId }];
+    }
+
+    getExchangeInfoUrl() {
+        return `${this.settings.restUrl}/fapi/v1/exchangeInfo`;
+    }
+
+    async fetchInstruments() {
+        const info = await http.getJson(this.getExchangeInfoUrl(), { timeout: config.requestTimeout });
+        return info.symbols.map(raw => this.parseInstrument(raw));
+    }
+
+    // Zero limits mean the filter is disabled
+    parseInstrument(raw) {
+        const filters = Object.fromEntries((raw.filters || []).map(filter => [filter.filterType, filter]));
+        const price = filters.PRICE_FILTER || {};
+        const lot = filters.LOT_SIZE || {};
+        const market = filters.MARKET_LOT_SIZE || lot;
+        const notional = filters.MIN_NOTIONAL || filters.NOTIONAL || {};
+        const limit = value => (value !== undefined && Decimal.from(value).isPositive() ? String(value) : null);
+
+        return {
+            symbol: exchangesConfig.normalizeSymbol(raw.symbol),
+            pair: raw.symbol,
+            status: raw.status,
+            contractType: raw.contractType || null,
+            baseAsset: raw.baseAsset,
+            quoteAsset: raw.quoteAsset,
+            tickSize: limit(price.tickSize),
+            minPrice: limit(price.minPrice),
+            maxPrice: limit(price.maxPrice),
+            stepSize: limit(lot.stepSize),
+            minQty: limit(lot.minQty),
+            maxQty: limit(lot.maxQty),
+            marketStepSize: limit(market.stepSize),
+            marketMinQty: limit(market.minQty),
+            marketMaxQty: limit(market.maxQty),
+            // Futures name it notional, spot minNotional
+            minNotional: limit(notional.notional !== undefined ? notional.notional : notional.minNotional)
+        };
+    }
+
+    async fetchSnapshot(key) {
+        const snapshot = await http.getJson(this.getSnapshotUrl(this.getPair(key)), { timeout: config.requestTimeout });
+        this.record('snapshot', snapshot, key);
+        return snapshot;
+    }
+
+    normalizeMessage(message) {
+        // Answer to a SUBSCRIBE or UNSUBSCRIBE request
+        if (message.id !== undefined && ('result' in message || message.error)) {
+            this.confirmRequest(message.id, message.error ? JSON.stringify(message.error) : null);
+            return [];
+        }
+
+        if (message.stream && message.data) {
+            message = message.data;
+        }
+
+        if (message.error) {
+            logger.error(`${this.name} WebSocket error: ${JSON.stringify(message.error)}`);
+            return [];
+        }
+
+        if (message.e === 'aggTrade') {
+            return this.normalizeTrade(message);
+        }
+
+        if (message.e !== 'depthUpdate') {
+            if (message.e) {
+                logger.debug(`Received message type: ${message.e}`);
+            }
+            return [];
+        }
+
+        if (!Validators.isValidDepthUpdate(message)) {
+            logger.warn(`Invalid ${this.name} depth update received`);
+            return [];
+        }
+
+        const symbol = this.getSymbol(message.s);
+        if (!symbol) {
+            return [];
+        }
+
+        // Binance diffs are already in the normalized shape
+        return [{ type: 'depth', symbol, event: message }];
+    }
+
+    normalizeTrade(message) {
+        const symbol = this.getSymbol(message.s);
+        if (!symbol || !Validators.isValidPriceLevel([message.p, message.q])) {
+            return [];
+        }
+
+        return [{
+            type: 'trade',
+            symbol,
+            trade: {
+                id: message.a,
+                price: message.p,
+                quantity: message.q,
+                side: message.m ? 'sell' : 'buy', // buyer is maker: the seller took liquidity
+                time: message.T
+            }
+        }];
+    }
+}
+
+module.exports = BinanceFuturesConnector;
@@ -0,0 +1,47 @@
+const BinanceFuturesConnector = require('./binanceFutures');
+const config = require('../config/binance');
+const DepthSynchronizer = require('../services/depthSynchronizer');
+const Decimal = require('../utils/decimal');
+
+const FILTER_FIELDS = ['tickSize', 'minPrice', 'maxPrice', 'stepSize', 'minQty', 'maxQty',
+    'marketStepSize', 'marketMinQty', 'marketMaxQty', 'minNotional'];
+
+/**
+ * Binance Spot: same stream and snapshot procedure as futures, but diffs have
+ * no pu; each diff's first update id must follow the previous final one.
+ */
+class BinanceSpotConnector extends BinanceFuturesConnector {
+    constructor(orderbookManager, options = {}) {
+        super(orderbookManager, options, 'binance-spot');
+    }
+
+    createSynchronizer() {
+        return new DepthSynchronizer(this.orderbookManager, key => this.fetchSnapshot(key), {
+            rules: DepthSynchronizer.SequenceRules.BINANCE_SPOT
+        });
+    }
+
+    getExchangeInfoUrl() {
+        return `${this.settings.restUrl}/api/v3/exchangeInfo`;
+    }
+
+    // Spot pads every filter to 8 decimals ("0.01000000"); books keep the tick's own
+    parseInstrument(raw) {
+        const instrument = super.parseInstrument(raw);
+        for (const [field, value] of Object.entries(instrument)) {
+            if (value !== null && FILTER_FIELDS.includes(field)) {
+                instrument[field] = Decimal.from(value).trim().toString();
+            }
+        }
+        instrument.contractType = 'SPOT';
+        return instrument;
+    }
+
+    getSnapshotUrl(pair) {
+        // Spot snapshots are capped at 5000 levels
+        const limit = Math.min(config.orderbookDepth, 5000);
+        return `${this.settings.restUrl}/api/v3/depth?symbol=${pair.toUpperCase()}&limit=${limit}`;
+    }
+}
+
+module.exports = BinanceSpotConnector;
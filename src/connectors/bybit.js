@@ -0,0 +1,66 @@
+const ExchangeConnector = require('./exchangeConnector');
+const logger = require('../utils/logger');
+const StreamSynchronizer = require('../services/streamSynchronizer');
+
+/**
+ * Bybit v5 public orderbook topic. The stream starts with a snapshot and
+ * each delta's update id (u) is one more than the previous one; u = 1 marks
+ * a fresh snapshot after a service restart.
+ */
+class BybitConnector extends ExchangeConnector {
+    constructor(orderbookManager, options = {}) {
+        super('bybit', orderbookManager, options);
+        this.depth = this.settings.depth || 200;
+    }
+
+    createSynchronizer() {
+        return new StreamSynchronizer(this.orderbookManager, key => this.resubscribe(key), {
+            rules: {
+                follows: (event, lastFinalId) => event.U === lastFinalId + 1
+            }
+        });
+    }
+
+    getTopic(pair) {
+        return `orderbook.${this.depth}.${pair.toUpperCase()}`;
+    }
+
+    getSubscribeMessages(pairs) {
+        return [{ op: 'subscribe', args: pairs.map(pair => this.getTopic(pair)) }];
+    }
+
+    getUnsubscribeMessages(pairs) {
+        return [{ op: 'unsubscribe', args: pairs.map(pair => this.getTopic(pair)) }];
+    }
+
+    getPingMessage() {
+        return { op: 'ping' };
+    }
+
+    normalizeMessage(message) {
+        if (message.op) {
+            if (message.success === false) {
+                logger.error(`${this.name} ${message.op} failed: ${message.ret_msg}`);
+            }
+            return [];
+        }
+
+        if (!message.topic || !message.topic.startsWith('orderbook.') || !message.data) {
+            return [];
+        }
+
+        const data = message.data;
+        const symbol = this.getSymbol(data.s);
+        if (!symbol) {
+            return [];
+        }
+
+        if (message.type === 'snapshot') {
+            return [{ type: 'snapshot', symbol, snapshot: { lastUpdateId: data.u, bids: data.b, asks: data.a } }];
+        }
+
+        return [{ type: 'depth', symbol, event: { E: message.ts, U: data.u, u: data.u, pu: null, b: data.b, a: data.a } }];
+    }
+}
+
+module.exports = BybitConnector;
@@ -0,0 +1,95 @@
+const ExchangeConnector = require('./exchangeConnector');
+const logger = require('../utils/logger');
+const StreamSynchronizer = require('../services/streamSynchronizer');
+
+/**
+ * Coinbase Advanced Trade `level2` channel. Messages carry a sequence number
+ * that counts every message on the connection, so gaps are detected per
+ * connection and resynchronize every book of the connector.
+ */
+class CoinbaseConnector extends ExchangeConnector {
+    constructor(orderbookManager, options = {}) {
+        super('coinbase', orderbookManager, options);
+        this.lastSequenceNum = null;
+    }
+
+    createSynchronizer() {
+        return new StreamSynchronizer(this.orderbookManager, key => this.resubscribe(key));
+    }
+
+    // Sequence numbers count the messages of one connection
+    resetConnectionState() {
+        this.lastSequenceNum = null;
+    }
+
+    subscribeToStreams(shard, ws = shard.supervisor.ws) {
+        // Without the heartbeats channel Coinbase closes quiet connections
+        this.send({ type: 'subscribe', channel: 'heartbeats' }, shard, ws);
+        super.subscribeToStreams(shard, ws);
+    }
+
+    getSubscribeMessages(pairs) {
+        return [{ type: 'subscribe', product_ids: pairs, channel: 'level2' }];
+    }
+
+    getUnsubscribeMessages(pairs) {
+        return [{ type: 'unsubscribe', product_ids: pairs, channel: 'level2' }];
+    }
+
+    checkSequence(sequenceNum) {
+        const expected = this.lastSequenceNum === null ? sequenceNum : this.lastSequenceNum + 1;
+        this.lastSequenceNum = sequenceNum;
+        if (sequenceNum === expected) {
+            return true;
+        }
+
+        logger.warn(`${this.name} sequence gap: expected=${expected}, received=${sequenceNum}`);
+        for (const symbol of this.symbols.keys()) {
+            this.synchronizer.counters.increment(this.getBookKey(symbol), 'gaps', 'sequence');
+            this.synchronizer.resync(this.getBookKey(symbol));
+        }
+        return false;
+    }
+
+    normalizeMessage(message) {
+        if (message.type === 'error') {
+            logger.error(`${this.name} error: ${message.message}`);
+            return [];
+        }
+
+        if (typeof message.sequence_num === 'number' && !this.checkSequence(message.sequence_num)) {
+            return [];
+        }
+
+        if (message.channel !== 'l2_data' || !Array.isArray(message.events)) {
+            return [];
+        }
+
+        const normalized = [];
+        for (const event of message.events) {
+            const symbol = this.getSymbol(event.product_id);
+            if (!symbol) {
+                continue;
+            }
+
+            const bids = [];
+            const asks = [];
+            for (const update of event.updates) {
+                (update.side === 'bid' ? bids : asks).push([update.price_level, update.new_quantity]);
+            }
+
+            if (event.type === 'snapshot') {
+                normalized.push({ type: 'snapshot', symbol, snapshot: { lastUpdateId: message.sequence_num, bids, asks } });
+            } else {
+                normalized.push({
+                    type: 'depth',
+                    symbol,
+                    event: { E: Date.parse(message.timestamp), U: message.sequence_num, u: message.sequence_num, pu: null, b: bids, a: asks }
+                });
+            }
+        }
+        return normalized;
+    }
+}
+
+module.exports = CoinbaseConnector;
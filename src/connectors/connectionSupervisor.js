@@ -0,0 +1,378 @@
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const RingBuffer = require('../utils/ringBuffer');
+const config = require('../config/connection');
+
+const ConnectionState = {
+    IDLE: 'idle',                   // not started
+    CONNECTING: 'connecting',       // first connection attempt
+    CONNECTED: 'connected',
+    ROTATING: 'rotating',           // a second connection is taking over before the age limit
+    RECONNECTING: 'reconnecting',   // waiting out the backoff after a lost connection
+    STOPPED: 'stopped'
+};
+
+/**
+ * Keeps one WebSocket connection to an exchange alive:
+ *  - lost connections are retried forever, with a delay doubling from
+ *    `baseDelay` up to `maxDelay` and randomly shortened by up to `jitter`;
+ *    the delay starts over once a new connection delivers a message
+ *  - the exchange's pings are answered, and a ping is sent every
+ *    `livenessInterval`; a connection silent for `livenessTimeout` is dropped
+ *  - with `maxConnectionAge`, a second connection is opened `rotationMargin`
+ *    before the limit and subscribed alongside the first. After
+ *    `rotationOverlap` it takes over: the messages it received meanwhile are
+ *    handed over first, so none are lost, and synchronizers drop the ones
+ *    already applied.
+ *  - with `maxMessagesPerSecond`, outgoing messages are queued so the
+ *    exchange's rate limit is never exceeded
+ *
+ * `url` may be a function, called for every new connection, for exchanges
+ * that name the subscribed streams in the URL. The owner is told through `handlers`: onOpen(ws) for a fresh connection,
+ * onStandbyOpen(ws) to subscribe the second connection, onSwitch(ws) once it
+ * took over, onMessage(raw) and onClose().
+ */
+class ConnectionSupervisor {
+    constructor(url, handlers, options = {}) {
+        this.url = url;
+        this.handlers = handlers;
+        this.name = options.name || String(url);
+        this.WebSocket = options.WebSocket || WebSocket;
+        this.baseDelay = options.baseDelay || config.baseDelay;
+        this.maxDelay = options.maxDelay || config.maxDelay;
+        this.jitter = options.jitter !== undefined ? options.jitter : config.jitter;
+        this.random = options.random || Math.random;
+        this.livenessInterval = options.livenessInterval || config.livenessInterval;
+        this.livenessTimeout = options.livenessTimeout || config.livenessTimeout;
+        this.maxConnectionAge = options.maxConnectionAge || null;
+        this.rotationMargin = options.rotationMargin !== undefined ? options.rotationMargin : config.rotationMargin;
+        this.rotationOverlap = options.rotationOverlap !== undefined ? options.rotationOverlap : config.rotationOverlap;
+        this.rotationRetryDelay = options.rotationRetryDelay || config.rotationRetryDelay;
+        this.maxMessagesPerSecond = options.maxMessagesPerSecond || null;
+
+        this.state = ConnectionState.IDLE;
+        this.primary = null; // { ws, openedAt, lastActivity, retired }
+        this.standby = null; // the connection taking over during a rotation
+        this.standbyMessages = []; // received by the standby before it took over
+        this.attempts = 0; // reconnection attempts since the last working connection
+        this.nextRotation = null;
+        this.outbox = []; // { ws, payload } held back by the rate limit
+        this.sendTimes = []; // sends within the last second
+        this.timers = { reconnect: null, liveness: null, rotation: null, promotion: null, outbox: null };
+        this.transitions = new RingBuffer(options.historySize || 20);
+        this.stats = { connects: 0, reconnects: 0, rotations: 0, failedRotations: 0, livenessTimeouts: 0, pings: 0 };
+    }
+
+    get ws() {
+        return this.primary ? this.primary.ws : null;
+    }
+
+    start() {
+        if (this.state !== ConnectionState.IDLE && this.state !== ConnectionState.STOPPED) {
+            return;
+        }
+        this.transition(ConnectionState.CONNECTING, 'start');
+        this.timers.liveness = setInterval(() => this.checkLiveness(), this.livenessInterval);
+        this.open();
+    }
+
+    // Closes every connection for good; closing them does not trigger a reconnect
+    stop() {
+        this.transition(ConnectionState.STOPPED, 'stop');
+        for (const name of Object.keys(this.timers)) {
+            clearTimeout(this.timers[name]);
+            clearInterval(this.timers[name]);
+            this.timers[name] = null;
+        }
+        this.retire(this.standby);
+        this.retire(this.primary);
+        this.standby = null;
+        this.primary = null;
+        this.standbyMessages = [];
+        this.outbox = [];
+        this.nextRotation = null;
+    }
+
+    transition(state, reason) {
+        if (state === this.state) {
+            return;
+        }
+        this.transitions.push({ from: this.state, to: state, reason, time: Date.now() });
+        logger.info(`${this.name} connection ${this.state} -> ${state} (${reason})`);
+        this.state = state;
+    }
+
+    getUrl() {
+        return typeof this.url === 'function' ? this.url() : this.url;
+    }
+
+    createConnection() {
+        // Pongs are sent below rather than by the library, so pings count as activity
+        const ws = new this.WebSocket(this.getUrl(), { autoPong: false, handshakeTimeout: this.livenessTimeout });
+        const connection = { ws, openedAt: null, lastActivity: Date.now(), retired: false };
+
+        ws.on('open', () => {
+            if (!connection.retired) {
+                connection.openedAt = Date.now();
+                connection.lastActivity = connection.openedAt;
+                this.handleOpen(connection);
+            }
+        });
+        ws.on('message', (data) => {
+            if (!connection.retired) {
+                connection.lastActivity = Date.now();
+                this.handleMessage(connection, data.toString());
+            }
+        });
+        ws.on('ping', (data) => {
+            connection.lastActivity = Date.now();
+            this.stats.pings++;
+            ws.pong(data);
+        });
+        ws.on('pong', () => {
+            connection.lastActivity = Date.now();
+        });
+        ws.on('close', (code) => {
+            if (!connection.retired) {
+                connection.retired = true;
+                this.handleClose(connection, code);
+            }
+        });
+        ws.on('error', (error) => {
+            logger.error(`${this.name} WebSocket error: ${error.message}`);
+        });
+        return connection;
+    }
+
+    open() {
+        // Combined stream URLs can list hundreds of streams
+        logger.info(`Connecting to ${this.name} WebSocket: ${this.getUrl().split('?')[0]}`);
+        try {
+            this.primary = this.createConnection();
+        } catch (error) {
+            logger.error(`Error connecting to ${this.name} WebSocket: ${error.message}`);
+            this.primary = null;
+            this.scheduleReconnect('connection failed');
+        }
+    }
+
+    handleOpen(connection) {
+        if (connection === this.standby) {
+            logger.info(`${this.name} standby connection open, taking over in ${this.rotationOverlap}ms`);
+            this.handlers.onStandbyOpen(connection.ws);
+            this.timers.promotion = setTimeout(() => this.promote('rotation'), this.rotationOverlap);
+            return;
+        }
+
+        this.stats.connects++;
+        this.transition(ConnectionState.CONNECTED, 'open');
+        this.scheduleRotation();
+        this.handlers.onOpen(connection.ws);
+    }
+
+    handleMessage(connection, raw) {
+        if (connection === this.standby) {
+            this.standbyMessages.push(raw);
+            return;
+        }
+        // The connection works: the next failure starts the backoff over
+        this.attempts = 0;
+        this.handlers.onMessage(raw);
+    }
+
+    handleClose(connection, code) {
+        if (connection === this.standby) {
+            this.abortRotation(`standby closed (${code})`);
+            return;
+        }
+        if (connection !== this.primary) {
+            return;
+        }
+
+        logger.warn(`${this.name} WebSocket connection closed (${code})`);
+        this.primary = null;
+        clearTimeout(this.timers.rotation);
+        this.nextRotation = null;
+
+        // A standby already subscribed takes over at once, without a gap
+        if (this.standby && this.standby.openedAt !== null) {
+            this.promote('primary closed');
+            return;
+        }
+        if (this.standby) {
+            this.abortRotation('primary closed');
+        }
+        this.handlers.onClose();
+        this.scheduleReconnect(`closed (${code})`);
+    }
+
+    scheduleReconnect(reason) {
+        if (this.state === ConnectionState.STOPPED) {
+            return;
+        }
+
+        this.attempts++;
+        this.stats.reconnects++;
+        const delay = this.getDelay(this.attempts);
+        this.transition(ConnectionState.RECONNECTING, reason);
+        logger.info(`Reconnecting to ${this.name} in ${delay}ms (attempt ${this.attempts})`);
+
+        clearTimeout(this.timers.reconnect);
+        this.timers.reconnect = setTimeout(() => {
+            this.timers.reconnect = null;
+            this.open();
+        }, delay);
+    }
+
+    getDelay(attempt) {
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+        return Math.round(ceiling * (1 - this.jitter * this.random()));
+    }
+
+    // Pings the connection, or drops it once it has been silent too long
+    checkLiveness(now = Date.now()) {
+        const connection = this.primary;
+        if (!connection || connection.openedAt === null || connection.ws.readyState !== this.WebSocket.OPEN) {
+            return;
+        }
+
+        if (now - connection.lastActivity > this.livenessTimeout) {
+            this.stats.livenessTimeouts++;
+            logger.warn(`${this.name} WebSocket silent for ${now - connection.lastActivity}ms, reconnecting`);
+            connection.ws.terminate();
+            return;
+        }
+        connection.ws.ping();
+    }
+
+    scheduleRotation(delay = null) {
+        clearTimeout(this.timers.rotation);
+        if (!this.maxConnectionAge) {
+            return;
+        }
+
+        const wait = delay !== null ? delay : Math.max(this.maxConnectionAge - this.rotationMargin, 0);
+        this.nextRotation = Date.now() + wait;
+        this.timers.rotation = setTimeout(() => this.rotate(), wait);
+    }
+
+    rotate() {
+        this.timers.rotation = null;
+        this.nextRotation = null;
+        if (this.state !== ConnectionState.CONNECTED) {
+            return;
+        }
+
+        this.transition(ConnectionState.ROTATING, 'connection age');
+        this.standbyMessages = [];
+        try {
+            this.standby = this.createConnection();
+        } catch (error) {
+            this.abortRotation(error.message);
+        }
+    }
+
+    promote(reason) {
+        clearTimeout(this.timers.promotion);
+        this.timers.promotion = null;
+        const standby = this.standby;
+        this.standby = null;
+        if (!standby) {
+            return;
+        }
+
+        this.retire(this.primary);
+        this.primary = standby;
+        this.stats.rotations++;
+        this.transition(ConnectionState.CONNECTED, reason);
+        this.scheduleRotation();
+        this.handlers.onSwitch(standby.ws);
+
+        const messages = this.standbyMessages;
+        this.standbyMessages = [];
+        for (const raw of messages) {
+            this.handleMessage(standby, raw);
+        }
+    }
+
+    abortRotation(reason) {
+        clearTimeout(this.timers.promotion);
+        this.timers.promotion = null;
+        this.retire(this.standby);
+        this.standby = null;
+        this.standbyMessages = [];
+        this.stats.failedRotations++;
+        logger.warn(`${this.name} connection rotation failed: ${reason}`);
+
+        if (this.primary) {
+            this.transition(ConnectionState.CONNECTED, 'rotation failed');
+            this.scheduleRotation(this.rotationRetryDelay);
+        }
+    }
+
+    send(message, ws = this.ws) {
+        const payload = typeof message === 'string' ? message : JSON.stringify(message);
+        this.outbox.push({ ws, payload });
+        this.flush();
+    }
+
+    // Sends queued messages while the rate limit allows, and schedules the rest
+    flush(now = Date.now()) {
+        while (this.outbox.length > 0) {
+            const { ws, payload } = this.outbox[0];
+            // Messages for a connection that closed meanwhile are dropped
+            if (!ws || ws.readyState !== this.WebSocket.OPEN) {
+                this.outbox.shift();
+                continue;
+            }
+
+            if (this.maxMessagesPerSecond) {
+                this.sendTimes = this.sendTimes.filter(time => now - time < 1000);
+                if (this.sendTimes.length >= this.maxMessagesPerSecond) {
+                    if (!this.timers.outbox) {
+                        this.timers.outbox = setTimeout(() => {
+                            this.timers.outbox = null;
+                            this.flush();
+                        }, 1000 - (now - this.sendTimes[0]));
+                    }
+                    return;
+                }
+                this.sendTimes.push(now);
+            }
+            this.outbox.shift();
+            ws.send(payload);
+        }
+    }
+
+    // Closes a connection that must no longer deliver messages or trigger reconnects
+    retire(connection) {
+        if (!connection || connection.retired) {
+            return;
+        }
+        connection.retired = true;
+        try {
+            connection.ws.close();
+        } catch (error) {
+            connection.ws.terminate();
+        }
+    }
+
+    getStatus(now = Date.now()) {
+        const connectedSince = this.primary ? this.primary.openedAt : null;
+        return {
+            state: this.state,
+            connectedSince,
+            connectionAge: connectedSince !== null ? now - connectedSince : null,
+            lastActivity: this.primary ? this.primary.lastActivity : null,
+            reconnectAttempts: this.attempts,
+            nextRotation: this.nextRotation,
+            queuedMessages: this.outbox.length,
+            ...this.stats,
+            transitions: this.transitions.toArray()
+        };
+    }
+}
+
+ConnectionSupervisor.ConnectionState = ConnectionState;
+
+module.exports = ConnectionSupervisor;
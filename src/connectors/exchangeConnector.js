@@ -0,0 +1,603 @@
+const logger = require('../utils/logger');
+const exchangesConfig = require('../config/exchanges');
+const connectionConfig = require('../config/connection');
+const prometheusConfig = require('../config/prometheus');
+const { Histogram } = require('../utils/prometheus');
+const ConnectionSupervisor = require('./connectionSupervisor');
+
+/**
+ * Base class for exchange connectors. It subscribes and keeps alive the
+ * connections ConnectionSupervisors maintain (reconnects, liveness checks
+ * and rotation before `maxConnectionAge`) and routes normalized messages to
+ * a synchronizer; subclasses implement the exchange specifics:
+ *
+ *  - createSynchronizer(): a DepthSynchronizer (REST snapshot + diffs) or a
+ *    StreamSynchronizer (snapshot pushed on the stream), with the exchange's
+ *    sequence rules
+ *  - getSubscribeMessages(pairs) / getUnsubscribeMessages(pairs)
+ *  - normalizeMessage(message): converts one raw message into events
+ *      { type: 'snapshot', symbol, snapshot: { lastUpdateId, bids, asks } }
+ *      { type: 'depth', symbol, event: { U, u, pu, b, a } }
+ *      { type: 'trade', symbol, trade: { id, price, quantity, side, time } }
+ *    where symbol is the normalized symbol and levels are [price, quantity] strings
+ *  - fetchSnapshot(key): REST snapshot, for DepthSynchronizer connectors
+ *  - getPingMessage(): application-level keepalive, if the exchange needs one
+ *  - resetConnectionState(): forgets state tied to one connection, such as
+ *    per-connection sequence numbers
+ *  - getStreamCount(pair), getConnectionUrl(pairs) and subscribesByUrl(): for
+ *    exchanges limiting streams per connection or naming them in the URL
+ *  - getRequestId(message): for exchanges acknowledging subscriptions; the
+ *    subclass calls confirmRequest(id, error) with each acknowledgement
+ *  - fetchInstruments(): the exchange's instrument metadata (tick and lot
+ *    sizes, minimum notional, status), if it publishes any
+ *
+ * Pairs are spread over as many connections ("shards") as needed to keep
+ * each under `maxStreamsPerConnection`, and subscriptions are sent in batches
+ * of at most `maxStreamsPerMessage` streams, at most `maxMessagesPerSecond`
+ * per connection. Acknowledged requests stay pending until confirmed, and
+ * are sent again after `requestTimeout`, up to `requestRetries` times.
+ *
+ * Pairs can be added and removed at runtime with addPair() and removePair().
+ *
+ * Books are keyed by `exchange:symbol` in the OrderBookManager. With a
+ * `recorder` option, raw messages and REST snapshots are recorded for replay.
+ */
+class ExchangeConnector {
+    constructor(id, orderbookManager, options = {}) {
+        this.id = id;
+        this.settings = { ...exchangesConfig.exchanges[id], ...options };
+        this.name = this.settings.name || id;
+        this.wsUrl = this.settings.wsUrl;
+        this.orderbookManager = orderbookManager;
+        this.pingInterval = this.settings.pingInterval || 20000;
+        this.maxStreamsPerConnection = this.settings.maxStreamsPerConnection || Infinity;
+        this.maxStreamsPerMessage = this.settings.maxStreamsPerMessage || Infinity;
+        this.requestTimeout = this.settings.requestTimeout || connectionConfig.requestTimeout;
+        this.requestRetries = this.settings.requestRetries !== undefined ? this.settings.requestRetries : connectionConfig.requestRetries;
+        this.subscribedStreams = new Set(); // pairs the exchange confirmed
+        this.pendingRequests = new Map(); // request id -> { action, pairs, shard, sentAt, attempts }
+        this.requestTimer = null;
+        this.started = false; // connect() was called, until disconnect()
+        this.recorder = this.settings.recorder || null; // StreamRecorder
+        // Since startup, across reconnects
+        this.stats = { messages: 0, confirmedRequests: 0, retriedRequests: 0, failedRequests: 0 };
+        this.processingTime = new Histogram(prometheusConfig.latencyBuckets); // seconds per message
+
+        this.symbols = new Map(); // normalized symbol -> exchange pair
+        this.instruments = null; // normalized symbol -> instrument, set by the InstrumentRegistry
+        this.shards = []; // { index, pairs, streams, connected, pingTimer, supervisor }
+        for (const pair of this.settings.pairs || []) {
+            this.symbols.set(exchangesConfig.normalizeSymbol(pair), pair);
+            this.assignShard(pair);
+        }
+
+        this.synchronizer = this.createSynchronizer();
+    }
+
+    createSynchronizer() {
+        throw new Error(`${this.constructor.name} must implement createSynchronizer()`);
+    }
+
+    getSubscribeMessages(pairs) {
+        throw new Error(`${this.constructor.name} must implement getSubscribeMessages()`);
+    }
+
+    getUnsubscribeMessages(pairs) {
+        return [];
+    }
+
+    normalizeMessage(message) {
+        throw new Error(`${this.constructor.name} must implement normalizeMessage()`);
+    }
+
+    getPingMessage() {
+        return null;
+    }
+
+    // Streams one pair takes on a connection
+    getStreamCount(pair) {
+        return 1;
+    }
+
+    getConnectionUrl(pairs) {
+        return this.wsUrl;
+    }
+
+    // Whether the connection URL already subscribes the pairs it was built for
+    subscribesByUrl() {
+        return false;
+    }
+
+    /**
+     * Instruments the exchange lists, or null if it has no metadata endpoint:
+     * { symbol, pair, status, contractType, baseAsset, quoteAsset, tickSize,
+     *   minPrice, maxPrice, stepSize, minQty, maxQty, marketStepSize,
+     *   marketMinQty, marketMaxQty, minNotional }
+     * with decimal strings, null for filters the exchange does not apply.
+     */
+    async fetchInstruments() {
+        return null;
+    }
+
+    // Id of a request the exchange acknowledges, or null if it sends none
+    getRequestId(message) {
+        return null;
+    }
+
+    getBookKey(symbol) {
+        return `${this.id}:${symbol}`;
+    }
+
+    // Normalized symbol for an exchange pair, or null if it is not configured
+    getSymbol(pair) {
+        const symbol = exchangesConfig.normalizeSymbol(String(pair));
+        return this.symbols.has(symbol) ? symbol : null;
+    }
+
+    // Exchange pair for a book key or normalized symbol
+    getPair(keyOrSymbol) {
+        return this.symbols.get(keyOrSymbol.split(':').pop());
+    }
+
+    // The exchange's tick and step sizes when instruments are loaded, else the configured ones
+    getSymbolFilters(symbol) {
+        const instrument = this.instruments && this.instruments.get(symbol);
+        if (instrument && instrument.tickSize && instrument.stepSize) {
+            return { tickSize: instrument.tickSize, stepSize: instrument.stepSize };
+        }
+        const filters = this.settings.symbolFilters || {};
+        return filters[symbol] || { tickSize: null, stepSize: null };
+    }
+
+    // Puts a pair on the first connection with room for its streams
+    assignShard(pair) {
+        const streams = this.getStreamCount(pair);
+        let shard = this.shards.find(candidate => candidate.streams + streams <= this.maxStreamsPerConnection);
+        if (!shard) {
+            shard = this.createShard();
+        }
+        shard.pairs.add(pair);
+        shard.streams += streams;
+        return shard;
+    }
+
+    createShard() {
+        const shard = { index: this.shards.length, pairs: new Set(), streams: 0, connected: false, pingTimer: null };
+        shard.supervisor = new ConnectionSupervisor(() => this.getConnectionUrl(Array.from(shard.pairs)), {
+            onOpen: () => this.handleOpen(shard),
+            onStandbyOpen: ws => this.subscribeToStreams(shard, ws),
+            onSwitch: () => this.handleSwitch(shard),
+            onMessage: raw => this.handleRawMessage(raw),
+            onClose: () => this.handleClose(shard)
+        }, {
+            name: shard.index === 0 ? this.name : `${this.name} #${shard.index + 1}`,
+            maxConnectionAge: this.settings.maxConnectionAge,
+            maxMessagesPerSecond: this.settings.maxMessagesPerSecond,
+            WebSocket: this.settings.WebSocket
+        });
+        this.shards.push(shard);
+        return shard;
+    }
+
+    getShard(pair) {
+        return this.shards.find(shard => shard.pairs.has(pair)) || null;
+    }
+
+    // Connections carrying at least one pair; emptied ones are stopped
+    getActiveShards() {
+        return this.shards.filter(shard => shard.pairs.size > 0);
+    }
+
+    getShardKeys(shard) {
+        return Array.from(shard.pairs, pair => this.getBookKey(exchangesConfig.normalizeSymbol(pair)));
+    }
+
+    // Pairs grouped by the connection carrying them
+    groupByShard(pairs) {
+        const groups = new Map();
+        for (const pair of pairs) {
+            const shard = this.getShard(pair);
+            if (!shard) {
+                continue;
+            }
+            if (!groups.has(shard)) {
+                groups.set(shard, []);
+            }
+            groups.get(shard).push(pair);
+        }
+        return groups;
+    }
+
+    // Pairs split so no message names more than `maxStreamsPerMessage` streams
+    batchPairs(pairs) {
+        const batches = [];
+        let batch = [];
+        let streams = 0;
+        for (const pair of pairs) {
+            const count = this.getStreamCount(pair);
+            if (batch.length > 0 && streams + count > this.maxStreamsPerMessage) {
+                batches.push(batch);
+                batch = [];
+                streams = 0;
+            }
+            batch.push(pair);
+            streams += count;
+        }
+        if (batch.length > 0) {
+            batches.push(batch);
+        }
+        return batches;
+    }
+
+    get isConnected() {
+        const shards = this.getActiveShards();
+        return shards.length > 0 && shards.every(shard => shard.connected);
+    }
+
+    // Whether the connection carrying a book is up
+    isBookConnected(key) {
+        const shard = this.getShard(this.getPair(key));
+        return !!shard && shard.connected;
+    }
+
+    async connect() {
+        this.started = true;
+        for (const shard of this.getActiveShards()) {
+            shard.supervisor.start();
+        }
+        clearInterval(this.requestTimer);
+        this.requestTimer = setInterval(() => this.checkPendingRequests(), this.requestTimeout);
+    }
+
+    handleOpen(shard) {
+        logger.info(`Connected to ${shard.supervisor.name} WebSocket`);
+        shard.connected = true;
+        const keys = this.getShardKeys(shard);
+        this.record('open', keys);
+        this.resetConnectionState();
+        // Requests sent over the lost connection will never be answered
+        this.dropPendingRequests(shard);
+        // Diffs missed while disconnected invalidate the connection's books
+        for (const key of keys) {
+            this.synchronizer.reset(key);
+        }
+        this.startHeartbeat(shard);
+        this.subscribeToStreams(shard);
+    }
+
+    // A rotated connection took over; books stay synced across it
+    handleSwitch(shard) {
+        logger.info(`Switched to a new ${shard.supervisor.name} WebSocket connection`);
+        this.record('switch', this.getShardKeys(shard));
+        this.resetConnectionState();
+    }
+
+    handleClose(shard) {
+        shard.connected = false;
+        this.stopHeartbeat(shard);
+    }
+
+    resetConnectionState() {
+        // Most exchanges keep no per-connection state
+    }
+
+    subscribeToStreams(shard, ws = shard.supervisor.ws) {
+        const pairs = Array.from(shard.pairs);
+        if (!this.subscribesByUrl()) {
+            this.subscribeShard(shard, pairs, ws);
+            return;
+        }
+
+        for (const pair of pairs) {
+            this.subscribedStreams.add(pair);
+        }
+        logger.info(`Subscribed to ${shard.supervisor.name} books by URL: ${pairs.join(', ')}`);
+    }
+
+    subscribe(pairs) {
+        for (const [shard, shardPairs] of this.groupByShard(pairs)) {
+            this.subscribeShard(shard, shardPairs);
+        }
+    }
+
+    subscribeShard(shard, pairs, ws = shard.supervisor.ws) {
+        if (!shard.connected) {
+            logger.error(`Cannot subscribe: ${shard.supervisor.name} WebSocket not connected`);
+            return;
+        }
+
+        for (const batch of this.batchPairs(pairs)) {
+            this.sendRequests('subscribe', batch, shard, ws);
+        }
+        logger.info(`Subscribing to ${shard.supervisor.name} books: ${pairs.join(', ')}`);
+    }
+
+    unsubscribe(pairs) {
+        for (const [shard, shardPairs] of this.groupByShard(pairs)) {
+            if (!shard.connected) {
+                continue;
+            }
+            for (const batch of this.batchPairs(shardPairs)) {
+                this.sendRequests('unsubscribe', batch, shard);
+            }
+        }
+    }
+
+    // Sends the messages for one batch; unacknowledged ones take effect at once
+    sendRequests(action, pairs, shard, ws = shard.supervisor.ws, attempts = 1) {
+        const messages = action === 'subscribe' ? this.getSubscribeMessages(pairs) : this.getUnsubscribeMessages(pairs);
+        let tracked = false;
+        for (const message of messages) {
+            const id = this.getRequestId(message);
+            if (id !== null) {
+                this.pendingRequests.set(id, { action, pairs, shard, sentAt: Date.now(), attempts });
+                tracked = true;
+            }
+            this.send(message, shard, ws);
+        }
+        if (!tracked) {
+            this.applyRequest(action, pairs);
+        }
+    }
+
+    applyRequest(action, pairs) {
+        for (const pair of pairs) {
+            if (action === 'subscribe') {
+                this.subscribedStreams.add(pair);
+            } else {
+                this.subscribedStreams.delete(pair);
+            }
+        }
+    }
+
+    // Settles a pending request from the exchange's acknowledgement
+    confirmRequest(id, error = null) {
+        const request = this.pendingRequests.get(id);
+        if (!request) {
+            logger.debug(`${this.name} acknowledged unknown request ${id}`);
+            return false;
+        }
+
+        this.pendingRequests.delete(id);
+        if (error) {
+            this.stats.failedRequests++;
+            logger.error(`${this.name} rejected ${request.action} request ${id} for ${request.pairs.join(', ')}: ${error}`);
+            return true;
+        }
+        this.stats.confirmedRequests++;
+        this.applyRequest(request.action, request.pairs);
+        logger.debug(`${this.name} ${request.action} request ${id} confirmed`);
+        return true;
+    }
+
+    // Sends unconfirmed requests again, and gives up after `requestRetries` retries
+    checkPendingRequests(now = Date.now()) {
+        // Retries are added to the map, so iterate over a copy
+        for (const [id, request] of Array.from(this.pendingRequests)) {
+            if (now - request.sentAt < this.requestTimeout) {
+                continue;
+            }
+
+            this.pendingRequests.delete(id);
+            if (request.attempts > this.requestRetries || !request.shard.connected) {
+                this.stats.failedRequests++;
+                logger.error(`${this.name} ${request.action} request ${id} for ${request.pairs.join(', ')} was never confirmed`);
+                continue;
+            }
+            this.stats.retriedRequests++;
+            logger.warn(`${this.name} ${request.action} request ${id} not confirmed after ${this.requestTimeout}ms, retrying`);
+            this.sendRequests(request.action, request.pairs, request.shard, request.shard.supervisor.ws, request.attempts + 1);
+        }
+    }
+
+    dropPendingRequests(shard) {
+        for (const [id, request] of this.pendingRequests) {
+            if (request.shard === shard) {
+                this.pendingRequests.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Starts streaming a pair without a restart: its empty book is created and
+     * the pair subscribed on a live connection, or on a new one when every
+     * connection is full. The book syncs like the configured ones. Returns the
+     * normalized symbol; throws if the pair is already streamed.
+     */
+    addPair(pair, filters = null) {
+        const symbol = exchangesConfig.normalizeSymbol(pair);
+        if (this.symbols.has(symbol)) {
+            throw new Error(`${this.name} already streams ${symbol}`);
+        }
+
+        this.symbols.set(symbol, pair);
+        this.orderbookManager.createOrderBook(symbol, this.id, filters || this.getSymbolFilters(symbol));
+        const shard = this.assignShard(pair);
+        if (this.started) {
+            if (shard.connected) {
+                this.subscribeShard(shard, [pair]);
+            } else {
+                // A new or stopped connection subscribes the pair once open
+                shard.supervisor.start();
+            }
+        }
+        logger.info(`Added ${pair} to ${this.name}`);
+        return symbol;
+    }
+
+    // Stops streaming a pair and drops its book; false if it is not streamed
+    removePair(symbol) {
+        const pair = this.symbols.get(symbol);
+        if (!pair) {
+            return false;
+        }
+
+        const key = this.getBookKey(symbol);
+        const shard = this.getShard(pair);
+        this.unsubscribe([pair]);
+        shard.pairs.delete(pair);
+        shard.streams -= this.getStreamCount(pair);
+        this.symbols.delete(symbol);
+        this.subscribedStreams.delete(pair);
+        this.synchronizer.reset(key);
+        this.orderbookManager.removeOrderBook(key);
+
+        if (shard.pairs.size === 0) {
+            shard.supervisor.stop();
+            this.stopHeartbeat(shard);
+            this.dropPendingRequests(shard);
+            shard.connected = false;
+        }
+        logger.info(`Removed ${pair} from ${this.name}`);
+        return true;
+    }
+
+    // Asks the exchange for a fresh snapshot of one book by subscribing again
+    resubscribe(key) {
+        const pair = this.getPair(key);
+        if (!pair) {
+            return;
+        }
+        logger.info(`Resubscribing to ${this.name} ${pair} for a new snapshot`);
+        this.unsubscribe([pair]);
+        this.subscribe([pair]);
+    }
+
+    // Rebuilds one book from scratch: its sync state is dropped and the stream
+    // subscribed again, so a fresh snapshot is fetched or pushed
+    resyncBook(key) {
+        this.synchronizer.reset(key);
+        this.resubscribe(key);
+    }
+
+    // Queued by the connection's supervisor to respect the exchange's rate limit
+    send(message, shard, ws = shard.supervisor.ws) {
+        shard.supervisor.send(message, ws);
+    }
+
+    handleRawMessage(raw) {
+        const start = process.hrtime.bigint();
+        this.stats.messages++;
+        try {
+            this.record('message', raw);
+            this.processRawMessage(raw);
+        } catch (error) {
+            logger.error(`Error handling ${this.name} message: ${error.message}`);
+        } finally {
+            this.processingTime.observe(Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+
+    processRawMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            // Some exchanges answer keepalives with plain text ("pong")
+            logger.debug(`Non-JSON message from ${this.name}: ${raw.slice(0, 100)}`);
+            return;
+        }
+
+        try {
+            this.handleMessage(message);
+        } catch (error) {
+            logger.error(`Error handling ${this.name} message: ${error.message}`);
+        }
+    }
+
+    record(type, data, key = null) {
+        if (this.recorder) {
+            this.recorder.record(this.id, type, data, key);
+        }
+    }
+
+    handleMessage(message) {
+        for (const normalized of this.normalizeMessage(message)) {
+            const key = this.getBookKey(normalized.symbol);
+
+            if (normalized.type === 'snapshot') {
+                this.synchronizer.handleSnapshot(key, normalized.snapshot);
+            } else if (normalized.type === 'trade') {
+                this.orderbookManager.addTrade(key, normalized.trade);
+            } else {
+                this.synchronizer.handleDepthUpdate(key, normalized.event);
+            }
+        }
+    }
+
+    async initializeOrderbooks() {
+        logger.info(`Initializing ${this.name} orderbooks...`);
+
+        for (const symbol of this.symbols.keys()) {
+            try {
+                // Books stay empty until the synchronizer applies a snapshot
+                this.orderbookManager.createOrderBook(symbol, this.id, this.getSymbolFilters(symbol));
+            } catch (error) {
+                logger.error(`Error creating ${this.name} orderbook for ${symbol}: ${error.message}`);
+            }
+        }
+    }
+
+    startHeartbeat(shard) {
+        this.stopHeartbeat(shard);
+        if (this.getPingMessage() === null) {
+            return;
+        }
+
+        shard.pingTimer = setInterval(() => {
+            if (shard.connected) {
+                this.send(this.getPingMessage(), shard);
+            }
+        }, this.pingInterval);
+    }
+
+    stopHeartbeat(shard) {
+        clearInterval(shard.pingTimer);
+        shard.pingTimer = null;
+    }
+
+    disconnect() {
+        this.started = false;
+        clearInterval(this.requestTimer);
+        this.requestTimer = null;
+        for (const shard of this.shards) {
+            shard.supervisor.stop();
+            this.stopHeartbeat(shard);
+            shard.connected = false;
+        }
+        this.pendingRequests.clear();
+        this.synchronizer.reset();
+        logger.info(`Disconnected from ${this.name} WebSocket`);
+    }
+
+    // Supervisor counters summed over the connections
+    getConnectionStats() {
+        const totals = {};
+        for (const shard of this.shards) {
+            for (const [name, value] of Object.entries(shard.supervisor.stats)) {
+                totals[name] = (totals[name] || 0) + value;
+            }
+        }
+        return totals;
+    }
+
+    getStatus() {
+        return {
+            exchange: this.id,
+            name: this.name,
+            connected: this.isConnected,
+            symbols: Array.from(this.symbols.keys()),
+            subscribedStreams: Array.from(this.subscribedStreams),
+            pendingRequests: this.pendingRequests.size,
+            ...this.stats,
+            connections: this.getActiveShards().map(shard => ({
+                pairs: Array.from(shard.pairs),
+                streams: shard.streams,
+                ...shard.supervisor.getStatus()
+            })),
+            sync: this.synchronizer.getStatus()
+        };
+    }
+}
+
+module.exports = ExchangeConnector;
@@ -0,0 +1,34 @@
+const exchangesConfig = require('../config/exchanges');
+const BinanceFuturesConnector = require('./binanceFutures');
+const BinanceSpotConnector = require('./binanceSpot');
+const BybitConnector = require('./bybit');
+const OkxConnector = require('./okx');
+const CoinbaseConnector = require('./coinbase');
+const KrakenConnector = require('./kraken');
+
+const connectors = {
+    binance: BinanceFuturesConnector,
+    'binance-spot': BinanceSpotConnector,
+    bybit: BybitConnector,
+    okx: OkxConnector,
+    coinbase: CoinbaseConnector,
+    kraken: KrakenConnector
+};
+
+// Creates a connector for each enabled exchange (EXCHANGES); options go to every connector
+function createConnectors(orderbookManager, ids = exchangesConfig.enabled, options = {}) {
+    const created = new Map();
+    for (const id of ids) {
+        const Connector = connectors[id];
+        if (!Connector) {
+            throw new Error(`Unknown exchange: ${id} (expected ${Object.keys(connectors).join(', ')})`);
+        }
+        created.set(id, new Connector(orderbookManager, options));
+    }
+    return created;
+}
+
+module.exports = {
+    connectors,
+    createConnectors
+};
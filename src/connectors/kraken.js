@@ -0,0 +1,118 @@
+const ExchangeConnector = require('./exchangeConnector');
+const logger = require('../utils/logger');
+const crc32 = require('../utils/crc32');
+const Decimal = require('../utils/decimal');
+const StreamSynchronizer = require('../services/streamSynchronizer');
+
+const CHECKSUM_LEVELS = 10;
+const DEFAULT_DEPTH = 100;
+
+// Kraken v2 sends prices and quantities as JSON numbers
+function toDecimalString(value, scale) {
+    if (scale !== null) {
+        return value.toFixed(scale);
+    }
+    const string = String(value);
+    return string.includes('e') ? Decimal.from(value.toFixed(20)).toString() : string;
+}
+
+// Price and quantity digits without the decimal point or leading zeros
+const checksumPart = value => value.toString().replace('.', '').replace(/^0+/, '');
+
+/**
+ * Kraken v2 `book` channel. Kraken has no update ids: every update carries a
+ * CRC32 checksum of the top 10 levels instead, so books are verified after each
+ * update, and levels pushed beyond the subscribed depth are truncated locally
+ * since Kraken does not send deletes for them. Update ids are counted locally.
+ */
+class KrakenConnector extends ExchangeConnector {
+    constructor(orderbookManager, options = {}) {
+        super('kraken', orderbookManager, options);
+        this.depth = this.settings.depth || DEFAULT_DEPTH;
+        this.updateCounts = new Map(); // symbol -> local update id
+    }
+
+    // Called from the base constructor, before this.depth is set
+    createSynchronizer() {
+        return new StreamSynchronizer(this.orderbookManager, key => this.resubscribe(key), {
+            depth: this.settings.depth || DEFAULT_DEPTH,
+            rules: {
+                verify: (orderbook, event) => event.checksum === undefined ||
+                    !orderbook.tickSize || !orderbook.stepSize ||
+                    KrakenConnector.checksum(orderbook) === event.checksum
+            }
+        });
+    }
+
+    static checksum(orderbook) {
+        let value = '';
+        for (const side of [orderbook.asks, orderbook.bids]) {
+            for (const level of side.getLevels(CHECKSUM_LEVELS)) {
+                value += checksumPart(level.price) + checksumPart(level.quantity);
+            }
+        }
+        return crc32(value);
+    }
+
+    getSubscribeMessages(pairs) {
+        return [{ method: 'subscribe', params: { channel: 'book', symbol: pairs, depth: this.depth } }];
+    }
+
+    getUnsubscribeMessages(pairs) {
+        return [{ method: 'unsubscribe', params: { channel: 'book', symbol: pairs, depth: this.depth } }];
+    }
+
+    getPingMessage() {
+        return { method: 'ping' };
+    }
+
+    toLevels(symbol, levels) {
+        const { tickSize, stepSize } = this.getSymbolFilters(symbol);
+        const priceScale = tickSize ? Decimal.scaleOf(tickSize) : null;
+        const quantityScale = stepSize ? Decimal.scaleOf(stepSize) : null;
+        return levels.map(level => [
+            toDecimalString(level.price, priceScale),
+            toDecimalString(level.qty, quantityScale)
+        ]);
+    }
+
+    normalizeMessage(message) {
+        if (message.method) {
+            if (message.success === false) {
+                logger.error(`${this.name} ${message.method} failed: ${message.error}`);
+            }
+            return [];
+        }
+
+        if (message.channel !== 'book' || !Array.isArray(message.data)) {
+            return [];
+        }
+
+        const normalized = [];
+        for (const data of message.data) {
+            const symbol = this.getSymbol(data.symbol);
+            if (!symbol) {
+                continue;
+            }
+
+            const bids = this.toLevels(symbol, data.bids || []);
+            const asks = this.toLevels(symbol, data.asks || []);
+
+            if (message.type === 'snapshot') {
+                this.updateCounts.set(symbol, 1);
+                normalized.push({ type: 'snapshot', symbol, snapshot: { lastUpdateId: 1, bids, asks } });
+            } else {
+                const updateId = (this.updateCounts.get(symbol) || 0) + 1;
+                this.updateCounts.set(symbol, updateId);
+                normalized.push({
+                    type: 'depth',
+                    symbol,
+                    event: { E: Date.parse(data.timestamp), U: updateId, u: updateId, pu: null, b: bids, a: asks, checksum: data.checksum }
+                });
+            }
+        }
+        return normalized;
+    }
+}
+
+module.exports = KrakenConnector;
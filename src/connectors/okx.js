@@ -0,0 +1,71 @@
+const ExchangeConnector = require('./exchangeConnector');
+const logger = require('../utils/logger');
+const StreamSynchronizer = require('../services/streamSynchronizer');
+
+// OKX levels are [price, size, deprecated, orderCount]
+const toLevels = levels => levels.map(([price, quantity]) => [price, quantity]);
+
+/**
+ * OKX v5 public `books` channel. A snapshot is followed by updates whose
+ * prevSeqId equals the previous message's seqId. Sizes of derivatives are in
+ * contracts, as published by OKX.
+ */
+class OkxConnector extends ExchangeConnector {
+    constructor(orderbookManager, options = {}) {
+        super('okx', orderbookManager, options);
+    }
+
+    createSynchronizer() {
+        return new StreamSynchronizer(this.orderbookManager, key => this.resubscribe(key), {
+            rules: {
+                follows: (event, lastFinalId) => event.pu === lastFinalId
+            }
+        });
+    }
+
+    getSubscribeMessages(pairs) {
+        return [{ op: 'subscribe', args: pairs.map(instId => ({ channel: 'books', instId })) }];
+    }
+
+    getUnsubscribeMessages(pairs) {
+        return [{ op: 'unsubscribe', args: pairs.map(instId => ({ channel: 'books', instId })) }];
+    }
+
+    getPingMessage() {
+        return 'ping';
+    }
+
+    normalizeMessage(message) {
+        if (message.event) {
+            if (message.event === 'error') {
+                logger.error(`${this.name} error ${message.code}: ${message.msg}`);
+            }
+            return [];
+        }
+
+        if (!message.arg || message.arg.channel !== 'books' || !Array.isArray(message.data)) {
+            return [];
+        }
+
+        const symbol = this.getSymbol(message.arg.instId);
+        if (!symbol) {
+            return [];
+        }
+
+        return message.data.map(data => {
+            const bids = toLevels(data.bids);
+            const asks = toLevels(data.asks);
+
+            if (message.action === 'snapshot') {
+                return { type: 'snapshot', symbol, snapshot: { lastUpdateId: data.seqId, bids, asks } };
+            }
+            return {
+                type: 'depth',
+                symbol,
+                event: { E: Number(data.ts), U: data.seqId, u: data.seqId, pu: data.prevSeqId, b: bids, a: asks }
+            };
+        });
+    }
+}
+
+module.exports = OkxConnector;
@@ -0,0 +1,128 @@
+const Decimal = require('../utils/decimal');
+const config = require('../config/metrics');
+
+// Decimals of ratios and basis points, and extra decimals of the microprice
+const RATIO_SCALE = 4;
+const MICROPRICE_EXTRA_SCALE = 4;
+
+/**
+ * Microstructure metrics computed from an OrderBook:
+ *  - imbalance: (bid - ask) / (bid + ask) quantity over the top N levels, -1 to 1
+ *  - microprice: mid weighted by the opposite side's top quantity
+ *  - depth: quantity and notional within X bps of the mid on each side
+ *  - slope: quantity added per bps away from the mid over the top N levels
+ *  - spreadBps: spread relative to the mid
+ */
+class BookMetrics {
+    static imbalance(orderbook, levels = config.levels) {
+        const bidQty = BookMetrics.sumQuantity(orderbook.bids.getLevels(levels), orderbook.quantityScale);
+        const askQty = BookMetrics.sumQuantity(orderbook.asks.getLevels(levels), orderbook.quantityScale);
+        const total = bidQty.add(askQty);
+        if (!total.isPositive()) {
+            return null;
+        }
+        return bidQty.sub(askQty).div(total, RATIO_SCALE).trim();
+    }
+
+    static microprice(orderbook) {
+        const bestBid = orderbook.getBestBid();
+        const bestAsk = orderbook.getBestAsk();
+        if (!bestBid || !bestAsk) {
+            return null;
+        }
+
+        // Leans toward the side with less quantity, where the price is more likely to move
+        const total = bestBid.quantity.add(bestAsk.quantity);
+        const weighted = bestBid.price.mul(bestAsk.quantity).add(bestAsk.price.mul(bestBid.quantity));
+        return weighted.div(total, orderbook.priceScale + MICROPRICE_EXTRA_SCALE).trim(orderbook.priceScale);
+    }
+
+    static spreadBps(orderbook) {
+        const spread = orderbook.getSpread();
+        const mid = orderbook.getMidPrice();
+        if (spread === null || !mid.isPositive()) {
+            return null;
+        }
+        return spread.mul(10000).div(mid, RATIO_SCALE).trim();
+    }
+
+    // Quantity and notional within `bps` of the mid, per side
+    static depthWithin(orderbook, bps) {
+        const mid = orderbook.getMidPrice();
+        if (mid === null) {
+            return null;
+        }
+
+        const band = mid.mul(Decimal.from(bps)).div(10000, orderbook.priceScale + RATIO_SCALE);
+        const lowest = mid.sub(band);
+        const highest = mid.add(band);
+        const accumulate = (side, inBand) => {
+            let quantity = Decimal.zero(orderbook.quantityScale);
+            let notional = Decimal.zero(orderbook.priceScale);
+            for (const level of side) {
+                if (!inBand(level.price)) {
+                    break;
+                }
+                quantity = quantity.add(level.quantity);
+                notional = notional.add(level.quantity.mul(level.price));
+            }
+            return { quantity, notional: notional.trim(orderbook.priceScale) };
+        };
+
+        return {
+            bps,
+            bids: accumulate(orderbook.bids, price => price.gte(lowest)),
+            asks: accumulate(orderbook.asks, price => price.lte(highest))
+        };
+    }
+
+    // Quantity of the top N levels per bps between the mid and the Nth level
+    static slope(orderbook, levels = config.levels) {
+        const mid = orderbook.getMidPrice();
+        if (mid === null || !mid.isPositive()) {
+            return null;
+        }
+
+        const sideSlope = side => {
+            const top = side.getLevels(levels);
+            if (top.length === 0) {
+                return null;
+            }
+            const distance = top[top.length - 1].price.sub(mid).abs().mul(10000).div(mid, RATIO_SCALE);
+            if (!distance.isPositive()) {
+                return null;
+            }
+            return BookMetrics.sumQuantity(top, orderbook.quantityScale).div(distance, RATIO_SCALE).trim();
+        };
+
+        return {
+            bids: sideSlope(orderbook.bids),
+            asks: sideSlope(orderbook.asks)
+        };
+    }
+
+    static sumQuantity(levels, scale) {
+        return levels.reduce((total, level) => total.add(level.quantity), Decimal.zero(scale));
+    }
+
+    static compute(orderbook, options = {}) {
+        const levels = options.levels || config.levels;
+        const depthBps = options.depthBps || config.depthBps;
+
+        return {
+            levels,
+            bestBid: orderbook.getBestBid() ? orderbook.getBestBid().price : null,
+            bestAsk: orderbook.getBestAsk() ? orderbook.getBestAsk().price : null,
+            midPrice: orderbook.getMidPrice(),
+            microprice: BookMetrics.microprice(orderbook),
+            spread: orderbook.getSpread(),
+            spreadBps: BookMetrics.spreadBps(orderbook),
+            imbalance: BookMetrics.imbalance(orderbook, levels),
+            slope: BookMetrics.slope(orderbook, levels),
+            depth: depthBps.map(bps => BookMetrics.depthWithin(orderbook, bps)).filter(Boolean),
+            timestamp: Date.now()
+        };
+    }
+}
+
+module.exports = BookMetrics;
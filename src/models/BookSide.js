@@ -0,0 +1,103 @@
+const PriceLevel = require('./PriceLevel');
+
+// One side of an orderbook: price levels kept sorted best-first so the
+// top of book is O(1) and updates are a binary search plus an array splice.
+// Prices are Decimals normalized by the owning OrderBook, so their string
+// form is a stable key.
+class BookSide {
+    constructor(side) {
+        this.side = side; // 'bids' (descending) or 'asks' (ascending)
+        this.levels = new Map(); // price -> PriceLevel
+        this.sorted = []; // PriceLevel, best price first
+    }
+
+    get size() {
+        return this.levels.size;
+    }
+
+    // Index of the first level at or behind `price`. Searches on the float
+    // value and only falls back to exact Decimal comparison on ties.
+    findIndex(price) {
+        const descending = this.side === 'bids';
+        const value = price.toNumber();
+        let low = 0;
+        let high = this.sorted.length;
+
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            const level = this.sorted[mid];
+            const order = level.sortKey !== value ?
+                (level.sortKey < value ? -1 : 1) :
+                level.price.cmp(price);
+            const ahead = descending ? order > 0 : order < 0;
+            if (ahead) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    has(price) {
+        return this.levels.has(price.toString());
+    }
+
+    get(price) {
+        return this.levels.get(price.toString());
+    }
+
+    set(price, quantity, count = 1) {
+        const priceKey = price.toString();
+        const existing = this.levels.get(priceKey);
+
+        if (existing) {
+            existing.update(quantity, count);
+            return existing;
+        }
+
+        const level = new PriceLevel(price, quantity, count);
+        this.levels.set(priceKey, level);
+        this.sorted.splice(this.findIndex(level.price), 0, level);
+        return level;
+    }
+
+    delete(price) {
+        const priceKey = price.toString();
+        const level = this.levels.get(priceKey);
+        if (!level) {
+            return false;
+        }
+
+        this.levels.delete(priceKey);
+        const index = this.findIndex(level.price);
+        if (this.sorted[index] === level) {
+            this.sorted.splice(index, 1);
+        }
+        return true;
+    }
+
+    best() {
+        return this.sorted[0] || null;
+    }
+
+    // Sorted PriceLevel objects, best first
+    getLevels(limit = null) {
+        return limit ? this.sorted.slice(0, limit) : this.sorted.slice();
+    }
+
+    values() {
+        return this.sorted.values();
+    }
+
+    [Symbol.iterator]() {
+        return this.sorted[Symbol.iterator]();
+    }
+
+    clear() {
+        this.levels.clear();
+        this.sorted = [];
+    }
+}
+
+module.exports = BookSide;
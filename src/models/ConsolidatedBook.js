@@ -0,0 +1,140 @@
+const OrderBook = require('./OrderBook');
+const Decimal = require('../utils/decimal');
+
+const CONSOLIDATED = 'consolidated';
+
+/**
+ * Synthetic book merging one instrument from several venues. Each level holds
+ * the summed quantity at its price plus the per-venue split, so the OrderBook
+ * analytics run unchanged on it. It is rebuilt from the source books whenever
+ * one of them changed since the last read.
+ */
+class ConsolidatedBook extends OrderBook {
+    constructor(symbol, sources) {
+        super(symbol, {}, CONSOLIDATED);
+        this.sources = sources; // OrderBooks, in routing preference order
+        this.venues = sources.map(source => source.exchange);
+        this.priceScale = Math.max(...sources.map(source => source.priceScale));
+        this.quantityScale = Math.max(...sources.map(source => source.quantityScale));
+        this.version = null;
+    }
+
+    // Rebuilds the merged levels if any source book changed
+    refresh() {
+        const version = this.sources.map(source => source.sequence).join(',');
+        if (version === this.version) {
+            return this;
+        }
+
+        this.version = version;
+        this.clear();
+        this.mergeSide(this.bids, 'bids');
+        this.mergeSide(this.asks, 'asks');
+        this.lastUpdateTime = Math.max(...this.sources.map(source => source.lastUpdateTime));
+        this.sequence++;
+        return this;
+    }
+
+    // k-way merge of the sorted source sides, so every level is appended in order
+    mergeSide(side, name) {
+        const cursors = this.sources.map(source => ({
+            venue: source.exchange,
+            levels: source[name].getLevels(),
+            index: 0
+        }));
+        const isAhead = name === 'bids' ?
+            (price, best) => price.gt(best) :
+            (price, best) => price.lt(best);
+
+        for (;;) {
+            let best = null;
+            for (const cursor of cursors) {
+                const level = cursor.levels[cursor.index];
+                if (level && (!best || isAhead(level.price, best))) {
+                    best = level.price;
+                }
+            }
+            if (!best) {
+                break;
+            }
+
+            let quantity = Decimal.zero(this.quantityScale);
+            let count = 0;
+            const venues = {};
+            for (const cursor of cursors) {
+                const level = cursor.levels[cursor.index];
+                if (level && level.price.eq(best)) {
+                    quantity = quantity.add(level.quantity);
+                    count += level.count;
+                    venues[cursor.venue] = level.quantity;
+                    cursor.index++;
+                }
+            }
+
+            side.set(this.toPrice(best), this.toQuantity(quantity), count).venues = venues;
+        }
+    }
+
+    getSnapshot(limit = null, group = null) {
+        return {
+            ...super.getSnapshot(limit, group),
+            venues: this.venues,
+            bestBidVenues: this.getBestBid() ? Object.keys(this.getBestBid().venues) : [],
+            bestAskVenues: this.getBestAsk() ? Object.keys(this.getBestAsk().venues) : []
+        };
+    }
+
+    /**
+     * Market impact across venues, with the routing breakdown: how much of the
+     * order each venue would fill and at what cost. Within a price level,
+     * quantity is taken from venues in source order.
+     */
+    simulateMarketOrder(orderSize, side) {
+        const impact = super.simulateMarketOrder(orderSize, side);
+        const bookSide = side === 'buy' ? this.asks : this.bids;
+        const routes = new Map(this.venues.map(venue => [venue, {
+            quantity: Decimal.zero(this.quantityScale),
+            cost: Decimal.zero(this.priceScale),
+            levels: 0
+        }]));
+
+        for (const consumed of impact.levelsConsumed) {
+            const level = bookSide.get(consumed.price);
+            let remaining = consumed.quantity;
+            consumed.venues = {};
+
+            for (const venue of this.venues) {
+                const available = level.venues[venue];
+                if (!available || !remaining.isPositive()) {
+                    continue;
+                }
+
+                const quantity = Decimal.min(remaining, available);
+                const route = routes.get(venue);
+                route.quantity = route.quantity.add(quantity);
+                route.cost = route.cost.add(quantity.mul(consumed.price));
+                route.levels++;
+                remaining = remaining.sub(quantity);
+                consumed.venues[venue] = quantity;
+            }
+        }
+
+        impact.routing = {};
+        for (const [venue, route] of routes) {
+            impact.routing[venue] = {
+                quantity: route.quantity,
+                cost: route.cost.trim(this.priceScale),
+                averagePrice: this.averagePrice(route.cost, route.quantity),
+                levels: route.levels,
+                share: impact.filledSize.isPositive() ?
+                    route.quantity.mul(100).div(impact.filledSize, 2).trim() :
+                    Decimal.zero()
+            };
+        }
+        return impact;
+    }
+}
+
+ConsolidatedBook.CONSOLIDATED = CONSOLIDATED;
+
+module.exports = ConsolidatedBook;
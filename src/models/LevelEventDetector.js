@@ -0,0 +1,205 @@
+const Decimal = require('../utils/decimal');
+const RingBuffer = require('../utils/ringBuffer');
+const Validators = require('../utils/validators');
+const config = require('../config/events');
+
+// Decimals of ratios and basis points, and extra decimals of average level sizes
+const RATIO_SCALE = 2;
+const AVERAGE_EXTRA_SCALE = 4;
+
+const EventTypes = {
+    LARGE_ORDER: 'large_order',         // a level grew past the large order threshold
+    WALL_APPEARED: 'wall_appeared',     // a level grew past the wall threshold
+    WALL_REMOVED: 'wall_removed',       // a wall fell back below the threshold it appeared at
+    SPOOF_SUSPECTED: 'spoof_suspected'  // a wall pulled near the touch, then the price reached its level
+};
+
+/**
+ * Watches the diffs applied to one orderbook for notable level changes.
+ * Thresholds are absolute quantities or multiples of the average size of
+ * the top levels of the side, measured before each diff is applied.
+ *
+ * A wall removed while other levels were still in front of it, within
+ * `pullDistanceBps` of the mid, was pulled rather than traded; if the price
+ * then reaches its level within `pullWindow`, the wall is reported as
+ * suspected spoofing.
+ */
+class LevelEventDetector {
+    constructor(orderbook, options = {}) {
+        this.orderbook = orderbook;
+        this.levels = options.levels || config.levels;
+        this.largeQuantity = this.toThreshold(options.largeQuantity !== undefined ? options.largeQuantity : config.largeQuantity);
+        this.largeRatio = options.largeRatio || config.largeRatio;
+        this.wallQuantity = this.toThreshold(options.wallQuantity !== undefined ? options.wallQuantity : config.wallQuantity);
+        this.wallRatio = options.wallRatio || config.wallRatio;
+        this.pullDistanceBps = options.pullDistanceBps || config.pullDistanceBps;
+        this.pullWindow = options.pullWindow || config.pullWindow;
+        this.events = new RingBuffer(options.bufferSize || config.bufferSize);
+        this.walls = { bids: new Map(), asks: new Map() }; // price -> { quantity, threshold, since }
+        this.pulled = []; // walls pulled near the touch, until the price reaches them or the window ends
+        this.nextId = 1;
+        this.totalEvents = 0;
+    }
+
+    toThreshold(value) {
+        return value === null || value === undefined ? null : this.orderbook.toQuantity(value);
+    }
+
+    // Checks a diff about to be applied to the book; returns the events it triggers
+    detectLevelChanges(side, levels, now = Date.now()) {
+        const average = this.averageLevelSize(side);
+        const large = this.getThreshold(this.largeQuantity, this.largeRatio, average);
+        const wallThreshold = this.getThreshold(this.wallQuantity, this.wallRatio, average);
+        const best = this.orderbook[side].best();
+        const walls = this.walls[side];
+        const events = [];
+
+        for (const level of levels) {
+            if (!Validators.isValidPriceLevel(level)) {
+                continue;
+            }
+
+            const price = this.orderbook.toPrice(level[0]);
+            const quantity = this.orderbook.toQuantity(level[1]);
+            const existing = this.orderbook[side].get(price);
+            const previous = existing ? existing.quantity : Decimal.zero(this.orderbook.quantityScale);
+            const wall = walls.get(price.toString());
+
+            if (wall) {
+                wall.quantity = Decimal.max(wall.quantity, quantity);
+                if (quantity.lt(wall.threshold)) {
+                    walls.delete(price.toString());
+                    events.push(this.wallRemoved(side, price, quantity, previous, wall, best, now));
+                }
+            } else if (wallThreshold && quantity.gte(wallThreshold) && previous.lt(wallThreshold)) {
+                walls.set(price.toString(), { quantity, threshold: wallThreshold, since: now });
+                events.push(this.createEvent(EventTypes.WALL_APPEARED, side, price, quantity, previous, average, now));
+            } else if (large && quantity.gte(large) && previous.lt(large)) {
+                events.push(this.createEvent(EventTypes.LARGE_ORDER, side, price, quantity, previous, average, now));
+            }
+        }
+        return events;
+    }
+
+    wallRemoved(side, price, quantity, previous, wall, best, now) {
+        const event = this.createEvent(EventTypes.WALL_REMOVED, side, price, quantity, previous, null, now);
+        event.peakQuantity = wall.quantity;
+        event.lifetime = now - wall.since;
+        event.distanceBps = this.distanceBps(price);
+
+        // At the touch the wall may have been traded; behind it, it can only have been cancelled
+        const behindTouch = best && !best.price.eq(price);
+        if (behindTouch && event.distanceBps !== null && event.distanceBps.lte(Decimal.from(this.pullDistanceBps))) {
+            this.pulled.push({ side, price, quantity: previous, time: now });
+        }
+        return event;
+    }
+
+    // Checks the pulled walls against the book once a diff is applied
+    checkPulledLiquidity(now = Date.now()) {
+        const events = [];
+        this.pulled = this.pulled.filter(pulled => {
+            if (now - pulled.time > this.pullWindow) {
+                return false;
+            }
+
+            const best = this.orderbook[pulled.side].best();
+            const reached = best && (pulled.side === 'bids' ? best.price.lte(pulled.price) : best.price.gte(pulled.price));
+            if (!reached) {
+                return true;
+            }
+
+            const event = this.createEvent(EventTypes.SPOOF_SUSPECTED, pulled.side, pulled.price,
+                Decimal.zero(this.orderbook.quantityScale), pulled.quantity, null, now);
+            event.pulledAt = pulled.time;
+            event.elapsed = now - pulled.time;
+            events.push(event);
+            return false;
+        });
+        return events;
+    }
+
+    // Average quantity of the top levels of a side, null while it is empty
+    averageLevelSize(side) {
+        const levels = this.orderbook[side].getLevels(this.levels);
+        if (levels.length === 0) {
+            return null;
+        }
+        const total = levels.reduce((sum, level) => sum.add(level.quantity), Decimal.zero(this.orderbook.quantityScale));
+        return total.div(levels.length, this.orderbook.quantityScale + AVERAGE_EXTRA_SCALE).trim(this.orderbook.quantityScale);
+    }
+
+    getThreshold(quantity, ratio, average) {
+        if (quantity) {
+            return quantity;
+        }
+        return average ? average.mul(Decimal.from(ratio)) : null;
+    }
+
+    distanceBps(price) {
+        const mid = this.orderbook.getMidPrice();
+        if (mid === null || !mid.isPositive()) {
+            return null;
+        }
+        return price.sub(mid).abs().mul(10000).div(mid, RATIO_SCALE).trim();
+    }
+
+    createEvent(type, side, price, quantity, previousQuantity, average, now) {
+        const event = {
+            id: this.nextId++,
+            type,
+            side,
+            price,
+            quantity,
+            previousQuantity,
+            time: now
+        };
+        if (average) {
+            event.averageSize = average;
+            event.ratio = Decimal.max(quantity, previousQuantity).div(average, RATIO_SCALE).trim();
+        }
+        return event;
+    }
+
+    // Keeps events returned by detectLevelChanges and checkPulledLiquidity
+    record(events) {
+        for (const event of events) {
+            this.events.push(event);
+            this.totalEvents++;
+        }
+    }
+
+    // The book was rebuilt from a snapshot: walls and pulls no longer match its levels
+    reset() {
+        this.walls.bids.clear();
+        this.walls.asks.clear();
+        this.pulled = [];
+    }
+
+    // Most recent events, newest first, optionally of one type and after a time
+    getEvents(options = {}) {
+        let events = this.events.toArray().reverse();
+        if (options.type) {
+            events = events.filter(event => event.type === options.type);
+        }
+        if (options.since) {
+            events = events.filter(event => event.time > options.since);
+        }
+        return options.limit ? events.slice(0, options.limit) : events;
+    }
+
+    getStats() {
+        return {
+            totalEvents: this.totalEvents,
+            walls: {
+                bids: Array.from(this.walls.bids.keys()),
+                asks: Array.from(this.walls.asks.keys())
+            },
+            watchedPulls: this.pulled.length
+        };
+    }
+}
+
+LevelEventDetector.EventTypes = EventTypes;
+
+module.exports = LevelEventDetector;
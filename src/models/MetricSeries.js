@@ -0,0 +1,133 @@
+const RingBuffer = require('../utils/ringBuffer');
+const BookMetrics = require('./BookMetrics');
+const config = require('../config/metrics');
+
+const SECOND = 1000;
+const MINUTE = 60 * 1000;
+
+// Extra decimals of bucket averages
+const AVERAGE_EXTRA_SCALE = 4;
+
+const Metrics = ['mid', 'spread', 'bidSize', 'askSize', 'imbalance'];
+const Resolutions = { '1s': SECOND, '1m': MINUTE };
+
+/**
+ * Rolling history of one book's top-of-book metrics: 1s samples for the last
+ * hour and 1m buckets for the last day (by default). Buckets keep OHLC of
+ * the mid and min/max/avg of the other metrics.
+ */
+class MetricSeries {
+    constructor(options = {}) {
+        this.levels = options.levels || config.levels; // for the imbalance
+        this.seconds = new RingBuffer(options.seriesSeconds || config.seriesSeconds);
+        this.minutes = new RingBuffer(options.seriesMinutes || config.seriesMinutes);
+        this.bucket = null; // minute being filled
+    }
+
+    // Records the book's current metrics; books without both sides are skipped
+    sample(orderbook, now = Date.now()) {
+        const bestBid = orderbook.getBestBid();
+        const bestAsk = orderbook.getBestAsk();
+        if (!bestBid || !bestAsk) {
+            return false;
+        }
+
+        const time = now - now % SECOND;
+        const last = this.seconds.last();
+        if (last && last.time >= time) {
+            return false;
+        }
+
+        const point = {
+            time,
+            mid: orderbook.getMidPrice(),
+            spread: orderbook.getSpread(),
+            bidSize: bestBid.quantity,
+            askSize: bestAsk.quantity,
+            imbalance: BookMetrics.imbalance(orderbook, this.levels)
+        };
+        this.seconds.push(point);
+        this.addToBucket(point);
+        return true;
+    }
+
+    addToBucket(point) {
+        const time = point.time - point.time % MINUTE;
+        if (this.bucket && this.bucket.time !== time) {
+            this.minutes.push(this.bucket);
+            this.bucket = null;
+        }
+
+        if (!this.bucket) {
+            this.bucket = { time, samples: 1, mid: { open: point.mid, high: point.mid, low: point.mid, close: point.mid } };
+            for (const metric of Metrics.slice(1)) {
+                this.bucket[metric] = { min: point[metric], max: point[metric], sum: point[metric] };
+            }
+            return;
+        }
+
+        const bucket = this.bucket;
+        bucket.samples++;
+        if (point.mid.gt(bucket.mid.high)) {
+            bucket.mid.high = point.mid;
+        }
+        if (point.mid.lt(bucket.mid.low)) {
+            bucket.mid.low = point.mid;
+        }
+        bucket.mid.close = point.mid;
+        for (const metric of Metrics.slice(1)) {
+            const stats = bucket[metric];
+            const value = point[metric];
+            if (value.lt(stats.min)) {
+                stats.min = value;
+            }
+            if (value.gt(stats.max)) {
+                stats.max = value;
+            }
+            stats.sum = stats.sum.add(value);
+        }
+    }
+
+    formatBucket(bucket) {
+        const formatted = { time: bucket.time, samples: bucket.samples, mid: { ...bucket.mid } };
+        for (const metric of Metrics.slice(1)) {
+            const { min, max, sum } = bucket[metric];
+            formatted[metric] = {
+                min,
+                max,
+                avg: sum.div(bucket.samples, sum.scale + AVERAGE_EXTRA_SCALE).trim(sum.scale)
+            };
+        }
+        return formatted;
+    }
+
+    /**
+     * Points between `from` and `to` (ms, inclusive), oldest first. With a
+     * metric, 1s points are { time, value } and 1m points { time, samples }
+     * plus that metric's OHLC or min/max/avg.
+     */
+    getPoints(resolution = '1s', metric = null, from = 0, to = Infinity) {
+        let points;
+        if (resolution === '1m') {
+            points = this.minutes.toArray();
+            if (this.bucket) {
+                points.push(this.bucket);
+            }
+            points = points.filter(point => point.time >= from && point.time <= to).map(point => this.formatBucket(point));
+        } else {
+            points = this.seconds.toArray().filter(point => point.time >= from && point.time <= to);
+        }
+
+        if (!metric) {
+            return points;
+        }
+        return points.map(point => resolution === '1m' ?
+            { time: point.time, samples: point.samples, ...point[metric] } :
+            { time: point.time, value: point[metric] });
+    }
+}
+
+MetricSeries.Metrics = Metrics;
+MetricSeries.Resolutions = Resolutions;
+
+module.exports = MetricSeries;
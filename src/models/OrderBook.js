@@ -1,127 +1,227 @@
+const BookSide = require('./BookSide');
 const PriceLevel = require('./PriceLevel');
+const Decimal = require('../utils/decimal');
+
+// Extra decimals kept when dividing cost by quantity for average prices
+const AVERAGE_PRICE_EXTRA_SCALE = 8;
+// Decimals of partial fills on books without a step size
+const PARTIAL_FILL_SCALE = 8;
+const BPS = 10000;
+
+const ACCUMULATION_SIDES = ['bids', 'asks', 'both'];
+const ORDER_SIDES = ['buy', 'sell'];
 
 class OrderBook {
-    constructor(symbol) {
+    constructor(symbol, filters = {}, exchange = null) {
         this.symbol = symbol;
-        this.bids = new Map(); // price -> PriceLevel
-        this.asks = new Map(); // price -> PriceLevel
+        this.exchange = exchange;
+        this.key = exchange ? `${exchange}:${symbol}` : symbol; // OrderBookManager key
+        this.tickSize = filters.tickSize || null;
+        this.stepSize = filters.stepSize || null;
+        // Prices and quantities are serialized with as many decimals as the
+        // tick and step sizes, like Binance does ("0.10" -> "116521.90")
+        this.priceScale = this.tickSize ? Decimal.scaleOf(this.tickSize) : 0;
+        this.quantityScale = this.stepSize ? Decimal.scaleOf(this.stepSize) : 0;
+        this.bids = new BookSide('bids'); // sorted highest price first
+        this.asks = new BookSide('asks'); // sorted lowest price first
         this.lastUpdateId = 0;
         this.lastUpdateTime = Date.now();
+        this.sequence = 0; // bumped on every change published to clients
     }
 
-    addBid(price, quantity, count = 1) {
-        const priceKey = price.toString();
-        if (quantity > 0) {
-            this.bids.set(priceKey, new PriceLevel(price, quantity, count));
-        } else {
-            this.bids.delete(priceKey);
+    // Normalized so equal prices always share one key, however they were formatted
+    toPrice(value) {
+        return Decimal.from(value, this.priceScale).trim(this.priceScale);
+    }
+
+    toQuantity(value) {
+        return Decimal.from(value, this.quantityScale).trim(this.quantityScale);
+    }
+
+    averagePrice(cost, quantity) {
+        if (quantity.isZero()) {
+            return Decimal.zero(this.priceScale);
         }
+        return cost.div(quantity, this.priceScale + AVERAGE_PRICE_EXTRA_SCALE).trim(this.priceScale);
+    }
+
+    addBid(price, quantity, count = 1) {
+        return this.setLevel(this.bids, price, quantity, count);
     }
 
     addAsk(price, quantity, count = 1) {
-        const priceKey = price.toString();
-        if (quantity > 0) {
-            this.asks.set(priceKey, new PriceLevel(price, quantity, count));
+        return this.setLevel(this.asks, price, quantity, count);
+    }
+
+    // Returns the applied change as [price, quantity] strings, quantity "0" meaning removed
+    setLevel(side, price, quantity, count) {
+        price = this.toPrice(price);
+        quantity = this.toQuantity(quantity);
+        if (quantity.isPositive()) {
+            side.set(price, quantity, count);
         } else {
-            this.asks.delete(priceKey);
+            side.delete(price);
         }
+        return [price.toString(), quantity.toString()];
     }
 
     updateBid(price, quantity, count) {
-        const priceKey = price.toString();
-        const level = this.bids.get(priceKey);
-        if (level) {
-            if (quantity > 0) {
-                level.update(quantity, count);
-            } else {
-                this.bids.delete(priceKey);
-            }
+        if (this.bids.has(this.toPrice(price))) {
+            this.addBid(price, quantity, count);
         }
     }
 
     updateAsk(price, quantity, count) {
-        const priceKey = price.toString();
-        const level = this.asks.get(priceKey);
-        if (level) {
-            if (quantity > 0) {
-                level.update(quantity, count);
+        if (this.asks.has(this.toPrice(price))) {
+            this.addAsk(price, quantity, count);
+        }
+    }
+
+    getBids(limit = null, step = null) {
+        return this.getLevels(this.bids, limit, step).map(level => level.toJSON());
+    }
+
+    getAsks(limit = null, step = null) {
+        return this.getLevels(this.asks, limit, step).map(level => level.toJSON());
+    }
+
+    // Sorted levels, best first, merged into price buckets when `step` is given
+    getLevels(side, limit = null, step = null) {
+        return step ? this.groupLevels(side, step, limit) : side.getLevels(limit);
+    }
+
+    /**
+     * Merges levels into buckets `step` wide, like exchange UIs do: bids are
+     * rounded down and asks up, so a bucket never shows a better price than
+     * the levels it holds. Returns PriceLevels whose count is the number of
+     * orders merged.
+     */
+    groupLevels(side, step, limit = null) {
+        const rounding = side.side === 'bids' ? 'floor' : 'ceil';
+        const buckets = [];
+        let bucket = null;
+
+        for (const level of side) {
+            // Coarse steps would otherwise print fewer decimals than the tick
+            const price = level.price.roundToStep(step, rounding).trim(this.priceScale);
+            if (!bucket || !bucket.price.eq(price)) {
+                if (limit && buckets.length === limit) {
+                    break;
+                }
+                bucket = new PriceLevel(price, level.quantity, level.count);
+                bucket.timestamp = level.timestamp;
+                buckets.push(bucket);
             } else {
-                this.asks.delete(priceKey);
+                bucket.quantity = bucket.quantity.add(level.quantity);
+                bucket.count += level.count;
+                bucket.timestamp = Math.max(bucket.timestamp, level.timestamp);
             }
         }
+        return buckets;
     }
 
-    getBids(limit = null) {
-        const sortedBids = Array.from(this.bids.values())
-            .sort((a, b) => b.price - a.price); // Sort descending for bids
-        
-        if (limit) {
-            return sortedBids.slice(0, limit).map(level => level.toJSON());
+    /**
+     * Bucket width for a parsed price group ({ step } or { bps }). Widths in
+     * basis points follow the mid price, rounded up to whole ticks; null while
+     * a side is empty.
+     */
+    getGroupStep(group) {
+        if (!group) {
+            return null;
+        }
+        if (group.step) {
+            return group.step;
         }
-        return sortedBids.map(level => level.toJSON());
-    }
 
-    getAsks(limit = null) {
-        const sortedAsks = Array.from(this.asks.values())
-            .sort((a, b) => a.price - b.price); // Sort ascending for asks
-        
-        if (limit) {
-            return sortedAsks.slice(0, limit).map(level => level.toJSON());
+        const midPrice = this.getMidPrice();
+        if (!midPrice) {
+            return null;
         }
-        return sortedAsks.map(level => level.toJSON());
+        const tick = this.tickSize ? Decimal.from(this.tickSize, this.priceScale) : new Decimal(1n, this.priceScale);
+        const step = midPrice.mul(Decimal.from(group.bps)).div(10000, this.priceScale, 'ceil');
+        return Decimal.max(step.roundToStep(tick, 'ceil'), tick).trim(this.priceScale);
     }
 
-    getSnapshot(limit = null) {
-        return {
+    getBestBid() {
+        return this.bids.best();
+    }
+
+    getBestAsk() {
+        return this.asks.best();
+    }
+
+    // Level a market order on side fills against first
+    getBestLevel(side) {
+        return side === 'buy' ? this.getBestAsk() : this.getBestBid();
+    }
+
+    // `group` ({ step } or { bps }) merges the levels into price buckets
+    getSnapshot(limit = null, group = null) {
+        const step = this.getGroupStep(group);
+        const snapshot = {
             symbol: this.symbol,
+            exchange: this.exchange,
             lastUpdateId: this.lastUpdateId,
             lastUpdateTime: this.lastUpdateTime,
-            bids: this.getBids(limit),
-            asks: this.getAsks(limit),
-            spread: this.getSpread(),
-            midPrice: this.getMidPrice(),
+            seq: this.sequence,
+            bids: this.getBids(limit, step),
+            asks: this.getAsks(limit, step),
+            spread: this.getSpread()?.toString() ?? null,
+            midPrice: this.getMidPrice()?.toString() ?? null,
             totalBids: this.bids.size,
             totalAsks: this.asks.size
         };
+        if (group) {
+            snapshot.group = step ? step.toString() : null;
+        }
+        return snapshot;
     }
 
     getSpread() {
-        const bestBid = this.getBids(1)[0];
-        const bestAsk = this.getAsks(1)[0];
+        const bestBid = this.getBestBid();
+        const bestAsk = this.getBestAsk();
         
         if (bestBid && bestAsk) {
-            return bestAsk.price - bestBid.price;
+            return bestAsk.price.sub(bestBid.price);
         }
         return null;
     }
 
+    // Best bid at or above best ask: the book no longer matches the exchange's
+    isCrossed() {
+        const bestBid = this.getBestBid();
+        const bestAsk = this.getBestAsk();
+        return !!bestBid && !!bestAsk && bestBid.price.gte(bestAsk.price);
+    }
+
     getMidPrice() {
-        const bestBid = this.getBids(1)[0];
-        const bestAsk = this.getAsks(1)[0];
+        const bestBid = this.getBestBid();
+        const bestAsk = this.getBestAsk();
         
         if (!bestBid || !bestAsk) {
             return null;
         }
         
-        return (bestBid.price + bestAsk.price) / 2;
+        return bestBid.price.add(bestAsk.price).div(2, this.priceScale + 1).trim(this.priceScale);
     }
 
     // Calculate accumulated quantity to reach a specific price level
     getAccumulatedQuantityToPrice(targetPrice, side = 'both') {
-        let accBidQty = 0;
-        let accAskQty = 0;
-        let accBidCost = 0;
-        let accAskCost = 0;
+        if (!ACCUMULATION_SIDES.includes(side)) {
+            throw new Error(`Invalid side: ${side} (expected ${ACCUMULATION_SIDES.join(', ')})`);
+        }
+        targetPrice = this.toPrice(targetPrice);
+        let accBidQty = Decimal.zero(this.quantityScale);
+        let accAskQty = Decimal.zero(this.quantityScale);
+        let accBidCost = Decimal.zero(this.priceScale);
+        let accAskCost = Decimal.zero(this.priceScale);
 
         // Calculate accumulated bid quantity (buy orders)
         if (side === 'both' || side === 'bids') {
-            const sortedBids = Array.from(this.bids.values())
-                .sort((a, b) => b.price - a.price); // Highest to lowest
-
-            for (const level of sortedBids) {
-                if (level.price >= targetPrice) {
-                    accBidQty += level.quantity;
-                    accBidCost += level.quantity * level.price;
+            for (const level of this.bids) { // Highest to lowest
+                if (level.price.gte(targetPrice)) {
+                    accBidQty = accBidQty.add(level.quantity);
+                    accBidCost = accBidCost.add(level.quantity.mul(level.price));
                 } else {
                     break; // Stop when we reach prices below target
                 }
@@ -130,153 +230,273 @@ class OrderBook {
 
         // Calculate accumulated ask quantity (sell orders)
         if (side === 'both' || side === 'asks') {
-            const sortedAsks = Array.from(this.asks.values())
-                .sort((a, b) => a.price - b.price); // Lowest to highest
-
-            for (const level of sortedAsks) {
-                if (level.price <= targetPrice) {
-                    accAskQty += level.quantity;
-                    accAskCost += level.quantity * level.price;
+            for (const level of this.asks) { // Lowest to highest
+                if (level.price.lte(targetPrice)) {
+                    accAskQty = accAskQty.add(level.quantity);
+                    accAskCost = accAskCost.add(level.quantity.mul(level.price));
                 } else {
                     break; // Stop when we reach prices above target
                 }
             }
         }
 
+        const totalQty = accBidQty.add(accAskQty);
+        const totalCost = accBidCost.add(accAskCost);
+
         return {
             targetPrice,
             bids: {
                 quantity: accBidQty,
-                cost: accBidCost,
-                averagePrice: accBidQty > 0 ? accBidCost / accBidQty : 0
+                cost: accBidCost.trim(this.priceScale),
+                averagePrice: this.averagePrice(accBidCost, accBidQty)
             },
             asks: {
                 quantity: accAskQty,
-                cost: accAskCost,
-                averagePrice: accAskQty > 0 ? accAskCost / accAskQty : 0
+                cost: accAskCost.trim(this.priceScale),
+                averagePrice: this.averagePrice(accAskCost, accAskQty)
             },
             total: {
-                quantity: accBidQty + accAskQty,
-                cost: accBidCost + accAskCost,
-                averagePrice: (accBidQty + accAskQty) > 0 ? (accBidCost + accAskCost) / (accBidQty + accAskQty) : 0
+                quantity: totalQty,
+                cost: totalCost.trim(this.priceScale),
+                averagePrice: this.averagePrice(totalCost, totalQty)
             }
         };
     }
 
     // Calculate market impact for a given order size
     getMarketImpact(orderSize, side = 'buy') {
-        if (orderSize <= 0) {
+        this.checkOrderSide(side);
+        orderSize = this.toQuantity(orderSize);
+        if (!orderSize.isPositive()) {
             return null;
         }
+        return this.simulateMarketOrder(orderSize, side);
+    }
+
+    checkOrderSide(side) {
+        if (!ORDER_SIDES.includes(side)) {
+            throw new Error(`Invalid side: ${side} (expected ${ORDER_SIDES.join(', ')})`);
+        }
+    }
 
+    // Walks the opposite side of the book for a market order of orderSize
+    simulateMarketOrder(orderSize, side) {
         let remainingSize = orderSize;
-        let totalCost = 0;
+        let totalCost = Decimal.zero(this.priceScale);
         let levelsConsumed = [];
-        let finalPrice = 0;
+        let finalPrice = Decimal.zero(this.priceScale);
+
+        // Buying consumes asks (lowest first), selling consumes bids (highest first)
+        const levels = side === 'buy' ? this.asks : this.bids;
+        for (const level of levels) {
+            if (!remainingSize.isPositive()) break;
+
+            const consumed = Decimal.min(remainingSize, level.quantity);
+            const cost = consumed.mul(level.price);
+            totalCost = totalCost.add(cost);
+            remainingSize = remainingSize.sub(consumed);
+
+            levelsConsumed.push({
+                price: level.price,
+                quantity: consumed,
+                cost: cost.trim(this.priceScale)
+            });
 
-        if (side === 'buy') {
-            // Buying - consume asks (sell orders)
-            const sortedAsks = Array.from(this.asks.values())
-                .sort((a, b) => a.price - b.price); // Lowest to highest
+            finalPrice = level.price;
+        }
 
-            for (const level of sortedAsks) {
-                if (remainingSize <= 0) break;
+        const filledSize = orderSize.sub(remainingSize);
+        const averagePrice = this.averagePrice(totalCost, filledSize);
+        const bestLevel = this.getBestLevel(side);
+        let slippage = Decimal.zero();
+        if (bestLevel && filledSize.isPositive()) {
+            const priceMove = side === 'buy' ?
+                averagePrice.sub(bestLevel.price) :
+                bestLevel.price.sub(averagePrice);
+            slippage = priceMove.mul(100).div(bestLevel.price, AVERAGE_PRICE_EXTRA_SCALE).trim();
+        }
 
-                const consumed = Math.min(remainingSize, level.quantity);
-                totalCost += consumed * level.price;
-                remainingSize -= consumed;
+        return {
+            orderSize,
+            side,
+            totalCost: totalCost.trim(this.priceScale),
+            averagePrice,
+            finalPrice,
+            remainingSize,
+            filledSize,
+            levelsConsumed,
+            slippage,
+            canFill: remainingSize.isZero()
+        };
+    }
 
-                levelsConsumed.push({
-                    price: level.price,
-                    quantity: consumed,
-                    cost: consumed * level.price
-                });
+    /**
+     * Market impact of an order sized in the quote currency: spending (buy) or
+     * receiving (sell) `notional`. The size is what the book fills for it,
+     * rounded down to the step size; canFill tells whether the book was deep
+     * enough, and reason why not: `emptyBook`, `belowLotSize` when the notional
+     * buys less than one step at the touch, or `depth`.
+     */
+    getMarketImpactByNotional(notional, side = 'buy') {
+        this.checkOrderSide(side);
+        notional = Decimal.from(notional);
+        if (!notional.isPositive()) {
+            return null;
+        }
 
-                finalPrice = level.price;
+        let remaining = notional;
+        let size = Decimal.zero(this.quantityScale);
+        let exhausted = true;
+        for (const level of side === 'buy' ? this.asks : this.bids) {
+            const cost = level.quantity.mul(level.price);
+            if (cost.gt(remaining)) {
+                size = size.add(this.floorQuantity(remaining, level.price));
+                exhausted = false;
+                break;
             }
-        } else {
-            // Selling - consume bids (buy orders)
-            const sortedBids = Array.from(this.bids.values())
-                .sort((a, b) => b.price - a.price); // Highest to lowest
+            size = size.add(level.quantity);
+            remaining = remaining.sub(cost);
+            if (remaining.isZero()) {
+                exhausted = false;
+                break;
+            }
+        }
 
-            for (const level of sortedBids) {
-                if (remainingSize <= 0) break;
+        let reason = null;
+        if (!size.isPositive()) {
+            reason = this.getBestLevel(side) ? 'belowLotSize' : 'emptyBook';
+        } else if (exhausted) {
+            reason = 'depth';
+        }
 
-                const consumed = Math.min(remainingSize, level.quantity);
-                totalCost += consumed * level.price;
-                remainingSize -= consumed;
+        const impact = this.simulateMarketOrder(size, side);
+        return {
+            ...impact,
+            notional,
+            remainingNotional: notional.sub(impact.totalCost).trim(this.priceScale),
+            canFill: reason === null,
+            reason
+        };
+    }
 
-                levelsConsumed.push({
-                    price: level.price,
-                    quantity: consumed,
-                    cost: consumed * level.price
-                });
+    /**
+     * Largest market order whose average price stays within maxSlippageBps of
+     * the touch, and/or whose levels are all at or better than limitPrice.
+     * limitedBy names the constraint that stopped it: `slippage`,
+     * `limitPrice` or `depth` when the whole side fits. When not even one
+     * step fits, canFill is false and reason is `emptyBook` or limitedBy.
+     */
+    getMaxMarketOrder(side = 'buy', { maxSlippageBps = null, limitPrice = null } = {}) {
+        this.checkOrderSide(side);
+        if (maxSlippageBps === null && limitPrice === null) {
+            throw new Error('maxSlippageBps or limitPrice is required');
+        }
+        const limit = limitPrice !== null ? this.toPrice(limitPrice) : null;
+        const best = this.getBestLevel(side);
+
+        // The average price bound, scaled by BPS to stay exact:
+        // cost * BPS <= quantity * bound for buys, >= for sells
+        let bound = null;
+        if (maxSlippageBps !== null && best) {
+            const bps = Decimal.from(maxSlippageBps);
+            bound = best.price.mul(side === 'buy' ? bps.add(BPS) : Decimal.from(BPS).sub(bps));
+        }
 
-                finalPrice = level.price;
+        let size = Decimal.zero(this.quantityScale);
+        let cost = Decimal.zero(this.priceScale);
+        let limitedBy = 'depth';
+        for (const level of side === 'buy' ? this.asks : this.bids) {
+            if (limit && (side === 'buy' ? level.price.gt(limit) : level.price.lt(limit))) {
+                limitedBy = 'limitPrice';
+                break;
+            }
+            const scaledPrice = level.price.mul(BPS);
+            const beyond = bound && (side === 'buy' ? scaledPrice.gt(bound) : scaledPrice.lt(bound));
+            if (beyond) {
+                // Quantity x at this price keeping the average within the bound:
+                // x <= (bound * size - BPS * cost) / (BPS * price - bound)
+                const room = this.floorQuantity(bound.mul(size).sub(cost.mul(BPS)), scaledPrice.sub(bound));
+                if (room.lt(level.quantity)) {
+                    size = size.add(room);
+                    limitedBy = 'slippage';
+                    break;
+                }
             }
+            size = size.add(level.quantity);
+            cost = cost.add(level.quantity.mul(level.price));
         }
 
-        const averagePrice = totalCost / (orderSize - remainingSize);
-        const slippage = side === 'buy' ? 
-            (averagePrice - this.getAsks(1)[0]?.price) / this.getAsks(1)[0]?.price * 100 :
-            (this.getBids(1)[0]?.price - averagePrice) / this.getBids(1)[0]?.price * 100;
+        let reason = null;
+        if (!size.isPositive()) {
+            reason = best ? limitedBy : 'emptyBook';
+        }
 
         return {
-            orderSize,
-            side,
-            totalCost,
-            averagePrice,
-            finalPrice,
-            remainingSize,
-            filledSize: orderSize - remainingSize,
-            levelsConsumed,
-            slippage: slippage || 0,
-            canFill: remainingSize === 0
+            ...this.simulateMarketOrder(size, side),
+            canFill: reason === null,
+            reason,
+            maxSlippageBps,
+            limitPrice: limit,
+            limitedBy
+        };
+    }
+
+    // amount / divisor as a quantity, rounded down to the step size
+    floorQuantity(amount, divisor) {
+        const quantity = amount.div(divisor, this.stepSize ? this.quantityScale : PARTIAL_FILL_SCALE, 'floor');
+        if (quantity.isNegative()) {
+            return Decimal.zero(this.quantityScale);
+        }
+        return this.toQuantity(this.stepSize ? quantity.roundToStep(this.stepSize, 'floor') : quantity);
+    }
+
+    /**
+     * Taker fees on a market impact, at feeBps of the notional. totalCost and
+     * averagePrice include them: paid on top of buys, taken off sells.
+     */
+    addFees(impact, feeBps) {
+        const rate = Decimal.from(feeBps);
+        const amount = impact.totalCost.mul(rate).div(BPS, impact.totalCost.scale + rate.scale + 4).trim(this.priceScale);
+        const totalCost = impact.side === 'buy' ? impact.totalCost.add(amount) : impact.totalCost.sub(amount);
+        return {
+            ...impact,
+            fees: {
+                rateBps: rate,
+                amount,
+                totalCost,
+                averagePrice: this.averagePrice(totalCost, impact.filledSize)
+            }
         };
     }
 
     // Get liquidity profile at different price levels
-    getLiquidityProfile(levels = 10) {
-        const bids = this.getBids(levels);
-        const asks = this.getAsks(levels);
-        
+    getLiquidityProfile(levels = 10, group = null) {
+        const step = this.getGroupStep(group);
         const profile = {
-            bids: [],
-            asks: [],
+            bids: this.accumulateLevels(this.getLevels(this.bids, levels, step)),
+            asks: this.accumulateLevels(this.getLevels(this.asks, levels, step)),
             timestamp: Date.now()
         };
 
-        // Calculate accumulated quantities for bids
-        let accBidQty = 0;
-        let accBidCost = 0;
-        for (const level of bids) {
-            accBidQty += level.quantity;
-            accBidCost += level.quantity * level.price;
-            profile.bids.push({
-                ...level,
-                accumulatedQuantity: accBidQty,
-                accumulatedCost: accBidCost,
-                averagePrice: accBidQty > 0 ? accBidCost / accBidQty : 0
-            });
-        }
-
-        // Calculate accumulated quantities for asks
-        let accAskQty = 0;
-        let accAskCost = 0;
-        for (const level of asks) {
-            accAskQty += level.quantity;
-            accAskCost += level.quantity * level.price;
-            profile.asks.push({
-                ...level,
-                accumulatedQuantity: accAskQty,
-                accumulatedCost: accAskCost,
-                averagePrice: accAskQty > 0 ? accAskCost / accAskQty : 0
-            });
-        }
-
         return profile;
     }
 
+    accumulateLevels(levels) {
+        let accQty = Decimal.zero(this.quantityScale);
+        let accCost = Decimal.zero(this.priceScale);
+
+        return levels.map(level => {
+            accQty = accQty.add(level.quantity);
+            accCost = accCost.add(level.quantity.mul(level.price));
+            return {
+                ...level.toJSON(),
+                accumulatedQuantity: accQty,
+                accumulatedCost: accCost.trim(this.priceScale),
+                averagePrice: this.averagePrice(accCost, accQty)
+            };
+        });
+    }
+
     updateLastUpdateId(updateId) {
         this.lastUpdateId = updateId;
         this.lastUpdateTime = Date.now();
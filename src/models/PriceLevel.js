@@ -1,31 +1,39 @@
+const Decimal = require('../utils/decimal');
+
 class PriceLevel {
     constructor(price, quantity, count = 1) {
-        this.price = parseFloat(price);
-        this.quantity = parseFloat(quantity);
+        this.price = Decimal.from(price);
+        this.sortKey = this.price.toNumber(); // float approximation for fast ordering
+        this.quantity = Decimal.from(quantity);
         this.count = parseInt(count);
         this.timestamp = Date.now();
+        this.venues = null; // consolidated books: venue -> quantity
     }
 
     update(quantity, count) {
-        this.quantity = parseFloat(quantity);
+        this.quantity = Decimal.from(quantity);
         this.count = parseInt(count);
         this.timestamp = Date.now();
     }
 
     remove() {
-        this.quantity = 0;
+        this.quantity = Decimal.zero(this.quantity.scale);
         this.count = 0;
         this.timestamp = Date.now();
     }
 
     toJSON() {
-        return {
-            price: this.price,
-            quantity: this.quantity,
+        const json = {
+            price: this.price.toString(),
+            quantity: this.quantity.toString(),
             count: this.count,
             timestamp: this.timestamp
         };
+        if (this.venues) {
+            json.venues = this.venues;
+        }
+        return json;
     }
 }
 
-module.exports = PriceLevel; 
\ No newline at end of file
+module.exports = PriceLevel;
@@ -0,0 +1,190 @@
+const Decimal = require('../utils/decimal');
+const Validators = require('../utils/validators');
+const config = require('../config/trades');
+
+// Decimals of VWAPs beyond the price scale, and of imbalance ratios
+const VWAP_EXTRA_SCALE = 8;
+const IMBALANCE_SCALE = 4;
+
+// Window label as configured, e.g. 300000 -> "5m"
+function formatWindow(ms) {
+    if (ms % (60 * 60 * 1000) === 0) {
+        return `${ms / (60 * 60 * 1000)}h`;
+    }
+    if (ms % (60 * 1000) === 0) {
+        return `${ms / (60 * 1000)}m`;
+    }
+    return `${ms / 1000}s`;
+}
+
+/**
+ * Recent trades of one orderbook and the analytics derived from them: last
+ * price, VWAP and buy/sell volume imbalance over time windows, and how much
+ * of each depth reduction was consumed by trades rather than cancelled.
+ * Trade sides are the aggressor's: a 'buy' lifts asks, a 'sell' hits bids.
+ */
+class TradeBuffer {
+    constructor(orderbook, options = {}) {
+        this.orderbook = orderbook; // price and quantity scales
+        this.maxTrades = options.maxTrades || config.bufferSize;
+        this.matchWindow = options.matchWindow || config.matchWindow;
+        this.trades = []; // oldest first
+        this.ids = new Set(); // ids of the buffered trades
+        this.unmatched = new Map(); // `${side}:${price}` -> traded volume not yet seen in a depth diff
+        this.totalTrades = 0;
+        this.levelFlow = {
+            consumed: Decimal.zero(orderbook.quantityScale),
+            cancelled: Decimal.zero(orderbook.quantityScale),
+            consumedEvents: 0,
+            cancelledEvents: 0
+        };
+    }
+
+    // trade: { id, price, quantity, side: 'buy' | 'sell', time }; returns null for a trade already added
+    add(trade, now = Date.now()) {
+        if (trade.id !== undefined && trade.id !== null && this.ids.has(trade.id)) {
+            return null;
+        }
+
+        const normalized = {
+            id: trade.id,
+            price: this.orderbook.toPrice(trade.price),
+            quantity: this.orderbook.toQuantity(trade.quantity),
+            side: trade.side,
+            time: trade.time
+        };
+
+        this.trades.push(normalized);
+        this.ids.add(normalized.id);
+        if (this.trades.length > this.maxTrades) {
+            this.ids.delete(this.trades.shift().id);
+        }
+        this.totalTrades++;
+
+        // The maker side loses the traded quantity at the trade price
+        this.pruneUnmatched(now);
+        const key = `${normalized.side === 'buy' ? 'asks' : 'bids'}:${normalized.price}`;
+        const pending = this.unmatched.get(key);
+        this.unmatched.set(key, {
+            quantity: pending ? pending.quantity.add(normalized.quantity) : normalized.quantity,
+            time: now
+        });
+        return normalized;
+    }
+
+    pruneUnmatched(now) {
+        for (const [key, pending] of this.unmatched) {
+            if (now - pending.time > this.matchWindow) {
+                this.unmatched.delete(key);
+            }
+        }
+    }
+
+    // Classifies the levels of a diff about to be applied to the book
+    classifyDiff(side, levels, now = Date.now()) {
+        this.pruneUnmatched(now);
+        for (const level of levels) {
+            if (!Validators.isValidPriceLevel(level)) {
+                continue;
+            }
+
+            const price = this.orderbook.toPrice(level[0]);
+            const existing = this.orderbook[side].get(price);
+            const quantity = this.orderbook.toQuantity(level[1]);
+            if (existing && quantity.lt(existing.quantity)) {
+                this.classifyReduction(side, price, existing.quantity.sub(quantity));
+            }
+        }
+    }
+
+    // Splits a level's quantity drop into traded and cancelled volume
+    classifyReduction(side, price, reduction) {
+        const key = `${side}:${price}`;
+        const pending = this.unmatched.get(key);
+        const consumed = pending ? Decimal.min(pending.quantity, reduction) : Decimal.zero(reduction.scale);
+        const cancelled = reduction.sub(consumed);
+
+        if (pending) {
+            const left = pending.quantity.sub(consumed);
+            if (left.isPositive()) {
+                pending.quantity = left;
+            } else {
+                this.unmatched.delete(key);
+            }
+        }
+        if (consumed.isPositive()) {
+            this.levelFlow.consumed = this.levelFlow.consumed.add(consumed);
+            this.levelFlow.consumedEvents++;
+        }
+        if (cancelled.isPositive()) {
+            this.levelFlow.cancelled = this.levelFlow.cancelled.add(cancelled);
+            this.levelFlow.cancelledEvents++;
+        }
+        return { consumed, cancelled };
+    }
+
+    // Most recent trades, newest first
+    getTrades(limit = null) {
+        const trades = limit ? this.trades.slice(-limit) : this.trades.slice();
+        return trades.reverse();
+    }
+
+    getLastTrade() {
+        return this.trades[this.trades.length - 1] || null;
+    }
+
+    getLastPrice() {
+        const last = this.getLastTrade();
+        return last ? last.price : null;
+    }
+
+    // VWAP, volumes and imbalance of the trades within `window` ms of `now`
+    getWindowStats(window, now = Date.now()) {
+        const priceScale = this.orderbook.priceScale;
+        let buyVolume = Decimal.zero(this.orderbook.quantityScale);
+        let sellVolume = Decimal.zero(this.orderbook.quantityScale);
+        let notional = Decimal.zero(priceScale);
+        let trades = 0;
+
+        for (let i = this.trades.length - 1; i >= 0 && this.trades[i].time >= now - window; i--) {
+            const trade = this.trades[i];
+            if (trade.side === 'buy') {
+                buyVolume = buyVolume.add(trade.quantity);
+            } else {
+                sellVolume = sellVolume.add(trade.quantity);
+            }
+            notional = notional.add(trade.quantity.mul(trade.price));
+            trades++;
+        }
+
+        const volume = buyVolume.add(sellVolume);
+        return {
+            trades,
+            volume,
+            buyVolume,
+            sellVolume,
+            vwap: volume.isPositive() ? notional.div(volume, priceScale + VWAP_EXTRA_SCALE).trim(priceScale) : null,
+            // -1 (only sells) to 1 (only buys)
+            imbalance: volume.isPositive() ? buyVolume.sub(sellVolume).div(volume, IMBALANCE_SCALE).trim() : null
+        };
+    }
+
+    getSummary(windows = config.windows, now = Date.now()) {
+        const last = this.getLastTrade();
+        const summary = {
+            lastPrice: last ? last.price : null,
+            lastTradeTime: last ? last.time : null,
+            totalTrades: this.totalTrades,
+            windows: {},
+            levelFlow: { ...this.levelFlow }
+        };
+        for (const window of windows) {
+            summary.windows[formatWindow(window)] = this.getWindowStats(window, now);
+        }
+        return summary;
+    }
+}
+
+TradeBuffer.formatWindow = formatWindow;
+
+module.exports = TradeBuffer;
@@ -4,8 +4,37 @@ const WebSocket = require('ws');
 const http = require('http');
 const logger = require('./utils/logger');
 const OrderBookManager = require('./services/orderbookManager');
-const BinanceWebSocket = require('./services/binanceWebSocket');
+const { createConnectors } = require('./connectors');
+const SubscriptionManager = require('./services/subscriptionManager');
+const StreamRecorder = require('./services/streamRecorder');
+const StreamReplayer = require('./services/streamReplayer');
+const HistoryStore = require('./services/historyStore');
+const AlertEngine = require('./services/alertEngine');
+const PrometheusExporter = require('./services/prometheusExporter');
+const FeedHealthMonitor = require('./services/feedHealthMonitor');
+const SymbolRegistry = require('./services/symbolRegistry');
+const InstrumentRegistry = require('./services/instrumentRegistry');
+const ApiKeyRegistry = require('./services/apiKeyRegistry');
+const ApiRouter = require('./api/apiRouter');
+const schemas = require('./api/schemas');
+const { ApiError, sendError } = require('./api/errors');
+const { buildOpenApiDocument } = require('./api/openapi');
 const path = require('path'); // Added for serving static files
+const Validators = require('./utils/validators');
+const prometheus = require('./utils/prometheus');
+const BookMetrics = require('./models/BookMetrics');
+const MetricSeries = require('./models/MetricSeries');
+const LevelEventDetector = require('./models/LevelEventDetector');
+const serverConfig = require('./config/server');
+const exchangesConfig = require('./config/exchanges');
+const recordingConfig = require('./config/recording');
+const historyConfig = require('./config/history');
+const alertsConfig = require('./config/alerts');
+const metricsConfig = require('./config/metrics');
+const prometheusConfig = require('./config/prometheus');
+const instrumentsConfig = require('./config/instruments');
+const apiConfig = require('./config/api');
+const feesConfig = require('./config/fees');
 
 class OrderBookServer {
     constructor() {
@@ -14,7 +43,29 @@ class OrderBookServer {
         this.wss = new WebSocket.Server({ server: this.server });
         
         this.orderbookManager = new OrderBookManager();
-        this.binanceWebSocket = new BinanceWebSocket(this.orderbookManager);
+        if (historyConfig.directory) {
+            this.orderbookManager.history = new HistoryStore(this.orderbookManager);
+        }
+        this.alertEngine = alertsConfig.enabled ? new AlertEngine(this.orderbookManager) : null;
+        this.recorder = recordingConfig.directory && !recordingConfig.replayPath ? new StreamRecorder() : null;
+        this.replayer = null;
+        this.connectors = createConnectors(this.orderbookManager, exchangesConfig.enabled, {
+            recorder: this.recorder
+        }); // exchange id -> connector
+        this.feedHealth = new FeedHealthMonitor(this.orderbookManager, this.connectors, {
+            live: !recordingConfig.replayPath
+        });
+        this.instruments = instrumentsConfig.enabled ? new InstrumentRegistry(this.connectors, {
+            live: !recordingConfig.replayPath
+        }) : null;
+        this.symbols = new SymbolRegistry(this.orderbookManager, this.connectors, {
+            live: !recordingConfig.replayPath,
+            instruments: this.instruments
+        });
+        this.auth = new ApiKeyRegistry();
+        this.exporter = prometheusConfig.enabled ? new PrometheusExporter(this.orderbookManager, this.connectors, {
+            feedHealth: this.feedHealth
+        }) : null;
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -30,24 +81,32 @@ class OrderBookServer {
     }
 
     setupRoutes() {
-        // Health check
+        // Health check: 200 while every book is ok or degraded, 503 once one is unhealthy
         this.app.get('/health', (req, res) => {
             try {
+                const health = this.feedHealth.getHealth();
                 const stats = this.orderbookManager.getStats();
-                const config = require('./config/binance');
-                res.json({
-                    status: 'ok',
+                const exchanges = {};
+                let expectedOrderbooks = 0;
+                for (const [id, connector] of this.connectors) {
+                    exchanges[id] = {
+                        connected: connector.isConnected,
+                        streams: connector.subscribedStreams.size
+                    };
+                    expectedOrderbooks += connector.symbols.size;
+                }
+
+                res.status(health.status === FeedHealthMonitor.HealthStatus.UNHEALTHY ? 503 : 200).json({
+                    status: health.status,
                     timestamp: new Date().toISOString(),
                     uptime: process.uptime(),
                     orderbooks: {
                         total: stats.totalOrderbooks,
                         symbols: stats.symbols,
-                        initialized: stats.totalOrderbooks === config.tradingPairs.length
+                        initialized: stats.totalOrderbooks === expectedOrderbooks
                     },
-                    binance: {
-                        connected: this.binanceWebSocket.isConnected,
-                        streams: this.binanceWebSocket.subscribedStreams.size
-                    }
+                    exchanges,
+                    books: health.books
                 });
             } catch (error) {
                 logger.error(`Health check error: ${error.message}`);
@@ -58,292 +117,787 @@ class OrderBookServer {
             }
         });
 
-        // Get all orderbooks
-        this.app.get('/api/orderbooks', (req, res) => {
+        // Health of one book (`symbol` or `exchange:symbol`), for per-symbol checks
+        this.app.get('/health/:symbol', (req, res) => {
             try {
-                const orderbooks = this.orderbookManager.getAllOrderBooks();
-                res.json({
-                    success: true,
-                    data: orderbooks,
-                    timestamp: Date.now()
-                });
-            } catch (error) {
-                logger.error(`Error getting orderbooks: ${error.message}`);
-                res.status(500).json({
-                    success: false,
-                    error: 'Internal server error'
-                });
-            }
-        });
-
-        // Get specific orderbook (all levels)
-        this.app.get('/api/orderbooks/:symbol', (req, res) => {
-            try {
-                const symbol = req.params.symbol.toLowerCase();
-                const orderbook = this.orderbookManager.getOrderBook(symbol);
-                
-                if (!orderbook) {
+                const key = this.orderbookManager.resolveKey(req.params.symbol);
+                const book = this.feedHealth.getHealth().books[key];
+                if (!book) {
                     return res.status(404).json({
-                        success: false,
-                        error: `Orderbook not found for symbol: ${symbol}`
+                        status: 'error',
+                        error: `Orderbook not found for symbol: ${req.params.symbol}`
                     });
                 }
 
-                res.json({
-                    success: true,
-                    data: orderbook.getSnapshot(),
-                    timestamp: Date.now()
+                res.status(book.status === FeedHealthMonitor.HealthStatus.UNHEALTHY ? 503 : 200).json({
+                    book: key,
+                    ...book,
+                    timestamp: new Date().toISOString()
                 });
             } catch (error) {
-                logger.error(`Error getting orderbook: ${error.message}`);
+                logger.error(`Health check error: ${error.message}`);
                 res.status(500).json({
-                    success: false,
-                    error: 'Internal server error'
+                    status: 'error',
+                    error: error.message
                 });
             }
         });
 
+        // Versioned REST API, described by its OpenAPI document
+        this.api = this.createApiRoutes();
+        this.openapi = buildOpenApiDocument(this.api, { basePath: '/api/v1', auth: this.auth.enabled });
+        this.app.get('/api/v1/openapi.json', (req, res) => {
+            res.json(this.openapi);
+        });
+
+        // API keys and their rate limits; health checks, the viewer page and the API document stay open
+        this.app.use(['/api', '/metrics'], this.auth.authenticate());
+
+        // Prometheus scrape endpoint
+        if (this.exporter) {
+            this.app.get('/metrics', this.auth.authorize(ApiKeyRegistry.Scopes.READ), (req, res) => {
+                try {
+                    res.set('Content-Type', prometheus.CONTENT_TYPE);
+                    res.send(this.exporter.metrics());
+                } catch (error) {
+                    logger.error(`Error collecting metrics: ${error.message}`);
+                    res.status(500).send('Internal server error');
+                }
+            });
+        }
+
         // Serve static HTML page for orderbook visualization
         this.app.get('/orderbook-viewer', (req, res) => {
             res.sendFile(path.join(__dirname, '../public/orderbook-viewer.html'));
         });
 
-        // Get specific orderbook with limit
-        this.app.get('/api/orderbooks/:symbol/limit/:limit', (req, res) => {
-            try {
-                const symbol = req.params.symbol.toLowerCase();
-                const limit = parseInt(req.params.limit);
-                const orderbook = this.orderbookManager.getOrderBook(symbol);
-                
-                if (!orderbook) {
-                    return res.status(404).json({
-                        success: false,
-                        error: `Orderbook not found for symbol: ${symbol}`
-                    });
-                }
-
-                if (isNaN(limit) || limit < 1) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Invalid limit parameter'
-                    });
+        this.app.use('/api/v1', this.api.router);
+        // The unversioned paths of earlier releases, flagged as deprecated
+        if (apiConfig.legacyRoutes) {
+            this.app.use('/api', (req, res, next) => {
+                if (!/^\/v1(\/|$)/.test(req.path)) {
+                    res.set('Deprecation', 'true');
+                    res.set('Link', `</api/v1${req.path}>; rel="successor-version"`);
                 }
+                next();
+            }, this.api.router);
+        }
 
-                res.json({
-                    success: true,
-                    data: orderbook.getSnapshot(limit),
-                    timestamp: Date.now()
-                });
-            } catch (error) {
-                logger.error(`Error getting orderbook: ${error.message}`);
-                res.status(500).json({
-                    success: false,
-                    error: 'Internal server error'
-                });
+        // Error handler: malformed JSON bodies, then anything unexpected
+        this.app.use((error, req, res, next) => {
+            if (error.type === 'entity.parse.failed') {
+                return sendError(res, 400, 'Request body is not valid JSON');
             }
+            logger.error(`Unhandled error: ${error.message}`);
+            sendError(res, 500, 'Internal server error');
         });
 
-        // Get accumulated quantity to reach a specific price
-        this.app.get('/api/orderbooks/:symbol/acc-qty/:price', (req, res) => {
-            try {
-                const symbol = req.params.symbol.toLowerCase();
-                const targetPrice = parseFloat(req.params.price);
-                const side = req.query.side || 'both'; // 'bids', 'asks', or 'both'
-                const orderbook = this.orderbookManager.getOrderBook(symbol);
-                
-                if (!orderbook) {
-                    return res.status(404).json({
-                        success: false,
-                        error: `Orderbook not found for symbol: ${symbol}`
-                    });
-                }
+        // 404 handler
+        this.app.use((req, res) => {
+            sendError(res, 404, 'Endpoint not found');
+        });
+    }
 
-                if (isNaN(targetPrice) || targetPrice <= 0) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Invalid price parameter'
-                    });
-                }
+    createRouter(tags) {
+        return new ApiRouter({ tags, auth: this.auth });
+    }
 
-                const accQty = orderbook.getAccumulatedQuantityToPrice(targetPrice, side);
+    // Every REST route with its schemas, relative to /api/v1
+    createApiRoutes() {
+        const { Scopes } = ApiKeyRegistry;
+        const api = this.createRouter(['Server']);
+        const orderbookRoutes = this.createOrderBookRoutes();
+        const tradeRoutes = this.createTradeRoutes();
+        const eventRoutes = this.createEventRoutes();
 
-                res.json({
-                    success: true,
-                    data: accQty,
-                    timestamp: Date.now()
-                });
-            } catch (error) {
-                logger.error(`Error calculating accumulated quantity: ${error.message}`);
-                res.status(500).json({
-                    success: false,
-                    error: 'Internal server error'
-                });
+        // Orderbook routes for the default exchange and for any exchange
+        api.use('/orderbooks', { scope: Scopes.READ }, orderbookRoutes);
+        const exchangeRoutes = this.createRouter();
+        exchangeRoutes.use('/orderbooks', {}, orderbookRoutes);
+        exchangeRoutes.use('/trades', {}, tradeRoutes);
+        exchangeRoutes.use('/events', {}, eventRoutes);
+        api.use('/exchanges/:exchange', { scope: Scopes.READ, params: { exchange: schemas.ExchangeParameter } }, (req, res, next) => {
+            if (!this.connectors.has(req.params.exchange.toLowerCase())) {
+                return sendError(res, 404, `Exchange not found: ${req.params.exchange}`);
+            }
+            next();
+        }, exchangeRoutes);
+
+        // Trades and trade analytics
+        api.use('/trades', { scope: Scopes.READ }, tradeRoutes);
+
+        // Level events: large orders, walls and suspected spoofing
+        api.use('/events', { scope: Scopes.READ }, eventRoutes);
+
+        // Exchange instrument metadata: tick and lot sizes, minimum notional, status
+        if (this.instruments) {
+            api.use('/instruments', { scope: Scopes.READ }, this.createInstrumentRoutes());
+        }
+
+        // Symbols streamed from each exchange, changed without a restart
+        api.use('/symbols', { scope: Scopes.READ }, this.createSymbolRoutes());
+
+        // Alert rules and the alerts they raised
+        if (this.alertEngine) {
+            api.use('/alerts', { scope: Scopes.ALERTS }, this.createAlertRoutes());
+        }
+
+        // Same routes on books consolidated across exchanges (?venues=a,b)
+        const venues = {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Exchanges to consolidate (default: all)'
+        };
+        api.use('/consolidated', { scope: Scopes.READ, query: { venues } }, (req, res, next) => {
+            const requested = req.query.venues ?
+                String(req.query.venues).toLowerCase().split(',').map(venue => venue.trim()).filter(Boolean) :
+                null;
+            const unknown = (requested || []).filter(venue => !this.connectors.has(venue));
+            if (unknown.length > 0) {
+                return sendError(res, 400, `Unknown venues: ${unknown.join(', ')}`);
             }
+            req.consolidated = { venues: requested };
+            next();
+        }, orderbookRoutes);
+
+        api.get('/exchanges', {
+            summary: 'Connected exchanges and their symbols',
+            scope: Scopes.READ,
+            response: { type: 'array', items: schemas.components.Exchange }
+        }, () => Array.from(this.connectors.values(), connector => {
+            const status = connector.getStatus();
+            return {
+                exchange: status.exchange,
+                name: status.name,
+                connected: status.connected,
+                symbols: status.symbols,
+                takerFees: feesConfig.getTakerFees(status.exchange)
+            };
+        }));
+
+        api.get('/keys', {
+            summary: 'API keys and their usage',
+            scope: Scopes.ADMIN,
+            response: schemas.components.ApiKeys
+        }, () => this.auth.getStats());
+
+        api.get('/stats', {
+            summary: 'Statistics of every component',
+            scope: Scopes.READ,
+            response: schemas.components.Stats
+        }, () => ({
+            orderbookManager: this.orderbookManager.getStats(),
+            exchanges: Object.fromEntries(Array.from(this.connectors, ([id, connector]) => [id, connector.getStatus()])),
+            recorder: this.recorder ? this.recorder.getStats() : null,
+            replay: this.replayer ? this.replayer.getStats() : null,
+            history: this.orderbookManager.history ? this.orderbookManager.history.getStats() : null,
+            alerts: this.alertEngine ? this.alertEngine.getStats() : null,
+            instruments: this.instruments ? this.instruments.getStats() : null,
+            health: this.feedHealth.getHealth(),
+            server: {
+                uptime: process.uptime(),
+                memory: process.memoryUsage(),
+                timestamp: Date.now()
+            }
+        }));
+
+        return api;
+    }
+
+    // Book for /orderbooks/:symbol, /exchanges/:exchange/orderbooks/:symbol
+    // or /consolidated/:symbol
+    getRequestedOrderBook(req) {
+        if (req.consolidated) {
+            return this.orderbookManager.getConsolidatedBook(req.params.symbol, req.consolidated.venues);
+        }
+        const exchange = req.params.exchange || exchangesConfig.defaultExchange;
+        return this.orderbookManager.getOrderBook(OrderBookManager.getBookKey(exchange, req.params.symbol));
+    }
+
+    requireOrderBook(req) {
+        const orderbook = this.getRequestedOrderBook(req);
+        if (!orderbook) {
+            throw new ApiError(404, `Orderbook not found for symbol: ${req.params.symbol.toLowerCase()}`);
+        }
+        return orderbook;
+    }
+
+    // Snapshot of the requested book, in buckets of ?group= when given
+    getRequestedSnapshot(req, limit) {
+        const orderbook = this.requireOrderBook(req);
+        const group = req.input.query.group || null;
+        const groupError = Validators.validatePriceGroup(group, orderbook.tickSize);
+        if (groupError) {
+            throw new ApiError(400, groupError);
+        }
+        return orderbook.getSnapshot(limit, group);
+    }
+
+    createOrderBookRoutes() {
+        const router = this.createRouter(['Orderbooks']);
+        const { components } = schemas;
+        const symbol = { symbol: schemas.SymbolParameter };
+
+        // Get all orderbooks
+        router.get('/', {
+            summary: 'Every book, by key',
+            response: { type: 'object', additionalProperties: components.OrderBook }
+        }, req => (req.consolidated ?
+            this.orderbookManager.getAllConsolidatedBooks(req.consolidated.venues) :
+            this.orderbookManager.getAllOrderBooks(req.params.exchange && req.params.exchange.toLowerCase())));
+
+        // Get specific orderbook (all levels), optionally grouped into price buckets
+        router.get('/:symbol', {
+            summary: 'Every level of a book',
+            params: symbol,
+            query: { group: schemas.PriceGroup },
+            response: components.OrderBook
+        }, req => this.getRequestedSnapshot(req, null));
+
+        // Get specific orderbook with limit
+        router.get('/:symbol/limit/:limit', {
+            summary: 'The top levels of a book',
+            params: { ...symbol, limit: { ...schemas.Limit, description: 'Levels per side' } },
+            query: { group: schemas.PriceGroup },
+            response: components.OrderBook
+        }, req => this.getRequestedSnapshot(req, req.input.params.limit));
+
+        // Get accumulated quantity to reach a specific price
+        router.get('/:symbol/acc-qty/:price', {
+            summary: 'Quantity and cost between the touch and a price',
+            params: { ...symbol, price: { ...schemas.Decimal, exclusiveMinimum: 0, description: 'Target price' } },
+            query: { side: { type: 'string', enum: ['bids', 'asks', 'both'], default: 'both' } },
+            response: components.AccumulatedQuantity
+        }, req => {
+            const orderbook = this.requireOrderBook(req);
+            const { price } = req.input.params;
+            const priceError = Validators.validatePrice(price, this.getRequestedInstrument(req));
+            if (priceError) {
+                throw new ApiError(400, priceError);
+            }
+            return orderbook.getAccumulatedQuantityToPrice(price, req.input.query.side);
         });
 
+        const side = { type: 'string', enum: ['buy', 'sell'], default: 'buy' };
+        const fees = {
+            feeTier: { type: 'string', description: 'Taker fee tier of the exchange, as listed by /exchanges' },
+            feeBps: { type: 'number', minimum: 0, maximum: 1000, description: 'Taker fee in bps of the notional' }
+        };
+
         // Calculate market impact for a given order size
-        this.app.get('/api/orderbooks/:symbol/market-impact/:size', (req, res) => {
-            try {
-                const symbol = req.params.symbol.toLowerCase();
-                const orderSize = parseFloat(req.params.size);
-                const side = req.query.side || 'buy'; // 'buy' or 'sell'
-                const orderbook = this.orderbookManager.getOrderBook(symbol);
-                
-                if (!orderbook) {
-                    return res.status(404).json({
-                        success: false,
-                        error: `Orderbook not found for symbol: ${symbol}`
-                    });
+        router.get('/:symbol/market-impact/:size', {
+            summary: 'Fill, average price and slippage of a market order',
+            params: { ...symbol, size: { ...schemas.Decimal, exclusiveMinimum: 0, description: 'Order size in base currency' } },
+            query: { side, ...fees },
+            response: components.MarketImpact
+        }, req => this.getRequestedMarketImpact(req, orderbook =>
+            orderbook.getMarketImpact(req.input.params.size, req.input.query.side)));
+
+        // Market impact of a quote notional, or the largest order within a slippage budget or limit price
+        router.get('/:symbol/market-impact', {
+            summary: 'Market impact of a quote notional, or the largest order within a slippage budget or limit price',
+            description: 'Give either notional, or maxSlippageBps and/or limitPrice.',
+            params: symbol,
+            query: {
+                side,
+                notional: { ...schemas.Decimal, exclusiveMinimum: 0, description: 'Quote amount to spend (buy) or receive (sell)' },
+                maxSlippageBps: { type: 'number', minimum: 0, maximum: 10000, description: 'Largest average price distance from the touch, in bps' },
+                limitPrice: { ...schemas.Decimal, exclusiveMinimum: 0, description: 'Worst price to fill at' },
+                ...fees
+            },
+            response: components.MarketImpact
+        }, req => {
+            const { side: orderSide, notional, maxSlippageBps = null, limitPrice = null } = req.input.query;
+            const solve = maxSlippageBps !== null || limitPrice !== null;
+            if ((notional !== undefined) === solve) {
+                throw new ApiError(400, 'Give either notional, or maxSlippageBps and/or limitPrice');
+            }
+            if (limitPrice !== null) {
+                const priceError = Validators.validatePrice(limitPrice, this.getRequestedInstrument(req));
+                if (priceError) {
+                    throw new ApiError(400, priceError);
                 }
+            }
+            return this.getRequestedMarketImpact(req, orderbook => (solve ?
+                orderbook.getMaxMarketOrder(orderSide, { maxSlippageBps, limitPrice }) :
+                orderbook.getMarketImpactByNotional(notional, orderSide)));
+        });
 
-                if (isNaN(orderSize) || orderSize <= 0) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Invalid order size parameter'
-                    });
+        // Microstructure metrics: imbalance, microprice, depth around the mid, slope, spread
+        router.get('/:symbol/metrics', {
+            summary: 'Microstructure metrics of a book',
+            params: symbol,
+            query: {
+                levels: { type: 'integer', minimum: 1, maximum: 100, default: metricsConfig.levels, description: 'Levels per side for imbalance and slope' },
+                bps: {
+                    type: 'array',
+                    items: { type: 'number', exclusiveMinimum: 0, maximum: 10000 },
+                    minItems: 1,
+                    default: metricsConfig.depthBps,
+                    description: 'Distances from the mid, in basis points, to measure depth within'
                 }
+            },
+            response: components.BookMetrics
+        }, req => {
+            const orderbook = this.requireOrderBook(req);
+            const { levels, bps } = req.input.query;
+            return {
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                ...BookMetrics.compute(orderbook, { levels, depthBps: bps })
+            };
+        });
 
-                const marketImpact = orderbook.getMarketImpact(orderSize, side);
+        // Rolling metric history: 1s samples or 1m buckets
+        router.get('/:symbol/history', {
+            summary: 'Rolling history of the top-of-book metrics',
+            params: symbol,
+            query: {
+                metric: { type: 'string', enum: MetricSeries.Metrics, description: 'One metric (default: all)' },
+                resolution: { type: 'string', enum: Object.keys(MetricSeries.Resolutions), default: '1s' },
+                from: { ...schemas.Timestamp, description: 'Earliest point, in ms' },
+                to: { ...schemas.Timestamp, description: 'Latest point, in ms' }
+            },
+            response: components.MetricHistory
+        }, req => {
+            const orderbook = this.requireOrderBook(req);
+            const { metric = null, resolution, from = 0, to = Infinity } = req.input.query;
+            const series = this.orderbookManager.getMetricSeries(orderbook.key);
+            return {
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                metric,
+                resolution,
+                points: series ? series.getPoints(resolution, metric, from, to) : []
+            };
+        });
 
-                res.json({
-                    success: true,
-                    data: marketImpact,
-                    timestamp: Date.now()
-                });
-            } catch (error) {
-                logger.error(`Error calculating market impact: ${error.message}`);
-                res.status(500).json({
-                    success: false,
-                    error: 'Internal server error'
-                });
+        // Rebuild the orderbook as it was at a past instant (ms or ISO 8601)
+        router.get('/:symbol/at/:timestamp', {
+            summary: 'A book as it was at a past instant',
+            params: { ...symbol, timestamp: { type: 'string', format: 'timestamp', description: 'Unix time in ms, or ISO 8601' } },
+            query: { limit: { ...schemas.Limit, description: 'Levels per side' } },
+            response: components.HistoricalOrderBook
+        }, async req => {
+            const history = this.orderbookManager.history;
+            if (!history || req.consolidated) {
+                throw new ApiError(404, 'Orderbook history is not available');
+            }
+            const orderbook = this.requireOrderBook(req);
+            const { timestamp } = req.input.params;
+            if (timestamp > Date.now()) {
+                throw new ApiError(400, 'Invalid timestamp parameter (in the future)');
+            }
+
+            const result = await history.getBookAt(orderbook.key, timestamp);
+            if (!result) {
+                throw new ApiError(404, `No history for ${orderbook.key} at ${new Date(timestamp).toISOString()}`);
             }
+            return {
+                ...result.orderbook.getSnapshot(req.input.query.limit || null),
+                requestedTime: timestamp,
+                snapshotTime: result.snapshotTime,
+                asOf: result.asOf,
+                updatesApplied: result.updatesApplied,
+                compacted: result.compacted
+            };
         });
 
         // Get liquidity profile
-        this.app.get('/api/orderbooks/:symbol/liquidity-profile', (req, res) => {
-            try {
-                const symbol = req.params.symbol.toLowerCase();
-                const levels = parseInt(req.query.levels) || 10;
-                const orderbook = this.orderbookManager.getOrderBook(symbol);
-                
-                if (!orderbook) {
-                    return res.status(404).json({
-                        success: false,
-                        error: `Orderbook not found for symbol: ${symbol}`
-                    });
-                }
+        router.get('/:symbol/liquidity-profile', {
+            summary: 'Accumulated quantity and cost level by level',
+            params: symbol,
+            query: { levels: { type: 'integer', minimum: 1, maximum: 100, default: 10, description: 'Levels per side' } },
+            response: components.LiquidityProfile
+        }, req => this.requireOrderBook(req).getLiquidityProfile(req.input.query.levels));
 
-                if (isNaN(levels) || levels < 1 || levels > 100) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Invalid levels parameter (1-100)'
-                    });
-                }
+        return router;
+    }
 
-                const liquidityProfile = orderbook.getLiquidityProfile(levels);
+    createTradeRoutes() {
+        const router = this.createRouter(['Trades']);
 
-                res.json({
-                    success: true,
-                    data: liquidityProfile,
-                    timestamp: Date.now()
-                });
+        // Recent trades with last price, VWAP, imbalance and level flow
+        router.get('/:symbol', {
+            summary: 'Recent trades with VWAP, imbalance and level flow',
+            params: { symbol: schemas.SymbolParameter },
+            query: { limit: { ...schemas.Limit, default: 100 } },
+            response: schemas.components.Trades
+        }, req => {
+            const orderbook = this.requireOrderBook(req);
+            const trades = this.orderbookManager.getTradeBuffer(orderbook.key);
+            if (!trades) {
+                throw new ApiError(404, `No trades received for ${orderbook.key}`);
+            }
+            return {
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                ...trades.getSummary(),
+                trades: trades.getTrades(req.input.query.limit)
+            };
+        });
+
+        return router;
+    }
+
+    createEventRoutes() {
+        const router = this.createRouter(['Events']);
+
+        // Recent level events, newest first, optionally of one type and after a time
+        router.get('/:symbol', {
+            summary: 'Recent level events, newest first',
+            params: { symbol: schemas.SymbolParameter },
+            query: {
+                limit: { ...schemas.Limit, default: 100 },
+                since: { type: 'number', description: 'Only events after this time, in ms' },
+                type: { type: 'string', enum: Object.values(LevelEventDetector.EventTypes) }
+            },
+            response: schemas.components.LevelEvents
+        }, req => {
+            const orderbook = this.requireOrderBook(req);
+            if (!this.orderbookManager.eventsEnabled) {
+                throw new ApiError(404, 'Level event detection is disabled');
+            }
+            const { limit, since = null, type = null } = req.input.query;
+            const detector = this.orderbookManager.getLevelEvents(orderbook.key);
+            return {
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                ...(detector ? detector.getStats() : { totalEvents: 0 }),
+                events: detector ? detector.getEvents({ limit, type, since }) : []
+            };
+        });
+
+        return router;
+    }
+
+    createInstrumentRoutes() {
+        const router = this.createRouter(['Instruments']);
+        const exchange = { type: 'string', description: 'Exchange id' };
+
+        // Every instrument, or those of ?exchange=
+        router.get('/', {
+            summary: 'Instruments of every exchange',
+            query: { exchange },
+            response: { type: 'array', items: schemas.components.Instrument },
+            notFound: true
+        }, req => {
+            const id = req.input.query.exchange ? req.input.query.exchange.toLowerCase() : null;
+            if (id && !this.connectors.has(id)) {
+                throw new ApiError(404, `Exchange not found: ${req.input.query.exchange}`);
+            }
+            return this.instruments.list(id);
+        });
+
+        // Bare symbols refer to ?exchange=, or the default exchange
+        router.get('/:symbol', {
+            summary: 'Tick and lot sizes, minimum notional and status of an instrument',
+            params: { symbol: schemas.SymbolParameter },
+            query: { exchange: { ...exchange, default: exchangesConfig.defaultExchange } },
+            response: schemas.components.Instrument
+        }, req => {
+            const instrument = this.instruments.get(req.params.symbol, req.input.query.exchange);
+            if (!instrument) {
+                throw new ApiError(404, `Instrument not found: ${req.params.symbol}`);
+            }
+            return instrument;
+        });
+
+        return router;
+    }
+
+    // Market impact from simulate(orderbook), with the exchange's order and the requested taker fees
+    getRequestedMarketImpact(req, simulate) {
+        const orderbook = this.requireOrderBook(req);
+        const feeBps = this.getRequestedFee(req);
+        let marketImpact = simulate(orderbook);
+        // The fill as an order the exchange would accept
+        const instrument = this.getRequestedInstrument(req);
+        if (instrument && marketImpact.filledSize.isPositive()) {
+            marketImpact.order = this.instruments.roundOrder(instrument, marketImpact.filledSize, marketImpact.averagePrice);
+        }
+        if (feeBps !== null) {
+            marketImpact = orderbook.addFees(marketImpact, feeBps);
+        }
+        return marketImpact;
+    }
+
+    // Taker fee in bps from ?feeBps= or the exchange's ?feeTier=, or null
+    getRequestedFee(req) {
+        const { feeTier, feeBps } = req.input.query;
+        if (feeTier === undefined) {
+            return feeBps !== undefined ? feeBps : null;
+        }
+        if (feeBps !== undefined) {
+            throw new ApiError(400, 'Give either feeTier or feeBps');
+        }
+        if (req.consolidated) {
+            throw new ApiError(400, 'Fee tiers are per exchange, give feeBps for consolidated books');
+        }
+        const exchange = (req.params.exchange || exchangesConfig.defaultExchange).toLowerCase();
+        const tiers = feesConfig.getTakerFees(exchange);
+        const rate = tiers[feeTier.toLowerCase()];
+        if (rate === undefined) {
+            throw new ApiError(400, `Unknown fee tier for ${exchange}: ${feeTier} (expected ${Object.keys(tiers).join(', ') || 'none'})`);
+        }
+        return rate;
+    }
+
+    // Instrument of the book a request addresses; none for consolidated books
+    getRequestedInstrument(req) {
+        if (!this.instruments || req.consolidated) {
+            return null;
+        }
+        return this.instruments.get(req.params.symbol, req.params.exchange || exchangesConfig.defaultExchange);
+    }
+
+    createSymbolRoutes() {
+        const router = this.createRouter(['Symbols']);
+        const { Scopes } = ApiKeyRegistry;
+
+        router.get('/', {
+            summary: 'Symbols streamed from each exchange',
+            response: { type: 'array', items: schemas.components.Symbol }
+        }, () => this.symbols.list());
+
+        // The book syncs in the background
+        router.post('/', {
+            summary: 'Start streaming a symbol',
+            scope: Scopes.ADMIN,
+            body: schemas.components.SymbolInput,
+            response: schemas.components.Symbol,
+            status: 201
+        }, req => {
+            try {
+                return this.symbols.add(req.input.body);
             } catch (error) {
-                logger.error(`Error getting liquidity profile: ${error.message}`);
-                res.status(500).json({
-                    success: false,
-                    error: 'Internal server error'
-                });
+                throw new ApiError(400, error.message);
             }
         });
 
-        // Get server stats
-        this.app.get('/api/stats', (req, res) => {
+        // Bare symbols refer to ?exchange=, or the default exchange
+        router.delete('/:symbol', {
+            summary: 'Stop streaming a symbol and drop its book',
+            scope: Scopes.ADMIN,
+            params: { symbol: { ...schemas.SymbolParameter, description: 'Bare symbol or exchange:symbol' } },
+            query: { exchange: { type: 'string', default: exchangesConfig.defaultExchange } },
+            response: { type: 'object', properties: { book: { type: 'string' }, exchange: { type: 'string' }, symbol: { type: 'string' } } }
+        }, req => {
+            let removed;
             try {
-                const stats = {
-                    orderbookManager: this.orderbookManager.getStats(),
-                    binanceWebSocket: this.binanceWebSocket.getStatus(),
-                    server: {
-                        uptime: process.uptime(),
-                        memory: process.memoryUsage(),
-                        timestamp: Date.now()
-                    }
-                };
+                removed = this.symbols.remove(req.params.symbol, req.input.query.exchange);
+            } catch (error) {
+                throw new ApiError(400, error.message);
+            }
+            if (!removed) {
+                throw new ApiError(404, `Symbol not found: ${req.params.symbol}`);
+            }
+            return removed;
+        });
 
-                res.json({
-                    success: true,
-                    data: stats
-                });
+        return router;
+    }
+
+    createAlertRoutes() {
+        const router = this.createRouter(['Alerts']);
+        const { components } = schemas;
+        const id = { id: { type: 'string', description: 'Alert rule id' } };
+
+        router.get('/', {
+            summary: 'Alert rules with their state',
+            response: { type: 'array', items: components.AlertRule }
+        }, () => this.alertEngine.getRules());
+
+        router.post('/', {
+            summary: 'Create an alert rule',
+            body: components.AlertRuleInput,
+            response: components.AlertRule,
+            status: 201
+        }, req => {
+            try {
+                return this.alertEngine.createRule(req.input.body);
             } catch (error) {
-                logger.error(`Error getting stats: ${error.message}`);
-                res.status(500).json({
-                    success: false,
-                    error: 'Internal server error'
-                });
+                throw new ApiError(400, error.message);
             }
         });
 
-        // Error handler
-        this.app.use((error, req, res, next) => {
-            logger.error(`Unhandled error: ${error.message}`);
-            res.status(500).json({
-                success: false,
-                error: 'Internal server error'
-            });
+        // Recent alerts, newest first, of every book or of ?symbol= (bare or exchange:symbol)
+        router.get('/log', {
+            summary: 'Recent alerts, newest first',
+            query: {
+                limit: { ...schemas.Limit, default: 100 },
+                symbol: { type: 'string', description: 'Only alerts of this book, bare or exchange:symbol' }
+            },
+            response: { type: 'array', items: components.Alert }
+        }, req => {
+            const key = req.input.query.symbol ? this.orderbookManager.resolveKey(req.input.query.symbol) : null;
+            return this.alertEngine.getAlerts(key, req.input.query.limit);
         });
 
-        // 404 handler
-        this.app.use((req, res) => {
-            res.status(404).json({
-                success: false,
-                error: 'Endpoint not found'
-            });
+        router.get('/:id', {
+            summary: 'An alert rule with its state',
+            params: id,
+            response: components.AlertRule
+        }, req => {
+            const rule = this.alertEngine.getRule(req.params.id);
+            if (!rule) {
+                throw new ApiError(404, `Alert rule not found: ${req.params.id}`);
+            }
+            return rule;
+        });
+
+        router.put('/:id', {
+            summary: 'Replace an alert rule',
+            params: id,
+            body: components.AlertRuleInput,
+            response: components.AlertRule
+        }, req => {
+            let rule;
+            try {
+                rule = this.alertEngine.updateRule(req.params.id, req.input.body);
+            } catch (error) {
+                throw new ApiError(400, error.message);
+            }
+            if (!rule) {
+                throw new ApiError(404, `Alert rule not found: ${req.params.id}`);
+            }
+            return rule;
+        });
+
+        router.delete('/:id', {
+            summary: 'Delete an alert rule',
+            params: id,
+            response: { type: 'object', properties: { id: { type: 'string' } } }
+        }, req => {
+            if (!this.alertEngine.deleteRule(req.params.id)) {
+                throw new ApiError(404, `Alert rule not found: ${req.params.id}`);
+            }
+            return { id: req.params.id };
         });
+
+        return router;
     }
 
     setupWebSocket() {
         this.wss.on('connection', (ws, req) => {
             logger.info(`New WebSocket connection from ${req.socket.remoteAddress}`);
-            
-            // Add client to orderbook manager subscribers
-            this.orderbookManager.addSubscriber(ws);
-
-            // Send welcome message
-            ws.send(JSON.stringify({
-                type: 'welcome',
-                message: 'Connected to OrderBook247 WebSocket',
-                timestamp: Date.now()
-            }));
-
-            // Send current orderbooks
-            const orderbooks = this.orderbookManager.getAllOrderBooks();
-            ws.send(JSON.stringify({
-                type: 'orderbooks_snapshot',
-                data: orderbooks,
-                timestamp: Date.now()
-            }));
+            const session = { client: null, authenticated: false, timer: null };
 
             ws.on('close', () => {
                 logger.info('WebSocket client disconnected');
-                this.orderbookManager.removeSubscriber(ws);
+                this.closeWebSocket(ws, session);
             });
 
             ws.on('error', (error) => {
                 logger.error(`WebSocket error: ${error.message}`);
-                this.orderbookManager.removeSubscriber(ws);
+                this.closeWebSocket(ws, session);
             });
 
             ws.on('message', (message) => {
                 try {
                     const data = JSON.parse(message.toString());
-                    this.handleWebSocketMessage(ws, data);
+                    if (!session.authenticated) {
+                        this.handleAuthMessage(ws, session, data);
+                    } else if (this.takeWebSocketMessage(ws, session, data)) {
+                        this.handleWebSocketMessage(ws, data, session);
+                    }
                 } catch (error) {
                     logger.error(`Error parsing WebSocket message: ${error.message}`);
                 }
             });
+
+            // The key comes with the connection (?apiKey=) or as the first message
+            if (!this.auth.enabled) {
+                this.acceptWebSocket(ws, session);
+            } else {
+                const key = new URL(req.url, 'http://localhost').searchParams.get('apiKey');
+                if (key) {
+                    this.authenticateWebSocket(ws, session, key);
+                } else {
+                    session.timer = setTimeout(() => {
+                        this.auth.reject(ws, 'Authentication timed out', ApiKeyRegistry.CloseCodes.UNAUTHORIZED);
+                    }, this.auth.timeout);
+                }
+            }
         });
     }
 
-    handleWebSocketMessage(ws, data) {
+    handleAuthMessage(ws, session, data) {
+        if (data.type !== 'auth') {
+            this.auth.reject(ws, 'Authenticate first: { "type": "auth", "apiKey": "..." }', ApiKeyRegistry.CloseCodes.UNAUTHORIZED);
+            return;
+        }
+        this.authenticateWebSocket(ws, session, data.apiKey, data.id ?? null);
+    }
+
+    authenticateWebSocket(ws, session, key, id = null) {
+        clearTimeout(session.timer);
+        const client = this.auth.lookup(key);
+        if (!client) {
+            this.auth.unauthorized++;
+            this.auth.reject(ws, key ? 'Invalid API key' : 'API key required', ApiKeyRegistry.CloseCodes.UNAUTHORIZED);
+            return;
+        }
+        if (!this.auth.connect(client, ws)) {
+            this.auth.reject(ws, 'Too many connections for this API key', ApiKeyRegistry.CloseCodes.TOO_MANY_CONNECTIONS);
+            return;
+        }
+
+        session.client = client;
+        ws.send(JSON.stringify({
+            type: 'authenticated',
+            id,
+            name: client.name,
+            scopes: Array.from(client.scopes),
+            timestamp: Date.now()
+        }));
+        this.acceptWebSocket(ws, session);
+    }
+
+    acceptWebSocket(ws, session) {
+        session.authenticated = true;
+
+        // Add client to orderbook manager subscribers
+        this.orderbookManager.addSubscriber(ws);
+
+        // Send welcome message; book data only flows after a subscribe request
+        ws.send(JSON.stringify({
+            type: 'welcome',
+            message: 'Connected to OrderBook247 WebSocket',
+            symbols: Array.from(this.orderbookManager.orderbooks.keys()),
+            exchanges: Array.from(this.connectors.keys()),
+            channels: Object.values(SubscriptionManager.Channels),
+            timestamp: Date.now()
+        }));
+    }
+
+    closeWebSocket(ws, session) {
+        clearTimeout(session.timer);
+        if (session.client) {
+            this.auth.disconnect(session.client, ws);
+        }
+        this.orderbookManager.removeSubscriber(ws);
+    }
+
+    // Client messages count against the key's rate limit, like REST requests
+    takeWebSocketMessage(ws, session, data) {
+        if (!session.client) {
+            return true;
+        }
+        const { allowed, retryAfter } = this.auth.take(session.client);
+        if (!allowed) {
+            ws.send(JSON.stringify({
+                type: 'error',
+                id: data.id ?? null,
+                error: 'Rate limit exceeded',
+                retryAfter,
+                timestamp: Date.now()
+            }));
+        }
+        return allowed;
+    }
+
+    handleWebSocketMessage(ws, data, session) {
         switch (data.type) {
             case 'ping':
                 ws.send(JSON.stringify({
@@ -353,20 +907,9 @@ class OrderBookServer {
                 break;
 
             case 'subscribe':
-                // Client can subscribe to specific symbols
-                if (data.symbol) {
-                    const symbol = data.symbol.toLowerCase();
-                    const orderbook = this.orderbookManager.getOrderBook(symbol);
-                    
-                    if (orderbook) {
-                        ws.send(JSON.stringify({
-                            type: 'orderbook_update',
-                            symbol: symbol,
-                            data: orderbook.getSnapshot(),
-                            timestamp: Date.now()
-                        }));
-                    }
-                }
+            case 'unsubscribe':
+            case 'resync':
+                this.handleSubscriptionMessage(ws, data, session);
                 break;
 
             default:
@@ -374,15 +917,83 @@ class OrderBookServer {
         }
     }
 
+    // Every subscription request is acknowledged with the client's id, or answered with an error
+    handleSubscriptionMessage(ws, data, session) {
+        const acknowledgements = {
+            subscribe: 'subscribed',
+            unsubscribe: 'unsubscribed',
+            resync: 'resynced'
+        };
+
+        try {
+            if (session.client && data.type === 'subscribe') {
+                const scope = data.channel === SubscriptionManager.Channels.ALERTS ?
+                    ApiKeyRegistry.Scopes.ALERTS : ApiKeyRegistry.Scopes.READ;
+                if (!this.auth.hasScope(session.client, scope)) {
+                    throw new Error(`API key lacks the ${scope} scope`);
+                }
+            }
+            const result = this.orderbookManager[data.type](ws, data);
+            ws.send(JSON.stringify({
+                type: acknowledgements[data.type],
+                id: data.id ?? null,
+                ...result,
+                timestamp: Date.now()
+            }));
+        } catch (error) {
+            ws.send(JSON.stringify({
+                type: 'error',
+                id: data.id ?? null,
+                error: error.message,
+                timestamp: Date.now()
+            }));
+        }
+    }
+
     async start() {
-        const port = process.env.PORT || 3000;
+        const port = serverConfig.port;
         
         try {
-            // Initialize orderbooks with snapshots
-            await this.binanceWebSocket.initializeOrderbooks();
-            
-            // Connect to Binance WebSocket
-            await this.binanceWebSocket.connect();
+            this.auth.start();
+            // Before the books, so their tick and step sizes come from the exchange
+            if (this.instruments) {
+                await this.instruments.load();
+                for (const connector of this.connectors.values()) {
+                    this.instruments.validatePairs(connector);
+                }
+                this.instruments.start();
+            }
+            for (const connector of this.connectors.values()) {
+                // Create empty books; snapshots are applied once streams start
+                await connector.initializeOrderbooks();
+            }
+            // Symbols added or removed at runtime before the last restart
+            this.symbols.load();
+            if (!recordingConfig.replayPath) {
+                for (const connector of this.connectors.values()) {
+                    await connector.connect();
+                }
+            }
+
+            this.orderbookManager.startSampling();
+            this.feedHealth.start();
+            if (this.exporter) {
+                this.exporter.start();
+            }
+            if (this.orderbookManager.history) {
+                this.orderbookManager.history.start();
+            }
+            if (this.alertEngine) {
+                this.alertEngine.start();
+            }
+
+            // Offline mode: the recording stands in for the exchanges
+            if (recordingConfig.replayPath) {
+                this.replayer = new StreamReplayer(this.connectors);
+                this.replayer.run().catch(error => {
+                    logger.error(`Replay failed: ${error.message}`);
+                });
+            }
             
             // Start HTTP server
             this.server.listen(port, () => {
@@ -400,7 +1011,30 @@ class OrderBookServer {
     async stop() {
         logger.info('Shutting down OrderBook247 server...');
         
-        this.binanceWebSocket.disconnect();
+        if (this.replayer) {
+            this.replayer.stop();
+        }
+        for (const connector of this.connectors.values()) {
+            connector.disconnect();
+        }
+        this.orderbookManager.stopSampling();
+        this.feedHealth.stop();
+        if (this.exporter) {
+            this.exporter.stop();
+        }
+        if (this.instruments) {
+            this.instruments.stop();
+        }
+        this.auth.stop();
+        if (this.alertEngine) {
+            this.alertEngine.stop();
+        }
+        if (this.recorder) {
+            await this.recorder.close();
+        }
+        if (this.orderbookManager.history) {
+            await this.orderbookManager.history.stop();
+        }
         this.wss.close();
         this.server.close();
         
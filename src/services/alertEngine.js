@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BookMetrics = require('../models/BookMetrics');
+const Decimal = require('../utils/decimal');
+const Validators = require('../utils/validators');
+const logger = require('../utils/logger');
+const WebhookDispatcher = require('./webhookDispatcher');
+const config = require('../config/alerts');
+
+/**
+ * Alert conditions on one book. `check` returns whether the condition holds
+ * and the value it was decided on; instant conditions (crossings) trigger
+ * once per occurrence rather than staying active. Parameters are validated
+ * by kind: a list of allowed values, 'decimal', 'positive' or 'duration'.
+ */
+const Conditions = {
+    // Spread wider than `bps` basis points of the mid for `duration` seconds
+    spread_above: {
+        params: { bps: 'positive', duration: 'duration' },
+        required: ['bps'],
+        check(orderbook, condition) {
+            const spreadBps = BookMetrics.spreadBps(orderbook);
+            return { met: spreadBps !== null && spreadBps.gt(Decimal.from(condition.bps)), value: spreadBps };
+        }
+    },
+    // Mid price crossing `price`, in the given direction
+    mid_cross: {
+        params: { price: 'decimal', direction: ['any', 'up', 'down'] },
+        required: ['price'],
+        instant: true,
+        check(orderbook, condition, state) {
+            const mid = orderbook.getMidPrice();
+            const previous = state.lastMid;
+            state.lastMid = mid;
+            if (mid === null || previous === null) {
+                return { met: false, value: mid };
+            }
+
+            const price = Decimal.from(condition.price);
+            const up = previous.lt(price) && mid.gte(price);
+            const down = previous.gt(price) && mid.lte(price);
+            const direction = condition.direction || 'any';
+            return {
+                met: (up && direction !== 'down') || (down && direction !== 'up'),
+                value: mid
+            };
+        }
+    },
+    // Quantity within `bps` of the mid (default 1%) below `quantity` for `duration` seconds
+    depth_below: {
+        params: { quantity: 'decimal', bps: 'positive', side: ['both', 'bids', 'asks'], duration: 'duration' },
+        required: ['quantity'],
+        check(orderbook, condition) {
+            const depth = BookMetrics.depthWithin(orderbook, condition.bps || 100);
+            if (depth === null) {
+                return { met: false, value: null };
+            }
+
+            const side = condition.side || 'both';
+            const quantity = side === 'both' ?
+                depth.bids.quantity.add(depth.asks.quantity) :
+                depth[side].quantity;
+            return { met: quantity.lt(Decimal.from(condition.quantity)), value: quantity };
+        }
+    },
+    // No book update for `duration` seconds
+    feed_stale: {
+        params: { duration: 'duration' },
+        required: ['duration'],
+        checksDuration: true, // the duration is the staleness itself, not a hold time
+        check(orderbook, condition, state, now) {
+            const age = Math.max(now - orderbook.lastUpdateTime, 0);
+            return { met: age >= condition.duration * 1000, value: age / 1000 };
+        }
+    }
+};
+
+/**
+ * User-defined alert rules evaluated against the live books every
+ * `interval` ms. A rule triggers once its condition has held for its
+ * duration, then stays quiet until the condition clears (sending a
+ * `resolved` alert) and at least `cooldown` ms have passed. Alerts go to
+ * the rule's webhooks plus the configured ones, and to WebSocket clients
+ * through OrderBookManager. Rules are saved to a JSON file on every change.
+ */
+class AlertEngine {
+    constructor(orderbookManager, options = {}) {
+        this.orderbookManager = orderbookManager;
+        this.file = options.file || config.file;
+        this.interval = options.interval || config.interval;
+        this.cooldown = options.cooldown !== undefined ? options.cooldown : config.cooldown;
+        this.webhooks = options.webhooks || config.webhooks;
+        this.dispatcher = options.dispatcher || new WebhookDispatcher();
+        this.rules = new Map(); // id -> rule
+        this.states = new Map(); // id -> { since, active, lastTriggered, lastMid }
+        this.timer = null;
+        this.stats = { evaluations: 0, triggered: 0, resolved: 0, suppressed: 0 };
+    }
+
+    start() {
+        this.load();
+        this.timer = setInterval(() => this.evaluate(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return;
+        }
+        try {
+            const { rules } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            for (const rule of rules) {
+                this.rules.set(rule.id, rule);
+            }
+            logger.info(`Loaded ${this.rules.size} alert rule(s) from ${this.file}`);
+        } catch (error) {
+            logger.error(`Error loading alert rules from ${this.file}: ${error.message}`);
+        }
+    }
+
+    // Written to a temporary file first, so a crash never leaves half a file.
+    // Changes are saved before they apply, so a failed save leaves the rules as they were.
+    save(rules = Array.from(this.rules.values())) {
+        const directory = path.dirname(this.file);
+        fs.mkdirSync(directory, { recursive: true });
+        const temporary = `${this.file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify({ rules }, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+
+    getRules() {
+        return Array.from(this.rules.values(), rule => this.describeRule(rule));
+    }
+
+    getRule(id) {
+        const rule = this.rules.get(id);
+        return rule ? this.describeRule(rule) : null;
+    }
+
+    describeRule(rule) {
+        const state = this.states.get(rule.id);
+        return {
+            ...rule,
+            state: {
+                active: state ? state.active : false,
+                since: state ? state.since : null,
+                lastTriggered: state ? state.lastTriggered : null
+            }
+        };
+    }
+
+    createRule(input) {
+        const rule = {
+            id: crypto.randomUUID(),
+            ...this.validateRule(input),
+            createdAt: Date.now()
+        };
+        this.save([...this.rules.values(), rule]);
+        this.rules.set(rule.id, rule);
+        logger.info(`Created alert rule ${rule.id} (${rule.condition.type} on ${rule.book})`);
+        return this.describeRule(rule);
+    }
+
+    // Replaces a rule's definition; its evaluation starts over
+    updateRule(id, input) {
+        const existing = this.rules.get(id);
+        if (!existing) {
+            return null;
+        }
+        const rule = { id, ...this.validateRule(input), createdAt: existing.createdAt, updatedAt: Date.now() };
+        this.save(Array.from(this.rules.values(), other => (other.id === id ? rule : other)));
+        this.rules.set(id, rule);
+        this.states.delete(id);
+        return this.describeRule(rule);
+    }
+
+    deleteRule(id) {
+        if (!this.rules.has(id)) {
+            return false;
+        }
+        this.save(Array.from(this.rules.values()).filter(other => other.id !== id));
+        this.rules.delete(id);
+        this.states.delete(id);
+        return true;
+    }
+
+    // Normalizes a rule definition; throws with a client-facing message
+    validateRule(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Rule must be a JSON object');
+        }
+        if (typeof input.symbol !== 'string' || input.symbol.length === 0) {
+            throw new Error('symbol is required');
+        }
+        if (input.exchange !== undefined && typeof input.exchange !== 'string') {
+            throw new Error('exchange must be a string');
+        }
+        const book = this.orderbookManager.resolveKey(input.symbol, input.exchange);
+        if (!this.orderbookManager.orderbooks.has(book)) {
+            throw new Error(`Orderbook not found for symbol: ${input.symbol}`);
+        }
+
+        const condition = input.condition;
+        const definition = condition && Conditions[condition.type];
+        if (!definition) {
+            throw new Error(`condition.type must be one of ${Object.keys(Conditions).join(', ')}`);
+        }
+        const normalized = { type: condition.type };
+        for (const [name, kind] of Object.entries(definition.params)) {
+            const value = condition[name];
+            if (value === undefined || value === null) {
+                if (definition.required.includes(name)) {
+                    throw new Error(`condition.${name} is required for ${condition.type}`);
+                }
+                continue;
+            }
+            normalized[name] = this.validateParam(name, kind, value);
+        }
+
+        const webhooks = input.webhooks === undefined ? [] : input.webhooks;
+        if (!Array.isArray(webhooks) || !webhooks.every(url => typeof url === 'string')) {
+            throw new Error('webhooks must be a list of http(s) URLs');
+        }
+        const webhookError = webhooks.map(url => this.dispatcher.checkUrl(url)).find(Boolean);
+        if (webhookError) {
+            throw new Error(webhookError);
+        }
+        if (input.name !== undefined && typeof input.name !== 'string') {
+            throw new Error('name must be a string');
+        }
+
+        return {
+            name: input.name || `${condition.type} ${book}`,
+            book,
+            condition: normalized,
+            webhooks,
+            enabled: input.enabled !== false
+        };
+    }
+
+    validateParam(name, kind, value) {
+        if (Array.isArray(kind)) {
+            if (!kind.includes(value)) {
+                throw new Error(`condition.${name} must be one of ${kind.join(', ')}`);
+            }
+            return value;
+        }
+        if (kind === 'decimal') {
+            const decimal = Validators.parseDecimal(value);
+            if (!decimal || !decimal.isPositive()) {
+                throw new Error(`condition.${name} must be a positive decimal`);
+            }
+            return decimal.toString();
+        }
+        const number = Number(value);
+        if (kind === 'duration' ? !(number >= 0) : !(number > 0)) {
+            throw new Error(`condition.${name} must be a ${kind === 'duration' ? 'number of seconds' : 'positive number'}`);
+        }
+        return number;
+    }
+
+    evaluate(now = Date.now()) {
+        this.stats.evaluations++;
+        for (const rule of this.rules.values()) {
+            const orderbook = this.orderbookManager.orderbooks.get(rule.book);
+            if (rule.enabled && orderbook) {
+                this.evaluateRule(rule, orderbook, now);
+            }
+        }
+    }
+
+    evaluateRule(rule, orderbook, now) {
+        const definition = Conditions[rule.condition.type];
+        let state = this.states.get(rule.id);
+        if (!state) {
+            state = { since: null, active: false, lastTriggered: null, lastMid: null };
+            this.states.set(rule.id, state);
+        }
+
+        const { met, value } = definition.check(orderbook, rule.condition, state, now);
+        if (!met) {
+            if (state.active) {
+                state.active = false;
+                this.stats.resolved++;
+                this.send(rule, orderbook, state, 'resolved', value, now);
+            }
+            state.since = null;
+            return;
+        }
+
+        if (state.since === null) {
+            state.since = now;
+        }
+        const hold = definition.checksDuration ? 0 : (rule.condition.duration || 0) * 1000;
+        if (state.active || now - state.since < hold) {
+            return;
+        }
+
+        // Held long enough: trigger, unless the rule triggered too recently
+        state.active = !definition.instant;
+        if (state.lastTriggered !== null && now - state.lastTriggered < this.cooldown) {
+            this.stats.suppressed++;
+            return;
+        }
+        state.lastTriggered = now;
+        this.stats.triggered++;
+        this.send(rule, orderbook, state, 'triggered', value, now);
+    }
+
+    // Alerts of one firing episode, from the condition starting to hold, share their id
+    send(rule, orderbook, state, status, value, now) {
+        const alert = {
+            id: `${rule.id}:${state.since}:${status}`,
+            ruleId: rule.id,
+            name: rule.name,
+            status,
+            symbol: orderbook.symbol,
+            exchange: orderbook.exchange,
+            condition: rule.condition,
+            value: value === null || value === undefined ? null : value.toString(),
+            time: now
+        };
+        logger.info(`Alert ${status}: ${rule.name} (value ${alert.value})`);
+
+        this.orderbookManager.addAlert(orderbook.key, alert);
+        const urls = Array.from(new Set([...rule.webhooks, ...this.webhooks]));
+        if (urls.length > 0) {
+            this.dispatcher.deliver(alert, urls);
+        }
+        return alert;
+    }
+
+    // Recent alerts, newest first, of one book or of every book
+    getAlerts(key = null, limit = null) {
+        const logs = key ?
+            [this.orderbookManager.alerts.get(key)].filter(Boolean) :
+            Array.from(this.orderbookManager.alerts.values());
+        const alerts = logs.flatMap(log => log.toArray()).sort((a, b) => b.time - a.time);
+        return limit ? alerts.slice(0, limit) : alerts;
+    }
+
+    getStats() {
+        return {
+            rules: this.rules.size,
+            activeRules: Array.from(this.states.values()).filter(state => state.active).length,
+            ...this.stats,
+            webhooks: this.dispatcher.getStats()
+        };
+    }
+}
+
+AlertEngine.Conditions = Conditions;
+
+module.exports = AlertEngine;
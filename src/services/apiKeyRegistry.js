@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const RateLimiter = require('../utils/rateLimiter');
+const { sendError } = require('../api/errors');
+const config = require('../config/auth');
+
+const Scopes = {
+    READ: 'read',     // books, trades, events, instruments, statistics and metrics
+    ALERTS: 'alerts', // alert rules, alerts and the alerts channel
+    ADMIN: 'admin'    // adding and removing symbols; grants every other scope
+};
+
+// WebSocket close codes, mirroring the HTTP statuses
+const CloseCodes = {
+    UNAUTHORIZED: 4401,
+    TOO_MANY_CONNECTIONS: 4429
+};
+
+/**
+ * API keys read from a local JSON file, each with its scopes, a request rate
+ * limit shared by REST and WebSocket, and a cap on open WebSocket
+ * connections. The file is reloaded when it changes; connections of keys
+ * removed from it are closed. Keys are only held as SHA-256 hashes, so
+ * lookups do not compare secrets character by character.
+ */
+class ApiKeyRegistry {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : config.enabled;
+        this.file = options.file || config.file;
+        this.reloadInterval = options.reloadInterval || config.reloadInterval;
+        this.rateLimit = options.rateLimit || config.rateLimit;
+        this.rateBurst = options.rateBurst || config.rateBurst;
+        this.maxConnections = options.maxConnections || config.maxConnections;
+        this.timeout = options.timeout || config.timeout;
+        this.keys = new Map(); // key hash -> client
+        this.clients = new Map(); // name -> client
+        this.unauthorized = 0;
+        this.watching = false;
+    }
+
+    start() {
+        if (!this.enabled) {
+            return;
+        }
+        this.load();
+        fs.watchFile(this.file, { interval: this.reloadInterval }, () => this.load());
+        this.watching = true;
+    }
+
+    stop() {
+        if (this.watching) {
+            fs.unwatchFile(this.file);
+            this.watching = false;
+        }
+    }
+
+    // Replaces the keys with the file's; invalid entries are skipped, a missing file refuses everyone
+    load() {
+        let entries = [];
+        if (fs.existsSync(this.file)) {
+            try {
+                ({ keys: entries = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8')));
+            } catch (error) {
+                logger.error(`Error loading API keys from ${this.file}: ${error.message}`);
+                return;
+            }
+        } else {
+            logger.warn(`No API keys file at ${this.file}, every request will be refused`);
+        }
+
+        const keys = new Map();
+        const clients = new Map();
+        for (const entry of entries) {
+            try {
+                const client = this.parseKey(entry);
+                if (clients.has(client.name)) {
+                    throw new Error('duplicate name');
+                }
+                const previous = this.clients.get(client.name);
+                if (previous && previous.rateLimit === client.rateLimit && previous.rateBurst === client.rateBurst) {
+                    client.limiter = previous.limiter;
+                }
+                if (previous) {
+                    client.connections = previous.connections;
+                    client.stats = previous.stats;
+                }
+                keys.set(client.hash, client);
+                clients.set(client.name, client);
+            } catch (error) {
+                logger.error(`Skipping API key ${entry && entry.name}: ${error.message}`);
+            }
+        }
+
+        // Keys removed or replaced lose their connections
+        for (const [name, previous] of this.clients) {
+            const client = clients.get(name);
+            if (!client || client.hash !== previous.hash) {
+                for (const ws of previous.connections) {
+                    this.reject(ws, 'API key revoked', CloseCodes.UNAUTHORIZED);
+                }
+                if (client) {
+                    client.connections = new Set();
+                }
+            }
+        }
+
+        this.keys = keys;
+        this.clients = clients;
+        logger.info(`Loaded ${clients.size} API keys from ${this.file}`);
+    }
+
+    // { name, key, scopes, rateLimit?, rateBurst?, maxConnections? }
+    parseKey(entry) {
+        if (!entry || typeof entry.name !== 'string' || entry.name.length === 0) {
+            throw new Error('name is required');
+        }
+        if (typeof entry.key !== 'string' || entry.key.length < 16) {
+            throw new Error('key must be a string of at least 16 characters');
+        }
+        const scopes = Array.isArray(entry.scopes) ? entry.scopes : [];
+        const unknown = scopes.filter(scope => !Object.values(Scopes).includes(scope));
+        if (scopes.length === 0 || unknown.length > 0) {
+            throw new Error(`scopes must be a list of ${Object.values(Scopes).join(', ')}`);
+        }
+        for (const field of ['rateLimit', 'rateBurst', 'maxConnections']) {
+            if (entry[field] !== undefined && !(Number.isInteger(entry[field]) && entry[field] > 0)) {
+                throw new Error(`${field} must be a positive integer`);
+            }
+        }
+
+        const rateLimit = entry.rateLimit || this.rateLimit;
+        const rateBurst = entry.rateBurst || Math.max(this.rateBurst, rateLimit);
+        return {
+            name: entry.name,
+            hash: this.hash(entry.key),
+            scopes: new Set(scopes),
+            rateLimit,
+            rateBurst,
+            maxConnections: entry.maxConnections || this.maxConnections,
+            limiter: new RateLimiter(rateLimit, rateBurst),
+            connections: new Set(),
+            stats: { requests: 0, limited: 0, refusedConnections: 0 }
+        };
+    }
+
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    // The client of a key, or null
+    lookup(key) {
+        return typeof key === 'string' ? this.keys.get(this.hash(key)) || null : null;
+    }
+
+    hasScope(client, scope) {
+        return client.scopes.has(Scopes.ADMIN) || client.scopes.has(scope);
+    }
+
+    // Counts one request against the client's rate limit
+    take(client, now = Date.now()) {
+        const result = client.limiter.take(now);
+        client.stats.requests++;
+        if (!result.allowed) {
+            client.stats.limited++;
+        }
+        return result;
+    }
+
+    // X-API-Key header, Authorization: Bearer header or apiKey query parameter
+    getRequestKey(req) {
+        const header = req.get('X-API-Key');
+        if (header) {
+            return header;
+        }
+        const authorization = req.get('Authorization');
+        if (authorization && authorization.startsWith('Bearer ')) {
+            return authorization.slice('Bearer '.length).trim();
+        }
+        return typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+    }
+
+    // Express middleware: the request's key (401) within its rate limit (429), as req.apiClient
+    authenticate() {
+        return (req, res, next) => {
+            if (!this.enabled) {
+                return next();
+            }
+
+            const key = this.getRequestKey(req);
+            const client = this.lookup(key);
+            if (!client) {
+                this.unauthorized++;
+                return sendError(res, 401, key ? 'Invalid API key' : 'API key required');
+            }
+
+            const { allowed, remaining, retryAfter } = this.take(client);
+            res.set('X-RateLimit-Limit', String(client.rateLimit));
+            res.set('X-RateLimit-Remaining', String(remaining));
+            if (!allowed) {
+                res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+                return sendError(res, 429, 'Rate limit exceeded');
+            }
+            req.apiClient = client;
+            next();
+        };
+    }
+
+    // Express middleware: the authenticated key holds the scope (403)
+    authorize(scope) {
+        return (req, res, next) => {
+            if (!this.enabled || this.hasScope(req.apiClient, scope)) {
+                return next();
+            }
+            sendError(res, 403, `API key lacks the ${scope} scope`);
+        };
+    }
+
+    // Registers a WebSocket of the client; false once it holds maxConnections
+    connect(client, ws) {
+        if (client.connections.size >= client.maxConnections) {
+            client.stats.refusedConnections++;
+            return false;
+        }
+        client.connections.add(ws);
+        return true;
+    }
+
+    disconnect(client, ws) {
+        client.connections.delete(ws);
+    }
+
+    reject(ws, error, code) {
+        try {
+            ws.send(JSON.stringify({ type: 'error', error, timestamp: Date.now() }));
+            ws.close(code, error);
+        } catch (error) {
+            logger.debug(`Error rejecting WebSocket client: ${error.message}`);
+        }
+    }
+
+    getStats() {
+        const clients = {};
+        for (const [name, client] of this.clients) {
+            clients[name] = {
+                scopes: Array.from(client.scopes),
+                connections: client.connections.size,
+                ...client.stats
+            };
+        }
+        return { enabled: this.enabled, unauthorized: this.unauthorized, clients };
+    }
+}
+
+ApiKeyRegistry.Scopes = Scopes;
+ApiKeyRegistry.CloseCodes = CloseCodes;
+
+module.exports = ApiKeyRegistry;
@@ -0,0 +1,279 @@
+const logger = require('../utils/logger');
+const config = require('../config/binance');
+const Validators = require('../utils/validators');
+
+// Per-symbol sync states
+const SyncState = {
+    IDLE: 'idle',           // No events seen yet
+    SYNCING: 'syncing',     // Buffering events while the REST snapshot is fetched
+    BRIDGING: 'bridging',   // Snapshot applied, waiting for the event that spans it
+    SYNCED: 'synced'        // Applying live diffs
+};
+
+// How diffs chain onto a snapshot and onto each other, per exchange.
+// Diffs use the Binance shape: U = first update id, u = final update id,
+// pu = final update id of the previous diff (when the exchange provides it).
+const SequenceRules = {
+    BINANCE_FUTURES: {
+        isStale: (event, snapshotId) => event.u < snapshotId,
+        bridges: (event, snapshotId) => event.U <= snapshotId,
+        follows: (event, lastFinalId) => Validators.validatePreviousUpdateId(lastFinalId, event.pu)
+    },
+    BINANCE_SPOT: {
+        isStale: (event, snapshotId) => event.u <= snapshotId,
+        bridges: (event, snapshotId) => event.U <= snapshotId + 1,
+        follows: (event, lastFinalId) => event.U === lastFinalId + 1
+    }
+};
+
+/**
+ * Sequence breaks and discarded diffs per book since startup. Unlike sync
+ * states, which are dropped on every reconnect, they only ever grow.
+ *  - gaps: resyncs forced by the sequence ('sequence'), a snapshot older than
+ *    the stream ('stale_snapshot') or a checksum mismatch ('checksum')
+ *  - rejected: diffs that were never applied, because the snapshot already
+ *    contained them ('stale'), they were applied before ('duplicate'), they
+ *    broke the sequence ('gap'), the book was not synced ('unsynced') or the
+ *    buffer was full ('overflow')
+ */
+class SequenceCounters {
+    constructor() {
+        this.books = new Map(); // book key -> { gaps: { reason: n }, rejected: { reason: n } }
+    }
+
+    increment(key, counter, reason) {
+        let book = this.books.get(key);
+        if (!book) {
+            book = { gaps: {}, rejected: {} };
+            this.books.set(key, book);
+        }
+        book[counter][reason] = (book[counter][reason] || 0) + 1;
+    }
+
+    // Sum over every reason of one counter of a book
+    total(key, counter) {
+        const book = this.books.get(key);
+        return book ? Object.values(book[counter]).reduce((sum, value) => sum + value, 0) : 0;
+    }
+
+    entries() {
+        return this.books.entries();
+    }
+}
+
+/**
+ * Keeps local orderbooks consistent with Binance Futures using the documented
+ * snapshot + diff procedure:
+ *  1. Buffer depthUpdate events from the stream.
+ *  2. Fetch a REST depth snapshot.
+ *  3. Drop buffered events with u < lastUpdateId.
+ *  4. The first applied event must have U <= lastUpdateId <= u.
+ *  5. Every following event must have pu equal to the previous event's u,
+ *     otherwise the book is discarded and the procedure starts again.
+ * Other exchanges with REST snapshots plug in their own SequenceRules.
+ */
+class DepthSynchronizer {
+    constructor(orderbookManager, fetchSnapshot, options = {}) {
+        this.orderbookManager = orderbookManager;
+        this.fetchSnapshot = fetchSnapshot;
+        this.maxBufferedEvents = options.maxBufferedEvents || config.maxBufferedEvents;
+        this.resyncDelay = options.resyncDelay !== undefined ? options.resyncDelay : config.resyncDelay;
+        this.rules = options.rules || SequenceRules.BINANCE_FUTURES;
+        this.symbols = new Map(); // book key -> sync state
+        this.counters = new SequenceCounters();
+    }
+
+    getState(symbol) {
+        let state = this.symbols.get(symbol);
+        if (!state) {
+            state = {
+                status: SyncState.IDLE,
+                buffer: [],
+                snapshotUpdateId: null,
+                lastFinalUpdateId: null,
+                resyncCount: 0,
+                droppedEvents: 0,
+                lastSyncTime: null,
+                retryTimer: null
+            };
+            this.symbols.set(symbol, state);
+        }
+        return state;
+    }
+
+    handleDepthUpdate(symbol, event) {
+        const state = this.getState(symbol);
+
+        switch (state.status) {
+            case SyncState.IDLE:
+                this.bufferEvent(symbol, state, event);
+                this.startSync(symbol);
+                break;
+
+            case SyncState.SYNCING:
+                this.bufferEvent(symbol, state, event);
+                break;
+
+            default:
+                this.processEvent(symbol, event);
+        }
+    }
+
+    bufferEvent(symbol, state, event) {
+        state.buffer.push(event);
+        if (state.buffer.length > this.maxBufferedEvents) {
+            state.buffer.shift();
+            state.droppedEvents++;
+            this.counters.increment(symbol, 'rejected', 'overflow');
+        }
+    }
+
+    async startSync(symbol) {
+        const state = this.getState(symbol);
+        state.status = SyncState.SYNCING;
+        state.snapshotUpdateId = null;
+        state.lastFinalUpdateId = null;
+
+        let snapshot;
+        try {
+            logger.info(`Fetching depth snapshot for ${symbol}`);
+            snapshot = await this.fetchSnapshot(symbol);
+        } catch (error) {
+            logger.error(`Error fetching snapshot for ${symbol}: ${error.message}`);
+            this.scheduleResync(symbol);
+            return;
+        }
+
+        // The symbol may have been reset while the request was in flight
+        if (this.symbols.get(symbol) !== state || state.status !== SyncState.SYNCING) {
+            return;
+        }
+
+        // Nothing awaits this promise: an error applying the snapshot resyncs the book
+        try {
+            this.applySnapshot(symbol, state, snapshot);
+        } catch (error) {
+            logger.error(`Error applying snapshot for ${symbol}: ${error.message}`);
+            if (this.symbols.get(symbol) === state) {
+                this.resync(symbol);
+            }
+        }
+    }
+
+    applySnapshot(symbol, state, snapshot) {
+        if (!this.orderbookManager.setSnapshot(symbol, snapshot)) {
+            this.scheduleResync(symbol);
+            return;
+        }
+
+        state.snapshotUpdateId = snapshot.lastUpdateId;
+        state.status = SyncState.BRIDGING;
+
+        const buffered = state.buffer;
+        state.buffer = [];
+        for (const event of buffered) {
+            if (state.status === SyncState.SYNCING) {
+                // A gap forced a new sync; keep the rest for it
+                this.bufferEvent(symbol, state, event);
+            } else {
+                this.processEvent(symbol, event);
+            }
+        }
+    }
+
+    processEvent(symbol, event) {
+        const state = this.getState(symbol);
+
+        if (state.status === SyncState.BRIDGING) {
+            // Stale event already contained in the snapshot
+            if (this.rules.isStale(event, state.snapshotUpdateId)) {
+                this.counters.increment(symbol, 'rejected', 'stale');
+                return false;
+            }
+
+            // The stream has moved past the snapshot, it is too old
+            if (!this.rules.bridges(event, state.snapshotUpdateId)) {
+                logger.warn(`Snapshot for ${symbol} is stale: lastUpdateId=${state.snapshotUpdateId}, first event U=${event.U}`);
+                this.counters.increment(symbol, 'gaps', 'stale_snapshot');
+                this.resync(symbol, event);
+                return false;
+            }
+
+            state.status = SyncState.SYNCED;
+            state.lastSyncTime = Date.now();
+            logger.info(`Orderbook for ${symbol} synchronized at update ${event.u}`);
+        } else if (event.u <= state.lastFinalUpdateId) {
+            // Already applied, e.g. delivered again by a rotated connection
+            this.counters.increment(symbol, 'rejected', 'duplicate');
+            return false;
+        } else if (!this.rules.follows(event, state.lastFinalUpdateId)) {
+            logger.warn(`Sequence gap for ${symbol}, resynchronizing`);
+            this.counters.increment(symbol, 'gaps', 'sequence');
+            this.resync(symbol, event);
+            return false;
+        }
+
+        state.lastFinalUpdateId = event.u;
+        return this.orderbookManager.updateOrderBook(symbol, event);
+    }
+
+    resync(symbol, pendingEvent = null) {
+        const state = this.getState(symbol);
+        state.resyncCount++;
+        state.buffer = [];
+        state.status = SyncState.SYNCING;
+        if (pendingEvent) {
+            this.bufferEvent(symbol, state, pendingEvent);
+        }
+        this.scheduleResync(symbol);
+    }
+
+    scheduleResync(symbol) {
+        const state = this.getState(symbol);
+        state.status = SyncState.SYNCING;
+        clearTimeout(state.retryTimer);
+        state.retryTimer = setTimeout(() => {
+            state.retryTimer = null;
+            if (this.symbols.get(symbol) === state) {
+                this.startSync(symbol);
+            }
+        }, this.resyncDelay);
+    }
+
+    reset(symbol = null) {
+        const symbols = symbol ? [symbol] : Array.from(this.symbols.keys());
+        for (const s of symbols) {
+            const state = this.symbols.get(s);
+            if (state) {
+                clearTimeout(state.retryTimer);
+                this.symbols.delete(s);
+            }
+        }
+    }
+
+    isSynced(symbol) {
+        const state = this.symbols.get(symbol);
+        return !!state && state.status === SyncState.SYNCED;
+    }
+
+    getStatus() {
+        const status = {};
+        for (const [symbol, state] of this.symbols) {
+            status[symbol] = {
+                status: state.status,
+                bufferedEvents: state.buffer.length,
+                droppedEvents: state.droppedEvents,
+                resyncCount: state.resyncCount,
+                lastFinalUpdateId: state.lastFinalUpdateId,
+                lastSyncTime: state.lastSyncTime
+            };
+        }
+        return status;
+    }
+}
+
+DepthSynchronizer.SyncState = SyncState;
+DepthSynchronizer.SequenceRules = SequenceRules;
+DepthSynchronizer.SequenceCounters = SequenceCounters;
+
+module.exports = DepthSynchronizer;
@@ -0,0 +1,192 @@
+const logger = require('../utils/logger');
+const config = require('../config/health');
+
+const HealthStatus = {
+    OK: 'ok',
+    DEGRADED: 'degraded',    // still served, but lagging or recovering
+    UNHEALTHY: 'unhealthy'   // the book cannot be trusted
+};
+
+const severity = { [HealthStatus.OK]: 0, [HealthStatus.DEGRADED]: 1, [HealthStatus.UNHEALTHY]: 2 };
+
+/**
+ * Checks every configured book each `interval` ms, since a symbol can stop
+ * updating while its socket stays open. A book is degraded while it is not
+ * synced, after `staleAfter` ms without updates, while crossed (best bid at
+ * or above best ask) or after `maxGaps` sequence gaps within `gapWindow`. It
+ * is unhealthy when the connection carrying it is down, after `unhealthyAfter` ms
+ * without updates, or when it stays crossed longer than `crossedGrace`.
+ * Stale and crossed books are resubscribed and rebuilt from a new snapshot,
+ * at most once per `resyncCooldown`.
+ */
+class FeedHealthMonitor {
+    constructor(orderbookManager, connectors, options = {}) {
+        this.orderbookManager = orderbookManager;
+        this.connectors = connectors; // exchange id -> ExchangeConnector
+        this.interval = options.interval || config.interval;
+        this.staleAfter = options.staleAfter || config.staleAfter;
+        this.unhealthyAfter = options.unhealthyAfter || config.unhealthyAfter;
+        this.crossedGrace = options.crossedGrace !== undefined ? options.crossedGrace : config.crossedGrace;
+        this.gapWindow = options.gapWindow || config.gapWindow;
+        this.maxGaps = options.maxGaps || config.maxGaps;
+        this.autoResync = options.autoResync !== undefined ? options.autoResync : config.autoResync;
+        this.resyncCooldown = options.resyncCooldown !== undefined ? options.resyncCooldown : config.resyncCooldown;
+        // Replayed feeds have no live connection to check or resync
+        this.live = options.live !== false;
+        this.books = new Map(); // book key -> health state
+        this.timer = null;
+    }
+
+    start() {
+        this.check();
+        this.timer = setInterval(() => this.check(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    check(now = Date.now()) {
+        const checked = new Set();
+        for (const connector of this.connectors.values()) {
+            for (const symbol of connector.symbols.keys()) {
+                const key = connector.getBookKey(symbol);
+                this.checkBook(connector, key, now);
+                checked.add(key);
+            }
+        }
+        // Books removed at runtime
+        for (const key of Array.from(this.books.keys())) {
+            if (!checked.has(key)) {
+                this.books.delete(key);
+            }
+        }
+    }
+
+    getState(key) {
+        let state = this.books.get(key);
+        if (!state) {
+            state = {
+                status: HealthStatus.OK,
+                reasons: [],
+                since: null,
+                crossedSince: null,
+                gapTimes: [],
+                gapTotal: 0,
+                resyncs: 0,
+                lastResync: null,
+                lastUpdateAge: null,
+                synced: false
+            };
+            this.books.set(key, state);
+        }
+        return state;
+    }
+
+    checkBook(connector, key, now) {
+        const state = this.getState(key);
+        const orderbook = this.orderbookManager.orderbooks.get(key);
+        const problems = []; // [status, reason]
+
+        if (this.live && !connector.isBookConnected(key)) {
+            problems.push([HealthStatus.UNHEALTHY, 'disconnected']);
+        }
+
+        state.synced = connector.synchronizer.isSynced(key);
+        if (!state.synced) {
+            problems.push([HealthStatus.DEGRADED, 'syncing']);
+        }
+
+        state.lastUpdateAge = orderbook ? Math.max(now - orderbook.lastUpdateTime, 0) : null;
+        if (state.lastUpdateAge === null || state.lastUpdateAge >= this.unhealthyAfter) {
+            problems.push([HealthStatus.UNHEALTHY, 'stale']);
+        } else if (state.lastUpdateAge >= this.staleAfter) {
+            problems.push([HealthStatus.DEGRADED, 'stale']);
+        }
+
+        if (orderbook && orderbook.isCrossed()) {
+            if (state.crossedSince === null) {
+                state.crossedSince = now;
+            }
+            problems.push([now - state.crossedSince >= this.crossedGrace ? HealthStatus.UNHEALTHY : HealthStatus.DEGRADED, 'crossed']);
+        } else {
+            state.crossedSince = null;
+        }
+
+        // Gaps already trigger a resync in the synchronizer; repeated ones flag a poor feed
+        const gapTotal = connector.synchronizer.counters.total(key, 'gaps');
+        for (let i = state.gapTotal; i < gapTotal; i++) {
+            state.gapTimes.push(now);
+        }
+        state.gapTotal = gapTotal;
+        state.gapTimes = state.gapTimes.filter(time => now - time < this.gapWindow);
+        if (state.gapTimes.length >= this.maxGaps) {
+            problems.push([HealthStatus.DEGRADED, 'gaps']);
+        }
+
+        const status = problems.reduce((worst, [problem]) =>
+            severity[problem] > severity[worst] ? problem : worst, HealthStatus.OK);
+        state.reasons = problems.map(([, reason]) => reason);
+        if (status !== state.status) {
+            const message = `Feed for ${key} is ${status}${state.reasons.length > 0 ? ` (${state.reasons.join(', ')})` : ''}`;
+            if (status === HealthStatus.OK) {
+                logger.info(message);
+            } else {
+                logger.warn(message);
+            }
+            state.status = status;
+            state.since = now;
+        }
+
+        const stuck = problems.some(([problem, reason]) =>
+            problem === HealthStatus.UNHEALTHY && (reason === 'stale' || reason === 'crossed'));
+        if (stuck) {
+            this.resync(connector, key, state, now);
+        }
+        return state;
+    }
+
+    resync(connector, key, state, now) {
+        if (!this.autoResync || !this.live || !connector.isBookConnected(key)) {
+            return false;
+        }
+        if (state.lastResync !== null && now - state.lastResync < this.resyncCooldown) {
+            return false;
+        }
+
+        logger.warn(`Resynchronizing unhealthy feed for ${key} (${state.reasons.join(', ')})`);
+        state.resyncs++;
+        state.lastResync = now;
+        state.crossedSince = null;
+        connector.resyncBook(key);
+        return true;
+    }
+
+    // Status of every book as of the last check; the overall status is the worst of them
+    getHealth() {
+        const books = {};
+        let status = HealthStatus.OK;
+        for (const [key, state] of this.books) {
+            books[key] = {
+                status: state.status,
+                reasons: state.reasons,
+                since: state.since,
+                synced: state.synced,
+                lastUpdateAge: state.lastUpdateAge,
+                crossed: state.crossedSince !== null,
+                recentGaps: state.gapTimes.length,
+                resyncs: state.resyncs,
+                lastResync: state.lastResync
+            };
+            if (severity[state.status] > severity[status]) {
+                status = state.status;
+            }
+        }
+        return { status, books };
+    }
+}
+
+FeedHealthMonitor.HealthStatus = HealthStatus;
+
+module.exports = FeedHealthMonitor;
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const OrderBook = require('../models/OrderBook');
+const logger = require('../utils/logger');
+const config = require('../config/history');
+
+const SEGMENT_EXTENSION = '.ndjson';
+const COMPACTED_EXTENSION = '.snapshot.ndjson';
+
+/**
+ * Persists book history as append-only NDJSON segments, one directory per
+ * book (`<directory>/<exchange>/<symbol>/<start>.ndjson`). Each segment opens
+ * with a full snapshot, followed by every diff applied until the next
+ * periodic snapshot starts a new segment:
+ *   { t, type: 'snapshot', lastUpdateId, bids, asks }
+ *   { t, type: 'diff', u, b, a }
+ * A book at any past instant is the latest segment started before it, with
+ * its diffs replayed up to that instant.
+ *
+ * Compaction drops the diffs of segments older than `compactAfter` and keeps
+ * one of them per `compactedInterval`; segments past `retention` are deleted,
+ * including the last one of a book no longer stored. Malformed records, such
+ * as a line cut short by a crash, are skipped when reading.
+ *
+ * A file system error closes the book's segment and is logged; the book is
+ * stored again from the next periodic snapshot, and live updates carry on.
+ */
+class HistoryStore {
+    constructor(orderbookManager, options = {}) {
+        this.orderbookManager = orderbookManager;
+        this.directory = options.directory || config.directory;
+        this.snapshotInterval = options.snapshotInterval || config.snapshotInterval;
+        this.retention = options.retention || config.retention;
+        this.compactAfter = options.compactAfter || config.compactAfter;
+        this.compactedInterval = options.compactedInterval || config.compactedInterval;
+        this.compactionInterval = options.compactionInterval || config.compactionInterval;
+        this.segments = new Map(); // book key -> { start, file, stream }
+        this.failed = new Set(); // books waiting for the next periodic snapshot after an error
+        this.snapshotTimer = null;
+        this.compactionTimer = null;
+        this.stats = { snapshots: 0, diffs: 0, compactedSegments: 0, deletedSegments: 0, errors: 0 };
+    }
+
+    start() {
+        this.snapshotAll();
+        this.snapshotTimer = setInterval(() => this.snapshotAll(), this.snapshotInterval);
+        this.compactionTimer = setInterval(() => {
+            this.compact().catch(error => logger.error(`History compaction failed: ${error.message}`));
+        }, this.compactionInterval);
+    }
+
+    getBookDirectory(key) {
+        const [exchange, symbol] = key.split(':');
+        return path.join(this.directory, exchange, symbol);
+    }
+
+    snapshotAll() {
+        for (const orderbook of this.orderbookManager.orderbooks.values()) {
+            // Books not synced yet have nothing worth storing
+            if (orderbook.lastUpdateId) {
+                this.recordSnapshot(orderbook);
+            }
+        }
+    }
+
+    // Starts a new segment with the book's full state
+    recordSnapshot(orderbook, time = Date.now()) {
+        this.closeSegment(orderbook.key);
+
+        const directory = this.getBookDirectory(orderbook.key);
+        const file = path.join(directory, `${time}${SEGMENT_EXTENSION}`);
+        let segment;
+        try {
+            fs.mkdirSync(directory, { recursive: true });
+            segment = { start: time, file, stream: fs.createWriteStream(file, { flags: 'a' }) };
+        } catch (error) {
+            this.fail(orderbook.key, file, error);
+            return;
+        }
+        segment.stream.on('error', error => this.fail(orderbook.key, file, error));
+        this.segments.set(orderbook.key, segment);
+        this.failed.delete(orderbook.key);
+
+        this.write(segment, {
+            t: time,
+            type: 'snapshot',
+            lastUpdateId: orderbook.lastUpdateId,
+            bids: orderbook.bids.getLevels().map(level => [level.price.toString(), level.quantity.toString()]),
+            asks: orderbook.asks.getLevels().map(level => [level.price.toString(), level.quantity.toString()])
+        });
+        this.stats.snapshots++;
+    }
+
+    // Drops the book's segment; its history resumes with the next periodic snapshot
+    fail(key, file, error) {
+        logger.error(`Error writing history to ${file}: ${error.message}`);
+        this.stats.errors++;
+        this.failed.add(key);
+        const segment = this.segments.get(key);
+        if (segment && segment.file === file) {
+            this.segments.delete(key);
+            segment.stream.destroy();
+        }
+    }
+
+    // Stores the changes applied to a book, as [price, quantity] strings
+    recordDiff(orderbook, bids, asks, time = Date.now()) {
+        const segment = this.segments.get(orderbook.key);
+        if (!segment) {
+            // No base to apply it to; the book already includes the diff
+            if (!this.failed.has(orderbook.key)) {
+                this.recordSnapshot(orderbook, time);
+            }
+            return;
+        }
+
+        this.write(segment, { t: time, type: 'diff', u: orderbook.lastUpdateId, b: bids, a: asks });
+        this.stats.diffs++;
+    }
+
+    write(segment, record) {
+        segment.stream.write(JSON.stringify(record) + '\n');
+    }
+
+    closeSegment(key) {
+        const segment = this.segments.get(key);
+        if (!segment) {
+            return Promise.resolve();
+        }
+
+        this.segments.delete(key);
+        return new Promise(resolve => segment.stream.end(resolve));
+    }
+
+    // Segments of a book sorted by start time: [{ start, file, compacted }]
+    listSegments(key) {
+        const directory = this.getBookDirectory(key);
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(directory)
+            .filter(name => name.endsWith(SEGMENT_EXTENSION))
+            .map(name => ({
+                start: parseInt(name),
+                file: path.join(directory, name),
+                compacted: name.endsWith(COMPACTED_EXTENSION)
+            }))
+            .filter(segment => !isNaN(segment.start))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    async readRecords(file, onRecord) {
+        const input = fs.createReadStream(file);
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                if (!line) {
+                    continue;
+                }
+                // A crash or write error can leave the last line cut short
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    logger.warn(`Skipping malformed history record in ${file}: ${error.message}`);
+                    continue;
+                }
+                if (onRecord(record) === false) {
+                    break;
+                }
+            }
+        } finally {
+            lines.close();
+            input.destroy();
+        }
+    }
+
+    /**
+     * Rebuilds a book as it was at `timestamp` (ms). Resolves with
+     * { orderbook, snapshotTime, asOf, updatesApplied, compacted }, or null
+     * when there is no history for that instant.
+     */
+    async getBookAt(key, timestamp) {
+        const segment = this.listSegments(key).filter(candidate => candidate.start <= timestamp).pop();
+        if (!segment) {
+            return null;
+        }
+
+        const current = this.orderbookManager.getOrderBook(key);
+        const [exchange, symbol] = key.split(':');
+        const orderbook = new OrderBook(symbol, current ? {
+            tickSize: current.tickSize,
+            stepSize: current.stepSize
+        } : {}, exchange);
+
+        let snapshotTime = null;
+        let asOf = null;
+        let updatesApplied = 0;
+        await this.readRecords(segment.file, record => {
+            if (record.t > timestamp) {
+                return false;
+            }
+
+            if (record.type === 'snapshot') {
+                orderbook.clear();
+                record.bids.forEach(([price, quantity]) => orderbook.addBid(price, quantity));
+                record.asks.forEach(([price, quantity]) => orderbook.addAsk(price, quantity));
+                snapshotTime = record.t;
+            } else {
+                record.b.forEach(([price, quantity]) => orderbook.addBid(price, quantity));
+                record.a.forEach(([price, quantity]) => orderbook.addAsk(price, quantity));
+                updatesApplied++;
+            }
+            orderbook.lastUpdateId = record.type === 'snapshot' ? record.lastUpdateId : record.u;
+            orderbook.lastUpdateTime = record.t;
+            asOf = record.t;
+        });
+
+        if (snapshotTime === null) {
+            return null;
+        }
+
+        return { orderbook, snapshotTime, asOf, updatesApplied, compacted: segment.compacted };
+    }
+
+    // Applies retention and compaction to every stored book
+    async compact(now = Date.now()) {
+        if (!fs.existsSync(this.directory)) {
+            return;
+        }
+
+        for (const exchange of fs.readdirSync(this.directory)) {
+            const exchangeDirectory = path.join(this.directory, exchange);
+            if (!fs.statSync(exchangeDirectory).isDirectory()) {
+                continue;
+            }
+            for (const symbol of fs.readdirSync(exchangeDirectory)) {
+                await this.compactBook(`${exchange}:${symbol}`, now);
+            }
+        }
+    }
+
+    async compactBook(key, now = Date.now()) {
+        const segments = this.listSegments(key);
+        const open = this.segments.get(key);
+        let lastKept = null;
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const next = segments[i + 1];
+            if (open && open.file === segment.file) {
+                continue;
+            }
+
+            // Everything in it is past retention once the next segment is, or
+            // once it starts past retention if the book is no longer stored
+            const expired = next ? next.start <= now - this.retention : !open && segment.start <= now - this.retention;
+            if (expired) {
+                fs.unlinkSync(segment.file);
+                this.stats.deletedSegments++;
+                continue;
+            }
+
+            if (segment.start > now - this.compactAfter) {
+                continue;
+            }
+
+            if (lastKept !== null && segment.start - lastKept < this.compactedInterval) {
+                fs.unlinkSync(segment.file);
+                this.stats.deletedSegments++;
+                continue;
+            }
+
+            lastKept = segment.start;
+            if (!segment.compacted) {
+                await this.compactSegment(segment);
+            }
+        }
+    }
+
+    // Keeps only the snapshot that opens the segment
+    async compactSegment(segment) {
+        let snapshot = null;
+        await this.readRecords(segment.file, record => {
+            snapshot = record;
+            return false;
+        });
+
+        const file = segment.file.slice(0, -SEGMENT_EXTENSION.length) + COMPACTED_EXTENSION;
+        if (snapshot) {
+            fs.writeFileSync(file, JSON.stringify(snapshot) + '\n');
+        }
+        fs.unlinkSync(segment.file);
+        this.stats.compactedSegments++;
+    }
+
+    async stop() {
+        clearInterval(this.snapshotTimer);
+        clearInterval(this.compactionTimer);
+        this.snapshotTimer = null;
+        this.compactionTimer = null;
+        await Promise.all(Array.from(this.segments.keys(), key => this.closeSegment(key)));
+    }
+
+    getStats() {
+        return {
+            directory: this.directory,
+            books: this.segments.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const Decimal = require('../utils/decimal');
+const Validators = require('../utils/validators');
+const exchangesConfig = require('../config/exchanges');
+const config = require('../config/instruments');
+
+const TRADING = 'TRADING';
+
+/**
+ * Instrument metadata of every exchange publishing it (Binance exchangeInfo):
+ * tick and lot sizes, minimum notional, contract type and trading status.
+ * Each load is cached to disk, so the server starts offline or when the
+ * exchange is unreachable with the last known instruments. Connectors take
+ * their books' tick and step sizes from it, and configured pairs the
+ * exchange does not list are dropped. Instruments are reloaded every
+ * `refreshInterval` ms to follow status changes.
+ */
+class InstrumentRegistry {
+    constructor(connectors, options = {}) {
+        this.connectors = connectors; // exchange id -> ExchangeConnector
+        this.directory = options.directory || config.cacheDirectory;
+        this.refreshInterval = options.refreshInterval || config.refreshInterval;
+        // Replays start from the cache only
+        this.live = options.live !== false;
+        this.exchanges = new Map(); // exchange id -> { source, updatedAt, count }
+        this.timer = null;
+    }
+
+    start() {
+        if (!this.live) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.load().catch(error => logger.error(`Error refreshing instruments: ${error.message}`));
+        }, this.refreshInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async load() {
+        for (const connector of this.connectors.values()) {
+            await this.loadExchange(connector);
+        }
+    }
+
+    // From the exchange, falling back to the cache; connectors without metadata are skipped
+    async loadExchange(connector) {
+        let instruments = null;
+        let source = 'exchange';
+        let updatedAt = Date.now();
+        if (this.live) {
+            try {
+                instruments = await connector.fetchInstruments();
+                if (instruments) {
+                    this.save(connector.id, instruments, updatedAt);
+                }
+            } catch (error) {
+                logger.warn(`Could not load ${connector.name} instruments: ${error.message}`);
+            }
+        }
+
+        if (!instruments) {
+            const cached = this.read(connector.id);
+            if (!cached) {
+                return false;
+            }
+            ({ instruments, updatedAt } = cached);
+            source = 'cache';
+        }
+
+        connector.instruments = new Map(instruments.map(instrument => [instrument.symbol, instrument]));
+        this.exchanges.set(connector.id, { source, updatedAt, count: instruments.length });
+        logger.info(`Loaded ${instruments.length} ${connector.name} instruments from the ${source}`);
+        return true;
+    }
+
+    getCacheFile(id) {
+        return path.join(this.directory, `${id}-instruments.json`);
+    }
+
+    read(id) {
+        const file = this.getCacheFile(id);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            logger.error(`Error reading instruments from ${file}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Written to a temporary file first, so a crash never leaves half a file
+    save(id, instruments, updatedAt) {
+        const file = this.getCacheFile(id);
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify({ updatedAt, instruments }));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (error) {
+            logger.error(`Error caching instruments to ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drops the connector's pairs its exchange does not list, and warns about
+     * those not trading. Run before the books are created.
+     */
+    validatePairs(connector) {
+        if (!connector.instruments) {
+            return;
+        }
+        for (const [symbol, pair] of Array.from(connector.symbols)) {
+            const instrument = connector.instruments.get(symbol);
+            if (!instrument) {
+                logger.error(`${pair} is not listed on ${connector.name}, dropping it`);
+                connector.removePair(symbol);
+            } else if (instrument.status !== TRADING) {
+                logger.warn(`${pair} on ${connector.name} is not trading (${instrument.status})`);
+            }
+        }
+    }
+
+    // Throws with a client-facing message if a pair cannot be streamed
+    checkPair(connector, pair) {
+        if (!connector.instruments) {
+            return;
+        }
+        const instrument = connector.instruments.get(exchangesConfig.normalizeSymbol(pair));
+        if (!instrument) {
+            throw new Error(`${pair} is not listed on ${connector.name}`);
+        }
+        if (instrument.status !== TRADING) {
+            throw new Error(`${pair} is not trading on ${connector.name} (${instrument.status})`);
+        }
+    }
+
+    // Instrument of a book (bare symbol or exchange:symbol), or null
+    get(symbolOrKey, exchange = exchangesConfig.defaultExchange) {
+        const key = symbolOrKey.includes(':') ? symbolOrKey : `${exchange}:${symbolOrKey}`;
+        const [id, pair] = key.toLowerCase().split(':');
+        const connector = this.connectors.get(id);
+        const instrument = connector && connector.instruments && connector.instruments.get(exchangesConfig.normalizeSymbol(pair));
+        return instrument ? { exchange: id, ...instrument } : null;
+    }
+
+    list(exchange = null) {
+        const instruments = [];
+        for (const [id, connector] of this.connectors) {
+            if ((exchange && id !== exchange) || !connector.instruments) {
+                continue;
+            }
+            for (const instrument of connector.instruments.values()) {
+                instruments.push({ exchange: id, ...instrument });
+            }
+        }
+        return instruments;
+    }
+
+    /**
+     * The order a market-impact estimate can actually be placed as: the filled
+     * quantity rounded down to the market lot step and capped at the maximum,
+     * with the filters it still breaks (minimum quantity or notional).
+     */
+    roundOrder(instrument, quantity, price) {
+        const step = instrument.marketStepSize || instrument.stepSize;
+        const max = instrument.marketMaxQty || instrument.maxQty;
+        let size = step ? quantity.roundToStep(step, 'floor') : quantity;
+        if (max && size.gt(Decimal.from(max))) {
+            size = step ? Decimal.from(max).roundToStep(step, 'floor') : Decimal.from(max);
+        }
+
+        const errors = [
+            Validators.validateQuantity(size, instrument, !!instrument.marketStepSize),
+            Validators.validateNotional(size, price, instrument)
+        ].filter(Boolean);
+        return {
+            quantity: size,
+            notional: size.mul(price).trim(),
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    getStats() {
+        return Object.fromEntries(this.exchanges);
+    }
+}
+
+InstrumentRegistry.TRADING = TRADING;
+
+module.exports = InstrumentRegistry;
@@ -1,166 +1,471 @@
 const OrderBook = require('../models/OrderBook');
+const ConsolidatedBook = require('../models/ConsolidatedBook');
+const TradeBuffer = require('../models/TradeBuffer');
+const MetricSeries = require('../models/MetricSeries');
+const LevelEventDetector = require('../models/LevelEventDetector');
+const RingBuffer = require('../utils/ringBuffer');
 const logger = require('../utils/logger');
 const Validators = require('../utils/validators');
+const config = require('../config/binance');
+const exchangesConfig = require('../config/exchanges');
+const serverConfig = require('../config/server');
+const metricsConfig = require('../config/metrics');
+const eventsConfig = require('../config/events');
+const alertsConfig = require('../config/alerts');
+const SubscriptionManager = require('./subscriptionManager');
 
+const { Channels } = SubscriptionManager;
+
+// Depth of a subscription that does not give one; null is the whole book
+const DEFAULT_DEPTHS = {
+    [Channels.BOOK]: null,
+    [Channels.TOP]: 1,
+    [Channels.AGGREGATED]: SubscriptionManager.DEFAULT_AGGREGATED_DEPTH,
+    [Channels.TRADES]: SubscriptionManager.DEFAULT_TRADES_DEPTH,
+    [Channels.METRICS]: metricsConfig.levels,
+    [Channels.EVENTS]: SubscriptionManager.DEFAULT_EVENTS_DEPTH,
+    [Channels.ALERTS]: SubscriptionManager.DEFAULT_ALERTS_DEPTH
+};
+
+/**
+ * Owns every orderbook, keyed by `exchange:symbol`. Methods taking a book key
+ * also accept a bare symbol, which refers to the default exchange.
+ */
 class OrderBookManager {
-    constructor() {
-        this.orderbooks = new Map(); // symbol -> OrderBook
-        this.subscribers = new Set(); // WebSocket clients for broadcasting
+    constructor(options = {}) {
+        this.orderbooks = new Map(); // `${exchange}:${symbol}` -> OrderBook
+        this.consolidated = new Map(); // source book keys -> ConsolidatedBook
+        this.trades = new Map(); // book key -> TradeBuffer, for books with a trade stream
+        this.series = new Map(); // book key -> MetricSeries
+        this.samplingTimer = null;
+        this.events = new Map(); // book key -> LevelEventDetector
+        this.eventsEnabled = options.detectEvents !== undefined ? options.detectEvents : eventsConfig.enabled;
+        this.alerts = new Map(); // book key -> recent alerts (RingBuffer), from the AlertEngine
+        this.subscriptions = new SubscriptionManager(options.delivery, this.trades, this.events, this.alerts); // WebSocket clients and what they follow
+        this.history = null; // HistoryStore, when book history is persisted
+        this.counters = new Map(); // book key -> { updates, snapshots } applied since startup
+    }
+
+    static getBookKey(exchange, symbol) {
+        return `${exchange}:${symbol}`.toLowerCase();
     }
 
-    createOrderBook(symbol) {
-        const orderbook = new OrderBook(symbol);
-        this.orderbooks.set(symbol, orderbook);
-        logger.info(`Created orderbook for ${symbol}`);
+    resolveKey(key, exchange = exchangesConfig.defaultExchange) {
+        const normalized = key.toLowerCase();
+        return normalized.includes(':') ? normalized : `${exchange.toLowerCase()}:${normalized}`;
+    }
+
+    createOrderBook(symbol, exchange = exchangesConfig.defaultExchange, filters = null) {
+        const settings = exchangesConfig.exchanges[exchange];
+        const symbolFilters = filters ||
+            (settings && settings.symbolFilters && settings.symbolFilters[symbol]) || {};
+        const orderbook = new OrderBook(symbol, symbolFilters, exchange);
+        this.orderbooks.set(orderbook.key, orderbook);
+        logger.info(`Created orderbook for ${orderbook.key}`);
         return orderbook;
     }
 
-    getOrderBook(symbol) {
-        return this.orderbooks.get(symbol);
+    // Drops a book with its trades, metrics, events and alerts; its subscribers are unsubscribed
+    removeOrderBook(key) {
+        key = this.resolveKey(key);
+        if (!this.orderbooks.delete(key)) {
+            return false;
+        }
+
+        this.trades.delete(key);
+        this.series.delete(key);
+        this.events.delete(key);
+        this.alerts.delete(key);
+        this.counters.delete(key);
+        for (const cacheKey of Array.from(this.consolidated.keys())) {
+            if (cacheKey.split(',').includes(key)) {
+                this.consolidated.delete(cacheKey);
+            }
+        }
+        this.subscriptions.removeBook(key);
+        logger.info(`Removed orderbook for ${key}`);
+        return true;
+    }
+
+    // Tells every WebSocket client that a book was added or removed
+    publishSymbols(action, key) {
+        const [exchange, symbol] = key.split(':');
+        this.subscriptions.broadcast({
+            type: 'symbols',
+            action,
+            exchange,
+            symbol,
+            symbols: Array.from(this.orderbooks.keys()),
+            timestamp: Date.now()
+        });
+    }
+
+    getOrderBook(key) {
+        return this.orderbooks.get(this.resolveKey(key));
     }
 
-    getAllOrderBooks() {
+    getAllOrderBooks(exchange = null) {
         const result = {};
-        for (const [symbol, orderbook] of this.orderbooks) {
-            result[symbol] = orderbook.getSnapshot();
+        for (const [key, orderbook] of this.orderbooks) {
+            if (!exchange || orderbook.exchange === exchange) {
+                result[key] = orderbook.getSnapshot();
+            }
         }
         return result;
     }
 
-    updateOrderBook(symbol, depthData) {
-        let orderbook = this.getOrderBook(symbol);
-        if (!orderbook) {
-            logger.warn(`Orderbook not found for symbol: ${symbol}, creating new one`);
-            orderbook = this.createOrderBook(symbol);
-        }
-
-        // For empty orderbooks or when there's a large sequence gap, accept the update
-        if (orderbook.lastUpdateId === 0) {
-            logger.info(`Accepting first update for ${symbol} with sequence ${depthData.u}`);
-            orderbook.updateLastUpdateId(depthData.u);
-        } else {
-            // Check if there's a large sequence gap (more than 1000)
-            const sequenceGap = depthData.U - orderbook.lastUpdateId;
-            if (sequenceGap > 1000) {
-                logger.warn(`Large sequence gap for ${symbol}: current=${orderbook.lastUpdateId}, new=${depthData.U}, gap=${sequenceGap}. Accepting update.`);
-                orderbook.updateLastUpdateId(depthData.u);
-            } else {
-                // Validate sequence numbers for normal updates
-                if (!Validators.validateSequenceNumber(
-                    orderbook.lastUpdateId,
-                    depthData.U,
-                    depthData.u
-                )) {
-                    return false;
-                }
-            }
+    getExchanges() {
+        return Array.from(new Set(Array.from(this.orderbooks.values(), orderbook => orderbook.exchange)));
+    }
+
+    /**
+     * Book merging `symbol` across venues, by default every exchange that has
+     * it. Venue order is the routing preference within a price level.
+     */
+    getConsolidatedBook(symbol, venues = null) {
+        symbol = symbol.toLowerCase();
+        const sources = (venues || this.getExchanges())
+            .map(venue => this.orderbooks.get(OrderBookManager.getBookKey(venue, symbol)))
+            .filter(Boolean);
+        if (sources.length === 0) {
+            return null;
         }
 
-        // Update bids
-        for (const level of depthData.b) {
-            if (Validators.isValidPriceLevel(level)) {
-                const { price, quantity } = Validators.sanitizePriceLevel(level);
-                orderbook.addBid(price, quantity);
-            }
+        const cacheKey = sources.map(source => source.key).join(',');
+        let book = this.consolidated.get(cacheKey);
+        if (!book) {
+            book = new ConsolidatedBook(symbol, sources);
+            this.consolidated.set(cacheKey, book);
         }
+        return book.refresh();
+    }
 
-        // Update asks
-        for (const level of depthData.a) {
-            if (Validators.isValidPriceLevel(level)) {
-                const { price, quantity } = Validators.sanitizePriceLevel(level);
-                orderbook.addAsk(price, quantity);
+    getAllConsolidatedBooks(venues = null) {
+        const result = {};
+        const symbols = new Set(Array.from(this.orderbooks.values(), orderbook => orderbook.symbol));
+        for (const symbol of symbols) {
+            const book = this.getConsolidatedBook(symbol, venues);
+            if (book) {
+                result[symbol] = book.getSnapshot();
             }
         }
+        return result;
+    }
+
+    // Applies a diff that the caller has already validated against the book's sequence
+    updateOrderBook(key, depthData) {
+        const orderbook = this.getOrderBook(key);
+        if (!orderbook) {
+            logger.warn(`Orderbook not found: ${key}`);
+            return false;
+        }
+
+        // Tell consumed from cancelled liquidity before the levels change
+        const trades = this.trades.get(orderbook.key);
+        if (trades) {
+            trades.classifyDiff('bids', depthData.b);
+            trades.classifyDiff('asks', depthData.a);
+        }
+
+        // Level events compare the diff with the levels it replaces
+        const detector = this.eventsEnabled ? this.getEventDetector(orderbook) : null;
+        const now = Date.now();
+        const events = detector ? [
+            ...detector.detectLevelChanges('bids', depthData.b, now),
+            ...detector.detectLevelChanges('asks', depthData.a, now)
+        ] : [];
+
+        const prevSeq = orderbook.sequence;
+        const bids = this.applyLevels(orderbook, 'bids', depthData.b);
+        const asks = this.applyLevels(orderbook, 'asks', depthData.a);
 
         // Update sequence number
         orderbook.updateLastUpdateId(depthData.u);
+        orderbook.sequence++;
+        this.getCounters(orderbook.key).updates++;
+
+        if (this.history) {
+            this.history.recordDiff(orderbook, bids, asks);
+        }
 
-        // Broadcast to subscribers
-        this.broadcastUpdate(symbol, orderbook.getSnapshot());
+        // Publish only the changed levels; clients chain prevSeq -> seq to detect gaps
+        this.subscriptions.publishUpdate(orderbook, {
+            bids: bids,
+            asks: asks,
+            spread: orderbook.getSpread(),
+            midPrice: orderbook.getMidPrice(),
+            timestamp: Date.now()
+        });
+
+        if (detector) {
+            events.push(...detector.checkPulledLiquidity(now));
+            if (events.length > 0) {
+                detector.record(events);
+                this.subscriptions.publishEvents(orderbook, events);
+            }
+        }
 
         return true;
     }
 
-    setSnapshot(symbol, snapshotData) {
-        if (!Validators.isValidSnapshot(snapshotData)) {
-            logger.error(`Invalid snapshot data for ${symbol}`);
+    getCounters(key) {
+        let counters = this.counters.get(key);
+        if (!counters) {
+            counters = { updates: 0, snapshots: 0 };
+            this.counters.set(key, counters);
+        }
+        return counters;
+    }
+
+    getEventDetector(orderbook) {
+        let detector = this.events.get(orderbook.key);
+        if (!detector) {
+            detector = new LevelEventDetector(orderbook);
+            this.events.set(orderbook.key, detector);
+        }
+        return detector;
+    }
+
+    getLevelEvents(key) {
+        return this.events.get(this.resolveKey(key)) || null;
+    }
+
+    // Records a trade; trade: { id, price, quantity, side (aggressor), time }
+    addTrade(key, trade) {
+        const orderbook = this.getOrderBook(key);
+        if (!orderbook) {
+            logger.warn(`Orderbook not found: ${key}`);
             return false;
         }
 
-        let orderbook = this.getOrderBook(symbol);
+        let buffer = this.trades.get(orderbook.key);
+        if (!buffer) {
+            buffer = new TradeBuffer(orderbook);
+            this.trades.set(orderbook.key, buffer);
+        }
+
+        // A rotated connection may deliver trades again
+        const added = buffer.add(trade);
+        if (!added) {
+            return false;
+        }
+        this.subscriptions.publishTrade(orderbook, added);
+        return true;
+    }
+
+    // Keeps an alert on the book and pushes it to the book's alert subscribers
+    addAlert(key, alert) {
+        const orderbook = this.getOrderBook(key);
         if (!orderbook) {
-            orderbook = this.createOrderBook(symbol);
+            logger.warn(`Orderbook not found: ${key}`);
+            return false;
         }
 
-        // Clear existing data
-        orderbook.clear();
+        let log = this.alerts.get(orderbook.key);
+        if (!log) {
+            log = new RingBuffer(alertsConfig.logSize);
+            this.alerts.set(orderbook.key, log);
+        }
 
-        // Set bids
-        for (const level of snapshotData.bids) {
-            if (Validators.isValidPriceLevel(level)) {
-                const { price, quantity } = Validators.sanitizePriceLevel(level);
-                orderbook.addBid(price, quantity);
+        log.push(alert);
+        this.subscriptions.publishAlert(orderbook, alert);
+        return true;
+    }
+
+    getTradeBuffer(key) {
+        return this.trades.get(this.resolveKey(key)) || null;
+    }
+
+    // Samples every book's metrics once per second into its MetricSeries
+    startSampling(interval = 1000) {
+        this.stopSampling();
+        this.samplingTimer = setInterval(() => this.sampleSeries(), interval);
+    }
+
+    stopSampling() {
+        clearInterval(this.samplingTimer);
+        this.samplingTimer = null;
+    }
+
+    sampleSeries(now = Date.now()) {
+        for (const [key, orderbook] of this.orderbooks) {
+            let series = this.series.get(key);
+            if (!series) {
+                series = new MetricSeries();
+                this.series.set(key, series);
             }
+            series.sample(orderbook, now);
         }
+    }
+
+    getMetricSeries(key) {
+        return this.series.get(this.resolveKey(key)) || null;
+    }
 
-        // Set asks
-        for (const level of snapshotData.asks) {
+    applyLevels(orderbook, side, levels) {
+        const changes = [];
+        for (const level of levels) {
             if (Validators.isValidPriceLevel(level)) {
                 const { price, quantity } = Validators.sanitizePriceLevel(level);
-                orderbook.addAsk(price, quantity);
+                changes.push(side === 'bids' ?
+                    orderbook.addBid(price, quantity) :
+                    orderbook.addAsk(price, quantity));
             }
         }
+        return changes;
+    }
+
+    setSnapshot(key, snapshotData) {
+        if (!Validators.isValidSnapshot(snapshotData)) {
+            logger.error(`Invalid snapshot data for ${key}`);
+            return false;
+        }
+
+        let orderbook = this.getOrderBook(key);
+        if (!orderbook) {
+            const [exchange, symbol] = this.resolveKey(key).split(':');
+            orderbook = this.createOrderBook(symbol, exchange);
+        }
+
+        // Clear existing data
+        orderbook.clear();
+        const detector = this.events.get(orderbook.key);
+        if (detector) {
+            detector.reset();
+        }
+
+        this.applyLevels(orderbook, 'bids', snapshotData.bids);
+        this.applyLevels(orderbook, 'asks', snapshotData.asks);
 
         // Set sequence number
         orderbook.updateLastUpdateId(snapshotData.lastUpdateId);
+        orderbook.sequence++;
+        this.getCounters(orderbook.key).snapshots++;
+
+        if (this.history) {
+            this.history.recordSnapshot(orderbook);
+        }
+
+        // A rebuilt book cannot be expressed as a delta, clients replace theirs
+        this.subscriptions.publishSnapshot(orderbook);
 
-        logger.info(`Set snapshot for ${symbol} with ${snapshotData.bids.length} bids and ${snapshotData.asks.length} asks`);
+        logger.info(`Set snapshot for ${orderbook.key} with ${snapshotData.bids.length} bids and ${snapshotData.asks.length} asks`);
         return true;
     }
 
     addSubscriber(ws) {
-        this.subscribers.add(ws);
-        logger.info(`Added subscriber, total: ${this.subscribers.size}`);
+        this.subscriptions.addClient(ws);
+        logger.info(`Added subscriber, total: ${this.subscriptions.clients.size}`);
     }
 
     removeSubscriber(ws) {
-        this.subscribers.delete(ws);
-        logger.info(`Removed subscriber, total: ${this.subscribers.size}`);
+        this.subscriptions.removeClient(ws);
+        logger.info(`Removed subscriber, total: ${this.subscriptions.clients.size}`);
     }
 
-    broadcastUpdate(symbol, snapshot) {
-        const message = JSON.stringify({
-            type: 'orderbook_update',
-            symbol: symbol,
-            data: snapshot,
-            timestamp: Date.now()
-        });
+    // Validates a client's subscribe/unsubscribe request; throws with a client-facing message
+    parseSubscriptionRequest(request, requireSymbols = true) {
+        const symbols = Array.isArray(request.symbols) ? request.symbols :
+            (request.symbol ? [request.symbol] : []);
+        if (requireSymbols && symbols.length === 0) {
+            throw new Error('At least one symbol is required');
+        }
+        if (!symbols.every(symbol => typeof symbol === 'string')) {
+            throw new Error('Symbols must be strings');
+        }
+
+        // Bare symbols refer to the request's exchange, or the default one
+        const exchange = request.exchange || exchangesConfig.defaultExchange;
+        if (typeof exchange !== 'string') {
+            throw new Error('Exchange must be a string');
+        }
+        const normalized = symbols.map(symbol => symbol.toLowerCase());
+        const keys = normalized.map(symbol => this.resolveKey(symbol, exchange));
+        const unknown = normalized.filter((symbol, i) => !this.orderbooks.has(keys[i]));
+        if (unknown.length > 0) {
+            throw new Error(`Orderbook not found for symbol(s): ${unknown.join(', ')}`);
+        }
+
+        const channel = request.channel || Channels.BOOK;
+        if (!Object.values(Channels).includes(channel)) {
+            throw new Error(`Invalid channel: ${channel} (expected ${Object.values(Channels).join(', ')})`);
+        }
 
-        // Remove disconnected clients
-        for (const ws of this.subscribers) {
-            if (ws.readyState === ws.OPEN) {
-                try {
-                    ws.send(message);
-                } catch (error) {
-                    logger.error(`Error sending to subscriber: ${error.message}`);
-                    this.removeSubscriber(ws);
+        let depth = request.depth === undefined || request.depth === null ? null : parseInt(request.depth);
+        if (depth !== null && (isNaN(depth) || depth < 1 || depth > config.orderbookDepth)) {
+            throw new Error(`Invalid depth parameter (1-${config.orderbookDepth})`);
+        }
+        if (depth === null || channel === Channels.TOP) {
+            depth = DEFAULT_DEPTHS[channel]; // top of book is always one level
+        }
+
+        // Updates per second; intermediate changes are conflated between sends
+        const maxRate = request.maxRate === undefined || request.maxRate === null ? null : Number(request.maxRate);
+        if (maxRate !== null && !(maxRate > 0)) {
+            throw new Error('Invalid maxRate parameter (updates per second, greater than 0)');
+        }
+
+        // Price buckets ("0.5", "10" or "5bps") for the channels carrying levels
+        let priceGroup = null;
+        if (request.group !== undefined && request.group !== null) {
+            if (channel !== Channels.BOOK && channel !== Channels.AGGREGATED) {
+                throw new Error(`The group parameter only applies to the ${Channels.BOOK} and ${Channels.AGGREGATED} channels`);
+            }
+            priceGroup = Validators.parsePriceGroup(request.group);
+            if (!priceGroup) {
+                throw new Error('Invalid group parameter (bucket width such as 0.5 or 10, or 5bps)');
+            }
+            for (const key of keys) {
+                const groupError = Validators.validatePriceGroup(priceGroup, this.getOrderBook(key).tickSize);
+                if (groupError) {
+                    throw new Error(groupError);
                 }
-            } else {
-                this.removeSubscriber(ws);
             }
         }
+
+        return {
+            symbols: normalized,
+            keys,
+            channel,
+            depth,
+            maxRate: maxRate === null ? null : Math.min(maxRate, serverConfig.maxUpdatesPerSecond),
+            priceGroup
+        };
+    }
+
+    subscribe(ws, request) {
+        const { symbols, keys, channel, depth, maxRate, priceGroup } = this.parseSubscriptionRequest(request);
+        for (const key of keys) {
+            this.subscriptions.subscribe(ws, this.getOrderBook(key), channel, depth, maxRate, priceGroup);
+        }
+        return { symbols, channel, depth, maxRate, group: priceGroup ? String(request.group).toLowerCase() : null };
+    }
+
+    unsubscribe(ws, request) {
+        const { symbols, keys, channel } = this.parseSubscriptionRequest(request);
+        const removed = symbols.filter((symbol, i) => this.subscriptions.unsubscribe(ws, keys[i], channel));
+        return { symbols: removed, channel };
+    }
+
+    resync(ws, request) {
+        const { symbols, keys, channel } = this.parseSubscriptionRequest(request);
+        const resynced = symbols.filter((symbol, i) =>
+            this.subscriptions.resync(ws, this.getOrderBook(keys[i]), channel));
+        return { symbols: resynced, channel };
     }
 
     getStats() {
         const stats = {
             totalOrderbooks: this.orderbooks.size,
-            totalSubscribers: this.subscribers.size,
+            totalSubscribers: this.subscriptions.clients.size,
+            subscriptions: this.subscriptions.getStats(),
             symbols: Array.from(this.orderbooks.keys()),
+            exchanges: this.getExchanges(),
             orderbooks: {}
         };
 
-        for (const [symbol, orderbook] of this.orderbooks) {
-            stats.orderbooks[symbol] = {
+        for (const [key, orderbook] of this.orderbooks) {
+            stats.orderbooks[key] = {
                 lastUpdateId: orderbook.lastUpdateId,
                 lastUpdateTime: orderbook.lastUpdateTime,
                 bidCount: orderbook.bids.size,
@@ -0,0 +1,196 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+const BookMetrics = require('../models/BookMetrics');
+const FeedHealthMonitor = require('./feedHealthMonitor');
+const { render } = require('../utils/prometheus');
+const config = require('../config/prometheus');
+
+/**
+ * Collects the server's counters and gauges for Prometheus at scrape time:
+ * book updates, sequence gaps and rejected diffs, feed health, book depth
+ * and spread, per-exchange message processing latency and reconnects,
+ * WebSocket subscribers and their outbound traffic, and event loop lag.
+ * Counters are kept by the components themselves and never reset, so rates
+ * survive reconnects and resyncs.
+ */
+class PrometheusExporter {
+    constructor(orderbookManager, connectors, options = {}) {
+        this.orderbookManager = orderbookManager;
+        this.connectors = connectors; // exchange id -> ExchangeConnector
+        this.feedHealth = options.feedHealth || null; // FeedHealthMonitor
+        this.eventLoopResolution = options.eventLoopResolution || config.eventLoopResolution;
+        this.eventLoopDelay = null;
+    }
+
+    start() {
+        this.eventLoopDelay = monitorEventLoopDelay({ resolution: this.eventLoopResolution });
+        this.eventLoopDelay.enable();
+    }
+
+    stop() {
+        if (this.eventLoopDelay) {
+            this.eventLoopDelay.disable();
+            this.eventLoopDelay = null;
+        }
+    }
+
+    metrics() {
+        return render([
+            ...this.collectBooks(),
+            ...this.collectSequences(),
+            ...this.collectHealth(),
+            ...this.collectExchanges(),
+            ...this.collectSubscribers(),
+            ...this.collectEventLoop()
+        ]);
+    }
+
+    collectBooks() {
+        const updates = [];
+        const snapshots = [];
+        for (const [key, counters] of this.orderbookManager.counters) {
+            const labels = this.bookLabels(key);
+            updates.push({ labels, value: counters.updates });
+            snapshots.push({ labels, value: counters.snapshots });
+        }
+
+        const levels = [];
+        const spread = [];
+        const spreadBps = [];
+        for (const [key, orderbook] of this.orderbookManager.orderbooks) {
+            const labels = this.bookLabels(key);
+            levels.push({ labels: { ...labels, side: 'bids' }, value: orderbook.bids.size });
+            levels.push({ labels: { ...labels, side: 'asks' }, value: orderbook.asks.size });
+            spread.push({ labels, value: orderbook.getSpread() });
+            spreadBps.push({ labels, value: BookMetrics.spreadBps(orderbook) });
+        }
+
+        return [
+            { name: 'orderbook_updates_total', help: 'Depth diffs applied to the book.', type: 'counter', samples: updates },
+            { name: 'orderbook_snapshots_total', help: 'Snapshots the book was rebuilt from.', type: 'counter', samples: snapshots },
+            { name: 'orderbook_levels', help: 'Price levels in the book.', type: 'gauge', samples: levels },
+            { name: 'orderbook_spread', help: 'Best ask minus best bid, in quote currency.', type: 'gauge', samples: spread },
+            { name: 'orderbook_spread_bps', help: 'Spread in basis points of the mid price.', type: 'gauge', samples: spreadBps }
+        ];
+    }
+
+    collectSequences() {
+        const gaps = [];
+        const rejected = [];
+        for (const connector of this.connectors.values()) {
+            for (const [key, counters] of connector.synchronizer.counters.entries()) {
+                const labels = this.bookLabels(key);
+                for (const [reason, value] of Object.entries(counters.gaps)) {
+                    gaps.push({ labels: { ...labels, reason }, value });
+                }
+                for (const [reason, value] of Object.entries(counters.rejected)) {
+                    rejected.push({ labels: { ...labels, reason }, value });
+                }
+            }
+        }
+
+        return [
+            { name: 'orderbook_sequence_gaps_total', help: 'Resyncs forced by a sequence break, by reason.', type: 'counter', samples: gaps },
+            { name: 'orderbook_rejected_updates_total', help: 'Depth diffs discarded by sequence validation, by reason.', type: 'counter', samples: rejected }
+        ];
+    }
+
+    collectHealth() {
+        if (!this.feedHealth) {
+            return [];
+        }
+
+        const status = [];
+        const resyncs = [];
+        for (const [key, book] of Object.entries(this.feedHealth.getHealth().books)) {
+            const labels = this.bookLabels(key);
+            for (const value of Object.values(FeedHealthMonitor.HealthStatus)) {
+                status.push({ labels: { ...labels, status: value }, value: book.status === value ? 1 : 0 });
+            }
+            resyncs.push({ labels, value: book.resyncs });
+        }
+
+        return [
+            { name: 'orderbook_health', help: 'Feed health of the book, 1 for its current status.', type: 'gauge', samples: status },
+            { name: 'orderbook_health_resyncs_total', help: 'Automatic resyncs of unhealthy books.', type: 'counter', samples: resyncs }
+        ];
+    }
+
+    collectExchanges() {
+        const connected = [];
+        const connections = [];
+        const messages = [];
+        const reconnects = [];
+        const rotations = [];
+        const pending = [];
+        const failed = [];
+        const processing = [];
+        for (const [id, connector] of this.connectors) {
+            const labels = { exchange: id };
+            const stats = connector.getConnectionStats();
+            connected.push({ labels, value: connector.isConnected ? 1 : 0 });
+            connections.push({ labels, value: connector.shards.filter(shard => shard.connected).length });
+            messages.push({ labels, value: connector.stats.messages });
+            reconnects.push({ labels, value: stats.reconnects || 0 });
+            rotations.push({ labels, value: stats.rotations || 0 });
+            pending.push({ labels, value: connector.pendingRequests.size });
+            failed.push({ labels, value: connector.stats.failedRequests });
+            processing.push({ labels, histogram: connector.processingTime });
+        }
+
+        return [
+            { name: 'exchange_connected', help: 'Whether every exchange WebSocket connection is up.', type: 'gauge', samples: connected },
+            { name: 'exchange_connections', help: 'Open WebSocket connections to the exchange.', type: 'gauge', samples: connections },
+            { name: 'exchange_messages_total', help: 'WebSocket messages received from the exchange.', type: 'counter', samples: messages },
+            { name: 'exchange_reconnects_total', help: 'Reconnections to the exchange WebSocket.', type: 'counter', samples: reconnects },
+            { name: 'exchange_rotations_total', help: 'Connections replaced ahead of the exchange age limit.', type: 'counter', samples: rotations },
+            { name: 'exchange_pending_requests', help: 'Subscription requests awaiting confirmation.', type: 'gauge', samples: pending },
+            { name: 'exchange_failed_requests_total', help: 'Subscription requests rejected or never confirmed.', type: 'counter', samples: failed },
+            { name: 'exchange_message_processing_seconds', help: 'Time to process one exchange message.', type: 'histogram', samples: processing }
+        ];
+    }
+
+    collectSubscribers() {
+        const stats = this.orderbookManager.subscriptions.getStats();
+        const subscriptions = Object.entries(stats.subscriptions)
+            .map(([channel, value]) => ({ labels: { channel }, value }));
+        const { delivery } = stats;
+
+        return [
+            { name: 'subscriber_clients', help: 'Connected WebSocket clients.', type: 'gauge', samples: [{ value: stats.clients }] },
+            { name: 'subscriber_subscriptions', help: 'Subscriptions by channel.', type: 'gauge', samples: subscriptions },
+            { name: 'subscriber_messages_sent_total', help: 'Messages sent to WebSocket clients.', type: 'counter', samples: [{ value: delivery.sent }] },
+            { name: 'subscriber_bytes_sent_total', help: 'Bytes sent to WebSocket clients.', type: 'counter', samples: [{ value: delivery.bytes }] },
+            { name: 'subscriber_messages_queued', help: 'Messages waiting for slow clients.', type: 'gauge', samples: [{ value: delivery.queued }] },
+            { name: 'subscriber_messages_dropped_total', help: 'Messages dropped for slow clients.', type: 'counter', samples: [{ value: delivery.dropped }] },
+            { name: 'subscriber_messages_conflated_total', help: 'Messages merged into queued ones for slow clients.', type: 'counter', samples: [{ value: delivery.conflated }] },
+            { name: 'subscriber_slow_disconnects_total', help: 'Clients disconnected as slow consumers.', type: 'counter', samples: [{ value: delivery.disconnected }] }
+        ];
+    }
+
+    // Delay percentiles since the previous scrape, in seconds
+    collectEventLoop() {
+        if (!this.eventLoopDelay || this.eventLoopDelay.count === 0) {
+            return [];
+        }
+
+        const histogram = this.eventLoopDelay;
+        const samples = [
+            { labels: { quantile: '0.5' }, value: histogram.percentile(50) / 1e9 },
+            { labels: { quantile: '0.9' }, value: histogram.percentile(90) / 1e9 },
+            { labels: { quantile: '0.99' }, value: histogram.percentile(99) / 1e9 }
+        ];
+        const families = [
+            { name: 'nodejs_eventloop_lag_seconds', help: 'Event loop delay percentiles since the last scrape.', type: 'gauge', samples },
+            { name: 'nodejs_eventloop_lag_max_seconds', help: 'Longest event loop delay since the last scrape.', type: 'gauge', samples: [{ value: histogram.max / 1e9 }] }
+        ];
+        histogram.reset();
+        return families;
+    }
+
+    bookLabels(key) {
+        const [exchange, symbol] = key.split(':');
+        return { exchange, symbol };
+    }
+}
+
+module.exports = PrometheusExporter;
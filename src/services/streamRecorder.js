@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+const config = require('../config/recording');
+
+/**
+ * Writes raw exchange traffic to gzipped NDJSON files, one record per line:
+ *   { t, exchange, type, key, data }
+ * where t is the receive time and type is 'message' (raw WebSocket text),
+ * 'snapshot' (parsed REST snapshot for book `key`), 'open' (connection
+ * opened) or 'switch' (a rotated connection took over). Files rotate by size
+ * and age and sort by name in time order. A file system error, such as a
+ * full disk, is logged and stops the recording; the feeds carry on.
+ */
+class StreamRecorder {
+    constructor(options = {}) {
+        this.directory = options.directory || config.directory;
+        this.maxFileSize = options.maxFileSize || config.maxFileSize;
+        this.rotateInterval = options.rotateInterval || config.rotateInterval;
+        this.stream = null; // gzip stream of the current file
+        this.output = null; // file stream behind it
+        this.file = null;
+        this.bytes = 0;
+        this.openedAt = 0;
+        this.closing = [];
+        this.error = null; // what stopped the recording
+        this.stats = { records: 0, files: 0, bytes: 0 };
+    }
+
+    record(exchange, type, data, key = null) {
+        if (this.error) {
+            return;
+        }
+        const now = Date.now();
+        if (!this.stream || this.bytes >= this.maxFileSize || now - this.openedAt >= this.rotateInterval) {
+            try {
+                this.rotate(now);
+            } catch (error) {
+                this.fail(error);
+                return;
+            }
+        }
+
+        const line = JSON.stringify({ t: now, exchange, type, key, data }) + '\n';
+        this.stream.write(line);
+        this.bytes += Buffer.byteLength(line);
+        this.stats.records++;
+        this.stats.bytes += Buffer.byteLength(line);
+    }
+
+    rotate(now = Date.now()) {
+        this.closeFile();
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        // The counter keeps names unique and ordered within one millisecond
+        const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+        const counter = String(this.stats.files).padStart(6, '0');
+        this.file = path.join(this.directory, `depth-${stamp}-${counter}.ndjson.gz`);
+        this.stream = zlib.createGzip();
+        this.output = fs.createWriteStream(this.file);
+        this.stream.on('error', error => this.fail(error));
+        this.output.on('error', error => this.fail(error));
+        this.stream.pipe(this.output);
+        this.bytes = 0;
+        this.openedAt = now;
+        this.stats.files++;
+        logger.info(`Recording depth streams to ${this.file}`);
+    }
+
+    fail(error) {
+        if (this.error) {
+            return;
+        }
+        this.error = error;
+        logger.error(`Recording stopped after an error writing ${this.file || this.directory}: ${error.message}`);
+        if (this.stream) {
+            this.stream.destroy();
+            this.output.destroy();
+            this.stream = null;
+            this.output = null;
+        }
+    }
+
+    closeFile() {
+        if (!this.stream) {
+            return;
+        }
+
+        const output = this.output;
+        this.closing.push(new Promise(resolve => output.on('close', resolve)));
+        this.stream.end();
+        this.stream = null;
+        this.output = null;
+    }
+
+    // Flushes and closes the current file
+    async close() {
+        this.closeFile();
+        await Promise.all(this.closing);
+        this.closing = [];
+    }
+
+    getStats() {
+        return {
+            directory: this.directory,
+            file: this.file,
+            error: this.error ? this.error.message : null,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = StreamRecorder;
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const logger = require('../utils/logger');
+const config = require('../config/recording');
+
+/**
+ * Feeds a StreamRecorder recording back through the exchange connectors, so
+ * books are built by the same synchronizers and published to clients as if
+ * the exchanges were live. REST snapshot requests are answered with the
+ * recorded snapshots, in order.
+ *
+ * `speed` scales the recorded timing: 1 is the original speed, 10 is ten
+ * times faster and 0 replays as fast as possible.
+ */
+class StreamReplayer {
+    constructor(connectors, options = {}) {
+        this.connectors = connectors; // exchange id -> connector
+        this.path = options.path || config.replayPath;
+        this.speed = options.speed !== undefined ? options.speed : config.replaySpeed;
+        this.snapshots = new Map(); // `${exchange} ${key}` -> { queued, waiting }
+        this.running = false;
+        this.stopped = false;
+        this.startTime = null; // wall clock at the first record
+        this.firstRecordTime = null;
+        this.stats = { files: 0, records: 0, skipped: 0, lastRecordTime: null };
+    }
+
+    // Recording files in time order: a single file or every .ndjson(.gz) in a directory
+    getFiles() {
+        if (!fs.statSync(this.path).isDirectory()) {
+            return [this.path];
+        }
+        return fs.readdirSync(this.path)
+            .filter(name => /\.ndjson(\.gz)?$/.test(name))
+            .sort()
+            .map(name => path.join(this.path, name));
+    }
+
+    attach() {
+        for (const connector of this.connectors.values()) {
+            connector.fetchSnapshot = key => this.nextSnapshot(connector.id, key);
+        }
+    }
+
+    async run() {
+        const files = this.getFiles();
+        this.attach();
+        this.running = true;
+        logger.info(`Replaying ${files.length} recording file(s) from ${this.path} at speed ${this.speed || 'max'}`);
+
+        for (const file of files) {
+            if (this.stopped) {
+                break;
+            }
+            await this.replayFile(file);
+            this.stats.files++;
+        }
+
+        this.running = false;
+        logger.info(`Replay finished: ${this.stats.records} records, ${this.stats.skipped} skipped`);
+        return this.stats;
+    }
+
+    async replayFile(file) {
+        let input = fs.createReadStream(file);
+        if (file.endsWith('.gz')) {
+            input = input.pipe(zlib.createGunzip());
+        }
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        try {
+            for await (const line of lines) {
+                if (this.stopped) {
+                    break;
+                }
+                if (!line) {
+                    continue;
+                }
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    logger.warn(`Skipping malformed record in ${file}`);
+                    this.stats.skipped++;
+                    continue;
+                }
+
+                await this.wait(record.t);
+                this.dispatch(record);
+                // Let synchronizers waiting on a snapshot apply it before the next diff
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        } finally {
+            lines.close();
+            input.destroy();
+        }
+    }
+
+    // Sleeps until the record is due at the replay speed
+    wait(recordTime) {
+        if (this.firstRecordTime === null) {
+            this.firstRecordTime = recordTime;
+            this.startTime = Date.now();
+        }
+        if (!this.speed || this.speed <= 0) {
+            return Promise.resolve();
+        }
+
+        const due = this.startTime + (recordTime - this.firstRecordTime) / this.speed;
+        const delay = due - Date.now();
+        return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+    }
+
+    dispatch(record) {
+        const connector = this.connectors.get(record.exchange);
+        if (!connector) {
+            this.stats.skipped++;
+            return;
+        }
+
+        this.stats.records++;
+        this.stats.lastRecordTime = record.t;
+        switch (record.type) {
+            case 'message':
+                connector.handleRawMessage(record.data);
+                break;
+            case 'snapshot':
+                this.deliverSnapshot(record.exchange, record.key, record.data);
+                break;
+            case 'open':
+                // The live connection reset its books here: the keys it
+                // carries, or every book in recordings made before sharding
+                this.dropWaiting(record.exchange, record.data);
+                connector.resetConnectionState();
+                if (Array.isArray(record.data)) {
+                    record.data.forEach(key => connector.synchronizer.reset(key));
+                } else {
+                    connector.synchronizer.reset();
+                }
+                break;
+            case 'switch':
+                // A rotated connection took over; books were kept
+                connector.resetConnectionState();
+                break;
+            default:
+                this.stats.records--;
+                this.stats.skipped++;
+        }
+    }
+
+    getSnapshotQueue(exchange, key) {
+        const id = `${exchange} ${key}`;
+        let queue = this.snapshots.get(id);
+        if (!queue) {
+            queue = { queued: [], waiting: [] };
+            this.snapshots.set(id, queue);
+        }
+        return queue;
+    }
+
+    // Resolves with the next recorded snapshot of the book
+    nextSnapshot(exchange, key) {
+        const queue = this.getSnapshotQueue(exchange, key);
+        if (queue.queued.length > 0) {
+            return Promise.resolve(queue.queued.shift());
+        }
+        return new Promise(resolve => queue.waiting.push(resolve));
+    }
+
+    deliverSnapshot(exchange, key, snapshot) {
+        const queue = this.getSnapshotQueue(exchange, key);
+        if (queue.waiting.length > 0) {
+            queue.waiting.shift()(snapshot);
+        } else {
+            queue.queued.push(snapshot);
+        }
+    }
+
+    // Requests from before a reconnect never got their snapshot live either
+    dropWaiting(exchange, keys = null) {
+        for (const [id, queue] of this.snapshots) {
+            const key = id.slice(exchange.length + 1);
+            if (id.startsWith(`${exchange} `) && (!Array.isArray(keys) || keys.includes(key))) {
+                queue.waiting = [];
+            }
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    getStats() {
+        return {
+            path: this.path,
+            speed: this.speed,
+            running: this.running,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = StreamReplayer;
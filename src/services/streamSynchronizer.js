@@ -0,0 +1,149 @@
+const logger = require('../utils/logger');
+const config = require('../config/binance');
+const { SyncState, SequenceCounters } = require('./depthSynchronizer');
+
+/**
+ * Keeps orderbooks consistent for exchanges that push the snapshot on the
+ * stream itself (Bybit, OKX, Coinbase, Kraken) instead of over REST:
+ *  1. A snapshot message replaces the book.
+ *  2. Every diff must follow the previous one per the exchange's rules, and
+ *     may additionally be verified against an exchange checksum.
+ *  3. On a gap or checksum mismatch the book is marked unsynced, diffs are
+ *     ignored and `requestSnapshot` asks the connector for a new snapshot,
+ *     usually by resubscribing.
+ * With `depth`, levels pushed beyond the subscribed depth are deleted locally
+ * (and published as deletes) for exchanges that do not send them.
+ */
+class StreamSynchronizer {
+    constructor(orderbookManager, requestSnapshot, options = {}) {
+        this.orderbookManager = orderbookManager;
+        this.requestSnapshot = requestSnapshot;
+        this.rules = options.rules || {};
+        this.depth = options.depth || null;
+        this.resyncDelay = options.resyncDelay !== undefined ? options.resyncDelay : config.resyncDelay;
+        this.symbols = new Map(); // book key -> sync state
+        this.counters = new SequenceCounters();
+    }
+
+    getState(key) {
+        let state = this.symbols.get(key);
+        if (!state) {
+            state = {
+                status: SyncState.IDLE,
+                lastFinalUpdateId: null,
+                resyncCount: 0,
+                droppedEvents: 0,
+                lastSyncTime: null,
+                retryTimer: null
+            };
+            this.symbols.set(key, state);
+        }
+        return state;
+    }
+
+    handleSnapshot(key, snapshot) {
+        const state = this.getState(key);
+        clearTimeout(state.retryTimer);
+        state.retryTimer = null;
+
+        if (!this.orderbookManager.setSnapshot(key, snapshot)) {
+            this.resync(key);
+            return false;
+        }
+
+        state.status = SyncState.SYNCED;
+        state.lastFinalUpdateId = snapshot.lastUpdateId;
+        state.lastSyncTime = Date.now();
+        logger.info(`Orderbook for ${key} synchronized at update ${snapshot.lastUpdateId}`);
+        return true;
+    }
+
+    handleDepthUpdate(key, event) {
+        const state = this.getState(key);
+
+        // Diffs before the first snapshot or during a resync cannot be applied
+        if (state.status !== SyncState.SYNCED) {
+            state.droppedEvents++;
+            this.counters.increment(key, 'rejected', 'unsynced');
+            return false;
+        }
+
+        if (this.rules.follows && !this.rules.follows(event, state.lastFinalUpdateId)) {
+            logger.warn(`Sequence gap for ${key}: last=${state.lastFinalUpdateId}, next=${event.U}, resynchronizing`);
+            this.counters.increment(key, 'gaps', 'sequence');
+            this.counters.increment(key, 'rejected', 'gap');
+            this.resync(key);
+            return false;
+        }
+
+        state.lastFinalUpdateId = event.u;
+        const applied = this.orderbookManager.updateOrderBook(key, event);
+        if (applied && this.depth) {
+            this.truncate(key, event);
+        }
+
+        if (applied && this.rules.verify && !this.rules.verify(this.orderbookManager.getOrderBook(key), event)) {
+            logger.warn(`Checksum mismatch for ${key}, resynchronizing`);
+            this.counters.increment(key, 'gaps', 'checksum');
+            this.resync(key);
+            return false;
+        }
+        return applied;
+    }
+
+    truncate(key, event) {
+        const orderbook = this.orderbookManager.getOrderBook(key);
+        const beyondDepth = side => side.getLevels().slice(this.depth).map(level => [level.price.toString(), '0']);
+        const bids = beyondDepth(orderbook.bids);
+        const asks = beyondDepth(orderbook.asks);
+
+        if (bids.length > 0 || asks.length > 0) {
+            this.orderbookManager.updateOrderBook(key, { U: event.u, u: event.u, b: bids, a: asks });
+        }
+    }
+
+    resync(key) {
+        const state = this.getState(key);
+        state.resyncCount++;
+        state.status = SyncState.SYNCING;
+        clearTimeout(state.retryTimer);
+        state.retryTimer = setTimeout(() => {
+            state.retryTimer = null;
+            if (this.symbols.get(key) === state) {
+                this.requestSnapshot(key);
+            }
+        }, this.resyncDelay);
+    }
+
+    reset(key = null) {
+        const keys = key ? [key] : Array.from(this.symbols.keys());
+        for (const k of keys) {
+            const state = this.symbols.get(k);
+            if (state) {
+                clearTimeout(state.retryTimer);
+                this.symbols.delete(k);
+            }
+        }
+    }
+
+    isSynced(key) {
+        const state = this.symbols.get(key);
+        return !!state && state.status === SyncState.SYNCED;
+    }
+
+    getStatus() {
+        const status = {};
+        for (const [key, state] of this.symbols) {
+            status[key] = {
+                status: state.status,
+                droppedEvents: state.droppedEvents,
+                resyncCount: state.resyncCount,
+                lastFinalUpdateId: state.lastFinalUpdateId,
+                lastSyncTime: state.lastSyncTime
+            };
+        }
+        return status;
+    }
+}
+
+module.exports = StreamSynchronizer;
@@ -0,0 +1,298 @@
+const logger = require('../utils/logger');
+const config = require('../config/server');
+
+const SlowConsumerPolicies = {
+    DROP: 'drop',             // discard messages; book clients see a seq gap and resync
+    CONFLATE: 'conflate',     // hold and merge messages until the socket drains
+    DISCONNECT: 'disconnect'  // close the connection
+};
+
+// Merges two consecutive deltas: last quantity per price wins, seq spans both
+function mergeDeltas(first, second) {
+    const mergeLevels = (a, b) => {
+        const levels = new Map(a);
+        for (const [price, quantity] of b) {
+            levels.set(price, quantity);
+        }
+        return Array.from(levels.entries());
+    };
+
+    return {
+        ...second,
+        prevSeq: first.prevSeq,
+        bids: mergeLevels(first.bids, second.bids),
+        asks: mergeLevels(first.asks, second.asks)
+    };
+}
+
+// Consecutive trade messages keep every trade
+function mergeTrades(first, second) {
+    return {
+        ...second,
+        trades: first.trades.concat(second.trades)
+    };
+}
+
+// Consecutive event messages keep every event
+function mergeEvents(first, second) {
+    return {
+        ...second,
+        events: first.events.concat(second.events)
+    };
+}
+
+// Consecutive alert messages keep every alert
+function mergeAlerts(first, second) {
+    return {
+        ...second,
+        alerts: first.alerts.concat(second.alerts)
+    };
+}
+
+const mergers = {
+    orderbook_delta: mergeDeltas,
+    trades: mergeTrades,
+    events: mergeEvents,
+    alerts: mergeAlerts
+};
+
+// The list a merged message accumulates, capped at maxConflatedItems
+const mergedLists = {
+    trades: 'trades',
+    events: 'events',
+    alerts: 'alerts'
+};
+
+/**
+ * One WebSocket client: its subscriptions plus per-subscription rate limiting,
+ * conflation and backpressure handling. Messages for a subscription that
+ * cannot be sent yet are queued; a queued delta absorbs later deltas and
+ * queued trades, events or alerts absorb later ones, while self-contained messages
+ * (snapshots, top of book, aggregated) replace the queue. Merged lists keep
+ * their newest maxConflatedItems entries; older ones count as dropped.
+ */
+class SubscriberConnection {
+    constructor(ws, id, onClose, options = {}) {
+        this.ws = ws;
+        this.id = id;
+        this.onClose = onClose;
+        this.highWaterMark = options.highWaterMark || config.highWaterMark;
+        this.slowConsumerPolicy = options.slowConsumerPolicy || config.slowConsumerPolicy;
+        this.backpressureRetryDelay = options.backpressureRetryDelay || config.backpressureRetryDelay;
+        this.maxConflatedItems = options.maxConflatedItems || config.maxConflatedItems;
+        this.subscriptions = new Map(); // `${channel}:${symbol}` -> subscription
+        this.closed = false;
+        this.closeReason = null;
+        this.stats = {
+            sent: 0,
+            bytes: 0,
+            conflated: 0,
+            dropped: 0,
+            slowConsumerEvents: 0
+        };
+    }
+
+    addSubscription(key, group, maxRate = null) {
+        this.removeSubscription(key);
+        const subscription = {
+            key,
+            group,
+            maxRate, // updates per second, null for unthrottled
+            queue: [],
+            lastSentAt: 0,
+            timer: null
+        };
+        this.subscriptions.set(key, subscription);
+        return subscription;
+    }
+
+    removeSubscription(key) {
+        const subscription = this.subscriptions.get(key);
+        if (subscription) {
+            clearTimeout(subscription.timer);
+            this.subscriptions.delete(key);
+        }
+        return subscription;
+    }
+
+    isOpen() {
+        return !this.closed && this.ws.readyState === this.ws.OPEN;
+    }
+
+    /**
+     * Delivers a message for one subscription. `payload` is the pre-serialized
+     * message shared by a group, used when the message goes out unchanged.
+     * `immediate` skips the rate limit (snapshots on subscribe/resync).
+     */
+    deliver(key, message, payload = null, immediate = false) {
+        if (!this.isOpen()) {
+            this.close();
+            return;
+        }
+        const subscription = this.subscriptions.get(key);
+        if (!subscription) {
+            return;
+        }
+
+        const interval = subscription.maxRate ? 1000 / subscription.maxRate : 0;
+        const due = immediate || Date.now() - subscription.lastSentAt >= interval;
+
+        if (subscription.queue.length === 0 && due && !this.isBackpressured()) {
+            this.send(subscription, payload || JSON.stringify(message));
+            return;
+        }
+
+        if (this.isBackpressured() && !this.handleSlowConsumer()) {
+            return;
+        }
+
+        this.enqueue(subscription, message);
+        this.scheduleFlush(subscription, immediate ? 0 : interval);
+    }
+
+    isBackpressured() {
+        return this.ws.bufferedAmount > this.highWaterMark;
+    }
+
+    // Applies the slow consumer policy; returns true if the message should be queued
+    handleSlowConsumer() {
+        this.stats.slowConsumerEvents++;
+
+        switch (this.slowConsumerPolicy) {
+            case SlowConsumerPolicies.DISCONNECT:
+                logger.warn(`Disconnecting slow subscriber ${this.id} (${this.ws.bufferedAmount} bytes buffered)`);
+                this.stats.dropped++;
+                this.closeReason = SlowConsumerPolicies.DISCONNECT;
+                this.ws.close(1013, 'Slow consumer');
+                this.close();
+                return false;
+
+            case SlowConsumerPolicies.DROP:
+                this.stats.dropped++;
+                return false;
+
+            default:
+                return true;
+        }
+    }
+
+    enqueue(subscription, message) {
+        const queue = subscription.queue;
+        const last = queue[queue.length - 1];
+
+        const merge = mergers[message.type];
+        if (merge && last && last.type === message.type) {
+            queue[queue.length - 1] = this.capList(merge(last, message));
+            this.stats.conflated++;
+        } else if (merge) {
+            queue.push(message);
+        } else {
+            // Self-contained messages supersede everything queued before them
+            this.stats.conflated += queue.length;
+            subscription.queue = [message];
+        }
+    }
+
+    capList(message) {
+        const field = mergedLists[message.type];
+        const overflow = field ? message[field].length - this.maxConflatedItems : 0;
+        if (overflow > 0) {
+            message[field] = message[field].slice(overflow);
+            this.stats.dropped += overflow;
+        }
+        return message;
+    }
+
+    scheduleFlush(subscription, interval) {
+        if (subscription.timer) {
+            return;
+        }
+
+        const wait = this.isBackpressured() ?
+            this.backpressureRetryDelay :
+            Math.max(subscription.lastSentAt + interval - Date.now(), 0);
+
+        subscription.timer = setTimeout(() => {
+            subscription.timer = null;
+            this.flush(subscription, interval);
+        }, wait);
+    }
+
+    flush(subscription, interval) {
+        if (!this.isOpen()) {
+            this.close();
+            return;
+        }
+        if (this.subscriptions.get(subscription.key) !== subscription || subscription.queue.length === 0) {
+            return;
+        }
+        if (this.isBackpressured()) {
+            this.scheduleFlush(subscription, interval);
+            return;
+        }
+
+        const queue = subscription.queue;
+        subscription.queue = [];
+        for (const message of queue) {
+            this.send(subscription, JSON.stringify(message));
+        }
+    }
+
+    send(subscription, payload) {
+        if (this.write(payload)) {
+            subscription.lastSentAt = Date.now();
+        }
+    }
+
+    // Sends a message outside any subscription (acks, errors)
+    sendDirect(message) {
+        return this.isOpen() && this.write(JSON.stringify(message));
+    }
+
+    write(payload) {
+        try {
+            this.ws.send(payload);
+            this.stats.sent++;
+            this.stats.bytes += payload.length;
+            return true;
+        } catch (error) {
+            logger.error(`Error sending to subscriber ${this.id}: ${error.message}`);
+            this.close();
+            return false;
+        }
+    }
+
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        for (const subscription of this.subscriptions.values()) {
+            clearTimeout(subscription.timer);
+        }
+        if (this.onClose) {
+            this.onClose(this);
+        }
+    }
+
+    getStats() {
+        let queued = 0;
+        for (const subscription of this.subscriptions.values()) {
+            queued += subscription.queue.length;
+        }
+
+        return {
+            id: this.id,
+            subscriptions: this.subscriptions.size,
+            bufferedAmount: this.ws.bufferedAmount || 0,
+            queuedMessages: queued,
+            ...this.stats
+        };
+    }
+}
+
+SubscriberConnection.SlowConsumerPolicies = SlowConsumerPolicies;
+SubscriberConnection.mergeDeltas = mergeDeltas;
+SubscriberConnection.mergeTrades = mergeTrades;
+
+module.exports = SubscriberConnection;
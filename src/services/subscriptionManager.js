@@ -0,0 +1,485 @@
+const SubscriberConnection = require('./subscriberConnection');
+const BookMetrics = require('../models/BookMetrics');
+const metricsConfig = require('../config/metrics');
+
+const Channels = {
+    BOOK: 'book',             // snapshot + deltas, optionally limited to the top N levels or grouped
+    TOP: 'top',               // best bid/ask only
+    AGGREGATED: 'aggregated', // top N levels with accumulated quantity and cost
+    TRADES: 'trades',         // trades as they happen, after the N most recent
+    METRICS: 'metrics',       // microstructure metrics over the top N levels, periodically
+    EVENTS: 'events',         // large orders, walls and suspected spoofing, after the N most recent
+    ALERTS: 'alerts'          // alert rules triggering and resolving on the book, after the N most recent
+};
+
+// Channels published on every book change; trades follow the trade stream,
+// events and alerts follow their detectors and metrics are published periodically
+const BOOK_CHANNELS = new Set([Channels.BOOK, Channels.TOP, Channels.AGGREGATED]);
+
+const DEFAULT_AGGREGATED_DEPTH = 20;
+const DEFAULT_TRADES_DEPTH = 50;
+const DEFAULT_EVENTS_DEPTH = 50;
+const DEFAULT_ALERTS_DEPTH = 50;
+
+/**
+ * Routes orderbook updates to the WebSocket clients subscribed to them.
+ * Clients with the same channel, book and depth share a group, so each
+ * message is built once per group rather than once per client. Delivery,
+ * throttling and backpressure are handled per client by SubscriberConnection.
+ */
+class SubscriptionManager {
+    constructor(options = {}, trades = new Map(), events = new Map(), alerts = new Map()) {
+        this.options = options; // SubscriberConnection options
+        this.trades = trades; // book key -> TradeBuffer, owned by OrderBookManager
+        this.events = events; // book key -> LevelEventDetector, owned by OrderBookManager
+        this.alerts = alerts; // book key -> recent alerts, owned by OrderBookManager
+        this.clients = new Map(); // ws -> SubscriberConnection
+        this.groups = new Map(); // `${channel}:${exchange}:${symbol}:${depth}[:${priceGroup}]` -> group
+        this.nextClientId = 1;
+        this.totals = { sent: 0, bytes: 0, dropped: 0, conflated: 0, disconnected: 0 }; // from clients already removed
+        this.metricsInterval = options.metricsInterval || metricsConfig.interval;
+        this.metricsTimer = null; // runs while any metrics group exists
+    }
+
+    addClient(ws) {
+        let connection = this.clients.get(ws);
+        if (!connection) {
+            connection = new SubscriberConnection(ws, this.nextClientId++,
+                closed => this.removeClient(closed.ws), this.options);
+            this.clients.set(ws, connection);
+        }
+        return connection;
+    }
+
+    removeClient(ws) {
+        const connection = this.clients.get(ws);
+        if (!connection) {
+            return;
+        }
+
+        this.clients.delete(ws);
+        for (const subscription of connection.subscriptions.values()) {
+            this.leaveGroup(subscription.group, connection);
+        }
+        connection.close();
+
+        this.totals.sent += connection.stats.sent;
+        this.totals.bytes += connection.stats.bytes;
+        this.totals.dropped += connection.stats.dropped;
+        this.totals.conflated += connection.stats.conflated;
+        if (connection.closeReason === SubscriberConnection.SlowConsumerPolicies.DISCONNECT) {
+            this.totals.disconnected++;
+        }
+    }
+
+    // priceGroup: { step } or { bps } from Validators.parsePriceGroup, for grouped levels
+    subscribe(ws, orderbook, channel, depth = null, maxRate = null, priceGroup = null) {
+        const connection = this.addClient(ws);
+        const key = `${channel}:${orderbook.key}`;
+
+        // Re-subscribing replaces the previous depth, rate and grouping for the same channel
+        const existing = connection.subscriptions.get(key);
+        if (existing) {
+            this.leaveGroup(existing.group, connection);
+        }
+
+        const group = this.getGroup(orderbook, channel, depth, priceGroup);
+        group.clients.add(connection);
+        connection.addSubscription(key, group, maxRate);
+
+        connection.deliver(key, this.createInitialMessage(orderbook, group), null, true);
+    }
+
+    unsubscribe(ws, bookKey, channel) {
+        const connection = this.clients.get(ws);
+        const subscription = connection && connection.removeSubscription(`${channel}:${bookKey}`);
+        if (!subscription) {
+            return false;
+        }
+
+        this.leaveGroup(subscription.group, connection);
+        return true;
+    }
+
+    // Re-sends the initial message for a client's existing subscription
+    resync(ws, orderbook, channel = Channels.BOOK) {
+        const connection = this.clients.get(ws);
+        const key = `${channel}:${orderbook.key}`;
+        const subscription = connection && connection.subscriptions.get(key);
+        if (!subscription) {
+            return false;
+        }
+
+        connection.deliver(key, this.createInitialMessage(orderbook, subscription.group), null, true);
+        return true;
+    }
+
+    // Drops every subscription to a book that no longer exists
+    removeBook(bookKey) {
+        for (const group of Array.from(this.groups.values())) {
+            if (group.book !== bookKey) {
+                continue;
+            }
+            for (const connection of Array.from(group.clients)) {
+                connection.removeSubscription(`${group.channel}:${bookKey}`);
+                this.leaveGroup(group, connection);
+            }
+        }
+    }
+
+    getGroup(orderbook, channel, depth, priceGroup = null) {
+        let key = `${channel}:${orderbook.key}:${depth || 'all'}`;
+        if (priceGroup) {
+            key += `:${priceGroup.step ? priceGroup.step.toString() : `${priceGroup.bps}bps`}`;
+        }
+        let group = this.groups.get(key);
+        if (!group) {
+            group = {
+                key,
+                channel,
+                book: orderbook.key,
+                depth,
+                priceGroup,
+                clients: new Set(),
+                view: null, // depth-limited or grouped book channel: last published levels
+                lastTop: null, // top channel: last published best bid/ask
+                lastSeq: orderbook.sequence,
+                orderbook: channel === Channels.METRICS ? orderbook : null // metrics: published from the timer
+            };
+            if (channel === Channels.BOOK && (depth || priceGroup)) {
+                group.view = this.createView(orderbook, depth, priceGroup);
+            }
+            this.groups.set(key, group);
+            if (channel === Channels.METRICS && !this.metricsTimer) {
+                this.metricsTimer = setInterval(() => this.publishMetrics(), this.metricsInterval);
+            }
+        }
+        return group;
+    }
+
+    leaveGroup(group, connection) {
+        group.clients.delete(connection);
+        if (group.clients.size === 0) {
+            this.groups.delete(group.key);
+            const metricsGroups = Array.from(this.groups.values()).some(other => other.channel === Channels.METRICS);
+            if (this.metricsTimer && !metricsGroups) {
+                clearInterval(this.metricsTimer);
+                this.metricsTimer = null;
+            }
+        }
+    }
+
+    // Publishes one applied diff to every group of the book
+    publishUpdate(orderbook, delta) {
+        for (const group of this.groups.values()) {
+            if (group.book !== orderbook.key || !BOOK_CHANNELS.has(group.channel)) {
+                continue;
+            }
+
+            const message = this.createUpdateMessage(orderbook, group, delta);
+            if (message) {
+                this.sendToGroup(group, message);
+            }
+        }
+    }
+
+    // The book was rebuilt from a snapshot: every group starts over
+    publishSnapshot(orderbook) {
+        for (const group of this.groups.values()) {
+            if (group.book !== orderbook.key || !BOOK_CHANNELS.has(group.channel)) {
+                continue;
+            }
+
+            if (group.view) {
+                group.view = this.createView(orderbook, group.depth, group.priceGroup);
+            }
+            group.lastSeq = orderbook.sequence;
+            this.sendToGroup(group, this.createInitialMessage(orderbook, group), true);
+        }
+    }
+
+    // Sends every metrics group its current metrics
+    publishMetrics() {
+        for (const group of this.groups.values()) {
+            if (group.channel === Channels.METRICS) {
+                this.sendToGroup(group, this.createChannelMessage(group.orderbook, group));
+            }
+        }
+    }
+
+    publishTrade(orderbook, trade) {
+        for (const group of this.groups.values()) {
+            if (group.book === orderbook.key && group.channel === Channels.TRADES) {
+                this.sendToGroup(group, {
+                    type: 'trades',
+                    symbol: orderbook.symbol,
+                    exchange: orderbook.exchange,
+                    trades: [trade],
+                    lastPrice: trade.price,
+                    timestamp: Date.now()
+                });
+            }
+        }
+    }
+
+    publishEvents(orderbook, events) {
+        for (const group of this.groups.values()) {
+            if (group.book === orderbook.key && group.channel === Channels.EVENTS) {
+                this.sendToGroup(group, {
+                    type: 'events',
+                    symbol: orderbook.symbol,
+                    exchange: orderbook.exchange,
+                    events,
+                    timestamp: Date.now()
+                });
+            }
+        }
+    }
+
+    publishAlert(orderbook, alert) {
+        for (const group of this.groups.values()) {
+            if (group.book === orderbook.key && group.channel === Channels.ALERTS) {
+                this.sendToGroup(group, {
+                    type: 'alerts',
+                    symbol: orderbook.symbol,
+                    exchange: orderbook.exchange,
+                    alerts: [alert],
+                    timestamp: Date.now()
+                });
+            }
+        }
+    }
+
+    createInitialMessage(orderbook, group) {
+        if (group.channel === Channels.ALERTS) {
+            const log = this.alerts.get(orderbook.key);
+            return {
+                type: 'alerts_snapshot',
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                depth: group.depth,
+                alerts: log ? log.toArray().slice(-group.depth).reverse() : [],
+                timestamp: Date.now()
+            };
+        }
+
+        if (group.channel === Channels.EVENTS) {
+            const detector = this.events.get(orderbook.key);
+            return {
+                type: 'events_snapshot',
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                depth: group.depth,
+                events: detector ? detector.getEvents({ limit: group.depth }) : [],
+                timestamp: Date.now()
+            };
+        }
+
+        if (group.channel === Channels.TRADES) {
+            const buffer = this.trades.get(orderbook.key);
+            return {
+                type: 'trades_snapshot',
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                depth: group.depth,
+                data: buffer ? {
+                    ...buffer.getSummary(),
+                    trades: buffer.getTrades(group.depth)
+                } : null,
+                timestamp: Date.now()
+            };
+        }
+
+        if (group.channel === Channels.BOOK) {
+            const data = orderbook.getSnapshot(group.depth, group.priceGroup);
+            // Views skip diffs they do not show, so they stand at the last seq they published
+            data.seq = group.lastSeq;
+            return {
+                type: 'orderbook_snapshot',
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                depth: group.depth,
+                seq: group.lastSeq,
+                data,
+                timestamp: Date.now()
+            };
+        }
+        return this.createChannelMessage(orderbook, group);
+    }
+
+    createUpdateMessage(orderbook, group, delta) {
+        if (group.channel === Channels.TOP) {
+            // Only publish when the best bid or ask actually moved
+            const message = this.createChannelMessage(orderbook, group);
+            const top = JSON.stringify([message.bid, message.ask]);
+            if (top === group.lastTop) {
+                return null;
+            }
+            group.lastTop = top;
+            return message;
+        }
+        if (group.channel === Channels.AGGREGATED) {
+            return this.createChannelMessage(orderbook, group);
+        }
+
+        let bids = delta.bids;
+        let asks = delta.asks;
+        if (group.view) {
+            const view = this.createView(orderbook, group.depth, group.priceGroup);
+            bids = this.diffLevels(group.view.bids, view.bids);
+            asks = this.diffLevels(group.view.asks, view.asks);
+            group.view = view;
+            if (bids.length === 0 && asks.length === 0) {
+                return null;
+            }
+        }
+
+        const message = {
+            type: 'orderbook_delta',
+            symbol: orderbook.symbol,
+            exchange: orderbook.exchange,
+            depth: group.depth,
+            prevSeq: group.lastSeq,
+            seq: orderbook.sequence,
+            lastUpdateId: orderbook.lastUpdateId,
+            bids,
+            asks,
+            spread: delta.spread,
+            midPrice: delta.midPrice,
+            timestamp: delta.timestamp
+        };
+        if (group.priceGroup) {
+            message.group = group.view.step; // bucket width, which follows the mid for bps groups
+        }
+        group.lastSeq = orderbook.sequence;
+        return message;
+    }
+
+    createChannelMessage(orderbook, group) {
+        if (group.channel === Channels.METRICS) {
+            return {
+                type: 'orderbook_metrics',
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                depth: group.depth,
+                seq: orderbook.sequence,
+                lastUpdateId: orderbook.lastUpdateId,
+                data: BookMetrics.compute(orderbook, { levels: group.depth }),
+                timestamp: Date.now()
+            };
+        }
+        if (group.channel === Channels.TOP) {
+            const bestBid = orderbook.getBestBid();
+            const bestAsk = orderbook.getBestAsk();
+            return {
+                type: 'top_of_book',
+                symbol: orderbook.symbol,
+                exchange: orderbook.exchange,
+                seq: orderbook.sequence,
+                lastUpdateId: orderbook.lastUpdateId,
+                bid: bestBid ? [bestBid.price.toString(), bestBid.quantity.toString()] : null,
+                ask: bestAsk ? [bestAsk.price.toString(), bestAsk.quantity.toString()] : null,
+                spread: orderbook.getSpread(),
+                midPrice: orderbook.getMidPrice(),
+                timestamp: Date.now()
+            };
+        }
+
+        return {
+            type: 'orderbook_aggregated',
+            symbol: orderbook.symbol,
+            exchange: orderbook.exchange,
+            depth: group.depth,
+            seq: orderbook.sequence,
+            lastUpdateId: orderbook.lastUpdateId,
+            data: orderbook.getLiquidityProfile(group.depth, group.priceGroup),
+            timestamp: Date.now()
+        };
+    }
+
+    createView(orderbook, depth, priceGroup = null) {
+        const step = orderbook.getGroupStep(priceGroup);
+        const toMap = levels => new Map(levels.map(level => [level.price.toString(), level.quantity.toString()]));
+        return {
+            bids: toMap(orderbook.getLevels(orderbook.bids, depth, step)),
+            asks: toMap(orderbook.getLevels(orderbook.asks, depth, step)),
+            step: step ? step.toString() : null
+        };
+    }
+
+    // Changes between two top-N views; levels leaving the view are sent with quantity 0
+    diffLevels(previous, current) {
+        const changes = [];
+        for (const [price, quantity] of current) {
+            if (previous.get(price) !== quantity) {
+                changes.push([price, quantity]);
+            }
+        }
+        for (const price of previous.keys()) {
+            if (!current.has(price)) {
+                changes.push([price, '0']);
+            }
+        }
+        return changes;
+    }
+
+    // Serializes once; clients sending at full rate share the payload
+    sendToGroup(group, message, immediate = false) {
+        const key = `${group.channel}:${group.book}`;
+        const payload = JSON.stringify(message);
+        for (const connection of Array.from(group.clients)) {
+            connection.deliver(key, message, payload, immediate);
+        }
+    }
+
+    // Sends a message outside any subscription, e.g. an acknowledgement
+    send(ws, message) {
+        const connection = this.clients.get(ws);
+        return connection ? connection.sendDirect(message) : false;
+    }
+
+    // Sends a message to every client, whatever it subscribed to
+    broadcast(message) {
+        for (const connection of this.clients.values()) {
+            connection.sendDirect(message);
+        }
+    }
+
+    getStats() {
+        const channels = {};
+        for (const channel of Object.values(Channels)) {
+            channels[channel] = 0;
+        }
+        for (const group of this.groups.values()) {
+            channels[group.channel] += group.clients.size;
+        }
+
+        const delivery = { ...this.totals, queued: 0 };
+        const clients = [];
+        for (const connection of this.clients.values()) {
+            const stats = connection.getStats();
+            delivery.sent += stats.sent;
+            delivery.bytes += stats.bytes;
+            delivery.queued += stats.queuedMessages;
+            delivery.dropped += stats.dropped;
+            delivery.conflated += stats.conflated;
+            clients.push(stats);
+        }
+
+        return {
+            clients: this.clients.size,
+            groups: this.groups.size,
+            subscriptions: channels,
+            delivery,
+            subscribers: clients
+        };
+    }
+}
+
+SubscriptionManager.Channels = Channels;
+SubscriptionManager.DEFAULT_AGGREGATED_DEPTH = DEFAULT_AGGREGATED_DEPTH;
+SubscriptionManager.DEFAULT_TRADES_DEPTH = DEFAULT_TRADES_DEPTH;
+SubscriptionManager.DEFAULT_EVENTS_DEPTH = DEFAULT_EVENTS_DEPTH;
+SubscriptionManager.DEFAULT_ALERTS_DEPTH = DEFAULT_ALERTS_DEPTH;
+
+module.exports = SubscriptionManager;
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const Validators = require('../utils/validators');
+const exchangesConfig = require('../config/exchanges');
+const config = require('../config/symbols');
+
+// Exchange pair notations: "btcusdt", "BTC-USDT-SWAP", "BTC/USD"
+const PAIR_PATTERN = /^[a-z0-9][a-z0-9\-_/]{0,31}$/i;
+
+/**
+ * The pairs each exchange streams, changed at runtime through the REST API.
+ * Adding a pair creates its book and subscribes the stream on the live
+ * connection; removing one unsubscribes it and drops the book. Every change
+ * is announced to WebSocket clients and saved to a JSON file, whose lists
+ * replace the configured pairs of their exchanges on the next start.
+ */
+class SymbolRegistry {
+    constructor(orderbookManager, connectors, options = {}) {
+        this.orderbookManager = orderbookManager;
+        this.connectors = connectors; // exchange id -> ExchangeConnector
+        this.file = options.file || config.file;
+        this.instruments = options.instruments || null; // InstrumentRegistry, to reject unlisted pairs
+        // Replayed feeds only know the pairs they were recorded with
+        this.live = options.live !== false;
+    }
+
+    // Applies the saved lists; called once books exist and before connecting
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return;
+        }
+        try {
+            const { exchanges } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            for (const [id, entries] of Object.entries(exchanges)) {
+                const connector = this.connectors.get(id);
+                if (connector) {
+                    this.apply(connector, entries);
+                }
+            }
+            logger.info(`Loaded symbols from ${this.file}`);
+        } catch (error) {
+            logger.error(`Error loading symbols from ${this.file}: ${error.message}`);
+        }
+    }
+
+    apply(connector, entries) {
+        const saved = new Map(entries.map(entry => [exchangesConfig.normalizeSymbol(entry.pair), entry]));
+        for (const symbol of Array.from(connector.symbols.keys())) {
+            if (!saved.has(symbol)) {
+                connector.removePair(symbol);
+            }
+        }
+        for (const [symbol, entry] of saved) {
+            if (!connector.symbols.has(symbol)) {
+                connector.addPair(entry.pair, entry.tickSize ? { tickSize: entry.tickSize, stepSize: entry.stepSize } : null);
+            }
+        }
+    }
+
+    // Written to a temporary file first, so a crash never leaves half a file
+    save() {
+        const exchanges = {};
+        for (const [id, connector] of this.connectors) {
+            exchanges[id] = Array.from(connector.symbols, ([symbol, pair]) => {
+                const orderbook = this.orderbookManager.getOrderBook(connector.getBookKey(symbol));
+                return {
+                    pair,
+                    tickSize: orderbook ? orderbook.tickSize : null,
+                    stepSize: orderbook ? orderbook.stepSize : null
+                };
+            });
+        }
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify({ exchanges }, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+
+    list() {
+        const symbols = [];
+        for (const [id, connector] of this.connectors) {
+            for (const [symbol, pair] of connector.symbols) {
+                const key = connector.getBookKey(symbol);
+                symbols.push({
+                    book: key,
+                    exchange: id,
+                    symbol,
+                    pair,
+                    subscribed: connector.subscribedStreams.has(pair),
+                    synced: connector.synchronizer.isSynced(key)
+                });
+            }
+        }
+        return symbols;
+    }
+
+    /**
+     * Starts streaming a pair: { symbol, exchange?, tickSize?, stepSize? },
+     * where symbol is in the exchange's notation. Throws with a client-facing
+     * message when the request is invalid.
+     */
+    add(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Request body must be a JSON object');
+        }
+        if (!this.live) {
+            throw new Error('Symbols cannot be changed while replaying a recording');
+        }
+        if (typeof input.symbol !== 'string' || !PAIR_PATTERN.test(input.symbol)) {
+            throw new Error('symbol is required (the exchange pair, e.g. btcusdt or BTC-USDT-SWAP)');
+        }
+
+        const exchange = (input.exchange || exchangesConfig.defaultExchange).toLowerCase();
+        const connector = this.connectors.get(exchange);
+        if (!connector) {
+            throw new Error(`Unknown exchange: ${exchange}`);
+        }
+
+        if (this.instruments) {
+            this.instruments.checkPair(connector, input.symbol);
+        }
+        const filters = this.parseFilters(input);
+        const symbol = connector.addPair(input.symbol, filters);
+        const key = connector.getBookKey(symbol);
+        this.save();
+        this.orderbookManager.publishSymbols('added', key);
+        return this.list().find(entry => entry.book === key);
+    }
+
+    // Tick and step sizes, given together or not at all
+    parseFilters(input) {
+        if (input.tickSize === undefined && input.stepSize === undefined) {
+            return null;
+        }
+        const tickSize = Validators.parseDecimal(input.tickSize);
+        const stepSize = Validators.parseDecimal(input.stepSize);
+        if (!tickSize || !tickSize.isPositive() || !stepSize || !stepSize.isPositive()) {
+            throw new Error('tickSize and stepSize must both be positive decimals');
+        }
+        return { tickSize: String(input.tickSize), stepSize: String(input.stepSize) };
+    }
+
+    // Stops streaming a book (bare symbol or exchange:symbol); null if it is not streamed
+    remove(symbolOrKey, exchange = exchangesConfig.defaultExchange) {
+        if (!this.live) {
+            throw new Error('Symbols cannot be changed while replaying a recording');
+        }
+
+        const [id, pair] = this.orderbookManager.resolveKey(symbolOrKey, exchange).split(':');
+        const symbol = exchangesConfig.normalizeSymbol(pair); // "BTC-USDT-SWAP" -> "btcusdtswap"
+        const connector = this.connectors.get(id);
+        if (!connector || !connector.removePair(symbol)) {
+            return null;
+        }
+
+        const key = connector.getBookKey(symbol);
+        this.save();
+        this.orderbookManager.publishSymbols('removed', key);
+        return { book: key, exchange: id, symbol };
+    }
+}
+
+module.exports = SymbolRegistry;
@@ -0,0 +1,128 @@
+const net = require('net');
+const http = require('../utils/http');
+const logger = require('../utils/logger');
+const config = require('../config/alerts');
+
+// Host rules from a list of host names, `*.domain` wildcards and CIDR ranges
+function parseHostRules(entries) {
+    const rules = { names: new Set(), suffixes: [], addresses: new net.BlockList(), size: entries.length };
+    for (const entry of entries.map(item => item.toLowerCase())) {
+        if (entry.includes('/')) {
+            const [network, prefix] = entry.split('/');
+            rules.addresses.addSubnet(network, parseInt(prefix), net.isIPv6(network) ? 'ipv6' : 'ipv4');
+        } else if (entry.startsWith('*.')) {
+            rules.suffixes.push(entry.slice(1));
+        } else {
+            rules.names.add(entry);
+        }
+    }
+    return rules;
+}
+
+// URL host names come lowercased, with IPv6 addresses in brackets
+function matchesHost(rules, hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    const type = net.isIP(host);
+    return rules.names.has(host) ||
+        rules.suffixes.some(suffix => host.endsWith(suffix)) ||
+        (type !== 0 && rules.addresses.check(host, type === 6 ? 'ipv6' : 'ipv4'));
+}
+
+/**
+ * POSTs alerts to webhooks, retrying failed deliveries with exponential
+ * backoff. Alert ids name the rule, its firing episode and the status, so
+ * each is delivered at most once per URL, however often it is handed over.
+ * The id goes in an `X-Alert-Id` header so receivers can drop the
+ * duplicates a timed-out but delivered attempt may cause. Only http(s) URLs
+ * to allowed hosts are posted to, so rules cannot reach internal services.
+ */
+class WebhookDispatcher {
+    constructor(options = {}) {
+        this.timeout = options.timeout || config.webhookTimeout;
+        this.retries = options.retries !== undefined ? options.retries : config.webhookRetries;
+        this.retryDelay = options.retryDelay || config.webhookRetryDelay;
+        this.post = options.post || http.postJson;
+        this.allowedHosts = parseHostRules(options.allowedHosts || config.webhookAllowedHosts);
+        this.deniedHosts = parseHostRules(options.deniedHosts || config.webhookDeniedHosts);
+        this.delivered = new Set(); // `${alert.id} ${url}` already handed over: one per rule, episode and status
+        this.maxDelivered = options.maxDelivered || 10000;
+        this.pending = 0;
+        this.stats = { sent: 0, failed: 0, retries: 0, duplicates: 0, rejected: 0 };
+    }
+
+    // Returns why a webhook URL may not be posted to, or null if it may
+    checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return `Invalid webhook URL: ${url}`;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return `Webhook URL is not http(s): ${url}`;
+        }
+        const allowed = this.allowedHosts.size === 0 || matchesHost(this.allowedHosts, parsed.hostname);
+        if (!allowed || matchesHost(this.deniedHosts, parsed.hostname)) {
+            return `Webhook host is not allowed: ${parsed.hostname}`;
+        }
+        return null;
+    }
+
+    // Resolves once every URL received the alert or ran out of retries
+    deliver(alert, urls) {
+        return Promise.all(urls.map(url => {
+            // Also covers rules loaded from disk and the configured webhooks
+            const urlError = this.checkUrl(url);
+            if (urlError) {
+                this.stats.rejected++;
+                logger.warn(`Not delivering alert ${alert.id}: ${urlError}`);
+                return Promise.resolve(false);
+            }
+
+            const key = `${alert.id} ${url}`;
+            if (this.delivered.has(key)) {
+                this.stats.duplicates++;
+                return Promise.resolve(false);
+            }
+
+            this.delivered.add(key);
+            if (this.delivered.size > this.maxDelivered) {
+                this.delivered.delete(this.delivered.values().next().value); // oldest first
+            }
+            return this.send(url, alert);
+        }));
+    }
+
+    async send(url, alert) {
+        this.pending++;
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    await this.post(url, alert, { timeout: this.timeout, headers: { 'X-Alert-Id': alert.id } });
+                    this.stats.sent++;
+                    return true;
+                } catch (error) {
+                    if (attempt >= this.retries) {
+                        this.stats.failed++;
+                        logger.warn(`Webhook delivery of alert ${alert.id} to ${url} failed: ${error.message}`);
+                        return false;
+                    }
+                    this.stats.retries++;
+                    await this.wait(this.retryDelay * 2 ** attempt);
+                }
+            }
+        } finally {
+            this.pending--;
+        }
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms).unref());
+    }
+
+    getStats() {
+        return { ...this.stats, pending: this.pending };
+    }
+}
+
+module.exports = WebhookDispatcher;
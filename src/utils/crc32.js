@@ -0,0 +1,19 @@
+// CRC-32 (IEEE 802.3), as used by exchange orderbook checksums
+const TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    TABLE[n] = c;
+}
+
+function crc32(value) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < value.length; i++) {
+        crc = TABLE[(crc ^ value.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = crc32;
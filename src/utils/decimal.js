@@ -0,0 +1,296 @@
+const DECIMAL_PATTERN = /^([-+]?)(\d*)(?:\.(\d*))?(?:[eE]([-+]?\d+))?$/;
+
+// Bounds isValid() puts on input: parsing cost grows with digits and exponent
+const MAX_DIGITS = 64;
+const MAX_EXPONENT = 64;
+
+const POWERS_OF_TEN = [];
+function pow10(exponent) {
+    if (POWERS_OF_TEN[exponent] === undefined) {
+        POWERS_OF_TEN[exponent] = 10n ** BigInt(exponent);
+    }
+    return POWERS_OF_TEN[exponent];
+}
+
+// Integer division of BigInts with an explicit rounding mode
+function divideRounded(numerator, denominator, rounding) {
+    if (denominator < 0n) {
+        numerator = -numerator;
+        denominator = -denominator;
+    }
+
+    const quotient = numerator / denominator; // truncates toward zero
+    const remainder = numerator % denominator;
+    if (remainder === 0n) {
+        return quotient;
+    }
+
+    const negative = numerator < 0n;
+    switch (rounding) {
+        case 'trunc':
+            return quotient;
+        case 'floor':
+            return negative ? quotient - 1n : quotient;
+        case 'ceil':
+            return negative ? quotient : quotient + 1n;
+        case 'halfUp': {
+            const twice = (negative ? -remainder : remainder) * 2n;
+            if (twice >= denominator) {
+                return negative ? quotient - 1n : quotient + 1n;
+            }
+            return quotient;
+        }
+        default:
+            throw new Error(`Unknown rounding mode: ${rounding}`);
+    }
+}
+
+/**
+ * Immutable fixed-point decimal: `units / 10^scale` with BigInt units.
+ * Prices and quantities from Binance arrive as strings and stay exact through
+ * every sum and product; only division rounds, to an explicit scale.
+ */
+class Decimal {
+    constructor(units, scale = 0) {
+        this.units = BigInt(units);
+        this.scale = scale;
+        this.string = null; // toString() cache, safe since instances are immutable
+    }
+
+    static isValid(value) {
+        if (value instanceof Decimal || typeof value === 'bigint') {
+            return true;
+        }
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                return false;
+            }
+            value = String(value);
+        }
+        if (typeof value !== 'string') {
+            return false;
+        }
+        const match = DECIMAL_PATTERN.exec(value.trim());
+        if (!match) {
+            return false;
+        }
+        const digits = match[2].length + (match[3] || '').length;
+        const exponent = match[4] ? Math.abs(parseInt(match[4])) : 0;
+        return digits > 0 && digits <= MAX_DIGITS && exponent <= MAX_EXPONENT;
+    }
+
+    /**
+     * Parses a string, number or BigInt. Trailing zeros are trimmed down to
+     * `minScale` decimals, so "1.50" and "1.5" compare and key alike.
+     * Decimals pass through, padded to `minScale` if needed.
+     */
+    static from(value, minScale = 0) {
+        if (value instanceof Decimal) {
+            return value.scale >= minScale ? value : value.rescale(minScale);
+        }
+        if (typeof value === 'bigint') {
+            return new Decimal(value, 0).trim(minScale);
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new Error(`Invalid decimal value: ${value}`);
+        }
+
+        const text = String(value).trim();
+        const match = DECIMAL_PATTERN.exec(text);
+        if (!match || (match[2].length === 0 && (match[3] || '').length === 0)) {
+            throw new Error(`Invalid decimal value: ${value}`);
+        }
+        const sign = match[1] === '-' ? -1n : 1n;
+        const integerDigits = match[2] || '0';
+        const fractionDigits = match[3] || '';
+        const exponent = match[4] ? parseInt(match[4]) : 0;
+
+        let units = BigInt(integerDigits + fractionDigits) * sign;
+        let scale = fractionDigits.length - exponent;
+        if (scale < 0) {
+            units *= pow10(-scale);
+            scale = 0;
+        }
+
+        const decimal = new Decimal(units, scale).trim(minScale);
+        // Exchange strings are usually already canonical; reuse them as the cache
+        const canonical = match[1] !== '+' && !match[4] && units !== 0n &&
+            match[2].length > 0 && (match[2].length === 1 || match[2][0] !== '0') &&
+            match[3] !== '' && decimal.scale === fractionDigits.length;
+        if (canonical) {
+            decimal.string = text;
+        }
+        return decimal;
+    }
+
+    static zero(scale = 0) {
+        return new Decimal(0n, scale);
+    }
+
+    // Number of decimals in a step such as a tick size: "0.10" -> 2
+    static scaleOf(value) {
+        if (value instanceof Decimal) {
+            return value.scale;
+        }
+        const match = DECIMAL_PATTERN.exec(String(value).trim());
+        if (!match) {
+            return 0;
+        }
+        const exponent = match[4] ? parseInt(match[4]) : 0;
+        return Math.max((match[3] || '').length - exponent, 0);
+    }
+
+    static min(a, b) {
+        return a.lte(b) ? a : b;
+    }
+
+    static max(a, b) {
+        return a.gte(b) ? a : b;
+    }
+
+    rescale(scale, rounding = 'halfUp') {
+        if (scale === this.scale) {
+            return this;
+        }
+        if (scale > this.scale) {
+            return new Decimal(this.units * pow10(scale - this.scale), scale);
+        }
+        return new Decimal(divideRounded(this.units, pow10(this.scale - scale), rounding), scale);
+    }
+
+    // Drops trailing zeros, keeping at least `minScale` decimals
+    trim(minScale = 0) {
+        let units = this.units;
+        let scale = this.scale;
+        while (scale > minScale && units % 10n === 0n) {
+            units /= 10n;
+            scale--;
+        }
+        if (scale < minScale) {
+            return new Decimal(units * pow10(minScale - scale), minScale);
+        }
+        return scale === this.scale ? this : new Decimal(units, scale);
+    }
+
+    align(other) {
+        other = other instanceof Decimal ? other : Decimal.from(other);
+        const scale = Math.max(this.scale, other.scale);
+        return [this.rescale(scale).units, other.rescale(scale).units, scale];
+    }
+
+    add(other) {
+        const [a, b, scale] = this.align(other);
+        return new Decimal(a + b, scale);
+    }
+
+    sub(other) {
+        const [a, b, scale] = this.align(other);
+        return new Decimal(a - b, scale);
+    }
+
+    mul(other) {
+        other = other instanceof Decimal ? other : Decimal.from(other);
+        return new Decimal(this.units * other.units, this.scale + other.scale);
+    }
+
+    div(other, scale, rounding = 'halfUp') {
+        other = other instanceof Decimal ? other : Decimal.from(other);
+        if (other.units === 0n) {
+            throw new Error('Division by zero');
+        }
+        // (a / 10^sa) / (b / 10^sb) expressed in units of 10^-scale
+        const exponent = scale + other.scale - this.scale;
+        let numerator = this.units;
+        let denominator = other.units;
+        if (exponent >= 0) {
+            numerator *= pow10(exponent);
+        } else {
+            denominator *= pow10(-exponent);
+        }
+        return new Decimal(divideRounded(numerator, denominator, rounding), scale);
+    }
+
+    // Rounds to a multiple of `step` (a tick or lot size)
+    roundToStep(step, rounding = 'halfUp') {
+        step = Decimal.from(step, Decimal.scaleOf(step)); // keep "0.10" at two decimals
+        const [value, stepUnits, scale] = this.align(step);
+        const steps = divideRounded(value, stepUnits, rounding);
+        return new Decimal(steps * stepUnits, scale).rescale(step.scale);
+    }
+
+    cmp(other) {
+        if (other instanceof Decimal && other.scale === this.scale) {
+            return this.units < other.units ? -1 : (this.units > other.units ? 1 : 0);
+        }
+        const [a, b] = this.align(other);
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    eq(other) {
+        return this.cmp(other) === 0;
+    }
+
+    lt(other) {
+        return this.cmp(other) < 0;
+    }
+
+    lte(other) {
+        return this.cmp(other) <= 0;
+    }
+
+    gt(other) {
+        return this.cmp(other) > 0;
+    }
+
+    gte(other) {
+        return this.cmp(other) >= 0;
+    }
+
+    isZero() {
+        return this.units === 0n;
+    }
+
+    isPositive() {
+        return this.units > 0n;
+    }
+
+    isNegative() {
+        return this.units < 0n;
+    }
+
+    neg() {
+        return new Decimal(-this.units, this.scale);
+    }
+
+    abs() {
+        return this.units < 0n ? this.neg() : this;
+    }
+
+    toString() {
+        if (this.string !== null) {
+            return this.string;
+        }
+
+        const negative = this.units < 0n;
+        const digits = (negative ? -this.units : this.units).toString();
+        if (this.scale === 0) {
+            this.string = (negative ? '-' : '') + digits;
+        } else {
+            const padded = digits.padStart(this.scale + 1, '0');
+            const integerPart = padded.slice(0, padded.length - this.scale);
+            const fractionPart = padded.slice(padded.length - this.scale);
+            this.string = `${negative ? '-' : ''}${integerPart}.${fractionPart}`;
+        }
+        return this.string;
+    }
+
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+module.exports = Decimal;
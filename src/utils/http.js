@@ -0,0 +1,79 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 10000; // ms without a byte from the server before a GET gives up
+
+// GETs a URL and parses the JSON body, rejecting on non-200 responses and timeouts
+function getJson(url, options = {}) {
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    return new Promise((resolve, reject) => {
+        const client = new URL(url).protocol === 'http:' ? http : https;
+        const req = client.get(url, { timeout }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('error', (error) => {
+                reject(new Error(`Request error: ${error.message}`));
+            });
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    reject(new Error(`Request failed with status ${res.statusCode}: ${data}`));
+                    return;
+                }
+
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(new Error(`Error parsing response: ${error.message}`));
+                }
+            });
+        });
+
+        req.on('timeout', () => {
+            req.destroy(new Error(`timed out after ${timeout}ms`));
+        });
+        req.on('error', (error) => {
+            reject(new Error(`Request error: ${error.message}`));
+        });
+    });
+}
+
+// POSTs a JSON body, resolving with the status code of 2xx responses and rejecting otherwise
+function postJson(url, body, options = {}) {
+    return new Promise((resolve, reject) => {
+        const payload = JSON.stringify(body);
+        const client = new URL(url).protocol === 'http:' ? http : https;
+        const req = client.request(url, {
+            method: 'POST',
+            timeout: options.timeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...options.headers
+            }
+        }, (res) => {
+            res.resume(); // the body is not needed, only the status
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    reject(new Error(`Request failed with status ${res.statusCode}`));
+                    return;
+                }
+                resolve(res.statusCode);
+            });
+        });
+
+        req.on('timeout', () => {
+            req.destroy(new Error(`timed out after ${options.timeout}ms`));
+        });
+        req.on('error', (error) => {
+            reject(new Error(`Request error: ${error.message}`));
+        });
+        req.end(payload);
+    });
+}
+
+module.exports = { getJson, postJson };
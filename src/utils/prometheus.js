@@ -0,0 +1,81 @@
+// Prometheus text exposition format (version 0.0.4), without a client library
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Cumulative histogram of observed values, with `buckets` as upper bounds
+class Histogram {
+    constructor(buckets) {
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.counts = new Array(this.buckets.length).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                this.counts[i]++;
+            }
+        }
+        this.sum += value;
+        this.count++;
+    }
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Renders metric families: { name, help, type, samples } where each sample is
+ * { labels, value } or, for histograms, { labels, histogram }. Samples with a
+ * null value (e.g. the spread of an empty book) are left out; Decimal values
+ * are written as numbers.
+ */
+function render(families) {
+    const lines = [];
+    for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+
+        for (const sample of family.samples) {
+            if (family.type === 'histogram') {
+                const { histogram } = sample;
+                histogram.buckets.forEach((bound, i) => {
+                    const labels = formatLabels({ ...sample.labels, le: formatValue(bound) });
+                    lines.push(`${family.name}_bucket${labels} ${histogram.counts[i]}`);
+                });
+                lines.push(`${family.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${histogram.count}`);
+                lines.push(`${family.name}_sum${formatLabels(sample.labels)} ${formatValue(histogram.sum)}`);
+                lines.push(`${family.name}_count${formatLabels(sample.labels)} ${histogram.count}`);
+            } else if (sample.value !== null && sample.value !== undefined) {
+                lines.push(`${family.name}${formatLabels(sample.labels)} ${formatValue(Number(String(sample.value)))}`);
+            }
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    Histogram,
+    render
+};
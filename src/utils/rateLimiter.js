@@ -0,0 +1,25 @@
+// Token bucket: refills `rate` tokens per second up to `burst`, one token per request
+class RateLimiter {
+    constructor(rate, burst = rate) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = null;
+    }
+
+    // { allowed, remaining, retryAfter }, retryAfter in ms until a token is available
+    take(now = Date.now()) {
+        if (this.updatedAt !== null) {
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.rate / 1000);
+        }
+        this.updatedAt = now;
+
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return { allowed: true, remaining: Math.floor(this.tokens), retryAfter: 0 };
+        }
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - this.tokens) * 1000 / this.rate) };
+    }
+}
+
+module.exports = RateLimiter;
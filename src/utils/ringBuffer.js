@@ -0,0 +1,40 @@
+// Fixed-capacity buffer that overwrites its oldest item when full
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0; // index of the oldest item
+        this.size = 0;
+    }
+
+    push(item) {
+        const index = (this.start + this.size) % this.capacity;
+        this.items[index] = item;
+        if (this.size < this.capacity) {
+            this.size++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    last() {
+        return this.size > 0 ? this.items[(this.start + this.size - 1) % this.capacity] : null;
+    }
+
+    // Items oldest first
+    toArray() {
+        const result = new Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            result[i] = this.items[(this.start + i) % this.capacity];
+        }
+        return result;
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+}
+
+module.exports = RingBuffer;
@@ -1,4 +1,9 @@
 const logger = require('./logger');
+const Decimal = require('./decimal');
+
+// Bucket widths rounding every level of a book stay within these
+const MAX_GROUP_SCALE = 16;
+const MAX_GROUP_STEP = Decimal.from('1e16');
 
 class Validators {
     static isValidPriceLevel(level) {
@@ -6,10 +11,10 @@ class Validators {
             level &&
             typeof level[0] === 'string' && // price
             typeof level[1] === 'string' && // quantity
-            !isNaN(parseFloat(level[0])) &&
-            !isNaN(parseFloat(level[1])) &&
-            parseFloat(level[0]) > 0 &&
-            parseFloat(level[1]) >= 0
+            Decimal.isValid(level[0]) &&
+            Decimal.isValid(level[1]) &&
+            Decimal.from(level[0]).isPositive() &&
+            !Decimal.from(level[1]).isNegative()
         );
     }
 
@@ -48,12 +53,97 @@ class Validators {
         return false;
     }
 
+    static validatePreviousUpdateId(lastFinalId, previousFinalId) {
+        // Futures diffs carry the final update ID of the previous event (pu)
+        if (lastFinalId !== null && previousFinalId === lastFinalId) {
+            return true;
+        }
+
+        logger.warn(`Previous update ID mismatch: expected=${lastFinalId}, pu=${previousFinalId}`);
+        return false;
+    }
+
     static sanitizePriceLevel(level) {
         return {
-            price: parseFloat(level[0]),
-            quantity: parseFloat(level[1])
+            price: Decimal.from(level[0]),
+            quantity: Decimal.from(level[1])
         };
     }
+
+    // Checks a price against an instrument's price filter; returns an error message, or null if valid
+    static validatePrice(price, instrument) {
+        if (!instrument) {
+            return null;
+        }
+        return this.validateStep(price, instrument.minPrice, instrument.maxPrice, instrument.tickSize, 'Price', 'tick size');
+    }
+
+    // Checks a quantity against an instrument's lot size filter, or its market lot size filter
+    static validateQuantity(quantity, instrument, market = false) {
+        if (!instrument) {
+            return null;
+        }
+        return market ?
+            this.validateStep(quantity, instrument.marketMinQty, instrument.marketMaxQty, instrument.marketStepSize, 'Quantity', 'market step size') :
+            this.validateStep(quantity, instrument.minQty, instrument.maxQty, instrument.stepSize, 'Quantity', 'step size');
+    }
+
+    static validateNotional(quantity, price, instrument) {
+        if (!instrument || !instrument.minNotional) {
+            return null;
+        }
+        return quantity.mul(price).lt(Decimal.from(instrument.minNotional)) ?
+            `Notional below the minimum of ${instrument.minNotional}` : null;
+    }
+
+    // Within [min, max] and a whole number of steps above min, like exchanges check it
+    static validateStep(value, min, max, step, name, stepName) {
+        if (min && value.lt(Decimal.from(min))) {
+            return `${name} below the minimum of ${min}`;
+        }
+        if (max && value.gt(Decimal.from(max))) {
+            return `${name} above the maximum of ${max}`;
+        }
+        const offset = min ? value.sub(Decimal.from(min)) : value;
+        if (step && !offset.roundToStep(step, 'floor').eq(offset)) {
+            return `${name} must be a multiple of the ${stepName} ${step}`;
+        }
+        return null;
+    }
+
+    // Parses a user-supplied decimal (route parameter, query string); null if invalid
+    static parseDecimal(value) {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return null;
+        }
+        return Decimal.isValid(value) ? Decimal.from(value) : null;
+    }
+
+    // Parses a price grouping: a bucket width ("0.5", "10") or a width in basis points ("5bps"); null if invalid
+    static parsePriceGroup(value) {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return null;
+        }
+        const text = String(value).trim().toLowerCase();
+        if (text.endsWith('bps')) {
+            const bps = Number(text.slice(0, -3));
+            return bps > 0 && bps <= 10000 ? { bps } : null;
+        }
+        const step = this.parseDecimal(text);
+        if (!step || !step.isPositive() || Decimal.scaleOf(text) > MAX_GROUP_SCALE || step.gte(MAX_GROUP_STEP)) {
+            return null;
+        }
+        return { step: Decimal.from(text, Decimal.scaleOf(text)) };
+    }
+
+    // Checks a bucket width against a book's tick size; returns an error message, or null if valid
+    static validatePriceGroup(group, tickSize) {
+        if (!group || !group.step || !tickSize) {
+            return null;
+        }
+        return group.step.roundToStep(tickSize, 'floor').eq(group.step) ?
+            null : `Invalid group parameter (must be a multiple of the tick size ${tickSize})`;
+    }
 }
 
 module.exports = Validators; 
\ No newline at end of file
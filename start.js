@@ -2,11 +2,15 @@
 
 require('dotenv').config();
 const logger = require('./src/utils/logger');
-const config = require('./src/config/binance');
+const exchangesConfig = require('./src/config/exchanges');
 
 console.log('🚀 Starting OrderBook247...');
-console.log(`📊 Trading pairs: ${config.tradingPairs.join(', ')}`);
-console.log(`🔗 Binance WebSocket: ${config.wsUrl}`);
+for (const id of exchangesConfig.enabled) {
+    const exchange = exchangesConfig.exchanges[id];
+    if (exchange) {
+        console.log(`📊 ${exchange.name}: ${exchange.pairs.join(', ')} (${exchange.wsUrl})`);
+    }
+}
 console.log(`🌐 Server port: ${process.env.PORT || 3000}`);
 console.log('');
 
@@ -0,0 +1,106 @@
+const http = require('http');
+const express = require('express');
+const ApiRouter = require('../../src/api/apiRouter');
+const ApiKeyRegistry = require('../../src/services/apiKeyRegistry');
+const { ApiError } = require('../../src/api/errors');
+const { buildOpenApiDocument } = require('../../src/api/openapi');
+const schemas = require('../../src/api/schemas');
+
+function request(server, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ port: server.address().port, path }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+function createApi(auth = null) {
+    const api = new ApiRouter({ tags: ['Test'], auth, validateResponses: false });
+    const books = new ApiRouter({ tags: ['Orderbooks'], auth });
+    books.get('/:symbol/market-impact/:size', {
+        params: { symbol: schemas.SymbolParameter, size: { ...schemas.Decimal, exclusiveMinimum: 0 } },
+        query: { side: { type: 'string', enum: ['buy', 'sell'], default: 'buy' } },
+        response: schemas.components.MarketImpact
+    }, req => {
+        if (req.params.symbol === 'missing') {
+            throw new ApiError(404, 'Orderbook not found for symbol: missing');
+        }
+        return { size: req.input.params.size.toString(), side: req.input.query.side };
+    });
+    books.get('/:symbol/fail', { params: { symbol: schemas.SymbolParameter } }, () => {
+        throw new Error('boom');
+    });
+    api.use('/orderbooks', { scope: ApiKeyRegistry.Scopes.READ }, books);
+    return api;
+}
+
+describe('ApiRouter', () => {
+    let server;
+
+    beforeAll(done => {
+        const app = express();
+        app.use('/api/v1', createApi().router);
+        server = app.listen(0, done);
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('should hand handlers coerced parameters and wrap their data', async () => {
+        const res = await request(server, '/api/v1/orderbooks/btcusdt/market-impact/0.5?side=sell');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, data: { size: '0.5', side: 'sell' } });
+        expect(typeof res.body.timestamp).toBe('number');
+    });
+
+    test('should answer invalid parameters with 400 and every problem', async () => {
+        const res = await request(server, '/api/v1/orderbooks/btcusdt/market-impact/0?side=foo');
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({
+            success: false,
+            error: 'Invalid path parameter size: must be greater than 0',
+            code: 'INVALID_REQUEST',
+            details: [
+                { in: 'path', name: 'size', message: 'must be greater than 0' },
+                { in: 'query', name: 'side', message: 'must be one of buy, sell' }
+            ]
+        });
+    });
+
+    test('should answer ApiErrors with their status and other errors with 500', async () => {
+        const missing = await request(server, '/api/v1/orderbooks/missing/market-impact/1');
+        expect(missing.status).toBe(404);
+        expect(missing.body).toEqual({ success: false, error: 'Orderbook not found for symbol: missing', code: 'NOT_FOUND' });
+
+        const failed = await request(server, '/api/v1/orderbooks/btcusdt/fail');
+        expect(failed.status).toBe(500);
+        expect(failed.body.code).toBe('INTERNAL_ERROR');
+    });
+});
+
+describe('buildOpenApiDocument', () => {
+    test('should describe every route with its parameters, scope and responses', () => {
+        const auth = new ApiKeyRegistry({ enabled: true });
+        const document = buildOpenApiDocument(createApi(auth), { basePath: '/api/v1', auth: true });
+
+        expect(document.openapi).toBe('3.1.0');
+        expect(document.servers).toEqual([{ url: '/api/v1' }]);
+        const operation = document.paths['/orderbooks/{symbol}/market-impact/{size}'].get;
+        expect(operation.tags).toEqual(['Orderbooks']);
+        expect(operation['x-scope']).toBe('read');
+        expect(operation.parameters.map(parameter => [parameter.name, parameter.in, parameter.required])).toEqual([
+            ['symbol', 'path', true],
+            ['size', 'path', true],
+            ['side', 'query', false]
+        ]);
+        expect(operation.responses[200].content['application/json'].schema.properties.data)
+            .toEqual({ $ref: '#/components/schemas/MarketImpact' });
+        expect(Object.keys(operation.responses)).toEqual(['200', '400', '401', '403', '404', '429', '500']);
+        expect(operation.responses[403]).toEqual({ $ref: '#/components/responses/FORBIDDEN' });
+        expect(document.components.schemas.MarketImpact.type).toBe('object');
+        expect(document.security).toHaveLength(3);
+    });
+});
@@ -0,0 +1,53 @@
+const { validate } = require('../../src/api/schema');
+const Decimal = require('../../src/utils/decimal');
+
+describe('schema', () => {
+    test('should coerce query strings to the schema type', () => {
+        const errors = [];
+        expect(validate({ type: 'integer', minimum: 1 }, '20', 'limit', errors, true)).toBe(20);
+        expect(validate({ type: 'array', items: { type: 'number' } }, '5, 10', 'bps', errors, true)).toEqual([5, 10]);
+        expect(validate({ type: 'string', enum: ['buy', 'sell'], default: 'buy' }, undefined, 'side', errors, true)).toBe('buy');
+        expect(errors).toEqual([]);
+    });
+
+    test('should report every problem by name', () => {
+        const errors = [];
+        validate({ type: 'integer', minimum: 1 }, '1.5', 'limit', errors, true);
+        validate({ type: 'string', enum: ['buy', 'sell'] }, 'foo', 'side', errors, true);
+        validate({ type: 'array', items: { type: 'number', maximum: 100 } }, '5,500', 'bps', errors, true);
+        expect(errors).toEqual([
+            { name: 'limit', message: 'must be an integer' },
+            { name: 'side', message: 'must be one of buy, sell' },
+            { name: 'bps[1]', message: 'must be at most 100' }
+        ]);
+    });
+
+    test('should validate bodies without coercing them', () => {
+        const schema = {
+            type: 'object',
+            required: ['symbol'],
+            additionalProperties: false,
+            properties: { symbol: { type: 'string' }, levels: { type: 'integer' } }
+        };
+        const errors = [];
+        validate(schema, { levels: '5', extra: true }, '', errors);
+        expect(errors).toEqual([
+            { name: 'symbol', message: 'is required' },
+            { name: 'levels', message: 'must be an integer' },
+            { name: 'extra', message: 'is not allowed' }
+        ]);
+    });
+
+    test('should parse formats and check decimals exactly', () => {
+        const errors = [];
+        const size = validate({ type: 'string', format: 'decimal', exclusiveMinimum: 0 }, '0.00000001', 'size', errors, true);
+        expect(size).toBeInstanceOf(Decimal);
+        expect(size.toString()).toBe('0.00000001');
+        expect(validate({ type: 'string', format: 'timestamp' }, '2024-01-01T00:00:00Z', 'at', errors, true)).toBe(1704067200000);
+        expect(errors).toEqual([]);
+
+        validate({ type: 'string', format: 'decimal', exclusiveMinimum: 0 }, '0.000', 'size', errors, true);
+        validate({ type: 'string', format: 'decimal' }, 'abc', 'price', errors, true);
+        expect(errors.map(error => error.message)).toEqual(['must be greater than 0', 'must be a decimal number']);
+    });
+});
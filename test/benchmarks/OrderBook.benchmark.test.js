@@ -0,0 +1,178 @@
+const OrderBook = require('../../src/models/OrderBook');
+// Reference implementation of the previous Map + sort-on-read book with float levels
+class FloatPriceLevel {
+    constructor(price, quantity) {
+        this.price = parseFloat(price);
+        this.quantity = parseFloat(quantity);
+        this.timestamp = Date.now();
+    }
+
+    toJSON() {
+        return { price: this.price, quantity: this.quantity, timestamp: this.timestamp };
+    }
+}
+
+class SortOnReadOrderBook {
+    constructor() {
+        this.bids = new Map();
+        this.asks = new Map();
+    }
+
+    addBid(price, quantity) {
+        if (parseFloat(quantity) > 0) {
+            this.bids.set(parseFloat(price).toString(), new FloatPriceLevel(price, quantity));
+        } else {
+            this.bids.delete(parseFloat(price).toString());
+        }
+    }
+
+    addAsk(price, quantity) {
+        if (parseFloat(quantity) > 0) {
+            this.asks.set(parseFloat(price).toString(), new FloatPriceLevel(price, quantity));
+        } else {
+            this.asks.delete(parseFloat(price).toString());
+        }
+    }
+
+    getBids(limit = null) {
+        const sorted = Array.from(this.bids.values()).sort((a, b) => b.price - a.price);
+        return (limit ? sorted.slice(0, limit) : sorted).map(level => level.toJSON());
+    }
+
+    getAsks(limit = null) {
+        const sorted = Array.from(this.asks.values()).sort((a, b) => a.price - b.price);
+        return (limit ? sorted.slice(0, limit) : sorted).map(level => level.toJSON());
+    }
+
+    getSpread() {
+        return this.getAsks(1)[0].price - this.getBids(1)[0].price;
+    }
+
+    getMidPrice() {
+        return (this.getAsks(1)[0].price + this.getBids(1)[0].price) / 2;
+    }
+}
+
+const LEVELS = 1000;
+const DIFFS = 300;
+const LEVELS_PER_DIFF = 20;
+const MID = 50000;
+
+// Deterministic pseudo-random generator so both books see identical diffs
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+function generateDiffs() {
+    const random = createRandom(42);
+    const diffs = [];
+    for (let i = 0; i < DIFFS; i++) {
+        const bids = [];
+        const asks = [];
+        for (let j = 0; j < LEVELS_PER_DIFF; j++) {
+            // Strings formatted like Binance depth levels
+            const offset = Math.floor(random() * LEVELS * 1.2) / 10;
+            const quantity = random() < 0.2 ? '0.000' : (Math.round(random() * 1000) / 100).toFixed(3);
+            bids.push([(MID - 0.1 - offset).toFixed(2), quantity]);
+            asks.push([(MID + offset).toFixed(2), quantity]);
+        }
+        diffs.push({ bids, asks });
+    }
+    return diffs;
+}
+
+function seed(book) {
+    for (let i = 0; i < LEVELS; i++) {
+        book.addBid((MID - 0.1 - i / 10).toFixed(2), '1.000');
+        book.addAsk((MID + i / 10).toFixed(2), '1.000');
+    }
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Mirrors the manager's per-diff work: apply levels, then read the top of book
+function applyAndRead(book, diffs) {
+    return time(() => {
+        for (const diff of diffs) {
+            for (const [price, quantity] of diff.bids) {
+                book.addBid(price, quantity);
+            }
+            for (const [price, quantity] of diff.asks) {
+                book.addAsk(price, quantity);
+            }
+            book.getBids(20);
+            book.getAsks(20);
+            book.getSpread();
+            book.getMidPrice();
+        }
+    });
+}
+
+function readTopOfBook(book, iterations) {
+    return time(() => {
+        for (let i = 0; i < iterations; i++) {
+            book.getSpread();
+            book.getMidPrice();
+            book.getBids(10);
+            book.getAsks(10);
+        }
+    });
+}
+
+function report(name, baselineMs, indexedMs) {
+    console.log(`${name} (${LEVELS} levels/side): sort-on-read ${baselineMs.toFixed(1)}ms, ` +
+        `sorted index ${indexedMs.toFixed(1)}ms, speedup ${(baselineMs / indexedMs).toFixed(1)}x`);
+}
+
+describe('OrderBook benchmark', () => {
+    let diffs;
+    let indexed;
+    let baseline;
+
+    beforeAll(() => {
+        diffs = generateDiffs();
+        indexed = new OrderBook('btcusdt', { tickSize: '0.10', stepSize: '0.001' });
+        baseline = new SortOnReadOrderBook();
+        seed(indexed);
+        seed(baseline);
+
+        // Warm up both code paths on throwaway books before timing
+        const warmIndexed = new OrderBook('btcusdt', { tickSize: '0.10', stepSize: '0.001' });
+        const warmBaseline = new SortOnReadOrderBook();
+        seed(warmIndexed);
+        seed(warmBaseline);
+        applyAndRead(warmIndexed, diffs);
+        applyAndRead(warmBaseline, diffs);
+    });
+
+    // Speedup bars sit well below the measured gain to stay stable on busy machines
+    test('applying diffs and reading the top of book', () => {
+        const baselineMs = applyAndRead(baseline, diffs);
+        const indexedMs = applyAndRead(indexed, diffs);
+        report(`${DIFFS} diffs x ${LEVELS_PER_DIFF * 2} levels`, baselineMs, indexedMs);
+
+        // Both books must end in the same state
+        const levels = book => book.map(level => [Number(level.price), Number(level.quantity)]);
+        expect(levels(indexed.getBids())).toEqual(levels(baseline.getBids()));
+        expect(levels(indexed.getAsks())).toEqual(levels(baseline.getAsks()));
+
+        expect(indexedMs * 2).toBeLessThan(baselineMs);
+    });
+
+    test('reading spread, mid price and top levels', () => {
+        const iterations = 500;
+        const baselineMs = readTopOfBook(baseline, iterations);
+        const indexedMs = readTopOfBook(indexed, iterations);
+        report(`${iterations} top-of-book reads`, baselineMs, indexedMs);
+
+        expect(indexedMs * 20).toBeLessThan(baselineMs);
+    });
+});
@@ -0,0 +1,121 @@
+const BinanceFuturesConnector = require('../../src/connectors/binanceFutures');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const fixture = require('../fixtures/connectors/binance.json');
+
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('BinanceFuturesConnector', () => {
+    let manager;
+    let connector;
+
+    beforeEach(async () => {
+        manager = new OrderBookManager();
+        connector = new BinanceFuturesConnector(manager, { pairs: ['btcusdt'] });
+        connector.fetchSnapshot = jest.fn().mockResolvedValue(fixture.snapshot);
+        await connector.initializeOrderbooks();
+    });
+
+    afterEach(() => {
+        connector.synchronizer.reset();
+    });
+
+    test('should build depth and trade stream subscriptions', () => {
+        expect(connector.getSubscribeMessages(['btcusdt'])[0]).toMatchObject({
+            method: 'SUBSCRIBE',
+            params: ['btcusdt@depth@100ms', 'btcusdt@aggTrade']
+        });
+    });
+
+    test('should ingest aggTrade events', () => {
+        connector.handleMessage(fixture.aggTrade);
+
+        const trades = manager.getTradeBuffer('binance:btcusdt');
+        expect(trades.getTrades()).toEqual([
+            expect.objectContaining({ id: 5933014, side: 'sell', time: 1760000000250 })
+        ]);
+        expect(trades.getLastPrice().toString()).toBe('65000.10');
+    });
+
+    test('should sync the book from recorded messages and a REST snapshot', async () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+        await flushPromises();
+
+        const orderbook = manager.getOrderBook('binance:btcusdt');
+        expect(connector.fetchSnapshot).toHaveBeenCalledWith('binance:btcusdt');
+        expect(connector.synchronizer.isSynced('binance:btcusdt')).toBe(true);
+        expect(orderbook.lastUpdateId).toBe(1006);
+        expect(orderbook.getBids()[0]).toMatchObject({ price: '65000.10', quantity: '1.200' });
+        expect(orderbook.getAsks().map(level => level.price)).toEqual(['65000.30', '65000.50']);
+    });
+
+    test('should resync when pu does not match the previous u', async () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+        await flushPromises();
+        connector.handleMessage(fixture.gap);
+
+        expect(connector.synchronizer.isSynced('binance:btcusdt')).toBe(false);
+        expect(connector.getStatus().sync['binance:btcusdt'].resyncCount).toBe(1);
+    });
+
+    test('should spread pairs over connections named by combined stream URLs', () => {
+        const sharded = new BinanceFuturesConnector(manager, {
+            pairs: ['btcusdt', 'ethusdt', 'solusdt'],
+            maxStreamsPerConnection: 4
+        });
+
+        expect(sharded.shards.map(shard => Array.from(shard.pairs))).toEqual([['btcusdt', 'ethusdt'], ['solusdt']]);
+        expect(sharded.shards[1].supervisor.getUrl()).toBe(
+            'wss://fstream.binance.com/stream?streams=solusdt@depth@100ms/solusdt@aggTrade');
+        expect(sharded.isBookConnected('binance:solusdt')).toBe(false);
+    });
+
+    test('should batch subscriptions and track them until confirmed', () => {
+        const batched = new BinanceFuturesConnector(manager, {
+            pairs: ['btcusdt', 'ethusdt', 'solusdt'],
+            maxStreamsPerMessage: 4
+        });
+        const [shard] = batched.shards;
+        shard.connected = true;
+        const send = jest.spyOn(batched, 'send').mockImplementation(() => {});
+
+        batched.subscribe(['btcusdt', 'ethusdt', 'solusdt']);
+
+        expect(send.mock.calls.map(([message]) => message.params.length)).toEqual([4, 2]);
+        expect(Array.from(batched.pendingRequests.keys())).toEqual([1, 2]);
+
+        batched.handleMessage({ result: null, id: 1 });
+        batched.handleMessage({ error: { code: 2, msg: 'Invalid request' }, id: 2 });
+
+        expect(batched.pendingRequests.size).toBe(0);
+        expect(Array.from(batched.subscribedStreams)).toEqual(['btcusdt', 'ethusdt']);
+        expect(batched.stats).toMatchObject({ confirmedRequests: 1, failedRequests: 1 });
+    });
+
+    test('should retry unconfirmed requests, then give up', () => {
+        const [shard] = connector.shards;
+        shard.connected = true;
+        const send = jest.spyOn(connector, 'send').mockImplementation(() => {});
+
+        connector.subscribe(['btcusdt']);
+        const sentAt = connector.pendingRequests.get(1).sentAt;
+        connector.checkPendingRequests(sentAt + connector.requestTimeout);
+
+        expect(send).toHaveBeenCalledTimes(2);
+        expect(connector.pendingRequests.get(2)).toMatchObject({ action: 'subscribe', attempts: 2 });
+
+        connector.pendingRequests.get(2).sentAt = sentAt;
+        connector.pendingRequests.get(2).attempts = connector.requestRetries + 1;
+        connector.checkPendingRequests(sentAt + connector.requestTimeout);
+
+        expect(connector.pendingRequests.size).toBe(0);
+        expect(connector.stats).toMatchObject({ retriedRequests: 1, failedRequests: 1 });
+    });
+
+    test('should unwrap combined stream messages', () => {
+        connector.handleMessage({ stream: 'btcusdt@aggTrade', data: fixture.aggTrade });
+
+        expect(manager.getTradeBuffer('binance:btcusdt').getTrades()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,45 @@
+const BinanceSpotConnector = require('../../src/connectors/binanceSpot');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const fixture = require('../fixtures/connectors/binance-spot.json');
+
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('BinanceSpotConnector', () => {
+    let manager;
+    let connector;
+
+    beforeEach(async () => {
+        manager = new OrderBookManager();
+        connector = new BinanceSpotConnector(manager, { pairs: ['btcusdt'] });
+        connector.fetchSnapshot = jest.fn().mockResolvedValue(fixture.snapshot);
+        await connector.initializeOrderbooks();
+    });
+
+    afterEach(() => {
+        connector.synchronizer.reset();
+    });
+
+    test('should chain diffs on U = previous u + 1', async () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+        await flushPromises();
+
+        const orderbook = manager.getOrderBook('binance-spot:btcusdt');
+        expect(orderbook.lastUpdateId).toBe(5007);
+        expect(orderbook.getBids().map(level => [level.price, level.quantity])).toEqual([
+            ['65000.01', '0.40000'],
+            ['65000.00', '0.10000'],
+            ['64999.99', '1.25000']
+        ]);
+        expect(orderbook.getAsks()[0].price).toBe('65000.10');
+    });
+
+    test('should resync on a skipped update id', async () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+        await flushPromises();
+        connector.handleMessage(fixture.gap);
+
+        expect(connector.synchronizer.isSynced('binance-spot:btcusdt')).toBe(false);
+    });
+});
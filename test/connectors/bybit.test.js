@@ -0,0 +1,49 @@
+const BybitConnector = require('../../src/connectors/bybit');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const fixture = require('../fixtures/connectors/bybit.json');
+
+describe('BybitConnector', () => {
+    let manager;
+    let connector;
+
+    beforeEach(async () => {
+        manager = new OrderBookManager();
+        connector = new BybitConnector(manager, { pairs: ['BTCUSDT'] });
+        await connector.initializeOrderbooks();
+    });
+
+    afterEach(() => {
+        connector.synchronizer.reset();
+    });
+
+    test('should build orderbook topic subscriptions', () => {
+        expect(connector.getSubscribeMessages(['BTCUSDT'])).toEqual([{ op: 'subscribe', args: ['orderbook.200.BTCUSDT'] }]);
+    });
+
+    test('should ignore deltas before the snapshot and apply the ones after it', () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+
+        const orderbook = manager.getOrderBook('bybit:btcusdt');
+        expect(orderbook.lastUpdateId).toBe(19);
+        expect(orderbook.getBids().map(level => level.price)).toEqual(['64999.90']);
+        expect(orderbook.getAsks().map(level => [level.price, level.quantity])).toEqual([
+            ['65000.20', '0.800'],
+            ['65000.30', '0.250'],
+            ['65000.50', '3.000']
+        ]);
+        expect(connector.getStatus().sync['bybit:btcusdt'].droppedEvents).toBe(1);
+    });
+
+    test('should resubscribe for a new snapshot on an update id gap', () => {
+        jest.useFakeTimers();
+        connector.resubscribe = jest.fn();
+
+        fixture.messages.forEach(message => connector.handleMessage(message));
+        connector.handleMessage(fixture.gap);
+        jest.runOnlyPendingTimers();
+        jest.useRealTimers();
+
+        expect(connector.synchronizer.isSynced('bybit:btcusdt')).toBe(false);
+        expect(connector.resubscribe).toHaveBeenCalledWith('bybit:btcusdt');
+    });
+});
@@ -0,0 +1,35 @@
+const CoinbaseConnector = require('../../src/connectors/coinbase');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const fixture = require('../fixtures/connectors/coinbase.json');
+
+describe('CoinbaseConnector', () => {
+    let manager;
+    let connector;
+
+    beforeEach(async () => {
+        manager = new OrderBookManager();
+        connector = new CoinbaseConnector(manager, { pairs: ['BTC-USD'] });
+        await connector.initializeOrderbooks();
+    });
+
+    afterEach(() => {
+        connector.synchronizer.reset();
+    });
+
+    test('should split level2 updates into bids and offers', () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+
+        const orderbook = manager.getOrderBook('coinbase:btcusd');
+        expect(orderbook.lastUpdateId).toBe(3);
+        expect(orderbook.getBids()[0]).toMatchObject({ price: '65000.01', quantity: '0.40000000' });
+        expect(orderbook.getAsks().map(level => level.price)).toEqual(['65000.10']);
+    });
+
+    test('should resync every book on a connection sequence gap', () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+        connector.handleMessage(fixture.gap);
+
+        expect(connector.synchronizer.isSynced('coinbase:btcusd')).toBe(false);
+        expect(manager.getOrderBook('coinbase:btcusd').getBids()).toHaveLength(2);
+    });
+});
@@ -0,0 +1,206 @@
+const EventEmitter = require('events');
+const ConnectionSupervisor = require('../../src/connectors/connectionSupervisor');
+
+const { ConnectionState } = ConnectionSupervisor;
+
+class FakeWebSocket extends EventEmitter {
+    constructor(url, options) {
+        super();
+        this.url = url;
+        this.options = options;
+        this.readyState = 0;
+        this.ping = jest.fn();
+        this.pong = jest.fn();
+        this.send = jest.fn();
+        FakeWebSocket.instances.push(this);
+    }
+
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.emit('open');
+    }
+
+    close() {
+        this.readyState = 3;
+        this.emit('close', 1000);
+    }
+
+    terminate() {
+        this.readyState = 3;
+        this.emit('close', 1006);
+    }
+}
+FakeWebSocket.OPEN = 1;
+
+describe('ConnectionSupervisor', () => {
+    let handlers;
+    let supervisor;
+
+    function createSupervisor(options = {}) {
+        return new ConnectionSupervisor('wss://example.test/ws', handlers, {
+            WebSocket: FakeWebSocket,
+            baseDelay: 1000,
+            maxDelay: 8000,
+            jitter: 0.5,
+            random: () => 0.5,
+            livenessInterval: 1000,
+            livenessTimeout: 3000,
+            ...options
+        });
+    }
+
+    const latest = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        FakeWebSocket.instances = [];
+        handlers = {
+            onOpen: jest.fn(),
+            onStandbyOpen: jest.fn(),
+            onSwitch: jest.fn(),
+            onMessage: jest.fn(),
+            onClose: jest.fn()
+        };
+        supervisor = createSupervisor();
+    });
+
+    afterEach(() => {
+        supervisor.stop();
+        jest.useRealTimers();
+    });
+
+    test('should retry forever with a capped, jittered backoff', () => {
+        supervisor.start();
+        const delays = [];
+        for (let i = 0; i < 12; i++) {
+            latest().terminate();
+            delays.push(supervisor.getDelay(supervisor.attempts));
+            expect(supervisor.state).toBe(ConnectionState.RECONNECTING);
+            jest.advanceTimersByTime(delays[i]);
+        }
+
+        expect(delays.slice(0, 5)).toEqual([750, 1500, 3000, 6000, 6000]);
+        expect(FakeWebSocket.instances).toHaveLength(13);
+        expect(supervisor.getStatus().reconnects).toBe(12);
+    });
+
+    test('should start the backoff over once a new connection delivers messages', () => {
+        supervisor.start();
+        latest().terminate();
+        jest.advanceTimersByTime(750);
+        latest().terminate();
+        jest.advanceTimersByTime(1500);
+
+        latest().open();
+        expect(supervisor.attempts).toBe(2);
+        latest().emit('message', Buffer.from('{}'));
+
+        expect(supervisor.attempts).toBe(0);
+        expect(handlers.onOpen).toHaveBeenCalledTimes(1);
+        expect(handlers.onMessage).toHaveBeenCalledWith('{}');
+    });
+
+    test('should answer pings and drop connections that go silent', () => {
+        supervisor.start();
+        const ws = latest();
+        ws.open();
+
+        ws.emit('ping', Buffer.from('keepalive'));
+        expect(ws.pong).toHaveBeenCalledWith(Buffer.from('keepalive'));
+
+        jest.advanceTimersByTime(1000);
+        expect(ws.ping).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(3000);
+        expect(supervisor.getStatus().livenessTimeouts).toBe(1);
+        expect(handlers.onClose).toHaveBeenCalledTimes(1);
+        expect(supervisor.state).toBe(ConnectionState.RECONNECTING);
+    });
+
+    test('should hand over to an overlapping connection before the age limit', () => {
+        supervisor = createSupervisor({ maxConnectionAge: 10000, rotationMargin: 2000, rotationOverlap: 500, livenessTimeout: 60000 });
+        supervisor.start();
+        const primary = latest();
+        primary.open();
+
+        jest.advanceTimersByTime(8000);
+        expect(supervisor.state).toBe(ConnectionState.ROTATING);
+        const standby = latest();
+        standby.open();
+        expect(handlers.onStandbyOpen).toHaveBeenCalledWith(standby);
+
+        standby.emit('message', Buffer.from('standby'));
+        primary.emit('message', Buffer.from('primary'));
+        expect(handlers.onMessage.mock.calls).toEqual([['primary']]);
+
+        jest.advanceTimersByTime(500);
+        expect(handlers.onSwitch).toHaveBeenCalledWith(standby);
+        expect(handlers.onMessage.mock.calls).toEqual([['primary'], ['standby']]);
+        expect(supervisor.ws).toBe(standby);
+        expect(primary.readyState).toBe(3);
+        expect(handlers.onClose).not.toHaveBeenCalled();
+
+        const status = supervisor.getStatus();
+        expect(status).toMatchObject({ state: ConnectionState.CONNECTED, rotations: 1, reconnects: 0 });
+        expect(status.transitions.map(transition => transition.to)).toEqual(['connecting', 'connected', 'rotating', 'connected']);
+    });
+
+    test('should promote the standby at once when the old connection drops', () => {
+        supervisor = createSupervisor({ maxConnectionAge: 10000, rotationMargin: 2000, rotationOverlap: 500, livenessTimeout: 60000 });
+        supervisor.start();
+        const primary = latest();
+        primary.open();
+        jest.advanceTimersByTime(8000);
+        const standby = latest();
+        standby.open();
+
+        primary.terminate();
+
+        expect(supervisor.ws).toBe(standby);
+        expect(handlers.onSwitch).toHaveBeenCalledTimes(1);
+        expect(handlers.onClose).not.toHaveBeenCalled();
+        expect(supervisor.state).toBe(ConnectionState.CONNECTED);
+    });
+
+    test('should not reconnect once stopped', () => {
+        supervisor.start();
+        latest().open();
+
+        supervisor.stop();
+        jest.advanceTimersByTime(60000);
+
+        expect(FakeWebSocket.instances).toHaveLength(1);
+        expect(handlers.onClose).not.toHaveBeenCalled();
+        expect(supervisor.state).toBe(ConnectionState.STOPPED);
+    });
+
+    test('should hold outgoing messages back to the rate limit', () => {
+        supervisor = createSupervisor({ maxMessagesPerSecond: 2 });
+        supervisor.start();
+        latest().open();
+
+        for (let i = 0; i < 5; i++) {
+            supervisor.send({ id: i });
+        }
+        expect(latest().send).toHaveBeenCalledTimes(2);
+        expect(supervisor.getStatus().queuedMessages).toBe(3);
+
+        jest.advanceTimersByTime(1000);
+        expect(latest().send).toHaveBeenCalledTimes(4);
+
+        jest.advanceTimersByTime(1000);
+        expect(latest().send.mock.calls.map(([payload]) => JSON.parse(payload).id)).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('should build the URL for every new connection', () => {
+        const streams = ['btcusdt@depth'];
+        supervisor = createSupervisor();
+        supervisor.url = () => `wss://example.test/stream?streams=${streams.join('/')}`;
+        supervisor.start();
+        streams.push('ethusdt@depth');
+        latest().terminate();
+        jest.advanceTimersByTime(supervisor.getDelay(1));
+
+        expect(latest().url).toBe('wss://example.test/stream?streams=btcusdt@depth/ethusdt@depth');
+    });
+});
@@ -0,0 +1,45 @@
+const KrakenConnector = require('../../src/connectors/kraken');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const fixture = require('../fixtures/connectors/kraken.json');
+
+describe('KrakenConnector', () => {
+    let manager;
+    let connector;
+
+    beforeEach(async () => {
+        manager = new OrderBookManager();
+        connector = new KrakenConnector(manager, { pairs: ['BTC/USD'] });
+        await connector.initializeOrderbooks();
+    });
+
+    afterEach(() => {
+        connector.synchronizer.reset();
+    });
+
+    test('should apply updates that match the checksum', () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+
+        const orderbook = manager.getOrderBook('kraken:btcusd');
+        expect(connector.synchronizer.isSynced('kraken:btcusd')).toBe(true);
+        expect(KrakenConnector.checksum(orderbook)).toBe(1663173911);
+        expect(orderbook.getAsks()[0]).toMatchObject({ price: '65000.3', quantity: '0.00000001' });
+        expect(orderbook.getBids()[0].quantity).toBe('0.40000000');
+    });
+
+    test('should resync on a checksum mismatch', () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+        connector.handleMessage(fixture.corrupted);
+
+        expect(connector.synchronizer.isSynced('kraken:btcusd')).toBe(false);
+    });
+
+    test('should truncate levels pushed beyond the subscribed depth', () => {
+        connector = new KrakenConnector(manager, { pairs: ['BTC/USD'], depth: 2 });
+        connector.synchronizer.rules = {};
+        fixture.messages.forEach(message => connector.handleMessage(message));
+
+        const orderbook = manager.getOrderBook('kraken:btcusd');
+        expect(orderbook.getAsks().map(level => level.price)).toEqual(['65000.3', '65000.5']);
+        expect(orderbook.getBids()).toHaveLength(2);
+    });
+});
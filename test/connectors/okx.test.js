@@ -0,0 +1,41 @@
+const OkxConnector = require('../../src/connectors/okx');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const fixture = require('../fixtures/connectors/okx.json');
+
+describe('OkxConnector', () => {
+    let manager;
+    let connector;
+
+    beforeEach(async () => {
+        manager = new OrderBookManager();
+        connector = new OkxConnector(manager, { pairs: ['BTC-USDT-SWAP'] });
+        await connector.initializeOrderbooks();
+    });
+
+    afterEach(() => {
+        connector.synchronizer.reset();
+    });
+
+    test('should key books by the instrument without separators', () => {
+        expect(manager.getOrderBook('okx:btcusdtswap')).toBeDefined();
+        expect(connector.getPair('okx:btcusdtswap')).toBe('BTC-USDT-SWAP');
+    });
+
+    test('should chain updates on prevSeqId, including empty keepalive updates', () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+
+        const orderbook = manager.getOrderBook('okx:btcusdtswap');
+        expect(connector.synchronizer.isSynced('okx:btcusdtswap')).toBe(true);
+        expect(orderbook.lastUpdateId).toBe(123460);
+        expect(orderbook.getBids()[0]).toMatchObject({ price: '65000.1', quantity: '12.00' });
+        expect(orderbook.getAsks().map(level => level.price)).toEqual(['65000.5']);
+    });
+
+    test('should resync when prevSeqId skips ahead', () => {
+        fixture.messages.forEach(message => connector.handleMessage(message));
+        connector.handleMessage(fixture.gap);
+
+        expect(connector.synchronizer.isSynced('okx:btcusdtswap')).toBe(false);
+        expect(manager.getOrderBook('okx:btcusdtswap').getBids()).toHaveLength(2);
+    });
+});
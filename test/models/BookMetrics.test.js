@@ -0,0 +1,65 @@
+const OrderBook = require('../../src/models/OrderBook');
+const BookMetrics = require('../../src/models/BookMetrics');
+
+describe('BookMetrics', () => {
+    let orderbook;
+
+    beforeEach(() => {
+        orderbook = new OrderBook('btcusdt', { tickSize: '0.10', stepSize: '0.001' }, 'binance');
+        orderbook.addBid('100.0', '3.000');
+        orderbook.addBid('99.9', '2.000');
+        orderbook.addBid('99.0', '5.000');
+        orderbook.addAsk('100.2', '1.000');
+        orderbook.addAsk('100.4', '4.000');
+    });
+
+    test('should compute top-N imbalance', () => {
+        expect(BookMetrics.imbalance(orderbook, 1).toString()).toBe('0.5');
+        expect(BookMetrics.imbalance(orderbook, 2).toString()).toBe('0');
+        expect(BookMetrics.imbalance(orderbook, 10).toString()).toBe('0.3333');
+        expect(BookMetrics.imbalance(new OrderBook('empty'), 10)).toBeNull();
+    });
+
+    test('should weight the mid by the opposite side quantity', () => {
+        // (100.0 * 1 + 100.2 * 3) / 4
+        expect(BookMetrics.microprice(orderbook).toString()).toBe('100.15');
+        expect(orderbook.getMidPrice().toString()).toBe('100.10');
+    });
+
+    test('should compute the spread in bps', () => {
+        // 0.2 / 100.1 * 10000
+        expect(BookMetrics.spreadBps(orderbook).toString()).toBe('19.98');
+    });
+
+    test('should sum depth within bps of the mid', () => {
+        // 50 bps of 100.1 is 0.5005: bids >= 99.5995, asks <= 100.6005
+        const depth = BookMetrics.depthWithin(orderbook, 50);
+        expect(depth.bids.quantity.toString()).toBe('5.000');
+        expect(depth.bids.notional.toString()).toBe('499.80');
+        expect(depth.asks.quantity.toString()).toBe('5.000');
+
+        const narrow = BookMetrics.depthWithin(orderbook, 5);
+        expect(narrow.bids.quantity.toString()).toBe('0.000');
+        expect(narrow.asks.quantity.toString()).toBe('0.000');
+    });
+
+    test('should compute the book slope per side', () => {
+        const slope = BookMetrics.slope(orderbook, 2);
+        // bids: 5 over 99.9 -> 0.2 from the mid (19.98 bps); asks: 5 over 0.3 (29.97 bps)
+        expect(slope.bids.toString()).toBe('0.2503');
+        expect(slope.asks.toString()).toBe('0.1668');
+    });
+
+    test('should compute every metric at once', () => {
+        const metrics = BookMetrics.compute(orderbook, { levels: 5, depthBps: [10, 100] });
+
+        expect(metrics.levels).toBe(5);
+        expect(metrics.depth.map(band => band.bps)).toEqual([10, 100]);
+        expect(JSON.parse(JSON.stringify(metrics))).toMatchObject({
+            bestBid: '100.00',
+            bestAsk: '100.20',
+            microprice: '100.15',
+            spread: '0.20'
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const OrderBookManager = require('../../src/services/orderbookManager');
+
+describe('ConsolidatedBook', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = new OrderBookManager();
+        manager.createOrderBook('btcusdt', 'binance', { tickSize: '0.10', stepSize: '0.001' });
+        manager.createOrderBook('btcusdt', 'binance-spot', { tickSize: '0.01', stepSize: '0.00001' });
+        manager.setSnapshot('binance:btcusdt', {
+            lastUpdateId: 1,
+            bids: [['100.0', '1.000'], ['99.9', '2.000']],
+            asks: [['100.1', '1.000'], ['100.3', '2.000']]
+        });
+        manager.setSnapshot('binance-spot:btcusdt', {
+            lastUpdateId: 1,
+            bids: [['100.05', '0.50000'], ['99.90', '1.00000']],
+            asks: [['100.10', '0.50000'], ['100.20', '1.00000']]
+        });
+    });
+
+    test('should merge levels and keep per-venue quantities', () => {
+        const book = manager.getConsolidatedBook('btcusdt');
+        const snapshot = book.getSnapshot();
+
+        expect(snapshot.exchange).toBe('consolidated');
+        expect(snapshot.venues).toEqual(['binance', 'binance-spot']);
+        expect(snapshot.bids.map(level => [level.price, level.quantity])).toEqual([
+            ['100.05', '0.50000'],
+            ['100.00', '1.00000'],
+            ['99.90', '3.00000']
+        ]);
+        expect(snapshot.asks[0].price).toBe('100.10');
+        expect(snapshot.asks[0].quantity).toBe('1.50000');
+        expect(JSON.parse(JSON.stringify(snapshot.asks[0].venues))).toEqual({
+            'binance': '1.000',
+            'binance-spot': '0.50000'
+        });
+        expect(snapshot.bestBidVenues).toEqual(['binance-spot']);
+        expect(snapshot.bestAskVenues).toEqual(['binance', 'binance-spot']);
+    });
+
+    test('should rebuild only after a source book changes', () => {
+        const book = manager.getConsolidatedBook('btcusdt');
+        const sequence = book.sequence;
+        expect(manager.getConsolidatedBook('btcusdt')).toBe(book);
+        expect(book.sequence).toBe(sequence);
+
+        manager.updateOrderBook('binance:btcusdt', { U: 2, u: 2, b: [], a: [['100.1', '0']] });
+        manager.getConsolidatedBook('btcusdt');
+
+        expect(book.sequence).toBe(sequence + 1);
+        expect(book.getBestAsk().quantity.toString()).toBe('0.50000');
+        expect(Object.keys(book.getBestAsk().venues)).toEqual(['binance-spot']);
+    });
+
+    test('should route market impact across venues', () => {
+        const impact = manager.getConsolidatedBook('btcusdt').getMarketImpact('2', 'buy');
+
+        expect(impact.canFill).toBe(true);
+        expect(impact.levelsConsumed.map(level => level.price.toString())).toEqual(['100.10', '100.20']);
+        // Within a level, venues fill in source order
+        expect(impact.routing.binance.quantity.toString()).toBe('1.00000');
+        expect(impact.routing.binance.averagePrice.toString()).toBe('100.10');
+        expect(impact.routing['binance-spot'].quantity.toString()).toBe('1.00000');
+        expect(impact.routing['binance-spot'].cost.toString()).toBe('100.15');
+        expect(impact.routing['binance-spot'].averagePrice.toString()).toBe('100.15');
+        expect(impact.routing['binance-spot'].levels).toBe(2);
+        expect(impact.routing.binance.share.toString()).toBe('50');
+    });
+
+    test('should route orders sized by notional', () => {
+        const impact = manager.getConsolidatedBook('btcusdt').getMarketImpactByNotional('150.15', 'buy');
+
+        expect(impact.filledSize.toString()).toBe('1.50000');
+        expect(impact.canFill).toBe(true);
+        expect(impact.routing.binance.quantity.toString()).toBe('1.00000');
+        expect(impact.routing['binance-spot'].quantity.toString()).toBe('0.50000');
+    });
+
+    test('should honour the requested venues and their order', () => {
+        const book = manager.getConsolidatedBook('btcusdt', ['binance-spot', 'binance']);
+        const impact = book.getMarketImpact('1', 'buy');
+
+        expect(book.venues).toEqual(['binance-spot', 'binance']);
+        expect(impact.routing['binance-spot'].quantity.toString()).toBe('0.50000');
+        expect(impact.routing.binance.quantity.toString()).toBe('0.50000');
+
+        const spotOnly = manager.getConsolidatedBook('btcusdt', ['binance-spot']);
+        expect(spotOnly.getBestBid().price.toString()).toBe('100.05');
+        expect(spotOnly.getBids()).toHaveLength(2);
+        expect(manager.getConsolidatedBook('ethusdt')).toBeNull();
+    });
+});
@@ -0,0 +1,147 @@
+const OrderBook = require('../../src/models/OrderBook');
+const LevelEventDetector = require('../../src/models/LevelEventDetector');
+
+// Applies a diff the way OrderBookManager does and returns the events it triggered
+function applyDiff(detector, orderbook, diff, now) {
+    const events = [
+        ...detector.detectLevelChanges('bids', diff.b || [], now),
+        ...detector.detectLevelChanges('asks', diff.a || [], now)
+    ];
+    for (const [price, quantity] of diff.b || []) {
+        orderbook.addBid(price, quantity);
+    }
+    for (const [price, quantity] of diff.a || []) {
+        orderbook.addAsk(price, quantity);
+    }
+    events.push(...detector.checkPulledLiquidity(now));
+    detector.record(events);
+    return events;
+}
+
+describe('LevelEventDetector', () => {
+    let orderbook;
+    let detector;
+
+    beforeEach(() => {
+        orderbook = new OrderBook('btcusdt', { tickSize: '0.10', stepSize: '0.001' }, 'binance');
+        // Levels of 1 BTC, 0.10 apart around a 50000.05 mid
+        for (let i = 0; i < 5; i++) {
+            orderbook.addBid((50000 - i * 0.1).toFixed(2), '1');
+            orderbook.addAsk((50000.1 + i * 0.1).toFixed(2), '1');
+        }
+        detector = new LevelEventDetector(orderbook, {
+            levels: 5,
+            largeQuantity: null,
+            largeRatio: 3,
+            wallQuantity: null,
+            wallRatio: 10,
+            pullDistanceBps: 1,
+            pullWindow: 5000
+        });
+    });
+
+    test('should flag levels growing past a multiple of the average level size', () => {
+        const events = applyDiff(detector, orderbook, { b: [['49999.90', '4']], a: [['50000.20', '2']] }, 1000);
+
+        expect(events).toHaveLength(1);
+        expect(JSON.parse(JSON.stringify(events[0]))).toMatchObject({
+            type: 'large_order',
+            side: 'bids',
+            price: '49999.90',
+            quantity: '4.000',
+            previousQuantity: '1.000',
+            averageSize: '1.000',
+            ratio: '4',
+            time: 1000
+        });
+
+        // Growing further, still under 3x the new 1.6 average, is not a new event
+        expect(applyDiff(detector, orderbook, { b: [['49999.90', '4.5']] }, 2000)).toHaveLength(0);
+    });
+
+    test('should use an absolute threshold when configured', () => {
+        detector = new LevelEventDetector(orderbook, { largeQuantity: '1.5', wallQuantity: '100' });
+
+        const events = applyDiff(detector, orderbook, { a: [['50000.30', '1.6']] }, 1000);
+        expect(events.map(event => event.type)).toEqual(['large_order']);
+    });
+
+    test('should report walls appearing and disappearing', () => {
+        const appeared = applyDiff(detector, orderbook, { a: [['50000.50', '12']] }, 1000);
+        expect(appeared.map(event => event.type)).toEqual(['wall_appeared']);
+        expect(detector.getStats().walls.asks).toEqual(['50000.50']);
+
+        // Shrinking but still above the threshold it appeared at
+        expect(applyDiff(detector, orderbook, { a: [['50000.50', '11']] }, 2000)).toHaveLength(0);
+
+        const removed = applyDiff(detector, orderbook, { a: [['50000.50', '0']] }, 4000);
+        expect(JSON.parse(JSON.stringify(removed[0]))).toMatchObject({
+            type: 'wall_removed',
+            side: 'asks',
+            price: '50000.50',
+            quantity: '0.000',
+            previousQuantity: '11.000',
+            peakQuantity: '12.000',
+            lifetime: 3000,
+            distanceBps: '0.09'
+        });
+    });
+
+    test('should flag a wall pulled shortly before the price reaches it', () => {
+        applyDiff(detector, orderbook, { b: [['49999.70', '15']] }, 1000);
+        applyDiff(detector, orderbook, { b: [['49999.70', '0']] }, 2000);
+
+        // Bids in front of the pulled wall are taken out, the best bid falls to its level
+        expect(applyDiff(detector, orderbook, { b: [['50000.00', '0'], ['49999.90', '0']] }, 3000)).toHaveLength(0);
+        const events = applyDiff(detector, orderbook, { b: [['49999.80', '0']] }, 4000);
+
+        expect(events).toHaveLength(1);
+        expect(JSON.parse(JSON.stringify(events[0]))).toMatchObject({
+            type: 'spoof_suspected',
+            side: 'bids',
+            price: '49999.70',
+            previousQuantity: '15.000',
+            pulledAt: 2000,
+            elapsed: 2000
+        });
+        expect(detector.getStats().watchedPulls).toBe(0);
+    });
+
+    test('should not flag pulled walls the price does not reach in time', () => {
+        applyDiff(detector, orderbook, { a: [['50000.40', '15']] }, 1000);
+        applyDiff(detector, orderbook, { a: [['50000.40', '0']] }, 2000);
+
+        const events = applyDiff(detector, orderbook, { a: [['50000.10', '0'], ['50000.20', '0'], ['50000.30', '0']] }, 8000);
+        expect(events).toHaveLength(0);
+        expect(detector.getStats().watchedPulls).toBe(0);
+    });
+
+    test('should not watch walls removed at the touch or far from the mid', () => {
+        // At the touch the wall may have been traded
+        applyDiff(detector, orderbook, { b: [['50000.00', '15']] }, 1000);
+        applyDiff(detector, orderbook, { b: [['50000.00', '0']] }, 2000);
+        expect(detector.getStats().watchedPulls).toBe(0);
+
+        // 2bps away from the mid, beyond the 1bps watched
+        applyDiff(detector, orderbook, { b: [['49990.00', '15']] }, 3000);
+        applyDiff(detector, orderbook, { b: [['49990.00', '0']] }, 4000);
+        expect(detector.getStats().watchedPulls).toBe(0);
+    });
+
+    test('should filter recent events, newest first', () => {
+        applyDiff(detector, orderbook, { b: [['49999.90', '4']] }, 1000);
+        applyDiff(detector, orderbook, { a: [['50000.50', '12']] }, 2000);
+        applyDiff(detector, orderbook, { b: [['49999.80', '5']] }, 3000);
+
+        expect(detector.getEvents().map(event => event.time)).toEqual([3000, 2000, 1000]);
+        expect(detector.getEvents({ type: 'large_order', limit: 1 })[0].time).toBe(3000);
+        expect(detector.getEvents({ since: 1500 })).toHaveLength(2);
+    });
+
+    test('should forget walls when the book is rebuilt', () => {
+        applyDiff(detector, orderbook, { b: [['49999.70', '15']] }, 1000);
+        detector.reset();
+
+        expect(detector.getStats().walls.bids).toEqual([]);
+    });
+});
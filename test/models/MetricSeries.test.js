@@ -0,0 +1,69 @@
+const OrderBook = require('../../src/models/OrderBook');
+const MetricSeries = require('../../src/models/MetricSeries');
+
+const MINUTE = 60 * 1000;
+
+describe('MetricSeries', () => {
+    let orderbook;
+    let series;
+
+    beforeEach(() => {
+        orderbook = new OrderBook('btcusdt', { tickSize: '0.10', stepSize: '0.001' }, 'binance');
+        orderbook.addBid('100.0', '1.000');
+        orderbook.addAsk('100.2', '3.000');
+        series = new MetricSeries({ levels: 5, seriesSeconds: 90, seriesMinutes: 2 });
+    });
+
+    test('should sample top-of-book metrics once per second', () => {
+        expect(series.sample(orderbook, 1500)).toBe(true);
+        expect(series.sample(orderbook, 1900)).toBe(false); // same second
+
+        const [point] = series.getPoints('1s');
+        expect(JSON.parse(JSON.stringify(point))).toEqual({
+            time: 1000,
+            mid: '100.10',
+            spread: '0.20',
+            bidSize: '1.000',
+            askSize: '3.000',
+            imbalance: '-0.5'
+        });
+        expect(series.getPoints('1s', 'spread')).toEqual([{ time: 1000, value: point.spread }]);
+        expect(series.sample(new OrderBook('empty'), 5000)).toBe(false);
+    });
+
+    test('should downsample into 1m buckets', () => {
+        series.sample(orderbook, 0);
+        orderbook.addAsk('100.5', '1.000');
+        orderbook.addAsk('100.2', '0');
+        series.sample(orderbook, 1000);
+        orderbook.addBid('99.9', '2.000');
+        orderbook.addBid('100.0', '0');
+        series.sample(orderbook, 2000);
+        series.sample(orderbook, MINUTE); // opens the next bucket
+
+        const [bucket, current] = JSON.parse(JSON.stringify(series.getPoints('1m')));
+        expect(bucket).toMatchObject({
+            time: 0,
+            samples: 3,
+            mid: { open: '100.10', high: '100.25', low: '100.10', close: '100.20' },
+            spread: { min: '0.20', max: '0.60', avg: '0.433333' }
+        });
+        expect(current).toMatchObject({ time: MINUTE, samples: 1 });
+
+        expect(JSON.parse(JSON.stringify(series.getPoints('1m', 'mid', 0, 0)))).toEqual([
+            { time: 0, samples: 3, open: '100.10', high: '100.25', low: '100.10', close: '100.20' }
+        ]);
+    });
+
+    test('should drop samples and buckets beyond their capacity', () => {
+        for (let minute = 0; minute < 4; minute++) {
+            series.sample(orderbook, minute * MINUTE);
+            series.sample(orderbook, minute * MINUTE + 30000);
+        }
+
+        expect(series.getPoints('1s').map(point => point.time)).toEqual(
+            [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5].map(minutes => minutes * MINUTE));
+        // Two closed buckets kept plus the one being filled
+        expect(series.getPoints('1m').map(point => point.time)).toEqual([MINUTE, 2 * MINUTE, 3 * MINUTE]);
+    });
+});
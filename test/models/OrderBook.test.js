@@ -18,8 +18,8 @@ describe('OrderBook', () => {
         const bids = orderbook.getBids();
         
         expect(bids).toHaveLength(1);
-        expect(bids[0].price).toBe(50000);
-        expect(bids[0].quantity).toBe(1.5);
+        expect(bids[0].price).toBe('50000');
+        expect(bids[0].quantity).toBe('1.5');
     });
 
     test('should add ask correctly', () => {
@@ -27,8 +27,8 @@ describe('OrderBook', () => {
         const asks = orderbook.getAsks();
         
         expect(asks).toHaveLength(1);
-        expect(asks[0].price).toBe(50001);
-        expect(asks[0].quantity).toBe(2.0);
+        expect(asks[0].price).toBe('50001');
+        expect(asks[0].quantity).toBe('2');
     });
 
     test('should remove bid when quantity is 0', () => {
@@ -52,7 +52,16 @@ describe('OrderBook', () => {
         orderbook.addAsk(50001, 2.0);
         
         const spread = orderbook.getSpread();
-        expect(spread).toBe(1);
+        expect(spread.toString()).toBe('1');
+    });
+
+    test('should detect a crossed book', () => {
+        orderbook.addBid(50000, 1.5);
+        orderbook.addAsk(50001, 2.0);
+        expect(orderbook.isCrossed()).toBe(false);
+
+        orderbook.addBid(50001, 1.0);
+        expect(orderbook.isCrossed()).toBe(true);
     });
 
     test('should calculate mid price correctly', () => {
@@ -60,7 +69,7 @@ describe('OrderBook', () => {
         orderbook.addAsk(50001, 2.0);
         
         const midPrice = orderbook.getMidPrice();
-        expect(midPrice).toBe(50000.5);
+        expect(midPrice.toString()).toBe('50000.5');
     });
 
     test('should get snapshot with correct structure', () => {
@@ -84,9 +93,9 @@ describe('OrderBook', () => {
         orderbook.addBid(49999, 1.0);
         
         const bids = orderbook.getBids();
-        expect(bids[0].price).toBe(50001);
-        expect(bids[1].price).toBe(50000);
-        expect(bids[2].price).toBe(49999);
+        expect(bids[0].price).toBe('50001');
+        expect(bids[1].price).toBe('50000');
+        expect(bids[2].price).toBe('49999');
     });
 
     test('should sort asks in ascending order', () => {
@@ -95,8 +104,245 @@ describe('OrderBook', () => {
         orderbook.addAsk(50002, 1.0);
         
         const asks = orderbook.getAsks();
-        expect(asks[0].price).toBe(50000);
-        expect(asks[1].price).toBe(50001);
-        expect(asks[2].price).toBe(50002);
+        expect(asks[0].price).toBe('50000');
+        expect(asks[1].price).toBe('50001');
+        expect(asks[2].price).toBe('50002');
     });
-}); 
\ No newline at end of file
+
+    test('should keep levels sorted through inserts, updates and deletes', () => {
+        const prices = [50003, 49990, 50010, 49995, 50000, 50007];
+        prices.forEach(price => orderbook.addBid(price, 1));
+        prices.forEach(price => orderbook.addAsk(price + 100, 1));
+
+        orderbook.addBid(50010, 0);
+        orderbook.addBid(49995, 3);
+        orderbook.addAsk(50090, 0);
+        orderbook.addAsk(50100, 0);
+
+        expect(orderbook.getBids().map(level => level.price)).toEqual(['50007', '50003', '50000', '49995', '49990']);
+        expect(orderbook.getBids().find(level => level.price === '49995').quantity).toBe('3');
+        expect(orderbook.getAsks().map(level => level.price)).toEqual(['50095', '50103', '50107', '50110']);
+        expect(orderbook.bids.size).toBe(5);
+        expect(orderbook.asks.size).toBe(4);
+    });
+
+    test('should read the top of book without sorting', () => {
+        orderbook.addBid(50000, 1.5);
+        orderbook.addBid(50001, 1);
+        orderbook.addAsk(50003, 2.0);
+        orderbook.addAsk(50002, 2.0);
+
+        expect(orderbook.getBestBid().price.toString()).toBe('50001');
+        expect(orderbook.getBestAsk().price.toString()).toBe('50002');
+
+        orderbook.addBid(50001, 0);
+        expect(orderbook.getBestBid().price.toString()).toBe('50000');
+        expect(orderbook.getSpread().toString()).toBe('2');
+    });
+
+    test('should only update existing levels with updateBid and updateAsk', () => {
+        orderbook.updateBid(50000, 1, 1);
+        orderbook.addAsk(50001, 2.0);
+        orderbook.updateAsk(50001, 4, 2);
+
+        expect(orderbook.getBids()).toHaveLength(0);
+        expect(orderbook.getAsks()[0].quantity).toBe('4');
+        expect(orderbook.getAsks()[0].count).toBe(2);
+    });
+
+    test('should reject unknown sides instead of falling back to one', () => {
+        orderbook.addBid(50000, 1);
+        orderbook.addAsk(50001, 1);
+
+        expect(() => orderbook.getMarketImpact(1, 'foo')).toThrow('Invalid side: foo');
+        expect(() => orderbook.getAccumulatedQuantityToPrice(50000, 'buy')).toThrow('Invalid side: buy');
+        expect(orderbook.getMarketImpact(1, 'sell').averagePrice.toString()).toBe('50000');
+    });
+
+    describe('decimal precision', () => {
+        beforeEach(() => {
+            orderbook = new OrderBook('btcusdt', { tickSize: '0.10', stepSize: '0.001' });
+        });
+
+        test('should format prices and quantities with tick and step decimals', () => {
+            orderbook.addBid('50000.1', '1.5');
+            orderbook.addAsk('50000.20', '0.3');
+
+            expect(orderbook.getBids()[0]).toMatchObject({ price: '50000.10', quantity: '1.500' });
+            expect(orderbook.getSnapshot().spread).toBe('0.10');
+            expect(orderbook.getSnapshot().midPrice).toBe('50000.15');
+        });
+
+        test('should key levels by value regardless of formatting', () => {
+            orderbook.addBid('50000.1', '1');
+            orderbook.addBid('50000.100', '2');
+            orderbook.addBid(50000.1, '0');
+
+            expect(orderbook.bids.size).toBe(0);
+        });
+
+        test('should accumulate quantities and costs exactly', () => {
+            orderbook.addAsk('50000.10', '0.1');
+            orderbook.addAsk('50000.20', '0.2');
+
+            const accQty = orderbook.getAccumulatedQuantityToPrice('50000.20', 'asks');
+            expect(accQty.asks.quantity.toString()).toBe('0.300');
+            expect(accQty.asks.cost.toString()).toBe('15000.05');
+            expect(accQty.asks.averagePrice.toString()).toBe('50000.1666666667');
+        });
+
+        test('should compute market impact exactly', () => {
+            orderbook.addAsk('50000.10', '0.1');
+            orderbook.addAsk('50000.20', '0.2');
+            orderbook.addBid('49999.90', '1');
+
+            const impact = orderbook.getMarketImpact('0.25', 'buy');
+            expect(impact.filledSize.toString()).toBe('0.250');
+            expect(impact.totalCost.toString()).toBe('12500.04');
+            expect(impact.finalPrice.toString()).toBe('50000.20');
+            expect(impact.canFill).toBe(true);
+
+            const json = JSON.parse(JSON.stringify(impact));
+            expect(json.levelsConsumed[1]).toEqual({ price: '50000.20', quantity: '0.150', cost: '7500.03' });
+            expect(json.slippage).toBe('0.00012');
+        });
+    });
+
+    describe('market impact modes', () => {
+        beforeEach(() => {
+            orderbook = new OrderBook('btcusdt', { tickSize: '0.1', stepSize: '0.001' });
+            orderbook.addAsk('100', '1');
+            orderbook.addAsk('101', '2');
+            orderbook.addAsk('102', '3');
+            orderbook.addBid('99', '1');
+            orderbook.addBid('98', '2');
+        });
+
+        test('should size an order by quote notional, rounded down to the step size', () => {
+            const impact = orderbook.getMarketImpactByNotional('250', 'buy');
+            expect(impact.filledSize.toString()).toBe('2.485');
+            expect(impact.totalCost.toString()).toBe('249.985');
+            expect(impact.remainingNotional.toString()).toBe('0.015');
+            expect(impact.canFill).toBe(true);
+
+            const tooLarge = orderbook.getMarketImpactByNotional('1000', 'buy');
+            expect(tooLarge.filledSize.toString()).toBe('6.000');
+            expect(tooLarge.remainingNotional.toString()).toBe('392.0');
+            expect(tooLarge.canFill).toBe(false);
+            expect(tooLarge.reason).toBe('depth');
+
+            expect(orderbook.getMarketImpactByNotional('0', 'buy')).toBeNull();
+        });
+
+        test('should not claim to fill a notional below one step at the touch', () => {
+            // 0.05 buys 0.0005 at 100, under the 0.001 step
+            const subLot = orderbook.getMarketImpactByNotional('0.05', 'buy');
+            expect(subLot.filledSize.toString()).toBe('0.000');
+            expect(subLot.canFill).toBe(false);
+            expect(subLot.reason).toBe('belowLotSize');
+            expect(orderbook.getMarketImpactByNotional('0.1', 'buy').canFill).toBe(true);
+        });
+
+        test('should not claim to fill against an empty book', () => {
+            const empty = new OrderBook('btcusdt', { tickSize: '0.1', stepSize: '0.001' });
+
+            const byNotional = empty.getMarketImpactByNotional('100', 'buy');
+            expect(byNotional.filledSize.toString()).toBe('0.000');
+            expect(byNotional.canFill).toBe(false);
+            expect(byNotional.reason).toBe('emptyBook');
+
+            const max = empty.getMaxMarketOrder('sell', { maxSlippageBps: 50 });
+            expect(max.filledSize.toString()).toBe('0.000');
+            expect(max.canFill).toBe(false);
+            expect(max.reason).toBe('emptyBook');
+        });
+
+        test('should solve for the largest order within a slippage budget', () => {
+            const impact = orderbook.getMaxMarketOrder('buy', { maxSlippageBps: 50 });
+            expect(impact.filledSize.toString()).toBe('2.000');
+            expect(impact.averagePrice.toString()).toBe('100.5');
+            expect(impact.slippage.toString()).toBe('0.5');
+            expect(impact.limitedBy).toBe('slippage');
+            expect(impact.canFill).toBe(true);
+            expect(impact.reason).toBeNull();
+
+            const none = orderbook.getMaxMarketOrder('sell', { maxSlippageBps: 0 });
+            expect(none.filledSize.toString()).toBe('1.000');
+            expect(orderbook.getMaxMarketOrder('sell', { maxSlippageBps: 10000 }).limitedBy).toBe('depth');
+        });
+
+        test('should solve for the largest order within a limit price', () => {
+            const impact = orderbook.getMaxMarketOrder('buy', { limitPrice: '101', maxSlippageBps: 100 });
+            expect(impact.filledSize.toString()).toBe('3.000');
+            expect(impact.limitedBy).toBe('limitPrice');
+
+            const beyondLimit = orderbook.getMaxMarketOrder('sell', { limitPrice: '99.5' });
+            expect(beyondLimit.filledSize.toString()).toBe('0.000');
+            expect(beyondLimit.canFill).toBe(false);
+            expect(beyondLimit.reason).toBe('limitPrice');
+            expect(() => orderbook.getMaxMarketOrder('buy')).toThrow('maxSlippageBps or limitPrice is required');
+        });
+
+        test('should add taker fees to buys and take them off sells', () => {
+            const buy = orderbook.addFees(orderbook.getMarketImpact('2', 'buy'), 5);
+            expect(buy.totalCost.toString()).toBe('201.0');
+            expect(buy.fees.amount.toString()).toBe('0.1005');
+            expect(buy.fees.totalCost.toString()).toBe('201.1005');
+            expect(buy.fees.averagePrice.toString()).toBe('100.55025');
+
+            const sell = orderbook.addFees(orderbook.getMarketImpact('3', 'sell'), '2.5');
+            expect(sell.fees.amount.toString()).toBe('0.07375');
+            expect(sell.fees.totalCost.toString()).toBe('294.92625');
+        });
+    });
+    describe('price grouping', () => {
+        beforeEach(() => {
+            orderbook = new OrderBook('btcusdt', { tickSize: '0.10', stepSize: '0.001' });
+            orderbook.addBid('50000.00', '1');
+            orderbook.addBid('49999.90', '2');
+            orderbook.addBid('49995.00', '3');
+            orderbook.addBid('49989.90', '4');
+            orderbook.addAsk('50000.10', '0.5');
+            orderbook.addAsk('50009.90', '1.5');
+            orderbook.addAsk('50010.00', '1');
+        });
+
+        test('should round bids down and asks up into buckets', () => {
+            const snapshot = orderbook.getSnapshot(null, { step: '10' });
+
+            expect(snapshot.group).toBe('10');
+            expect(snapshot.bids.map(level => [level.price, level.quantity, level.count])).toEqual([
+                ['50000.00', '1.000', 1],
+                ['49990.00', '5.000', 2],
+                ['49980.00', '4.000', 1]
+            ]);
+            expect(snapshot.asks.map(level => [level.price, level.quantity])).toEqual([
+                ['50010.00', '3.000']
+            ]);
+            expect(snapshot.totalBids).toBe(4);
+        });
+
+        test('should limit the number of buckets', () => {
+            const bids = orderbook.getBids(2, orderbook.getGroupStep({ step: '0.5' }));
+
+            // Serialized with the tick's two decimals, not the step's one
+            expect(bids.map(level => level.price)).toEqual(['50000.00', '49999.50']);
+        });
+
+        test('should derive bucket widths in bps from the mid price in whole ticks', () => {
+            // 1bps of 50000.05 is 5.000005, rounded up to the next tick
+            expect(orderbook.getGroupStep({ bps: 1 }).toString()).toBe('5.10');
+            expect(orderbook.getGroupStep({ bps: 0.001 }).toString()).toBe('0.10');
+
+            orderbook.asks.clear();
+            expect(orderbook.getSnapshot(null, { bps: 1 }).group).toBeNull();
+        });
+
+        test('should accumulate grouped levels in the liquidity profile', () => {
+            const profile = orderbook.getLiquidityProfile(2, { step: '10' });
+
+            expect(JSON.parse(JSON.stringify(profile.bids[1]))).toMatchObject({ price: '49990.00', accumulatedQuantity: '6.000' });
+        });
+    });
+});
+
@@ -0,0 +1,72 @@
+const OrderBook = require('../../src/models/OrderBook');
+const TradeBuffer = require('../../src/models/TradeBuffer');
+
+describe('TradeBuffer', () => {
+    let orderbook;
+    let trades;
+
+    beforeEach(() => {
+        orderbook = new OrderBook('btcusdt', { tickSize: '0.10', stepSize: '0.001' }, 'binance');
+        orderbook.addBid('100.0', '2.000');
+        orderbook.addAsk('100.1', '3.000');
+        trades = new TradeBuffer(orderbook, { maxTrades: 3, matchWindow: 1000 });
+    });
+
+    test('should keep the most recent trades, newest first', () => {
+        for (let id = 1; id <= 4; id++) {
+            trades.add({ id, price: '100.1', quantity: '1', side: 'buy', time: id });
+        }
+
+        expect(trades.getTrades().map(trade => trade.id)).toEqual([4, 3, 2]);
+        expect(trades.getTrades(1)[0].id).toBe(4);
+        expect(trades.totalTrades).toBe(4);
+        expect(trades.getLastPrice().toString()).toBe('100.10');
+    });
+
+    test('should ignore trades delivered again', () => {
+        trades.add({ id: 1, price: '100.1', quantity: '1', side: 'buy', time: 1 });
+
+        expect(trades.add({ id: 1, price: '100.1', quantity: '1', side: 'buy', time: 1 })).toBeNull();
+        expect(trades.totalTrades).toBe(1);
+    });
+
+    test('should compute VWAP and imbalance over a window', () => {
+        trades.add({ id: 1, price: '99.0', quantity: '5', side: 'sell', time: 1000 }, 1000);
+        trades.add({ id: 2, price: '100.0', quantity: '1', side: 'sell', time: 9000 }, 9000);
+        trades.add({ id: 3, price: '101.0', quantity: '3', side: 'buy', time: 9500 }, 9500);
+
+        const recent = trades.getWindowStats(2000, 10000);
+        expect(recent.trades).toBe(2);
+        expect(recent.vwap.toString()).toBe('100.75');
+        expect(recent.buyVolume.toString()).toBe('3.000');
+        expect(recent.sellVolume.toString()).toBe('1.000');
+        expect(recent.imbalance.toString()).toBe('0.5');
+
+        const summary = trades.getSummary([60000], 10000);
+        expect(summary.windows['1m'].trades).toBe(3);
+        expect(summary.windows['1m'].imbalance.toString()).toBe('-0.3333');
+        expect(trades.getWindowStats(100, 20000)).toMatchObject({ trades: 0, vwap: null, imbalance: null });
+    });
+
+    test('should split depth reductions into consumed and cancelled volume', () => {
+        trades.add({ id: 1, price: '100.1', quantity: '1.5', side: 'buy', time: 1 }, 1000);
+
+        // 2.000 left the ask: 1.5 traded, 0.5 cancelled
+        trades.classifyDiff('asks', [['100.1', '1.000']], 1100);
+        // The bid shrinks without trades
+        trades.classifyDiff('bids', [['100.0', '0']], 1100);
+
+        expect(trades.levelFlow.consumed.toString()).toBe('1.500');
+        expect(trades.levelFlow.cancelled.toString()).toBe('2.500');
+        expect(trades.levelFlow.consumedEvents).toBe(1);
+        expect(trades.levelFlow.cancelledEvents).toBe(2);
+    });
+
+    test('should not match trades older than the match window', () => {
+        trades.add({ id: 1, price: '100.1', quantity: '1', side: 'buy', time: 1 }, 1000);
+        trades.classifyDiff('asks', [['100.1', '2.000']], 3000);
+
+        expect(trades.levelFlow.consumed.isZero()).toBe(true);
+        expect(trades.levelFlow.cancelled.toString()).toBe('1.000');
+    });
+});
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const AlertEngine = require('../../src/services/alertEngine');
+const WebhookDispatcher = require('../../src/services/webhookDispatcher');
+
+function createClient() {
+    return {
+        OPEN: 1,
+        readyState: 1,
+        bufferedAmount: 0,
+        messages: [],
+        send(message) {
+            this.messages.push(JSON.parse(message));
+        }
+    };
+}
+
+describe('AlertEngine', () => {
+    let directory;
+    let manager;
+    let dispatcher;
+    let engine;
+    let now;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orderbook247-alerts-'));
+        now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+        manager = new OrderBookManager();
+        manager.createOrderBook('btcusdt', 'binance', { tickSize: '0.10', stepSize: '0.001' });
+        // 10.0 wide spread around a 50005.0 mid: 2bps
+        manager.setSnapshot('btcusdt', {
+            lastUpdateId: 10,
+            bids: [['50000.0', '1.000'], ['49999.9', '2.000']],
+            asks: [['50010.0', '1.000']]
+        });
+
+        const webhooks = new WebhookDispatcher();
+        dispatcher = { deliver: jest.fn(), checkUrl: url => webhooks.checkUrl(url), getStats: () => ({}) };
+        engine = new AlertEngine(manager, {
+            file: path.join(directory, 'rules', 'alerts.json'),
+            cooldown: 60 * 1000,
+            webhooks: ['http://hooks.test/all'],
+            dispatcher
+        });
+    });
+
+    afterEach(() => {
+        engine.stop();
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function narrowSpread() {
+        manager.updateOrderBook('btcusdt', { U: 11, u: 11, b: [], a: [['50000.1', '1.000']] });
+    }
+
+    test('should trigger once a condition held for its duration, and resolve when it clears', () => {
+        const rule = engine.createRule({ symbol: 'BTCUSDT', condition: { type: 'spread_above', bps: 1, duration: 2 } });
+
+        engine.evaluate(1000);
+        engine.evaluate(2500);
+        expect(manager.alerts.size).toBe(0);
+
+        engine.evaluate(3000);
+        engine.evaluate(4000);
+        const [triggered] = engine.getAlerts();
+        expect(engine.getAlerts()).toHaveLength(1);
+        expect(triggered).toMatchObject({
+            id: `${rule.id}:1000:triggered`,
+            ruleId: rule.id,
+            status: 'triggered',
+            symbol: 'btcusdt',
+            exchange: 'binance',
+            value: '1.9998',
+            time: 3000
+        });
+        expect(engine.getRule(rule.id).state).toEqual({ active: true, since: 1000, lastTriggered: 3000 });
+
+        narrowSpread();
+        engine.evaluate(5000);
+        expect(engine.getAlerts('binance:btcusdt', 1)[0]).toMatchObject({
+            id: `${rule.id}:1000:resolved`,
+            status: 'resolved',
+            value: '0.02'
+        });
+    });
+
+    test('should deliver repeats of a firing episode once per webhook', () => {
+        const post = jest.fn().mockResolvedValue(204);
+        engine.dispatcher = new WebhookDispatcher({ post });
+        const rule = engine.createRule({ symbol: 'btcusdt', condition: { type: 'spread_above', bps: 1 } });
+        engine.evaluate(1000);
+        // The rule fires again while its condition still holds, e.g. after its state was reset
+        engine.states.get(rule.id).active = false;
+        engine.evaluate(70000);
+
+        expect(engine.getAlerts().map(alert => alert.id)).toEqual([`${rule.id}:1000:triggered`, `${rule.id}:1000:triggered`]);
+        expect(post).toHaveBeenCalledTimes(1);
+        expect(engine.dispatcher.getStats().duplicates).toBe(1);
+    });
+
+    test('should not trigger again within the cooldown', () => {
+        engine.createRule({ symbol: 'btcusdt', condition: { type: 'depth_below', quantity: '5', side: 'bids' } });
+
+        engine.evaluate(1000);
+        manager.updateOrderBook('btcusdt', { U: 11, u: 11, b: [['49999.8', '4.000']], a: [] });
+        engine.evaluate(2000);
+        manager.updateOrderBook('btcusdt', { U: 12, u: 12, b: [['49999.8', '0']], a: [] });
+        engine.evaluate(3000);
+
+        expect(engine.getAlerts().map(alert => alert.status)).toEqual(['resolved', 'triggered']);
+        expect(engine.getStats()).toMatchObject({ triggered: 1, resolved: 1, suppressed: 1, activeRules: 1 });
+
+        manager.updateOrderBook('btcusdt', { U: 13, u: 13, b: [['49999.8', '4.000']], a: [] });
+        engine.evaluate(62000);
+        manager.updateOrderBook('btcusdt', { U: 14, u: 14, b: [['49999.8', '0']], a: [] });
+        engine.evaluate(63000);
+        expect(engine.getStats().triggered).toBe(2);
+    });
+
+    test('should trigger on every mid crossing in the rule direction', () => {
+        engine.createRule({ symbol: 'btcusdt', condition: { type: 'mid_cross', price: '50002', direction: 'down' } });
+
+        engine.evaluate(1000);
+        narrowSpread();
+        engine.evaluate(2000);
+
+        expect(engine.getAlerts()).toMatchObject([{ status: 'triggered', value: '50000.05' }]);
+        expect(engine.getStats().activeRules).toBe(0);
+    });
+
+    test('should report feeds without updates for the rule duration', () => {
+        engine.createRule({ symbol: 'btcusdt', condition: { type: 'feed_stale', duration: 10 } });
+
+        engine.evaluate(5000);
+        expect(engine.getAlerts()).toHaveLength(0);
+        engine.evaluate(11000);
+        expect(engine.getAlerts()).toMatchObject([{ status: 'triggered', value: '10' }]);
+    });
+
+    test('should deliver alerts to the rule webhooks and the configured ones', () => {
+        engine.createRule({
+            symbol: 'btcusdt',
+            condition: { type: 'spread_above', bps: 1 },
+            webhooks: ['http://hooks.test/rule', 'http://hooks.test/all']
+        });
+        engine.evaluate(1000);
+
+        expect(dispatcher.deliver).toHaveBeenCalledTimes(1);
+        const [alert, urls] = dispatcher.deliver.mock.calls[0];
+        expect(alert.status).toBe('triggered');
+        expect(urls).toEqual(['http://hooks.test/rule', 'http://hooks.test/all']);
+    });
+
+    test('should push alerts to subscribers of the book', () => {
+        const client = createClient();
+        manager.addSubscriber(client);
+        manager.subscribe(client, { symbols: ['btcusdt'], channel: 'alerts' });
+        expect(client.messages[0]).toMatchObject({ type: 'alerts_snapshot', depth: 50, alerts: [] });
+
+        engine.createRule({ symbol: 'btcusdt', condition: { type: 'spread_above', bps: 1 } });
+        engine.evaluate(1000);
+
+        expect(client.messages[1]).toMatchObject({ type: 'alerts', symbol: 'btcusdt', alerts: [{ status: 'triggered' }] });
+    });
+
+    test('should persist rules across restarts', () => {
+        const rule = engine.createRule({ name: 'wide spread', symbol: 'btcusdt', condition: { type: 'spread_above', bps: 5 } });
+        engine.updateRule(rule.id, { symbol: 'binance:btcusdt', condition: { type: 'spread_above', bps: 8 }, enabled: false });
+        const other = engine.createRule({ symbol: 'btcusdt', condition: { type: 'feed_stale', duration: 30 } });
+        engine.deleteRule(other.id);
+
+        const restarted = new AlertEngine(manager, { file: engine.file, dispatcher });
+        restarted.load();
+        expect(restarted.getRules()).toMatchObject([{
+            id: rule.id,
+            book: 'binance:btcusdt',
+            condition: { type: 'spread_above', bps: 8 },
+            enabled: false,
+            createdAt: 1000
+        }]);
+    });
+
+    test('should leave the rules unchanged when saving them fails', () => {
+        const rule = engine.createRule({ symbol: 'btcusdt', condition: { type: 'spread_above', bps: 5 } });
+        fs.writeFileSync(path.join(directory, 'blocker'), '');
+        engine.file = path.join(directory, 'blocker', 'alerts.json'); // its directory cannot be created
+
+        // Both would trigger on the 2bps spread
+        expect(() => engine.createRule({ symbol: 'btcusdt', condition: { type: 'spread_above', bps: 1 } })).toThrow();
+        expect(() => engine.updateRule(rule.id, { symbol: 'btcusdt', condition: { type: 'spread_above', bps: 1 } })).toThrow();
+        expect(() => engine.deleteRule(rule.id)).toThrow();
+
+        expect(engine.getRules()).toMatchObject([{ id: rule.id, condition: { bps: 5 } }]);
+        engine.evaluate(1000);
+        expect(engine.getAlerts()).toHaveLength(0);
+    });
+
+    test('should reject invalid rules', () => {
+        const invalid = [
+            [{ symbol: 'dogeusdt', condition: { type: 'feed_stale', duration: 5 } }, 'Orderbook not found'],
+            [{ symbol: 'btcusdt', condition: { type: 'volume_above' } }, 'condition.type must be one of'],
+            [{ symbol: 'btcusdt', condition: { type: 'mid_cross' } }, 'condition.price is required'],
+            [{ symbol: 'btcusdt', condition: { type: 'mid_cross', price: '1', direction: 'sideways' } }, 'condition.direction'],
+            [{ symbol: 'btcusdt', condition: { type: 'spread_above', bps: -1 } }, 'condition.bps'],
+            [{ symbol: 'btcusdt', condition: { type: 'feed_stale', duration: 5 }, webhooks: [42] }, 'webhooks'],
+            [{ symbol: 'btcusdt', condition: { type: 'feed_stale', duration: 5 }, webhooks: ['ftp://x'] }, 'not http(s)'],
+            [{ symbol: 'btcusdt', condition: { type: 'feed_stale', duration: 5 }, webhooks: ['http://169.254.169.254/'] }, 'not allowed']
+        ];
+        for (const [input, message] of invalid) {
+            expect(() => engine.createRule(input)).toThrow(message);
+        }
+        expect(engine.getRules()).toHaveLength(0);
+    });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyRegistry = require('../../src/services/apiKeyRegistry');
+
+const READER_KEY = 'reader-0123456789abcdef';
+const ADMIN_KEY = 'admin-0123456789abcdef';
+
+function createRequest(headers = {}, query = {}) {
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return {
+        query,
+        get(name) {
+            return lowered[name.toLowerCase()];
+        }
+    };
+}
+
+function createResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+function createSocket() {
+    return {
+        messages: [],
+        closed: null,
+        send(message) {
+            this.messages.push(JSON.parse(message));
+        },
+        close(code, reason) {
+            this.closed = { code, reason };
+        }
+    };
+}
+
+describe('ApiKeyRegistry', () => {
+    let directory;
+    let file;
+    let registry;
+
+    function writeKeys(keys) {
+        fs.writeFileSync(file, JSON.stringify({ keys }));
+    }
+
+    function run(middleware, req) {
+        const res = createResponse();
+        const next = jest.fn();
+        middleware(req, res, next);
+        return { res, next };
+    }
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orderbook247-keys-'));
+        file = path.join(directory, 'api-keys.json');
+        writeKeys([
+            { name: 'dashboard', key: READER_KEY, scopes: ['read'], rateLimit: 1, rateBurst: 2 },
+            { name: 'ops', key: ADMIN_KEY, scopes: ['admin'], maxConnections: 1 },
+            { name: 'broken', key: 'short', scopes: ['read'] },
+            { name: 'unknown-scope', key: 'unknown-0123456789abcdef', scopes: ['trade'] }
+        ]);
+        registry = new ApiKeyRegistry({ enabled: true, file });
+        registry.load();
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should load valid keys and skip invalid ones', () => {
+        expect(Array.from(registry.clients.keys())).toEqual(['dashboard', 'ops']);
+        expect(registry.lookup(READER_KEY).name).toBe('dashboard');
+        expect(registry.lookup('unknown-0123456789abcdef')).toBeNull();
+
+        const ops = registry.lookup(ADMIN_KEY);
+        expect(registry.hasScope(ops, ApiKeyRegistry.Scopes.ALERTS)).toBe(true);
+        expect(registry.hasScope(registry.lookup(READER_KEY), ApiKeyRegistry.Scopes.ADMIN)).toBe(false);
+    });
+
+    test('should answer 401 without a valid key and 403 without the scope', () => {
+        const authenticate = registry.authenticate();
+
+        const missing = run(authenticate, createRequest());
+        expect(missing.res.statusCode).toBe(401);
+        expect(missing.res.body).toEqual({ success: false, error: 'API key required', code: 'UNAUTHORIZED' });
+
+        const invalid = run(authenticate, createRequest({ 'X-API-Key': 'wrong-0123456789abcdef' }));
+        expect(invalid.res.body).toEqual({ success: false, error: 'Invalid API key', code: 'UNAUTHORIZED' });
+        expect(invalid.next).not.toHaveBeenCalled();
+
+        const req = createRequest({ Authorization: `Bearer ${READER_KEY}` });
+        expect(run(authenticate, req).next).toHaveBeenCalled();
+        expect(req.apiClient.name).toBe('dashboard');
+
+        expect(run(registry.authorize('read'), req).next).toHaveBeenCalled();
+        const forbidden = run(registry.authorize('admin'), req);
+        expect(forbidden.res.statusCode).toBe(403);
+        expect(forbidden.res.body).toEqual({ success: false, error: 'API key lacks the admin scope', code: 'FORBIDDEN' });
+        expect(registry.getStats().unauthorized).toBe(2);
+    });
+
+    test('should answer 429 once the key exceeds its rate limit', () => {
+        const authenticate = registry.authenticate();
+        const request = () => run(authenticate, createRequest({}, { apiKey: READER_KEY }));
+
+        expect(request().res.headers['X-RateLimit-Remaining']).toBe('1');
+        expect(request().next).toHaveBeenCalled();
+
+        const limited = request();
+        expect(limited.res.statusCode).toBe(429);
+        expect(limited.res.body).toEqual({ success: false, error: 'Rate limit exceeded', code: 'RATE_LIMITED' });
+        expect(limited.res.headers['Retry-After']).toBe('1');
+        expect(registry.getStats().clients.dashboard).toMatchObject({ requests: 3, limited: 1 });
+    });
+
+    test('should cap connections and close those of revoked keys', () => {
+        const ops = registry.lookup(ADMIN_KEY);
+        const first = createSocket();
+        expect(registry.connect(ops, first)).toBe(true);
+        expect(registry.connect(ops, createSocket())).toBe(false);
+
+        writeKeys([{ name: 'dashboard', key: READER_KEY, scopes: ['read'] }]);
+        registry.load();
+
+        expect(registry.lookup(ADMIN_KEY)).toBeNull();
+        expect(first.closed).toEqual({ code: ApiKeyRegistry.CloseCodes.UNAUTHORIZED, reason: 'API key revoked' });
+        expect(first.messages[0]).toMatchObject({ type: 'error', error: 'API key revoked' });
+    });
+
+    test('should let every request through when disabled', () => {
+        registry = new ApiKeyRegistry({ enabled: false, file });
+
+        expect(run(registry.authenticate(), createRequest()).next).toHaveBeenCalled();
+        expect(run(registry.authorize('admin'), createRequest()).next).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,150 @@
+const DepthSynchronizer = require('../../src/services/depthSynchronizer');
+const OrderBookManager = require('../../src/services/orderbookManager');
+
+const { SyncState } = DepthSynchronizer;
+
+function depthEvent(U, u, pu, bids = [], asks = []) {
+    return { e: 'depthUpdate', s: 'BTCUSDT', U, u, pu, b: bids, a: asks };
+}
+
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('DepthSynchronizer', () => {
+    let manager;
+    let fetchSnapshot;
+    let synchronizer;
+    let resolveSnapshot;
+
+    beforeEach(() => {
+        manager = new OrderBookManager();
+        manager.createOrderBook('btcusdt');
+        fetchSnapshot = jest.fn(() => new Promise(resolve => {
+            resolveSnapshot = resolve;
+        }));
+        synchronizer = new DepthSynchronizer(manager, fetchSnapshot, { resyncDelay: 0 });
+    });
+
+    afterEach(() => {
+        synchronizer.reset();
+    });
+
+    test('should buffer events and fetch a snapshot on the first event', () => {
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(90, 95, 89));
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(96, 100, 95));
+
+        expect(fetchSnapshot).toHaveBeenCalledTimes(1);
+        expect(synchronizer.getStatus().btcusdt.status).toBe(SyncState.SYNCING);
+        expect(synchronizer.getStatus().btcusdt.bufferedEvents).toBe(2);
+    });
+
+    test('should discard stale events and apply from the bridging event', async () => {
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(90, 95, 89, [['50000', '9']]));
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(96, 104, 95, [['50000', '2']]));
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(105, 110, 104, [], [['50001', '3']]));
+
+        resolveSnapshot({ lastUpdateId: 100, bids: [['50000', '1']], asks: [['50002', '1']] });
+        await flushPromises();
+
+        const orderbook = manager.getOrderBook('btcusdt');
+        expect(synchronizer.isSynced('btcusdt')).toBe(true);
+        expect(orderbook.lastUpdateId).toBe(110);
+        expect(orderbook.getBids()[0].quantity).toBe('2.000');
+        expect(orderbook.getAsks()[0].price).toBe('50001.00');
+    });
+
+    test('should wait for a bridging event when all buffered events are stale', async () => {
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(90, 95, 89));
+
+        resolveSnapshot({ lastUpdateId: 100, bids: [['50000', '1']], asks: [] });
+        await flushPromises();
+
+        expect(synchronizer.getStatus().btcusdt.status).toBe(SyncState.BRIDGING);
+
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(98, 103, 97, [['50000', '4']]));
+        expect(synchronizer.isSynced('btcusdt')).toBe(true);
+        expect(manager.getOrderBook('btcusdt').getBids()[0].quantity).toBe('4.000');
+    });
+
+    test('should refetch the snapshot when it is older than the stream', async () => {
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(120, 125, 119));
+
+        resolveSnapshot({ lastUpdateId: 100, bids: [['50000', '1']], asks: [] });
+        await flushPromises();
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        expect(fetchSnapshot).toHaveBeenCalledTimes(2);
+        expect(synchronizer.getStatus().btcusdt.resyncCount).toBe(1);
+        expect(synchronizer.getStatus().btcusdt.bufferedEvents).toBe(1);
+    });
+
+    test('should resync when pu does not match the previous final update id', async () => {
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(99, 101, 98));
+        resolveSnapshot({ lastUpdateId: 100, bids: [['50000', '1']], asks: [] });
+        await flushPromises();
+        expect(synchronizer.isSynced('btcusdt')).toBe(true);
+
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(105, 110, 104, [['49999', '5']]));
+
+        expect(synchronizer.isSynced('btcusdt')).toBe(false);
+        expect(manager.getOrderBook('btcusdt').getBids()).toHaveLength(1);
+        expect(synchronizer.getStatus().btcusdt.resyncCount).toBe(1);
+    });
+
+    test('should drop diffs that were already applied', async () => {
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(99, 101, 98));
+        resolveSnapshot({ lastUpdateId: 100, bids: [['50000', '1']], asks: [] });
+        await flushPromises();
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(102, 105, 101, [['50000', '2']]));
+
+        // Delivered again, e.g. by a rotated connection
+        expect(synchronizer.processEvent('btcusdt', depthEvent(102, 105, 101, [['50000', '7']]))).toBe(false);
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(106, 108, 105, [['50000', '3']]));
+
+        expect(synchronizer.isSynced('btcusdt')).toBe(true);
+        expect(manager.getOrderBook('btcusdt').getBids()[0].quantity).toBe('3.000');
+        expect(synchronizer.counters.books.get('btcusdt').rejected.duplicate).toBe(1);
+    });
+
+    test('should count gaps and stale events across resets', async () => {
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(90, 95, 89));
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(96, 101, 95));
+        resolveSnapshot({ lastUpdateId: 100, bids: [['50000', '1']], asks: [] });
+        await flushPromises();
+
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(105, 110, 104));
+        synchronizer.reset();
+
+        expect(synchronizer.counters.books.get('btcusdt')).toEqual({
+            gaps: { sequence: 1 },
+            rejected: { stale: 1 }
+        });
+    });
+
+    test('should retry when the snapshot request fails', async () => {
+        fetchSnapshot.mockImplementationOnce(() => Promise.reject(new Error('429')));
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(99, 101, 98));
+        await flushPromises();
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        expect(fetchSnapshot).toHaveBeenCalledTimes(2);
+        expect(synchronizer.getStatus().btcusdt.status).toBe(SyncState.SYNCING);
+    });
+
+    test('should resync instead of rejecting when applying the snapshot throws', async () => {
+        jest.spyOn(manager, 'updateOrderBook').mockImplementationOnce(() => {
+            throw new Error('publish failed');
+        });
+        const startSync = jest.spyOn(synchronizer, 'startSync');
+        synchronizer.handleDepthUpdate('btcusdt', depthEvent(99, 101, 98));
+
+        resolveSnapshot({ lastUpdateId: 100, bids: [['50000', '1']], asks: [] });
+        await expect(startSync.mock.results[0].value).resolves.toBeUndefined();
+
+        expect(synchronizer.getStatus().btcusdt.status).toBe(SyncState.SYNCING);
+        expect(synchronizer.getStatus().btcusdt.resyncCount).toBe(1);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(fetchSnapshot).toHaveBeenCalledTimes(2);
+    });
+});
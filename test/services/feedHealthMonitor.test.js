@@ -0,0 +1,104 @@
+const OrderBookManager = require('../../src/services/orderbookManager');
+const FeedHealthMonitor = require('../../src/services/feedHealthMonitor');
+const { SequenceCounters } = require('../../src/services/depthSynchronizer');
+
+function createConnector() {
+    return {
+        id: 'binance',
+        isBookConnected: jest.fn(() => true),
+        symbols: new Map([['btcusdt', 'BTCUSDT']]),
+        getBookKey: symbol => `binance:${symbol}`,
+        synchronizer: { isSynced: jest.fn(() => true), counters: new SequenceCounters() },
+        resyncBook: jest.fn()
+    };
+}
+
+describe('FeedHealthMonitor', () => {
+    let manager;
+    let connector;
+    let monitor;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+        manager = new OrderBookManager();
+        manager.setSnapshot('binance:btcusdt', {
+            lastUpdateId: 100,
+            bids: [['50000.00', '1.000']],
+            asks: [['50000.10', '1.500']]
+        });
+        connector = createConnector();
+        monitor = new FeedHealthMonitor(manager, new Map([['binance', connector]]), {
+            staleAfter: 5000,
+            unhealthyAfter: 20000,
+            crossedGrace: 1000,
+            gapWindow: 60000,
+            maxGaps: 2,
+            autoResync: true,
+            resyncCooldown: 30000
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should report fresh synced books as ok', () => {
+        monitor.check(2000);
+
+        expect(monitor.getHealth()).toMatchObject({
+            status: 'ok',
+            books: { 'binance:btcusdt': { status: 'ok', reasons: [], lastUpdateAge: 1000, synced: true } }
+        });
+    });
+
+    test('should degrade stale books, then resync them once unhealthy', () => {
+        monitor.check(7000);
+        expect(monitor.getHealth().books['binance:btcusdt']).toMatchObject({ status: 'degraded', reasons: ['stale'] });
+        expect(connector.resyncBook).not.toHaveBeenCalled();
+
+        monitor.check(21000);
+        expect(monitor.getHealth().status).toBe('unhealthy');
+        expect(connector.resyncBook).toHaveBeenCalledWith('binance:btcusdt');
+
+        // Still stale, but within the resync cooldown
+        monitor.check(30000);
+        expect(connector.resyncBook).toHaveBeenCalledTimes(1);
+        expect(monitor.getHealth().books['binance:btcusdt'].resyncs).toBe(1);
+    });
+
+    test('should resync books that stay crossed past the grace period', () => {
+        manager.updateOrderBook('binance:btcusdt', { U: 101, u: 101, b: [['50000.20', '1']], a: [] });
+
+        monitor.check(1500);
+        expect(monitor.getHealth().books['binance:btcusdt']).toMatchObject({ status: 'degraded', crossed: true });
+
+        monitor.check(2500);
+        expect(monitor.getHealth().books['binance:btcusdt'].status).toBe('unhealthy');
+        expect(connector.resyncBook).toHaveBeenCalledTimes(1);
+    });
+
+    test('should degrade books with repeated sequence gaps within the window', () => {
+        connector.synchronizer.counters.increment('binance:btcusdt', 'gaps', 'sequence');
+        connector.synchronizer.counters.increment('binance:btcusdt', 'gaps', 'checksum');
+
+        monitor.check(2000);
+        expect(monitor.getHealth().books['binance:btcusdt']).toMatchObject({ status: 'degraded', reasons: ['gaps'], recentGaps: 2 });
+
+        manager.updateOrderBook('binance:btcusdt', { U: 101, u: 101, b: [['49999.90', '1']], a: [] });
+        monitor.check(62000);
+        expect(monitor.getHealth().books['binance:btcusdt'].recentGaps).toBe(0);
+    });
+
+    test('should leave reconnection of disconnected exchanges to the connector', () => {
+        connector.isBookConnected.mockReturnValue(false);
+        connector.synchronizer.isSynced.mockReturnValue(false);
+
+        monitor.check(30000);
+
+        expect(monitor.getHealth().books['binance:btcusdt']).toMatchObject({
+            status: 'unhealthy',
+            reasons: ['disconnected', 'syncing', 'stale']
+        });
+        expect(connector.resyncBook).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const HistoryStore = require('../../src/services/historyStore');
+
+const MINUTE = 60 * 1000;
+
+describe('HistoryStore', () => {
+    let directory;
+    let manager;
+    let store;
+    let now;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orderbook247-history-'));
+        now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+        manager = new OrderBookManager();
+        manager.createOrderBook('btcusdt', 'binance', { tickSize: '0.10', stepSize: '0.001' });
+        store = new HistoryStore(manager, {
+            directory,
+            retention: 60 * MINUTE,
+            compactAfter: 10 * MINUTE,
+            compactedInterval: 5 * MINUTE
+        });
+        manager.history = store;
+    });
+
+    afterEach(async () => {
+        await store.stop();
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function applySnapshot(lastUpdateId) {
+        manager.setSnapshot('binance:btcusdt', {
+            lastUpdateId,
+            bids: [['100.0', '1.000'], ['99.9', '2.000']],
+            asks: [['100.1', '1.000']]
+        });
+    }
+
+    async function flush() {
+        await store.closeSegment('binance:btcusdt');
+    }
+
+    test('should rebuild the book at a past instant from a snapshot and diffs', async () => {
+        applySnapshot(10);
+        now = 2000;
+        manager.updateOrderBook('binance:btcusdt', { U: 11, u: 11, b: [['100.0', '0']], a: [['100.2', '3.000']] });
+        now = 3000;
+        manager.updateOrderBook('binance:btcusdt', { U: 12, u: 12, b: [['99.8', '5.000']], a: [] });
+        await flush();
+
+        const result = await store.getBookAt('binance:btcusdt', 2500);
+        expect(result).toMatchObject({ snapshotTime: 1000, asOf: 2000, updatesApplied: 1, compacted: false });
+        expect(result.orderbook.lastUpdateId).toBe(11);
+        expect(result.orderbook.getBids().map(level => level.price)).toEqual(['99.90']);
+        expect(result.orderbook.getAsks().map(level => [level.price, level.quantity])).toEqual([
+            ['100.10', '1.000'],
+            ['100.20', '3.000']
+        ]);
+
+        const latest = await store.getBookAt('binance:btcusdt', 3000);
+        expect(latest.orderbook.getBids().map(level => level.price)).toEqual(['99.90', '99.80']);
+
+        expect(await store.getBookAt('binance:btcusdt', 500)).toBeNull();
+        expect(await store.getBookAt('binance:ethusdt', 2500)).toBeNull();
+    });
+
+    test('should survive file system errors and resume from the next periodic snapshot', async () => {
+        fs.writeFileSync(path.join(directory, 'binance'), ''); // the exchange directory cannot be created
+        applySnapshot(10);
+        manager.updateOrderBook('binance:btcusdt', { U: 11, u: 11, b: [['99.8', '1.000']], a: [] });
+
+        expect(store.getStats()).toMatchObject({ snapshots: 0, diffs: 0, errors: 1 });
+        expect(manager.getOrderBook('binance:btcusdt').lastUpdateId).toBe(11);
+
+        fs.unlinkSync(path.join(directory, 'binance'));
+        store.snapshotAll();
+        expect(store.getStats()).toMatchObject({ snapshots: 1, errors: 1 });
+
+        // Write errors arrive asynchronously, on the segment stream
+        store.segments.get('binance:btcusdt').stream.emit('error', new Error('ENOSPC: no space left on device'));
+        expect(store.getStats()).toMatchObject({ books: 0, errors: 2 });
+        manager.updateOrderBook('binance:btcusdt', { U: 12, u: 12, b: [['99.7', '1.000']], a: [] });
+        expect(store.getStats()).toMatchObject({ snapshots: 1, diffs: 0 });
+    });
+
+    test('should skip a malformed last line', async () => {
+        applySnapshot(10);
+        now = 2000;
+        manager.updateOrderBook('binance:btcusdt', { U: 11, u: 11, b: [['99.8', '5.000']], a: [] });
+        await flush();
+        const [segment] = store.listSegments('binance:btcusdt');
+        fs.appendFileSync(segment.file, '{"t":3000,"type":"diff","u":12,"b":[["99');
+
+        const result = await store.getBookAt('binance:btcusdt', 5000);
+        expect(result).toMatchObject({ snapshotTime: 1000, asOf: 2000, updatesApplied: 1 });
+        expect(result.orderbook.lastUpdateId).toBe(11);
+    });
+
+    test('should start a new segment on every periodic snapshot', async () => {
+        applySnapshot(10);
+        now = 2000;
+        manager.updateOrderBook('binance:btcusdt', { U: 11, u: 11, b: [['100.0', '4.000']], a: [] });
+        now = 61000;
+        store.snapshotAll();
+        now = 62000;
+        manager.updateOrderBook('binance:btcusdt', { U: 12, u: 12, b: [['100.0', '0']], a: [] });
+        await flush();
+
+        expect(store.listSegments('binance:btcusdt').map(segment => segment.start)).toEqual([1000, 61000]);
+
+        const result = await store.getBookAt('binance:btcusdt', 61500);
+        expect(result).toMatchObject({ snapshotTime: 61000, updatesApplied: 0 });
+        expect(result.orderbook.getBids()[0]).toMatchObject({ price: '100.00', quantity: '4.000' });
+    });
+
+    test('should compact old segments and delete expired ones', async () => {
+        // One segment per minute for 80 minutes
+        for (let minute = 0; minute < 80; minute++) {
+            now = minute * MINUTE;
+            applySnapshot(minute + 1);
+            now += 1000;
+            manager.updateOrderBook('binance:btcusdt', { U: minute + 2, u: minute + 2, b: [['98.0', '1.000']], a: [] });
+        }
+        await flush();
+
+        now = 80 * MINUTE;
+        await store.compact(now);
+        const segments = store.listSegments('binance:btcusdt');
+        const minutes = segments.map(segment => segment.start / MINUTE);
+
+        // Past retention (60 minutes) only the segment covering the cutoff remains
+        expect(minutes[0]).toBe(20);
+        // Older than 10 minutes: one snapshot every 5 minutes, without diffs
+        expect(minutes.filter(minute => minute <= 70)).toEqual([20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70]);
+        expect(segments.filter(segment => segment.start <= 70 * MINUTE).every(segment => segment.compacted)).toBe(true);
+        // Recent history is untouched
+        expect(minutes.filter(minute => minute > 70)).toEqual([71, 72, 73, 74, 75, 76, 77, 78, 79]);
+
+        const compacted = await store.getBookAt('binance:btcusdt', 26 * MINUTE);
+        expect(compacted).toMatchObject({ snapshotTime: 25 * MINUTE, updatesApplied: 0, compacted: true });
+        expect(compacted.orderbook.bids.size).toBe(2);
+
+        const recent = await store.getBookAt('binance:btcusdt', 75 * MINUTE + 2000);
+        expect(recent.orderbook.bids.size).toBe(3);
+    });
+
+    test('should expire the last segment of a book no longer stored', async () => {
+        applySnapshot(10);
+        await flush();
+
+        now = 61 * MINUTE;
+        await store.compact(now);
+        expect(store.listSegments('binance:btcusdt')).toEqual([]);
+
+        // While the book is stored, its last segment is kept
+        now = 62 * MINUTE;
+        applySnapshot(11);
+        await new Promise(resolve => store.segments.get('binance:btcusdt').stream.once('open', resolve));
+        await store.compact(200 * MINUTE);
+        expect(store.listSegments('binance:btcusdt')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const InstrumentRegistry = require('../../src/services/instrumentRegistry');
+const BinanceFuturesConnector = require('../../src/connectors/binanceFutures');
+const BinanceSpotConnector = require('../../src/connectors/binanceSpot');
+const Decimal = require('../../src/utils/decimal');
+const exchangeInfo = require('../fixtures/connectors/binanceExchangeInfo.json');
+
+describe('InstrumentRegistry', () => {
+    let directory;
+    let manager;
+    let connector;
+    let registry;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orderbook247-instruments-'));
+        manager = new OrderBookManager();
+        connector = new BinanceFuturesConnector(manager, { pairs: ['btcusdt', 'ethusdt', 'xyzusdt'] });
+        connector.fetchInstruments = jest.fn(async () => exchangeInfo.symbols.map(raw => connector.parseInstrument(raw)));
+        registry = new InstrumentRegistry(new Map([['binance', connector]]), { directory });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should parse exchangeInfo filters', async () => {
+        await registry.load();
+
+        expect(registry.get('btcusdt')).toEqual({
+            exchange: 'binance',
+            symbol: 'btcusdt',
+            pair: 'BTCUSDT',
+            status: 'TRADING',
+            contractType: 'PERPETUAL',
+            baseAsset: 'BTC',
+            quoteAsset: 'USDT',
+            tickSize: '0.10',
+            minPrice: '556.80',
+            maxPrice: '4529764',
+            stepSize: '0.001',
+            minQty: '0.001',
+            maxQty: '1000',
+            marketStepSize: '0.001',
+            marketMinQty: '0.001',
+            marketMaxQty: '120',
+            minNotional: '100'
+        });
+        // Without a market lot size filter, market orders follow the lot size
+        expect(registry.get('binance:ETHUSDT')).toMatchObject({ marketStepSize: '0.001', marketMaxQty: '10000' });
+        expect(connector.getSymbolFilters('ethusdt')).toEqual({ tickSize: '0.01', stepSize: '0.001' });
+    });
+
+    test('should trim the padded spot filters', () => {
+        const spot = new BinanceSpotConnector(manager, { pairs: ['btcusdt'] });
+        const instrument = spot.parseInstrument({
+            symbol: 'BTCUSDT',
+            status: 'TRADING',
+            baseAsset: 'BTC',
+            quoteAsset: 'USDT',
+            filters: [
+                { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+                { filterType: 'LOT_SIZE', minQty: '0.00001000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+                { filterType: 'NOTIONAL', minNotional: '5.00000000', maxNotional: '9000000.00000000' }
+            ]
+        });
+
+        expect(instrument).toMatchObject({ contractType: 'SPOT', tickSize: '0.01', stepSize: '0.00001', minNotional: '5' });
+    });
+
+    test('should start from the cache when the exchange is unreachable', async () => {
+        await registry.load();
+        connector.instruments = null;
+        connector.fetchInstruments.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+        await registry.load();
+
+        expect(connector.instruments.size).toBe(2);
+        expect(registry.getStats().binance).toMatchObject({ source: 'cache', count: 2 });
+    });
+
+    test('should drop configured pairs the exchange does not list', async () => {
+        await registry.load();
+        registry.validatePairs(connector);
+
+        expect(Array.from(connector.symbols.keys())).toEqual(['btcusdt', 'ethusdt']);
+        expect(() => registry.checkPair(connector, 'xyzusdt')).toThrow('xyzusdt is not listed on Binance Futures');
+        expect(() => registry.checkPair(connector, 'ETHUSDT')).toThrow('not trading on Binance Futures (SETTLING)');
+    });
+
+    test('should round a fill to a valid market order', async () => {
+        await registry.load();
+        const instrument = registry.get('btcusdt');
+
+        const order = registry.roundOrder(instrument, Decimal.from('150.12345'), Decimal.from('65000.1'));
+        expect(order.quantity.toString()).toBe('120.000');
+        expect(order.valid).toBe(true);
+
+        const small = registry.roundOrder(instrument, Decimal.from('0.0015'), Decimal.from('65000.1'));
+        expect(small.quantity.toString()).toBe('0.001');
+        expect(small.notional.toString()).toBe('65.0001');
+        expect(small.errors).toEqual(['Notional below the minimum of 100']);
+    });
+});
@@ -0,0 +1,313 @@
+const OrderBookManager = require('../../src/services/orderbookManager');
+
+function createClient() {
+    return {
+        OPEN: 1,
+        readyState: 1,
+        bufferedAmount: 0,
+        messages: [],
+        send(message) {
+            this.messages.push(JSON.parse(message));
+        },
+        last() {
+            return this.messages[this.messages.length - 1];
+        }
+    };
+}
+
+function loadSnapshot(manager, symbol = 'btcusdt') {
+    manager.setSnapshot(symbol, {
+        lastUpdateId: 100,
+        bids: [['50000.00', '1.000'], ['49999.90', '2.000'], ['49999.80', '3.000']],
+        asks: [['50000.10', '1.500'], ['50000.20', '2.500']]
+    });
+}
+
+describe('OrderBookManager', () => {
+    let manager;
+    let client;
+
+    beforeEach(() => {
+        manager = new OrderBookManager();
+        client = createClient();
+        manager.addSubscriber(client);
+        loadSnapshot(manager);
+    });
+
+    test('should not send book data to clients without subscriptions', () => {
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['50000.00', '4']], a: [] });
+
+        expect(client.messages).toHaveLength(0);
+    });
+
+    test('should send a snapshot with a sequence number on subscribe', () => {
+        const ack = manager.subscribe(client, { symbols: ['BTCUSDT'] });
+
+        expect(ack).toEqual({ symbols: ['btcusdt'], channel: 'book', depth: null, maxRate: null, group: null });
+        expect(client.messages[0]).toMatchObject({ type: 'orderbook_snapshot', symbol: 'btcusdt', seq: 1 });
+        expect(client.messages[0].data.bids).toHaveLength(3);
+    });
+
+    test('should route deltas only to clients subscribed to the symbol', () => {
+        const other = createClient();
+        manager.addSubscriber(other);
+        loadSnapshot(manager, 'ethusdt');
+        manager.subscribe(client, { symbols: ['btcusdt'] });
+        manager.subscribe(other, { symbols: ['ethusdt'] });
+
+        manager.updateOrderBook('btcusdt', {
+            U: 101, u: 105, pu: 100,
+            b: [['49999.90', '0.000']],
+            a: [['50000.20', '3']]
+        });
+
+        expect(client.last()).toMatchObject({
+            type: 'orderbook_delta',
+            symbol: 'btcusdt',
+            prevSeq: 1,
+            seq: 2,
+            lastUpdateId: 105,
+            bids: [['49999.90', '0.000']],
+            asks: [['50000.20', '3.000']],
+            spread: '0.10'
+        });
+        expect(other.messages).toHaveLength(1);
+    });
+
+    test('should chain sequence numbers across deltas', () => {
+        manager.subscribe(client, { symbols: ['btcusdt'] });
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [], a: [] });
+        manager.updateOrderBook('btcusdt', { U: 103, u: 104, pu: 102, b: [], a: [] });
+
+        const [first, second] = client.messages.slice(1);
+        expect(second.prevSeq).toBe(first.seq);
+        expect(manager.getOrderBook('btcusdt').getSnapshot().seq).toBe(second.seq);
+    });
+
+    test('should give late joiners to a depth-limited group the seq its deltas chain from', () => {
+        manager.subscribe(client, { symbols: ['btcusdt'], depth: 2 });
+        // Outside the top 2: the book's seq moves on, the group's does not
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['49000.00', '1']], a: [] });
+
+        const late = createClient();
+        manager.addSubscriber(late);
+        manager.subscribe(late, { symbols: ['btcusdt'], depth: 2 });
+        const snapshot = late.messages[0];
+        expect(snapshot.seq).toBe(1);
+        expect(snapshot.data.seq).toBe(snapshot.seq);
+
+        manager.updateOrderBook('btcusdt', { U: 103, u: 104, pu: 102, b: [['50000.00', '2']], a: [] });
+        expect(late.last()).toMatchObject({ type: 'orderbook_delta', prevSeq: snapshot.data.seq, seq: 3 });
+        expect(client.last().prevSeq).toBe(client.messages[0].seq);
+    });
+
+    test('should keep depth-limited books consistent when levels enter the view', () => {
+        manager.subscribe(client, { symbols: ['btcusdt'], depth: 2 });
+        expect(client.messages[0].data.bids.map(level => level.price)).toEqual(['50000.00', '49999.90']);
+
+        // Removing the best bid pulls the third level into the top 2
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['50000.00', '0']], a: [] });
+        expect(client.last().bids).toEqual([['49999.80', '3.000'], ['50000.00', '0']]);
+
+        // Changes outside the view are not sent and do not break the sequence chain
+        const sent = client.messages.length;
+        manager.updateOrderBook('btcusdt', { U: 103, u: 104, pu: 102, b: [['49000.00', '1']], a: [] });
+        expect(client.messages).toHaveLength(sent);
+
+        manager.updateOrderBook('btcusdt', { U: 105, u: 106, pu: 104, b: [['49999.90', '5']], a: [] });
+        expect(client.last().prevSeq).toBe(client.messages[sent - 1].seq);
+    });
+
+    test('should publish grouped levels and diff them as buckets change', () => {
+        const ack = manager.subscribe(client, { symbols: ['btcusdt'], group: '0.5' });
+        expect(ack.group).toBe('0.5');
+        expect(client.messages[0].data.group).toBe('0.5');
+        expect(client.messages[0].data.bids).toMatchObject([
+            { price: '50000.00', quantity: '1.000' },
+            { price: '49999.50', quantity: '5.000' }
+        ]);
+
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['49999.90', '0']], a: [] });
+        expect(client.last()).toMatchObject({ type: 'orderbook_delta', group: '0.5', bids: [['49999.50', '3.000']], asks: [] });
+
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], group: '-1' })).toThrow('Invalid group');
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], channel: 'top', group: '1' })).toThrow('group parameter');
+    });
+
+    test('should only group by bounded multiples of the tick size', () => {
+        // The book's tick is 0.10
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], group: '0.05' })).toThrow('multiple of the tick size 0.10');
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], group: '0.25' })).toThrow('multiple of the tick size');
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], group: '1e-5000000' })).toThrow('Invalid group');
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], group: '0.' + '0'.repeat(20) + '1' })).toThrow('Invalid group');
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], group: '1e20' })).toThrow('Invalid group');
+        expect(client.messages).toHaveLength(0);
+
+        expect(manager.subscribe(client, { symbols: ['btcusdt'], group: '1e3' }).group).toBe('1e3');
+    });
+
+    test('should publish top of book only when it changes', () => {
+        manager.subscribe(client, { symbols: ['btcusdt'], channel: 'top' });
+        expect(client.messages[0]).toMatchObject({ type: 'top_of_book', bid: ['50000.00', '1.000'], ask: ['50000.10', '1.500'] });
+
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['49999.80', '9']], a: [] });
+        manager.updateOrderBook('btcusdt', { U: 103, u: 104, pu: 102, b: [['50000.00', '2']], a: [] });
+
+        expect(client.messages).toHaveLength(3);
+        expect(client.last().bid).toEqual(['50000.00', '2.000']);
+    });
+
+    test('should publish aggregated levels with accumulated quantities', () => {
+        manager.subscribe(client, { symbols: ['btcusdt'], channel: 'aggregated', depth: 2 });
+
+        expect(client.messages[0].type).toBe('orderbook_aggregated');
+        expect(client.messages[0].data.asks[1]).toMatchObject({ price: '50000.20', accumulatedQuantity: '4.000' });
+    });
+
+    test('should stop sending after unsubscribe', () => {
+        manager.subscribe(client, { symbols: ['btcusdt'] });
+        const ack = manager.unsubscribe(client, { symbols: ['btcusdt'] });
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [], a: [] });
+
+        expect(ack).toEqual({ symbols: ['btcusdt'], channel: 'book' });
+        expect(client.messages).toHaveLength(1);
+        expect(manager.subscriptions.groups.size).toBe(0);
+    });
+
+    test('should send recent trades, then each new trade, on the trades channel', () => {
+        manager.addTrade('btcusdt', { id: 1, price: '50000.10', quantity: '0.5', side: 'buy', time: 1 });
+        manager.subscribe(client, { symbols: ['btcusdt'], channel: 'trades', depth: 10 });
+        manager.addTrade('btcusdt', { id: 2, price: '50000.00', quantity: '0.2', side: 'sell', time: 2 });
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['50000.00', '0.800']], a: [] });
+
+        expect(client.messages).toHaveLength(2);
+        expect(client.messages[0]).toMatchObject({ type: 'trades_snapshot', depth: 10 });
+        expect(client.messages[0].data.trades).toEqual([
+            { id: 1, price: '50000.10', quantity: '0.500', side: 'buy', time: 1 }
+        ]);
+        expect(client.last()).toMatchObject({
+            type: 'trades',
+            lastPrice: '50000.00',
+            trades: [{ id: 2, price: '50000.00', quantity: '0.200', side: 'sell' }]
+        });
+        // The bid reduction matched the sell
+        expect(manager.getTradeBuffer('btcusdt').levelFlow.consumed.toString()).toBe('0.200');
+    });
+
+    test('should publish metrics periodically on the metrics channel', () => {
+        jest.useFakeTimers();
+        try {
+            manager.subscribe(client, { symbols: ['btcusdt'], channel: 'metrics', depth: 2 });
+            expect(client.messages[0]).toMatchObject({ type: 'orderbook_metrics', depth: 2 });
+            expect(client.messages[0].data).toMatchObject({ levels: 2, imbalance: '-0.1429', microprice: '50000.04' });
+
+            // Book changes alone do not publish metrics
+            manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['50000.00', '4.500']], a: [] });
+            expect(client.messages).toHaveLength(1);
+
+            jest.advanceTimersByTime(1000);
+            expect(client.messages).toHaveLength(2);
+            expect(client.last().data.imbalance).toBe('0.2381');
+
+            manager.unsubscribe(client, { symbols: ['btcusdt'], channel: 'metrics' });
+            expect(manager.subscriptions.metricsTimer).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should push level events on the events channel', () => {
+        manager.subscribe(client, { symbols: ['btcusdt'], channel: 'events' });
+        expect(client.messages[0]).toMatchObject({ type: 'events_snapshot', depth: 50, events: [] });
+
+        // 10 times the 2 BTC average bid level
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['49999.80', '20']], a: [] });
+
+        expect(client.last()).toMatchObject({ type: 'events', symbol: 'btcusdt' });
+        expect(client.last().events).toMatchObject([{ type: 'wall_appeared', side: 'bids', price: '49999.80', ratio: '10' }]);
+        expect(manager.getLevelEvents('btcusdt').getEvents()).toHaveLength(1);
+    });
+
+        test('should key books by exchange and symbol', () => {
+        manager.createOrderBook('btcusdt', 'bybit');
+        manager.setSnapshot('bybit:btcusdt', { lastUpdateId: 7, bids: [['49990.00', '1']], asks: [] });
+        manager.subscribe(client, { symbols: ['btcusdt'], exchange: 'bybit', channel: 'top' });
+
+        expect(manager.getOrderBook('btcusdt').getBestBid().price.toString()).toBe('50000.00');
+        expect(client.last()).toMatchObject({ type: 'top_of_book', symbol: 'btcusdt', exchange: 'bybit', bid: ['49990.00', '1.000'] });
+        expect(manager.getStats().symbols).toEqual(['binance:btcusdt', 'bybit:btcusdt']);
+    });
+
+    test('should reject invalid subscription requests', () => {
+        expect(() => manager.subscribe(client, { symbols: ['dogeusdt'] })).toThrow('Orderbook not found');
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], channel: 'candles' })).toThrow('Invalid channel');
+        expect(() => manager.subscribe(client, { symbols: ['btcusdt'], depth: 0 })).toThrow('Invalid depth');
+        expect(() => manager.subscribe(client, {})).toThrow('At least one symbol');
+    });
+
+    test('should drop subscribers that are no longer open', () => {
+        manager.subscribe(client, { symbols: ['btcusdt'] });
+        client.readyState = 3;
+        manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [], a: [] });
+
+        expect(manager.subscriptions.clients.size).toBe(0);
+    });
+
+    describe('throttled subscriptions', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should conflate deltas between sends at the requested rate', () => {
+            const ack = manager.subscribe(client, { symbols: ['btcusdt'], maxRate: 2 });
+            expect(ack.maxRate).toBe(2);
+
+            manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [['50000.00', '4']], a: [] });
+            manager.updateOrderBook('btcusdt', { U: 103, u: 104, pu: 102, b: [['50000.00', '5']], a: [] });
+            manager.updateOrderBook('btcusdt', { U: 105, u: 106, pu: 104, b: [], a: [['50000.10', '0']] });
+            expect(client.messages).toHaveLength(1);
+
+            jest.advanceTimersByTime(500);
+            expect(client.messages).toHaveLength(2);
+            expect(client.last()).toMatchObject({
+                prevSeq: 1,
+                seq: 4,
+                lastUpdateId: 106,
+                bids: [['50000.00', '5.000']],
+                asks: [['50000.10', '0.000']]
+            });
+            expect(manager.getStats().subscriptions.delivery.conflated).toBe(2);
+        });
+
+        test('should not throttle other subscribers of the same group', () => {
+            const other = createClient();
+            manager.addSubscriber(other);
+            manager.subscribe(client, { symbols: ['btcusdt'], maxRate: 1 });
+            manager.subscribe(other, { symbols: ['btcusdt'] });
+
+            manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [], a: [] });
+            manager.updateOrderBook('btcusdt', { U: 103, u: 104, pu: 102, b: [], a: [] });
+
+            expect(other.messages).toHaveLength(3);
+            expect(client.messages).toHaveLength(1);
+        });
+
+        test('should cap and validate maxRate', () => {
+            expect(manager.subscribe(client, { symbols: ['btcusdt'], maxRate: 100000 }).maxRate).toBe(50);
+            expect(() => manager.subscribe(client, { symbols: ['btcusdt'], maxRate: 0 })).toThrow('Invalid maxRate');
+        });
+
+        test('should stop pending sends on unsubscribe', () => {
+            manager.subscribe(client, { symbols: ['btcusdt'], maxRate: 1 });
+            manager.updateOrderBook('btcusdt', { U: 101, u: 102, pu: 100, b: [], a: [] });
+            manager.unsubscribe(client, { symbols: ['btcusdt'] });
+
+            jest.advanceTimersByTime(1000);
+            expect(client.messages).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+const OrderBookManager = require('../../src/services/orderbookManager');
+const PrometheusExporter = require('../../src/services/prometheusExporter');
+const { SequenceCounters } = require('../../src/services/depthSynchronizer');
+const { Histogram } = require('../../src/utils/prometheus');
+
+function createConnector() {
+    return {
+        isConnected: true,
+        stats: { messages: 12, failedRequests: 1 },
+        shards: [{ connected: true }, { connected: true }],
+        pendingRequests: new Map([[7, {}]]),
+        getConnectionStats: () => ({ reconnects: 2, rotations: 1 }),
+        processingTime: new Histogram([0.001]),
+        synchronizer: { counters: new SequenceCounters() }
+    };
+}
+
+describe('PrometheusExporter', () => {
+    let manager;
+    let connector;
+    let exporter;
+
+    beforeEach(() => {
+        manager = new OrderBookManager();
+        manager.setSnapshot('binance:btcusdt', {
+            lastUpdateId: 100,
+            bids: [['50000.00', '1.000'], ['49999.90', '2.000']],
+            asks: [['50000.10', '1.500']]
+        });
+        manager.updateOrderBook('binance:btcusdt', { U: 101, u: 102, pu: 100, b: [['49999.80', '3']], a: [] });
+        connector = createConnector();
+        exporter = new PrometheusExporter(manager, new Map([['binance', connector]]));
+    });
+
+    test('should expose book counters, depth and spread', () => {
+        const text = exporter.metrics();
+
+        expect(text).toContain('orderbook_updates_total{exchange="binance",symbol="btcusdt"} 1');
+        expect(text).toContain('orderbook_snapshots_total{exchange="binance",symbol="btcusdt"} 1');
+        expect(text).toContain('orderbook_levels{exchange="binance",symbol="btcusdt",side="bids"} 3');
+        expect(text).toContain('orderbook_levels{exchange="binance",symbol="btcusdt",side="asks"} 1');
+        expect(text).toContain('orderbook_spread{exchange="binance",symbol="btcusdt"} 0.1');
+    });
+
+    test('should expose sequence gaps, reconnects and processing latency per exchange', () => {
+        connector.synchronizer.counters.increment('binance:btcusdt', 'gaps', 'sequence');
+        connector.synchronizer.counters.increment('binance:btcusdt', 'rejected', 'stale');
+        connector.synchronizer.counters.increment('binance:btcusdt', 'rejected', 'stale');
+        connector.processingTime.observe(0.0002);
+
+        const text = exporter.metrics();
+
+        expect(text).toContain('orderbook_sequence_gaps_total{exchange="binance",symbol="btcusdt",reason="sequence"} 1');
+        expect(text).toContain('orderbook_rejected_updates_total{exchange="binance",symbol="btcusdt",reason="stale"} 2');
+        expect(text).toContain('exchange_reconnects_total{exchange="binance"} 2');
+        expect(text).toContain('exchange_connections{exchange="binance"} 2');
+        expect(text).toContain('exchange_pending_requests{exchange="binance"} 1');
+        expect(text).toContain('exchange_message_processing_seconds_bucket{exchange="binance",le="0.001"} 1');
+    });
+
+    test('should keep outbound traffic of disconnected subscribers', () => {
+        const client = { OPEN: 1, readyState: 1, bufferedAmount: 0, send: jest.fn(), close: jest.fn() };
+        manager.addSubscriber(client);
+        manager.subscribe(client, { symbols: ['btcusdt'] });
+        const { bytes } = manager.subscriptions.getStats().delivery;
+        manager.removeSubscriber(client);
+
+        const text = exporter.metrics();
+
+        expect(bytes).toBeGreaterThan(0);
+        expect(text).toContain('subscriber_clients 0');
+        expect(text).toContain(`subscriber_bytes_sent_total ${bytes}`);
+        expect(text).toContain('subscriber_messages_sent_total 1');
+    });
+});
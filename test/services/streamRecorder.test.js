@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const BinanceFuturesConnector = require('../../src/connectors/binanceFutures');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const StreamRecorder = require('../../src/services/streamRecorder');
+const StreamReplayer = require('../../src/services/streamReplayer');
+const http = require('../../src/utils/http');
+const fixture = require('../fixtures/connectors/binance.json');
+
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+async function createConnector(options = {}) {
+    const manager = new OrderBookManager();
+    const connector = new BinanceFuturesConnector(manager, { pairs: ['btcusdt'], ...options });
+    await connector.initializeOrderbooks();
+    return { manager, connector };
+}
+
+function readRecords(file) {
+    return zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('StreamRecorder and StreamReplayer', () => {
+    let directory;
+    let live;
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orderbook247-'));
+        jest.spyOn(http, 'getJson').mockResolvedValue(fixture.snapshot);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        if (live) {
+            live.connector.synchronizer.reset();
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    async function record(options = {}) {
+        const recorder = new StreamRecorder({ directory, ...options });
+        live = await createConnector({ recorder });
+        for (const message of fixture.messages) {
+            live.connector.handleRawMessage(JSON.stringify(message));
+            await flushPromises();
+        }
+        await recorder.close();
+        return recorder;
+    }
+
+    test('should record raw messages and REST snapshots', async () => {
+        const recorder = await record();
+        const records = readRecords(recorder.file);
+
+        expect(recorder.getStats()).toMatchObject({ records: 5, files: 1 });
+        expect(records.map(entry => entry.type)).toEqual(['message', 'message', 'snapshot', 'message', 'message']);
+        expect(records[2]).toMatchObject({ exchange: 'binance', key: 'binance:btcusdt', data: fixture.snapshot });
+        expect(JSON.parse(records[1].data)).toEqual(fixture.messages[1]);
+        expect(typeof records[0].t).toBe('number');
+    });
+
+    test('should rotate files by size', async () => {
+        const recorder = await record({ maxFileSize: 200 });
+        const files = fs.readdirSync(directory).sort();
+
+        expect(files.length).toBe(recorder.getStats().files);
+        expect(files.length).toBeGreaterThan(1);
+        const records = files.flatMap(file => readRecords(path.join(directory, file)));
+        expect(records).toHaveLength(5);
+    });
+
+    test('should stop recording on file system errors and keep handling messages', async () => {
+        const blocked = path.join(directory, 'not-a-directory');
+        fs.writeFileSync(blocked, '');
+        const recorder = new StreamRecorder({ directory: blocked });
+        live = await createConnector({ recorder });
+
+        expect(() => live.connector.handleRawMessage(JSON.stringify(fixture.messages[0]))).not.toThrow();
+        expect(recorder.getStats()).toMatchObject({ records: 0, files: 0 });
+        expect(recorder.getStats().error).toMatch(/EEXIST|ENOTDIR/);
+        expect(live.connector.stats.messages).toBe(1);
+
+        // Write errors arrive asynchronously, on the file stream
+        const writing = new StreamRecorder({ directory });
+        writing.record('binance', 'message', '{}');
+        writing.output.emit('error', new Error('ENOSPC: no space left on device'));
+        writing.record('binance', 'message', '{}');
+        expect(writing.getStats()).toMatchObject({ records: 1, error: 'ENOSPC: no space left on device' });
+        await writing.close();
+    });
+
+    test('should rebuild the same book when replaying a recording', async () => {
+        await record({ maxFileSize: 200 });
+        http.getJson.mockClear();
+
+        const offline = await createConnector();
+        const replayer = new StreamReplayer(new Map([['binance', offline.connector]]), { path: directory, speed: 0 });
+        const stats = await replayer.run();
+        await flushPromises();
+
+        expect(http.getJson).not.toHaveBeenCalled();
+        expect(stats).toMatchObject({ records: 5, skipped: 0 });
+        expect(offline.connector.synchronizer.isSynced('binance:btcusdt')).toBe(true);
+
+        const replayed = offline.manager.getOrderBook('binance:btcusdt');
+        const original = live.manager.getOrderBook('binance:btcusdt');
+        expect(replayed.lastUpdateId).toBe(1006);
+        expect(replayed.getBids()).toEqual(original.getBids().map(level => ({ ...level, timestamp: expect.any(Number) })));
+        expect(replayed.getAsks().map(level => level.price)).toEqual(['65000.30', '65000.50']);
+        offline.connector.synchronizer.reset();
+    });
+
+    test('should pace records by their receive times', async () => {
+        const replayer = new StreamReplayer(new Map(), { path: directory, speed: 10 });
+        await replayer.wait(1000);
+
+        const started = Date.now();
+        await replayer.wait(1500); // 500ms recorded, 50ms at 10x
+        expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+        expect(Date.now() - started).toBeLessThan(400);
+    });
+});
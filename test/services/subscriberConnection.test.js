@@ -0,0 +1,123 @@
+const SubscriberConnection = require('../../src/services/subscriberConnection');
+
+function createSocket() {
+    return {
+        OPEN: 1,
+        readyState: 1,
+        bufferedAmount: 0,
+        messages: [],
+        send(message) {
+            this.messages.push(JSON.parse(message));
+        },
+        close() {
+            this.readyState = 3;
+        }
+    };
+}
+
+function delta(prevSeq, seq, bids = [], asks = []) {
+    return { type: 'orderbook_delta', symbol: 'btcusdt', prevSeq, seq, bids, asks };
+}
+
+describe('SubscriberConnection', () => {
+    let ws;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        ws = createSocket();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should merge consecutive deltas with the last quantity per price', () => {
+        const merged = SubscriberConnection.mergeDeltas(
+            delta(1, 2, [['100.0', '1.0'], ['99.0', '2.0']]),
+            delta(2, 3, [['100.0', '0']], [['101.0', '5.0']])
+        );
+
+        expect(merged).toMatchObject({ prevSeq: 1, seq: 3 });
+        expect(merged.bids).toEqual([['100.0', '0'], ['99.0', '2.0']]);
+        expect(merged.asks).toEqual([['101.0', '5.0']]);
+    });
+
+    test('should conflate deltas while the socket is backpressured', () => {
+        const connection = new SubscriberConnection(ws, 1, null, { highWaterMark: 100, backpressureRetryDelay: 50 });
+        connection.addSubscription('book:btcusdt', {});
+
+        ws.bufferedAmount = 500;
+        connection.deliver('book:btcusdt', delta(1, 2, [['100.0', '1.0']]));
+        connection.deliver('book:btcusdt', delta(2, 3, [['100.0', '2.0']]));
+        connection.deliver('book:btcusdt', delta(3, 4, [['99.0', '1.0']]));
+        expect(ws.messages).toHaveLength(0);
+
+        jest.advanceTimersByTime(50);
+        expect(ws.messages).toHaveLength(0);
+
+        ws.bufferedAmount = 0;
+        jest.advanceTimersByTime(50);
+        expect(ws.messages).toEqual([
+            expect.objectContaining({ prevSeq: 1, seq: 4, bids: [['100.0', '2.0'], ['99.0', '1.0']] })
+        ]);
+        expect(connection.getStats()).toMatchObject({ sent: 1, conflated: 2, dropped: 0, slowConsumerEvents: 3 });
+    });
+
+    test('should cap the trades held for a stalled socket, keeping the newest', () => {
+        const connection = new SubscriberConnection(ws, 1, null, { highWaterMark: 100, backpressureRetryDelay: 50, maxConflatedItems: 3 });
+        connection.addSubscription('trades:btcusdt', {});
+
+        ws.bufferedAmount = 500;
+        for (let id = 1; id <= 5; id++) {
+            connection.deliver('trades:btcusdt', { type: 'trades', symbol: 'btcusdt', trades: [{ id }] });
+            jest.advanceTimersByTime(50);
+        }
+        expect(ws.messages).toHaveLength(0);
+        expect(connection.getStats()).toMatchObject({ queuedMessages: 1, dropped: 2 });
+
+        ws.bufferedAmount = 0;
+        jest.advanceTimersByTime(50);
+        expect(ws.messages).toHaveLength(1);
+        expect(ws.messages[0].trades).toEqual([{ id: 3 }, { id: 4 }, { id: 5 }]);
+    });
+
+    test('should drop messages for slow consumers under the drop policy', () => {
+        const connection = new SubscriberConnection(ws, 1, null, { highWaterMark: 100, slowConsumerPolicy: 'drop' });
+        connection.addSubscription('book:btcusdt', {});
+
+        ws.bufferedAmount = 500;
+        connection.deliver('book:btcusdt', delta(1, 2));
+        ws.bufferedAmount = 0;
+        connection.deliver('book:btcusdt', delta(2, 3));
+
+        // The client sees prevSeq 2 after seq 1 and resyncs
+        expect(ws.messages).toEqual([expect.objectContaining({ prevSeq: 2, seq: 3 })]);
+        expect(connection.getStats().dropped).toBe(1);
+    });
+
+    test('should close slow consumers under the disconnect policy', () => {
+        const onClose = jest.fn();
+        const connection = new SubscriberConnection(ws, 1, onClose, { highWaterMark: 100, slowConsumerPolicy: 'disconnect' });
+        connection.addSubscription('book:btcusdt', {});
+
+        ws.bufferedAmount = 500;
+        connection.deliver('book:btcusdt', delta(1, 2));
+
+        expect(ws.readyState).toBe(3);
+        expect(onClose).toHaveBeenCalledWith(connection);
+        expect(connection.closeReason).toBe('disconnect');
+    });
+
+    test('should let a snapshot replace queued deltas', () => {
+        const connection = new SubscriberConnection(ws, 1, null, {});
+        connection.addSubscription('book:btcusdt', {}, 1);
+
+        connection.deliver('book:btcusdt', { type: 'orderbook_snapshot', seq: 1 });
+        connection.deliver('book:btcusdt', delta(1, 2));
+        connection.deliver('book:btcusdt', { type: 'orderbook_snapshot', seq: 3 });
+        jest.advanceTimersByTime(1000);
+
+        expect(ws.messages.map(message => message.seq)).toEqual([1, 3]);
+        expect(connection.getStats().conflated).toBe(1);
+    });
+});
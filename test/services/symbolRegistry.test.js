@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OrderBookManager = require('../../src/services/orderbookManager');
+const SymbolRegistry = require('../../src/services/symbolRegistry');
+const BinanceFuturesConnector = require('../../src/connectors/binanceFutures');
+
+function createClient() {
+    return {
+        OPEN: 1,
+        readyState: 1,
+        bufferedAmount: 0,
+        messages: [],
+        send(message) {
+            this.messages.push(JSON.parse(message));
+        }
+    };
+}
+
+describe('SymbolRegistry', () => {
+    let directory;
+    let file;
+    let manager;
+    let connector;
+    let registry;
+
+    function createRegistry() {
+        manager = new OrderBookManager();
+        connector = new BinanceFuturesConnector(manager, { pairs: ['btcusdt'] });
+        connector.initializeOrderbooks();
+        registry = new SymbolRegistry(manager, new Map([['binance', connector]]), { file });
+    }
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orderbook247-symbols-'));
+        file = path.join(directory, 'symbols.json');
+        createRegistry();
+    });
+
+    afterEach(() => {
+        connector.disconnect();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should create and subscribe a book on the live connection', () => {
+        connector.started = true;
+        connector.shards[0].connected = true;
+        const send = jest.spyOn(connector, 'send').mockImplementation(() => {});
+
+        const added = registry.add({ symbol: 'ethusdt', tickSize: '0.01', stepSize: '0.001' });
+
+        expect(added).toMatchObject({ book: 'binance:ethusdt', exchange: 'binance', pair: 'ethusdt', synced: false });
+        expect(manager.getOrderBook('binance:ethusdt').tickSize).toBe('0.01');
+        expect(send.mock.calls[0][0]).toMatchObject({ method: 'SUBSCRIBE', params: ['ethusdt@depth@100ms', 'ethusdt@aggTrade'] });
+        expect(() => registry.add({ symbol: 'ETHUSDT' })).toThrow('already streams ethusdt');
+    });
+
+    test('should reject invalid requests', () => {
+        expect(() => registry.add({})).toThrow('symbol is required');
+        expect(() => registry.add({ symbol: 'btc usdt' })).toThrow('symbol is required');
+        expect(() => registry.add({ symbol: 'ethusdt', exchange: 'nope' })).toThrow('Unknown exchange: nope');
+        expect(() => registry.add({ symbol: 'ethusdt', tickSize: '0.01' })).toThrow('tickSize and stepSize');
+        expect(fs.existsSync(file)).toBe(false);
+    });
+
+    test('should drop the book and its subscribers on removal', () => {
+        const client = createClient();
+        manager.addSubscriber(client);
+        manager.subscribe(client, { symbols: ['btcusdt'] });
+
+        expect(registry.remove('btcusdt')).toEqual({ book: 'binance:btcusdt', exchange: 'binance', symbol: 'btcusdt' });
+
+        expect(manager.getOrderBook('btcusdt')).toBeUndefined();
+        expect(connector.symbols.size).toBe(0);
+        expect(manager.subscriptions.groups.size).toBe(0);
+        expect(client.messages.pop()).toMatchObject({ type: 'symbols', action: 'removed', symbol: 'btcusdt', symbols: [] });
+        expect(registry.remove('btcusdt')).toBeNull();
+    });
+
+    test('should restore the saved symbols on the next start', () => {
+        registry.add({ symbol: 'solusdt', tickSize: '0.0100', stepSize: '1' });
+        registry.remove('btcusdt');
+        connector.disconnect();
+
+        createRegistry();
+        registry.load();
+
+        expect(Array.from(connector.symbols.keys())).toEqual(['solusdt']);
+        expect(manager.getOrderBook('btcusdt')).toBeUndefined();
+        expect(manager.getOrderBook('solusdt').tickSize).toBe('0.0100');
+    });
+
+    test('should refuse changes while replaying', () => {
+        registry = new SymbolRegistry(manager, new Map([['binance', connector]]), { file, live: false });
+
+        expect(() => registry.add({ symbol: 'ethusdt' })).toThrow('replaying');
+        expect(() => registry.remove('btcusdt')).toThrow('replaying');
+    });
+});
@@ -0,0 +1,68 @@
+const WebhookDispatcher = require('../../src/services/webhookDispatcher');
+
+describe('WebhookDispatcher', () => {
+    const alert = { id: 'rule-1:1000:triggered', status: 'triggered' };
+
+    test('should retry failed deliveries with backoff', async () => {
+        const post = jest.fn()
+            .mockRejectedValueOnce(new Error('Request failed with status 503'))
+            .mockRejectedValueOnce(new Error('Request error: ECONNRESET'))
+            .mockResolvedValueOnce(200);
+        const dispatcher = new WebhookDispatcher({ post, retries: 3, retryDelay: 5 });
+
+        await expect(dispatcher.deliver(alert, ['http://hooks.test/a'])).resolves.toEqual([true]);
+        expect(post).toHaveBeenCalledTimes(3);
+        expect(post).toHaveBeenLastCalledWith('http://hooks.test/a', alert,
+            expect.objectContaining({ headers: { 'X-Alert-Id': alert.id } }));
+        expect(dispatcher.getStats()).toEqual({ sent: 1, failed: 0, retries: 2, duplicates: 0, rejected: 0, pending: 0 });
+    });
+
+    test('should give up after the configured retries', async () => {
+        const post = jest.fn().mockRejectedValue(new Error('Request failed with status 500'));
+        const dispatcher = new WebhookDispatcher({ post, retries: 1, retryDelay: 5 });
+
+        await expect(dispatcher.deliver(alert, ['http://hooks.test/a'])).resolves.toEqual([false]);
+        expect(post).toHaveBeenCalledTimes(2);
+        expect(dispatcher.getStats().failed).toBe(1);
+    });
+
+    test('should deliver each alert once per URL', async () => {
+        const post = jest.fn().mockResolvedValue(204);
+        const dispatcher = new WebhookDispatcher({ post });
+
+        await dispatcher.deliver(alert, ['http://hooks.test/a']);
+        await dispatcher.deliver(alert, ['http://hooks.test/a', 'http://hooks.test/b']);
+
+        expect(post.mock.calls.map(([url]) => url)).toEqual(['http://hooks.test/a', 'http://hooks.test/b']);
+        expect(dispatcher.getStats().duplicates).toBe(1);
+    });
+
+    test('should only post to http(s) URLs on allowed hosts', async () => {
+        const post = jest.fn().mockResolvedValue(204);
+        const dispatcher = new WebhookDispatcher({ post });
+
+        expect(dispatcher.checkUrl('https://hooks.example.com/a')).toBeNull();
+        expect(dispatcher.checkUrl('file:///etc/passwd')).toMatch('not http(s)');
+        expect(dispatcher.checkUrl('not a url')).toMatch('Invalid webhook URL');
+        for (const url of ['http://localhost:3000/', 'http://127.1/', 'http://10.1.2.3/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://169.254.169.254/latest']) {
+            expect(dispatcher.checkUrl(url)).toMatch('not allowed');
+        }
+
+        await expect(dispatcher.deliver(alert, ['http://192.168.1.1/', 'http://hooks.test/a'])).resolves.toEqual([false, true]);
+        expect(post.mock.calls.map(([url]) => url)).toEqual(['http://hooks.test/a']);
+        expect(dispatcher.getStats().rejected).toBe(1);
+    });
+
+    test('should restrict webhooks to the allowed hosts when given', () => {
+        const dispatcher = new WebhookDispatcher({
+            allowedHosts: ['hooks.example.com', '*.internal.example', '127.0.0.1'],
+            deniedHosts: ['*.blocked.internal.example']
+        });
+
+        expect(dispatcher.checkUrl('https://hooks.example.com/a')).toBeNull();
+        expect(dispatcher.checkUrl('https://alerts.internal.example/a')).toBeNull();
+        expect(dispatcher.checkUrl('http://127.0.0.1:9000/a')).toBeNull();
+        expect(dispatcher.checkUrl('https://other.example.com/a')).toMatch('not allowed');
+        expect(dispatcher.checkUrl('https://a.blocked.internal.example/')).toMatch('not allowed');
+    });
+});
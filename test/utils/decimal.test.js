@@ -0,0 +1,64 @@
+const Decimal = require('../../src/utils/decimal');
+
+describe('Decimal', () => {
+    test('should parse strings, numbers and exponents exactly', () => {
+        expect(Decimal.from('116521.90').toString()).toBe('116521.9');
+        expect(Decimal.from('116521.90', 2).toString()).toBe('116521.90');
+        expect(Decimal.from(0.1).toString()).toBe('0.1');
+        expect(Decimal.from('1e-8').toString()).toBe('0.00000001');
+        expect(Decimal.from('-2.5E3').toString()).toBe('-2500');
+    });
+
+    test('should reject invalid input', () => {
+        expect(Decimal.isValid('abc')).toBe(false);
+        expect(Decimal.isValid('.')).toBe(false);
+        expect(Decimal.isValid(NaN)).toBe(false);
+        expect(Decimal.isValid('0.001')).toBe(true);
+        expect(() => Decimal.from('1.2.3')).toThrow('Invalid decimal value');
+    });
+
+    test('should bound the digits and exponent of valid input', () => {
+        expect(Decimal.isValid('1e64')).toBe(true);
+        expect(Decimal.isValid('1e-5000000')).toBe(false);
+        expect(Decimal.isValid('1E2000000')).toBe(false);
+        expect(Decimal.isValid(1e300)).toBe(false);
+        expect(Decimal.isValid('1'.repeat(64))).toBe(true);
+        expect(Decimal.isValid('0.' + '0'.repeat(100) + '1')).toBe(false);
+    });
+
+    test('should add and multiply without floating-point drift', () => {
+        expect(Decimal.from('0.1').add('0.2').toString()).toBe('0.3');
+        expect(Decimal.from('116521.90').mul('0.003').toString()).toBe('349.5657');
+
+        let sum = Decimal.zero();
+        for (let i = 0; i < 1000; i++) {
+            sum = sum.add('0.001');
+        }
+        expect(sum.eq(1)).toBe(true);
+    });
+
+    test('should divide with explicit scale and rounding', () => {
+        expect(Decimal.from(1).div(3, 4).toString()).toBe('0.3333');
+        expect(Decimal.from(2).div(3, 4).toString()).toBe('0.6667');
+        expect(Decimal.from(-2).div(3, 4).toString()).toBe('-0.6667');
+        expect(Decimal.from(2).div(3, 4, 'trunc').toString()).toBe('0.6666');
+        expect(() => Decimal.from(1).div(0, 2)).toThrow('Division by zero');
+    });
+
+    test('should round to tick and step sizes', () => {
+        expect(Decimal.from('116521.97').roundToStep('0.10', 'floor').toString()).toBe('116521.90');
+        expect(Decimal.from('116521.91').roundToStep('0.10', 'ceil').toString()).toBe('116522.00');
+        expect(Decimal.from('1.2345').roundToStep('0.001', 'trunc').toString()).toBe('1.234');
+    });
+
+    test('should compare values across scales', () => {
+        expect(Decimal.from('1.50').eq('1.5')).toBe(true);
+        expect(Decimal.from('1.5').lt('1.51')).toBe(true);
+        expect(Decimal.max(Decimal.from('2'), Decimal.from('1.99')).toString()).toBe('2');
+        expect(Decimal.scaleOf('0.0100')).toBe(4);
+    });
+
+    test('should serialize to JSON as a string', () => {
+        expect(JSON.stringify({ price: Decimal.from('50000.10', 2) })).toBe('{"price":"50000.10"}');
+    });
+});
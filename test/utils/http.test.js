@@ -0,0 +1,34 @@
+const httpServer = require('http');
+const http = require('../../src/utils/http');
+
+describe('http', () => {
+    let server;
+    let url;
+
+    beforeAll(done => {
+        server = httpServer.createServer((req, res) => {
+            if (req.url === '/hang') {
+                return; // never answers
+            }
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ lastUpdateId: 1 }));
+        });
+        server.listen(0, () => {
+            url = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    test('should get and parse JSON', async () => {
+        await expect(http.getJson(`${url}/depth`)).resolves.toEqual({ lastUpdateId: 1 });
+    });
+
+    test('should reject a GET the server never answers once the timeout fires', async () => {
+        await expect(http.getJson(`${url}/hang`, { timeout: 50 })).rejects.toThrow('Request error: timed out after 50ms');
+    });
+});
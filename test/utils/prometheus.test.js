@@ -0,0 +1,39 @@
+const { Histogram, render } = require('../../src/utils/prometheus');
+const Decimal = require('../../src/utils/decimal');
+
+describe('prometheus', () => {
+    test('should render counters and gauges with escaped labels', () => {
+        const text = render([
+            { name: 'requests_total', help: 'Requests.', type: 'counter', samples: [{ labels: { path: 'a"b\\c' }, value: 3 }] },
+            { name: 'spread', help: 'Spread.', type: 'gauge', samples: [
+                { labels: { symbol: 'btcusdt' }, value: Decimal.from('0.10') },
+                { labels: { symbol: 'ethusdt' }, value: null }
+            ] }
+        ]);
+
+        expect(text).toBe([
+            '# HELP requests_total Requests.',
+            '# TYPE requests_total counter',
+            'requests_total{path="a\\"b\\\\c"} 3',
+            '# HELP spread Spread.',
+            '# TYPE spread gauge',
+            'spread{symbol="btcusdt"} 0.1',
+            ''
+        ].join('\n'));
+    });
+
+    test('should render cumulative histogram buckets', () => {
+        const histogram = new Histogram([0.01, 0.001]);
+        histogram.observe(0.0005);
+        histogram.observe(0.005);
+        histogram.observe(0.5);
+
+        const text = render([{ name: 'latency_seconds', help: 'Latency.', type: 'histogram', samples: [{ labels: { exchange: 'okx' }, histogram }] }]);
+
+        expect(text).toContain('latency_seconds_bucket{exchange="okx",le="0.001"} 1');
+        expect(text).toContain('latency_seconds_bucket{exchange="okx",le="0.01"} 2');
+        expect(text).toContain('latency_seconds_bucket{exchange="okx",le="+Inf"} 3');
+        expect(text).toContain('latency_seconds_sum{exchange="okx"} 0.5055');
+        expect(text).toContain('latency_seconds_count{exchange="okx"} 3');
+    });
+});
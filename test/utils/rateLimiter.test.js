@@ -0,0 +1,15 @@
+const RateLimiter = require('../../src/utils/rateLimiter');
+
+describe('RateLimiter', () => {
+    test('should allow a burst, then refill at the rate', () => {
+        const limiter = new RateLimiter(2, 3);
+
+        expect(limiter.take(0)).toEqual({ allowed: true, remaining: 2, retryAfter: 0 });
+        limiter.take(0);
+        limiter.take(0);
+        expect(limiter.take(0)).toEqual({ allowed: false, remaining: 0, retryAfter: 500 });
+
+        expect(limiter.take(500).allowed).toBe(true);
+        expect(limiter.take(10000).remaining).toBe(2);
+    });
+});
@@ -0,0 +1,17 @@
+const RingBuffer = require('../../src/utils/ringBuffer');
+
+describe('RingBuffer', () => {
+    test('should keep the most recent items, oldest first', () => {
+        const buffer = new RingBuffer(3);
+        expect(buffer.last()).toBeNull();
+
+        [1, 2, 3, 4, 5].forEach(item => buffer.push(item));
+
+        expect(buffer.size).toBe(3);
+        expect(buffer.toArray()).toEqual([3, 4, 5]);
+        expect(buffer.last()).toBe(5);
+
+        buffer.clear();
+        expect(buffer.toArray()).toEqual([]);
+    });
+});
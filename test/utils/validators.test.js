@@ -0,0 +1,33 @@
+const Validators = require('../../src/utils/validators');
+const Decimal = require('../../src/utils/decimal');
+
+describe('Validators', () => {
+    const instrument = {
+        tickSize: '0.10',
+        minPrice: '556.80',
+        maxPrice: '4529764',
+        stepSize: '0.001',
+        minQty: '0.001',
+        maxQty: '1000',
+        marketStepSize: '0.01',
+        marketMinQty: '0.01',
+        marketMaxQty: '120',
+        minNotional: '100'
+    };
+
+    test('should check prices against the price filter', () => {
+        expect(Validators.validatePrice(Decimal.from('65000.1'), instrument)).toBeNull();
+        expect(Validators.validatePrice(Decimal.from('65000.15'), instrument)).toBe('Price must be a multiple of the tick size 0.10');
+        expect(Validators.validatePrice(Decimal.from('500'), instrument)).toBe('Price below the minimum of 556.80');
+        expect(Validators.validatePrice(Decimal.from('5000000'), instrument)).toBe('Price above the maximum of 4529764');
+        expect(Validators.validatePrice(Decimal.from('65000.15'), null)).toBeNull();
+    });
+
+    test('should check quantities against the lot size filters and notional', () => {
+        expect(Validators.validateQuantity(Decimal.from('0.005'), instrument)).toBeNull();
+        expect(Validators.validateQuantity(Decimal.from('0.005'), instrument, true)).toBe('Quantity below the minimum of 0.01');
+        expect(Validators.validateQuantity(Decimal.from('0.015'), instrument, true)).toBe('Quantity must be a multiple of the market step size 0.01');
+        expect(Validators.validateNotional(Decimal.from('0.001'), Decimal.from('65000'), instrument)).toBe('Notional below the minimum of 100');
+        expect(Validators.validateNotional(Decimal.from('0.002'), Decimal.from('65000'), instrument)).toBeNull();
+    });
+});